@@ -0,0 +1,53 @@
+const asyncHandler = require('express-async-handler');
+const auditService = require('../services/auditService');
+const { toCsv, sendCsv } = require('../utils/csv');
+
+const CSV_COLUMNS = [
+  { header: 'Timestamp', value: 'createdAt' },
+  { header: 'Actor', value: (entry) => (entry.actor ? entry.actor.name : '') },
+  { header: 'Actor User ID', value: (entry) => (entry.actor ? entry.actor.userId : '') },
+  { header: 'Actor Role', value: 'actorRole' },
+  { header: 'Action', value: 'action' },
+  { header: 'Entity Type', value: 'entityType' },
+  { header: 'Entity ID', value: 'entityId' },
+  { header: 'Changes', value: (entry) => JSON.stringify(entry.changes || {}) },
+  { header: 'Method', value: 'method' },
+  { header: 'Path', value: 'path' },
+  { header: 'IP Address', value: 'ipAddress' },
+  { header: 'User Agent', value: 'userAgent' }
+];
+
+// @desc    Get or export audit log entries
+// @route   GET /api/admin/audit
+// @access  Private/SuperAdmin
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { actor, action, entityType, entityId, dateFrom, dateTo, format, page, limit } = req.query;
+  const filters = { actor, action, entityType, entityId, dateFrom, dateTo };
+  
+  try {
+    if (format === 'csv') {
+      const entries = await auditService.exportAuditLogs(filters);
+      const date = new Date().toISOString().split('T')[0];
+      return sendCsv(res, `audit-log-${date}.csv`, toCsv(CSV_COLUMNS, entries));
+    }
+    
+    const result = await auditService.getAuditLogs(filters, page || 1, limit || 50);
+    
+    res.status(200).json({
+      success: true,
+      count: result.totalDocs,
+      totalPages: result.totalPages,
+      page: result.page,
+      data: result.docs
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,12 +1,18 @@
 const asyncHandler = require('express-async-handler');
 const authService = require('../services/authService');
 
+// Client details stored with each session
+const getClientMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
 const registerUser = asyncHandler(async (req, res) => {
   try {
-    const userData = await authService.registerUser(req.body);
+    const userData = await authService.registerUser(req.body, getClientMeta(req));
     res.status(201).json({
       success: true,
       data: userData,
@@ -26,7 +32,7 @@ const registerUser = asyncHandler(async (req, res) => {
 const loginUser = asyncHandler(async (req, res) => {
   try {
     const { email, password } = req.body;
-    const userData = await authService.loginUser(email, password);
+    const userData = await authService.loginUser(email, password, getClientMeta(req));
     res.status(200).json({
       success: true,
       data: userData
@@ -39,10 +45,104 @@ const loginUser = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = asyncHandler(async (req, res) => {
+  try {
+    const userData = await authService.refreshSession(req.body.refreshToken);
+    res.status(200).json({
+      success: true,
+      data: userData
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Logout and revoke the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = asyncHandler(async (req, res) => {
+  await authService.logoutUser(req.sessionId);
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// @desc    Change password of the logged-in user
+// @route   POST /api/auth/change-password
+// @access  Private
+const changePassword = asyncHandler(async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const userData = await authService.changePassword(
+      req.user._id,
+      currentPassword,
+      newPassword,
+      getClientMeta(req)
+    );
+    res.status(200).json({
+      success: true,
+      data: userData,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Request a password reset token
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  try {
+    const { email, channel } = req.body;
+    await authService.requestPasswordReset(email, channel);
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset code has been sent.'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Reset password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    res.locals.auditEntityId = await authService.resetPassword(token, newPassword);
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @desc    Get user profile
 // @route   GET /api/auth/profile
 // @access  Private
 const getUserProfile = asyncHandler(async (req, res) => {
+  await req.user.populate('profilePhoto');
+
   res.status(200).json({
     success: true,
     data: {
@@ -52,13 +152,40 @@ const getUserProfile = asyncHandler(async (req, res) => {
       email: req.user.email,
       phone: req.user.phone,
       role: req.user.role,
-      status: req.user.status
+      status: req.user.status,
+      mustChangePassword: req.user.mustChangePassword,
+      profilePhoto: req.user.profilePhoto || null
     }
   });
 });
 
+// @desc    Set profile photo
+// @route   PUT /api/auth/profile/photo
+// @access  Private
+const updateProfilePhoto = asyncHandler(async (req, res) => {
+  try {
+    const photo = await authService.updateProfilePhoto(req.user._id, req.body.fileId);
+    res.status(200).json({
+      success: true,
+      data: photo,
+      message: 'Profile photo updated successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = {
   registerUser,
   loginUser,
-  getUserProfile
+  refreshToken,
+  logoutUser,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getUserProfile,
+  updateProfilePhoto
 };
\ No newline at end of file
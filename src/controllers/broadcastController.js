@@ -177,6 +177,26 @@ const processScheduledBroadcasts = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Get SMS delivery records for a broadcast
+// @route   GET /api/misc/broadcasts/:id/sms-deliveries
+// @access  Private/Admin
+const getBroadcastSmsDeliveries = asyncHandler(async (req, res) => {
+  try {
+    const deliveries = await broadcastService.getBroadcastSmsDeliveries(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries
+    });
+  } catch (error) {
+    res.status(error.message === 'Broadcast not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = {
   createBroadcast,
   getAllBroadcasts,
@@ -185,5 +205,6 @@ module.exports = {
   deleteBroadcast,
   sendBroadcast,
   cancelScheduledBroadcast,
-  processScheduledBroadcasts
+  processScheduledBroadcasts,
+  getBroadcastSmsDeliveries
 };
\ No newline at end of file
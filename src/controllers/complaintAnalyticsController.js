@@ -0,0 +1,196 @@
+const complaintAnalyticsService = require("../services/complaintAnalyticsService");
+const { toCsv, sendCsv } = require("../utils/csv");
+const { validationResult } = require("express-validator");
+
+const STAFF_CSV_COLUMNS = [
+  { header: "Group", value: "group" },
+  { header: "User ID", value: "userId" },
+  { header: "Name", value: "name" },
+  { header: "Role", value: "role" },
+  { header: "Department", value: "department" },
+  { header: "Assigned", value: "assigned" },
+  { header: "Resolved", value: "resolved" },
+  { header: "Median Hours To Assign", value: "medianHoursToAssign" },
+  { header: "Median Hours To Resolve", value: "medianHoursToResolve" },
+  { header: "First Time Fix Rate", value: "firstTimeFixRate" },
+  { header: "Escalation Rate", value: "escalationRate" },
+  { header: "Average Rating", value: "avgRating" },
+  { header: "Ratings", value: "ratings" },
+  { header: "Open Complaints", value: "openComplaints" },
+];
+
+// Department admins are limited to their own category; returns the category
+// filter to use, or null after sending a 403
+const resolveCategory = (req, res) => {
+  const { category } = req.query;
+
+  if (req.user.role !== "departmentAdmin") {
+    return category;
+  }
+
+  if (category && category !== req.user.department) {
+    res.status(403).json({
+      success: false,
+      message: `You can only view analytics of the ${req.user.department} department`,
+    });
+    return null;
+  }
+
+  return req.user.department;
+};
+
+/**
+ * @desc    Get or export per-staff and per-agency performance metrics
+ * @route   GET /api/complaints/analytics/staff
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getStaffAnalytics = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { dateFrom, dateTo, format } = req.query;
+
+    const category = resolveCategory(req, res);
+    if (category === null) return;
+
+    const result = await complaintAnalyticsService.getStaffPerformance({
+      category,
+      dateFrom,
+      dateTo,
+    });
+
+    if (format === "csv") {
+      const rows = [
+        ...result.staff.map((entry) => ({ ...entry, group: "staff" })),
+        ...result.agencies.map((entry) => ({ ...entry, group: "agency" })),
+      ];
+      const date = new Date().toISOString().split("T")[0];
+      return sendCsv(
+        res,
+        `staff-performance-${date}.csv`,
+        toCsv(STAFF_CSV_COLUMNS, rows)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error getting staff analytics:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Get complaint counts per day, week or month by location and category
+ * @route   GET /api/complaints/analytics/trends
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getComplaintTrends = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      interval,
+      groupBy,
+      dateFrom,
+      dateTo,
+      subcategory,
+      sector,
+      block,
+    } = req.query;
+
+    const category = resolveCategory(req, res);
+    if (category === null) return;
+
+    const result = await complaintAnalyticsService.getComplaintTrends({
+      interval,
+      groupBy: groupBy ? groupBy.split(",").map((value) => value.trim()) : [],
+      dateFrom,
+      dateTo,
+      category,
+      subcategory,
+      sector,
+      block,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error getting complaint trends:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Get the locations with the highest complaint density
+ * @route   GET /api/complaints/analytics/hotspots
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getComplaintHotspots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { level, sortBy, limit, dateFrom, dateTo, subcategory, sector } =
+      req.query;
+
+    const category = resolveCategory(req, res);
+    if (category === null) return;
+
+    const result = await complaintAnalyticsService.getComplaintHotspots({
+      level,
+      sortBy,
+      limit,
+      dateFrom,
+      dateTo,
+      category,
+      subcategory,
+      sector,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: result.hotspots.length,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error getting complaint hotspots:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+module.exports = {
+  getStaffAnalytics,
+  getComplaintTrends,
+  getComplaintHotspots,
+};
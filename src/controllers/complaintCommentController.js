@@ -0,0 +1,85 @@
+const complaintCommentService = require("../services/complaintCommentService");
+const { validationResult } = require("express-validator");
+
+/**
+ * @desc    Get the comment thread of a complaint
+ * @route   GET /api/complaints/:id/comments
+ * @access  Private
+ */
+const getComments = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await complaintCommentService.getComments(
+      req.params.id,
+      req.user,
+      page || 1,
+      limit || 50
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.totalDocs,
+      totalPages: result.totalPages,
+      page: result.page,
+      data: result.docs,
+    });
+  } catch (error) {
+    console.error("Error getting complaint comments:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 500)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
+/**
+ * @desc    Add a comment or internal note to a complaint
+ * @route   POST /api/complaints/:id/comments
+ * @access  Private
+ */
+const addComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { message, attachments, isInternal } = req.body;
+
+    const comment = await complaintCommentService.addComment(
+      req.params.id,
+      { message, attachments, isInternal },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: comment,
+    });
+  } catch (error) {
+    console.error("Error adding complaint comment:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 500)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
+module.exports = {
+  getComments,
+  addComment,
+};
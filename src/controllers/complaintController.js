@@ -1,6 +1,8 @@
 const complaintService = require("../services/complaintService");
 const { validationResult } = require("express-validator");
+const assignmentService = require("../services/assignmentService");
 const { COMPLAINT_CATEGORIES } = require("../utils/constants");
+const { assertComplaintAccess } = require("../utils/departmentScope");
 
 /**
  * @desc    Create a new complaint
@@ -27,13 +29,23 @@ const createComplaint = async (req, res) => {
       });
     }
 
-    const complaint = await complaintService.createComplaint(
+    const { complaint, merged } = await complaintService.createComplaint(
       { resourceId, category, subcategory, description, images },
       req.user
     );
 
+    if (merged) {
+      return res.status(200).json({
+        success: true,
+        merged: true,
+        data: complaint,
+        message: `This issue is already reported as complaint ${complaint.complaintId}. You have been added as a follower.`,
+      });
+    }
+
     res.status(201).json({
       success: true,
+      merged: false,
       data: complaint,
     });
   } catch (error) {
@@ -57,6 +69,7 @@ const getComplaints = async (req, res) => {
       resourceId,
       category,
       status,
+      source,
       dateFrom,
       dateTo,
       page,
@@ -69,13 +82,19 @@ const getComplaints = async (req, res) => {
     const filters = {};
 
     if (req.user.role === "resident") {
-      // Residents can only see their own complaints
-      filters.userId = req.user._id;
+      // Residents can only see their own complaints and the ones they follow
+      filters.participantId = req.user._id;
     } else if (req.user.role === "departmentAdmin") {
       // Department admins can see complaints assigned to their department
       if (userId) filters.userId = userId;
 
       // Department admin can only see complaints in their department
+      if (category && category !== req.user.department) {
+        return res.status(403).json({
+          success: false,
+          message: `You can only view complaints of the ${req.user.department} department`,
+        });
+      }
       filters.category = req.user.department;
     } else if (req.user.role === "maintenanceStaff") {
       // Maintenance staff can only see complaints assigned to them
@@ -89,6 +108,7 @@ const getComplaints = async (req, res) => {
     // Common filters
     if (resourceId) filters.resourceId = resourceId;
     if (status) filters.status = status;
+    if (source) filters.source = source;
     if (dateFrom && dateTo) {
       filters.dateFrom = dateFrom;
       filters.dateTo = dateTo;
@@ -128,38 +148,7 @@ const getComplaintById = async (req, res) => {
     const complaint = await complaintService.getComplaintById(req.params.id);
 
     // Authorization check
-    if (
-      req.user.role === "resident" &&
-      complaint.userId.toString() !== req.user._id.toString()
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to access this complaint",
-      });
-    }
-
-    // Department admins can only access complaints in their department
-    if (
-      req.user.role === "departmentAdmin" &&
-      complaint.category !== req.user.department
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to access this complaint",
-      });
-    }
-
-    // Maintenance staff can only access assigned complaints
-    if (
-      req.user.role === "maintenanceStaff" &&
-      (!complaint.assignedStaff ||
-        complaint.assignedStaff.toString() !== req.user._id.toString())
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to access this complaint",
-      });
-    }
+    assertComplaintAccess(req.user, complaint);
 
     res.status(200).json({
       success: true,
@@ -167,10 +156,15 @@ const getComplaintById = async (req, res) => {
     });
   } catch (error) {
     console.error("Error getting complaint:", error);
-    res.status(error.message === "Complaint not found" ? 404 : 500).json({
-      success: false,
-      message: error.message || "Server error",
-    });
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 500)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
   }
 };
 
@@ -194,7 +188,7 @@ const assignComplaint = async (req, res) => {
     const complaint = await complaintService.assignComplaint(
       req.params.id,
       agencyId,
-      req.user._id
+      req.user
     );
 
     res.status(200).json({
@@ -203,13 +197,43 @@ const assignComplaint = async (req, res) => {
     });
   } catch (error) {
     console.error("Error assigning complaint:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Server error",
     });
   }
 };
 
+/**
+ * @desc    Assign complaint to the best available staff member
+ * @route   POST /api/complaints/:id/auto-assign
+ * @access  Private (Super Admin, Department Admin)
+ */
+const autoAssignComplaint = async (req, res) => {
+  try {
+    const complaint = await complaintService.autoAssignComplaint(
+      req.params.id,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: complaint,
+    });
+  } catch (error) {
+    console.error("Error auto-assigning complaint:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 400)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
 /**
  * @desc    Assign complaint to staff
  * @route   PUT /api/complaints/:id/assign-staff
@@ -230,7 +254,7 @@ const assignToStaff = async (req, res) => {
     const complaint = await complaintService.assignToStaff(
       req.params.id,
       staffId,
-      req.user._id
+      req.user
     );
 
     res.status(200).json({
@@ -239,7 +263,7 @@ const assignToStaff = async (req, res) => {
     });
   } catch (error) {
     console.error("Error assigning complaint to staff:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Server error",
     });
@@ -261,12 +285,13 @@ const resolveComplaint = async (req, res) => {
       });
     }
 
-    const { resolutionNotes } = req.body;
+    const { resolutionNotes, materials } = req.body;
 
     const complaint = await complaintService.resolveComplaint(
       req.params.id,
       resolutionNotes,
-      req.user._id
+      req.user,
+      materials
     );
 
     res.status(200).json({
@@ -275,13 +300,178 @@ const resolveComplaint = async (req, res) => {
     });
   } catch (error) {
     console.error("Error resolving complaint:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Server error",
     });
   }
 };
 
+/**
+ * @desc    Withdraw an open complaint
+ * @route   PUT /api/complaints/:id/withdraw
+ * @access  Private (Resident)
+ */
+const withdrawComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { reason } = req.body;
+
+    const complaint = await complaintService.withdrawComplaint(
+      req.params.id,
+      reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: complaint,
+    });
+  } catch (error) {
+    console.error("Error withdrawing complaint:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 400)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
+/**
+ * @desc    Put a complaint on hold
+ * @route   PUT /api/complaints/:id/hold
+ * @access  Private (Maintenance Staff, Department Admin, Super Admin)
+ */
+const holdComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { reason, expectedResumeAt } = req.body;
+
+    const complaint = await complaintService.holdComplaint(
+      req.params.id,
+      reason,
+      expectedResumeAt,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: complaint,
+    });
+  } catch (error) {
+    console.error("Error putting complaint on hold:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 400)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
+/**
+ * @desc    Resume a complaint on hold
+ * @route   PUT /api/complaints/:id/resume
+ * @access  Private (Maintenance Staff, Department Admin, Super Admin)
+ */
+const resumeComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { notes } = req.body;
+
+    const complaint = await complaintService.resumeComplaint(
+      req.params.id,
+      notes,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: complaint,
+    });
+  } catch (error) {
+    console.error("Error resuming complaint:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 400)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
+/**
+ * @desc    Reopen a closed complaint
+ * @route   PUT /api/complaints/:id/reopen
+ * @access  Private (Resident, Department Admin, Super Admin)
+ */
+const reopenComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { reason } = req.body;
+
+    const complaint = await complaintService.reopenComplaint(
+      req.params.id,
+      reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: complaint,
+    });
+  } catch (error) {
+    console.error("Error reopening complaint:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 400)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
 /**
  * @desc    Submit feedback for resolved complaint
  * @route   PUT /api/complaints/:id/feedback
@@ -377,6 +567,12 @@ const getComplaintStats = async (req, res) => {
 
     if (req.user.role === "departmentAdmin") {
       // Department admin can only see stats for their department
+      if (category && category !== req.user.department) {
+        return res.status(403).json({
+          success: false,
+          message: `You can only view statistics of the ${req.user.department} department`,
+        });
+      }
       filters.category = req.user.department;
 
       if (userId) filters.userId = userId;
@@ -429,6 +625,11 @@ const getCategoryDistribution = async (req, res) => {
     } else {
       // Admins can filter as needed
       if (userId) filters.userId = userId;
+
+      // Department admins only see their own department's share
+      if (req.user.role === "departmentAdmin") {
+        filters.category = req.user.department;
+      }
     }
 
     // Common filters
@@ -455,6 +656,49 @@ const getCategoryDistribution = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get maintenance staff of a department with skills, availability and workload
+ * @route   GET /api/complaints/staff-workload
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getStaffWorkload = async (req, res) => {
+  try {
+    let { department } = req.query;
+
+    // Department admins only see their own staff
+    if (req.user.role === "departmentAdmin") {
+      if (department && department !== req.user.department) {
+        return res.status(403).json({
+          success: false,
+          message: `You can only view staff of the ${req.user.department} department`,
+        });
+      }
+      department = req.user.department;
+    }
+
+    if (!department) {
+      return res.status(400).json({
+        success: false,
+        message: "Department is required",
+      });
+    }
+
+    const staff = await assignmentService.getStaffWorkload(department);
+
+    res.status(200).json({
+      success: true,
+      count: staff.length,
+      data: staff,
+    });
+  } catch (error) {
+    console.error("Error getting staff workload:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
 /**
  * @desc    Get subcategories for a given category
  * @route   GET /api/complaints/subcategories/:category
@@ -509,12 +753,18 @@ module.exports = {
   getComplaints,
   getComplaintById,
   assignComplaint,
+  autoAssignComplaint,
   assignToStaff,
   resolveComplaint,
+  withdrawComplaint,
+  holdComplaint,
+  resumeComplaint,
+  reopenComplaint,
   submitFeedback,
   finalizeComplaint,
   getComplaintStats,
   getCategoryDistribution,
+  getStaffWorkload,
   getSubcategories,
   getCategories,
 };
@@ -0,0 +1,120 @@
+const complaintDuplicateService = require("../services/complaintDuplicateService");
+const { validationResult } = require("express-validator");
+
+/**
+ * @desc    Merge a duplicate complaint into the open complaint it repeats
+ * @route   PUT /api/complaints/:id/merge
+ * @access  Private (Super Admin, Department Admin)
+ */
+const mergeComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const complaint = await complaintDuplicateService.mergeComplaint(
+      req.params.id,
+      req.body.targetComplaintId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: complaint,
+    });
+  } catch (error) {
+    console.error("Error merging complaint:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 400)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
+/**
+ * @desc    Clear the possible-duplicate flag of a complaint
+ * @route   PUT /api/complaints/:id/not-duplicate
+ * @access  Private (Super Admin, Department Admin)
+ */
+const dismissDuplicateFlag = async (req, res) => {
+  try {
+    const complaint = await complaintDuplicateService.dismissDuplicateFlag(
+      req.params.id,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: complaint,
+    });
+  } catch (error) {
+    console.error("Error clearing duplicate flag:", error);
+    res
+      .status(
+        error.statusCode ||
+          (error.message === "Complaint not found" ? 404 : 400)
+      )
+      .json({
+        success: false,
+        message: error.message || "Server error",
+      });
+  }
+};
+
+/**
+ * @desc    Get resources with recurring faults
+ * @route   GET /api/complaints/recurring-faults
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getRecurringFaults = async (req, res) => {
+  try {
+    const { days, minCount, category, subcategory } = req.query;
+
+    // Department admins only see their own department
+    if (
+      req.user.role === "departmentAdmin" &&
+      category &&
+      category !== req.user.department
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: `You can only view reports of the ${req.user.department} department`,
+      });
+    }
+
+    const result = await complaintDuplicateService.getRecurringFaults({
+      days,
+      minCount,
+      category:
+        req.user.role === "departmentAdmin" ? req.user.department : category,
+      subcategory,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: result.faults.length,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error getting recurring faults:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+module.exports = {
+  mergeComplaint,
+  dismissDuplicateFlag,
+  getRecurringFaults,
+};
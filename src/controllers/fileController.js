@@ -0,0 +1,100 @@
+const asyncHandler = require('express-async-handler');
+const fileService = require('../services/fileService');
+
+// Map service errors to HTTP status codes
+const errorStatus = (error) => error.statusCode ||
+  (error.message === 'File not found' ? 404 : 400);
+
+// @desc    Upload a file
+// @route   POST /api/files
+// @access  Private
+const uploadFile = asyncHandler(async (req, res) => {
+  try {
+    const file = await fileService.uploadFile(
+      req.file.buffer,
+      { purpose: req.body.purpose, originalName: req.file.originalname },
+      req.user
+    );
+    
+    res.status(201).json({
+      success: true,
+      data: file
+    });
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Get a file with short-lived download URLs
+// @route   GET /api/files/:id
+// @access  Private
+const getFile = asyncHandler(async (req, res) => {
+  try {
+    const file = await fileService.getFile(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: file
+    });
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Download a file through a signed URL
+// @route   GET /api/files/:id/content
+// @access  Public (signed URL)
+const getFileContent = asyncHandler(async (req, res) => {
+  try {
+    const { variant, expires, signature } = req.query;
+    const { file, content } = await fileService.getSignedFileContent(req.params.id, {
+      variant,
+      expires,
+      signature
+    });
+    
+    res.set({
+      'Content-Type': variant === 'thumbnail' ? 'image/webp' : file.mimeType,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(file.originalName || 'file')}`,
+      'Cache-Control': 'private, max-age=900'
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Delete an unused upload
+// @route   DELETE /api/files/:id
+// @access  Private
+const deleteFile = asyncHandler(async (req, res) => {
+  try {
+    await fileService.deleteFile(req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = {
+  uploadFile,
+  getFile,
+  getFileContent,
+  deleteFile
+};
@@ -0,0 +1,108 @@
+const asyncHandler = require('express-async-handler');
+const gateService = require('../services/gateService');
+
+// @desc    Create a gate
+// @route   POST /api/gates
+// @access  Private/SuperAdmin
+const createGate = asyncHandler(async (req, res) => {
+  try {
+    const gate = await gateService.createGate(req.body, req.user._id);
+    
+    res.status(201).json({
+      success: true,
+      data: gate,
+      message: 'Gate created successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Get all gates
+// @route   GET /api/gates
+// @access  Private/SecurityPersonnel
+const getGates = asyncHandler(async (req, res) => {
+  const gates = await gateService.getGates(req.query);
+  
+  res.status(200).json({
+    success: true,
+    count: gates.length,
+    data: gates
+  });
+});
+
+// @desc    Update a gate
+// @route   PUT /api/gates/:id
+// @access  Private/SuperAdmin
+const updateGate = asyncHandler(async (req, res) => {
+  try {
+    const gate = await gateService.updateGate(req.params.id, req.body);
+    
+    res.status(200).json({
+      success: true,
+      data: gate,
+      message: 'Gate updated successfully'
+    });
+  } catch (error) {
+    res.status(error.message === 'Gate not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Get the logged-in guard's gates and duty status
+// @route   GET /api/gates/duty
+// @access  Private/SecurityPersonnel
+const getDutyStatus = asyncHandler(async (req, res) => {
+  const duty = await gateService.getDutyStatus(req.user._id);
+  
+  res.status(200).json({
+    success: true,
+    data: duty
+  });
+});
+
+// @desc    Go on duty at a gate
+// @route   PUT /api/gates/duty
+// @access  Private/SecurityPersonnel
+const startDuty = asyncHandler(async (req, res) => {
+  try {
+    const duty = await gateService.startDuty(req.user._id, req.body.gateId);
+    
+    res.status(200).json({
+      success: true,
+      data: duty,
+      message: `You are now on duty at ${duty.dutyGate.name}`
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Go off duty
+// @route   DELETE /api/gates/duty
+// @access  Private/SecurityPersonnel
+const endDuty = asyncHandler(async (req, res) => {
+  const wasOnDuty = await gateService.endDuty(req.user._id);
+  
+  res.status(200).json({
+    success: true,
+    message: wasOnDuty ? 'You are now off duty' : 'You were not on duty'
+  });
+});
+
+module.exports = {
+  createGate,
+  getGates,
+  updateGate,
+  getDutyStatus,
+  startDuty,
+  endDuty
+};
@@ -0,0 +1,435 @@
+const inventoryService = require("../services/inventoryService");
+const { validationResult } = require("express-validator");
+
+// Not found, out-of-scope and stock errors carry their own status
+const errorStatus = (error, fallback) => error.statusCode || fallback;
+
+/**
+ * @desc    Get inventory items
+ * @route   GET /api/inventory/items
+ * @access  Private (Super Admin, Department Admin, Maintenance Staff)
+ */
+const getItems = async (req, res) => {
+  try {
+    const { category, isActive, search } = req.query;
+
+    const items = await inventoryService.getItems(
+      { category, isActive, search },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items,
+    });
+  } catch (error) {
+    console.error("Error getting inventory items:", error);
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Create an inventory item
+ * @route   POST /api/inventory/items
+ * @access  Private (Super Admin, Department Admin)
+ */
+const createItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sku, name, description, category, unit, unitCost, reorderLevel } =
+      req.body;
+
+    const item = await inventoryService.createItem(
+      { sku, name, description, category, unit, unitCost, reorderLevel },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: item,
+    });
+  } catch (error) {
+    console.error("Error creating inventory item:", error);
+    res.status(errorStatus(error, 400)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Update an inventory item
+ * @route   PUT /api/inventory/items/:id
+ * @access  Private (Super Admin, Department Admin)
+ */
+const updateItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description, unit, unitCost, reorderLevel, isActive } =
+      req.body;
+
+    const item = await inventoryService.updateItem(
+      req.params.id,
+      { name, description, unit, unitCost, reorderLevel, isActive },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: item,
+    });
+  } catch (error) {
+    console.error("Error updating inventory item:", error);
+    res.status(errorStatus(error, 400)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Get stores
+ * @route   GET /api/inventory/stores
+ * @access  Private (Super Admin, Department Admin, Maintenance Staff)
+ */
+const getStores = async (req, res) => {
+  try {
+    const stores = await inventoryService.getStores({
+      isActive: req.query.isActive,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: stores.length,
+      data: stores,
+    });
+  } catch (error) {
+    console.error("Error getting stores:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Create a store
+ * @route   POST /api/inventory/stores
+ * @access  Private (Super Admin, Department Admin)
+ */
+const createStore = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { name, location } = req.body;
+
+    const store = await inventoryService.createStore(
+      { name, location },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: store,
+    });
+  } catch (error) {
+    console.error("Error creating store:", error);
+    res.status(errorStatus(error, 400)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Update a store
+ * @route   PUT /api/inventory/stores/:id
+ * @access  Private (Super Admin, Department Admin)
+ */
+const updateStore = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { name, location, isActive } = req.body;
+
+    const store = await inventoryService.updateStore(req.params.id, {
+      name,
+      location,
+      isActive,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: store,
+    });
+  } catch (error) {
+    console.error("Error updating store:", error);
+    res.status(errorStatus(error, 400)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Get stock levels per item and store
+ * @route   GET /api/inventory/stock
+ * @access  Private (Super Admin, Department Admin, Maintenance Staff)
+ */
+const getStock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { category, itemId, storeId } = req.query;
+
+    const stock = await inventoryService.getStock(
+      { category, itemId, storeId },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      count: stock.length,
+      data: stock,
+    });
+  } catch (error) {
+    console.error("Error getting stock:", error);
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Receive stock into a store
+ * @route   POST /api/inventory/stock/receive
+ * @access  Private (Super Admin, Department Admin)
+ */
+const receiveStock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { itemId, storeId, quantity, unitCost, notes } = req.body;
+
+    const result = await inventoryService.receiveStock(
+      { itemId, storeId, quantity, unitCost, notes },
+      req.user
+    );
+
+    res.locals.auditEntityId = result.movement._id;
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error receiving stock:", error);
+    res.status(errorStatus(error, 400)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Set a stock level to the counted quantity
+ * @route   POST /api/inventory/stock/adjust
+ * @access  Private (Super Admin, Department Admin)
+ */
+const adjustStock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { itemId, storeId, quantity, notes } = req.body;
+
+    const result = await inventoryService.adjustStock(
+      { itemId, storeId, quantity, notes },
+      req.user
+    );
+
+    res.locals.auditEntityId = result.movement._id;
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error adjusting stock:", error);
+    res.status(errorStatus(error, 400)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Get stock movements, e.g. the materials issued on a complaint
+ * @route   GET /api/inventory/movements
+ * @access  Private (Super Admin, Department Admin, Maintenance Staff)
+ */
+const getMovements = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { complaintId, itemId, storeId, type, category, limit } = req.query;
+
+    const movements = await inventoryService.getMovements(
+      { complaintId, itemId, storeId, type, category, limit },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      count: movements.length,
+      data: movements,
+    });
+  } catch (error) {
+    console.error("Error getting stock movements:", error);
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Get stock at or below its reorder level
+ * @route   GET /api/inventory/low-stock
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getLowStock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { category, storeId } = req.query;
+
+    const stock = await inventoryService.getLowStock(
+      { category, storeId },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      count: stock.length,
+      data: stock,
+    });
+  } catch (error) {
+    console.error("Error getting low stock:", error);
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Get material consumption per category or resource
+ * @route   GET /api/inventory/reports/consumption
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getConsumptionReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { groupBy, category, dateFrom, dateTo } = req.query;
+
+    const result = await inventoryService.getConsumptionReport(
+      { groupBy, category, dateFrom, dateTo },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.report.length,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error getting consumption report:", error);
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+module.exports = {
+  getItems,
+  createItem,
+  updateItem,
+  getStores,
+  createStore,
+  updateStore,
+  getStock,
+  receiveStock,
+  adjustStock,
+  getMovements,
+  getLowStock,
+  getConsumptionReport,
+};
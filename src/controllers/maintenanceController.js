@@ -0,0 +1,208 @@
+const maintenanceService = require("../services/maintenanceService");
+const { validationResult } = require("express-validator");
+
+// "Not found" errors map to 404, department scope errors carry their own status
+const errorStatus = (error, fallback) =>
+  error.statusCode ||
+  (error.message === "Maintenance plan not found" ? 404 : fallback);
+
+/**
+ * @desc    Get preventive maintenance plans
+ * @route   GET /api/complaints/maintenance-plans
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getMaintenancePlans = async (req, res) => {
+  try {
+    const { category, resourceId, isActive } = req.query;
+
+    const plans = await maintenanceService.getMaintenancePlans(
+      { category, resourceId, isActive },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans,
+    });
+  } catch (error) {
+    console.error("Error getting maintenance plans:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Get a maintenance plan with its work orders
+ * @route   GET /api/complaints/maintenance-plans/:id
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getMaintenancePlanById = async (req, res) => {
+  try {
+    const result = await maintenanceService.getMaintenancePlanById(
+      req.params.id,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error getting maintenance plan:", error);
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Create a maintenance plan
+ * @route   POST /api/complaints/maintenance-plans
+ * @access  Private (Super Admin, Department Admin)
+ */
+const createMaintenancePlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      resourceId,
+      title,
+      description,
+      category,
+      subcategory,
+      intervalDays,
+      startDate,
+    } = req.body;
+
+    const plan = await maintenanceService.createMaintenancePlan(
+      {
+        resourceId,
+        title,
+        description,
+        category,
+        subcategory,
+        intervalDays,
+        startDate,
+      },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    console.error("Error creating maintenance plan:", error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Update a maintenance plan
+ * @route   PUT /api/complaints/maintenance-plans/:id
+ * @access  Private (Super Admin, Department Admin)
+ */
+const updateMaintenancePlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      title,
+      description,
+      subcategory,
+      intervalDays,
+      nextDueAt,
+      isActive,
+    } = req.body;
+
+    const plan = await maintenanceService.updateMaintenancePlan(
+      req.params.id,
+      { title, description, subcategory, intervalDays, nextDueAt, isActive },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    console.error("Error updating maintenance plan:", error);
+    res.status(errorStatus(error, 400)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Delete a maintenance plan
+ * @route   DELETE /api/complaints/maintenance-plans/:id
+ * @access  Private (Super Admin, Department Admin)
+ */
+const deleteMaintenancePlan = async (req, res) => {
+  try {
+    await maintenanceService.deleteMaintenancePlan(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: "Maintenance plan deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting maintenance plan:", error);
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Raise work orders for maintenance plans that are due
+ * @route   POST /api/complaints/maintenance-plans/process
+ * @access  Private (Super Admin)
+ */
+const processDueMaintenance = async (req, res) => {
+  try {
+    const results = await maintenanceService.processDueMaintenance();
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      message: `Raised ${results.length} work orders`,
+    });
+  } catch (error) {
+    console.error("Error processing maintenance plans:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+module.exports = {
+  getMaintenancePlans,
+  getMaintenancePlanById,
+  createMaintenancePlan,
+  updateMaintenancePlan,
+  deleteMaintenancePlan,
+  processDueMaintenance,
+};
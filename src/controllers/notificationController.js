@@ -0,0 +1,120 @@
+const asyncHandler = require('express-async-handler');
+const notificationService = require('../services/notificationService');
+const { generateStreamTicket } = require('../services/authService');
+const realtimeHub = require('../utils/realtimeHub');
+const { isStillAuthorized } = require('../middleware/auth');
+
+// @desc    Get notifications for the logged-in user
+// @route   GET /api/notifications
+// @access  Private
+const getMyNotifications = asyncHandler(async (req, res) => {
+  const { unread, type, page, limit } = req.query;
+
+  const result = await notificationService.getUserNotifications(
+    req.user._id,
+    { unread, type },
+    page || 1,
+    limit || 20
+  );
+
+  res.status(200).json({
+    success: true,
+    count: result.totalDocs,
+    totalPages: result.totalPages,
+    page: result.page,
+    data: result.docs
+  });
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const count = await notificationService.getUnreadCount(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { count }
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markAsRead = asyncHandler(async (req, res) => {
+  try {
+    const notification = await notificationService.markAsRead(
+      req.params.id,
+      req.user._id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    res.status(error.message === 'Notification not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const updated = await notificationService.markAllAsRead(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { updated },
+    message: 'All notifications marked as read'
+  });
+});
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = asyncHandler(async (req, res) => {
+  try {
+    await notificationService.deleteNotification(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    res.status(error.message === 'Notification not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Issue a short-lived ticket for opening the notification stream
+// @route   POST /api/notifications/stream-ticket
+// @access  Private
+const createStreamTicket = asyncHandler(async (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: generateStreamTicket(req.user, req.sessionId, req.sessionGeneration)
+  });
+});
+
+// @desc    Stream real-time notification events (Server-Sent Events)
+// @route   GET /api/notifications/stream
+// @access  Private
+const streamNotifications = (req, res) => {
+  realtimeHub.subscribe(req.user, res, () => isStillAuthorized(req));
+};
+
+module.exports = {
+  createStreamTicket,
+  streamNotifications,
+  getMyNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+};
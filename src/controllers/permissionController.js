@@ -0,0 +1,64 @@
+const asyncHandler = require('express-async-handler');
+const permissionService = require('../services/permissionService');
+
+// @desc    Get the permission registry and role mappings
+// @route   GET /api/admin/permissions
+// @access  Private/SuperAdmin
+const getRolePermissions = asyncHandler(async (req, res) => {
+  const permissions = await permissionService.getRolePermissions();
+  
+  res.status(200).json({
+    success: true,
+    data: permissions
+  });
+});
+
+// @desc    Replace the permissions of a role
+// @route   PUT /api/admin/permissions/:role
+// @access  Private/SuperAdmin
+const updateRolePermissions = asyncHandler(async (req, res) => {
+  try {
+    const mapping = await permissionService.updateRolePermissions(
+      req.params.role,
+      req.body.permissions,
+      req.user._id
+    );
+    
+    res.status(200).json({
+      success: true,
+      data: mapping,
+      message: 'Role permissions updated successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Restore the default permissions of a role
+// @route   DELETE /api/admin/permissions/:role
+// @access  Private/SuperAdmin
+const resetRolePermissions = asyncHandler(async (req, res) => {
+  try {
+    const mapping = await permissionService.resetRolePermissions(req.params.role);
+    
+    res.status(200).json({
+      success: true,
+      data: mapping,
+      message: 'Role permissions reset to defaults'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = {
+  getRolePermissions,
+  updateRolePermissions,
+  resetRolePermissions
+};
@@ -0,0 +1,125 @@
+const slaService = require("../services/slaService");
+const { validationResult } = require("express-validator");
+
+/**
+ * @desc    Get complaint SLA policies and the built-in defaults
+ * @route   GET /api/complaints/sla-policies
+ * @access  Private (Super Admin, Department Admin)
+ */
+const getSlaPolicies = async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    const result = await slaService.getSlaPolicies({ category });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error getting SLA policies:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Create or update the SLA policy of a category/subcategory
+ * @route   PUT /api/complaints/sla-policies
+ * @access  Private (Super Admin)
+ */
+const upsertSlaPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      category,
+      subcategory,
+      timeToAssignHours,
+      timeToResolveHours,
+      autoEscalate,
+    } = req.body;
+
+    const policy = await slaService.upsertSlaPolicy(
+      {
+        category,
+        subcategory,
+        timeToAssignHours,
+        timeToResolveHours,
+        autoEscalate,
+      },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    console.error("Error saving SLA policy:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Delete an SLA policy
+ * @route   DELETE /api/complaints/sla-policies/:id
+ * @access  Private (Super Admin)
+ */
+const deleteSlaPolicy = async (req, res) => {
+  try {
+    await slaService.deleteSlaPolicy(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "SLA policy deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting SLA policy:", error);
+    res.status(error.message === "SLA policy not found" ? 404 : 500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+/**
+ * @desc    Flag and escalate complaints that missed their SLA deadlines
+ * @route   POST /api/complaints/sla/process
+ * @access  Private (Super Admin)
+ */
+const processSlaBreaches = async (req, res) => {
+  try {
+    const results = await slaService.processSlaBreaches();
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      message: `Processed ${results.length} SLA breaches`,
+    });
+  } catch (error) {
+    console.error("Error processing SLA breaches:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Server error",
+    });
+  }
+};
+
+module.exports = {
+  getSlaPolicies,
+  upsertSlaPolicy,
+  deleteSlaPolicy,
+  processSlaBreaches,
+};
@@ -24,13 +24,24 @@ const createAdminUser = asyncHandler(async (req, res) => {
 // @route   GET /api/admin/users
 // @access  Private/Admin
 const getAllUsers = asyncHandler(async (req, res) => {
-  const { role, status } = req.query;
+  const { role, status, department } = req.query;
   const filters = {};
   
   if (role) filters.role = role;
   if (status) filters.status = status;
   
-  const users = await userService.getAllUsers(filters);
+  // Department admins can only list their own department
+  if (department) {
+    if (req.user.role === 'departmentAdmin' && department !== req.user.department) {
+      return res.status(403).json({
+        success: false,
+        message: `You can only view users of the ${req.user.department} department`
+      });
+    }
+    filters.department = department;
+  }
+  
+  const users = await userService.getAllUsers(filters, req.user);
   
   res.status(200).json({
     success: true,
@@ -43,7 +54,7 @@ const getAllUsers = asyncHandler(async (req, res) => {
 // @route   GET /api/admin/users/pending
 // @access  Private/Admin
 const getPendingUsers = asyncHandler(async (req, res) => {
-  const users = await userService.getUsersByStatus('pending');
+  const users = await userService.getUsersByStatus('pending', req.user);
   
   res.status(200).json({
     success: true,
@@ -57,7 +68,7 @@ const getPendingUsers = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const approveUser = asyncHandler(async (req, res) => {
   try {
-    const user = await userService.updateUserStatus(req.params.userId, 'approved', req.user._id);
+    const user = await userService.updateUserStatus(req.params.userId, 'approved', req.user);
     
     res.status(200).json({
       success: true,
@@ -65,7 +76,7 @@ const approveUser = asyncHandler(async (req, res) => {
       message: 'User approved successfully'
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
@@ -77,13 +88,33 @@ const approveUser = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const rejectUser = asyncHandler(async (req, res) => {
   try {
-    const user = await userService.updateUserStatus(req.params.userId, 'rejected', req.user._id);
+    const user = await userService.updateUserStatus(req.params.userId, 'rejected', req.user);
     
     res.status(200).json({
       success: true,
       data: user,
       message: 'User rejected'
     });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Revoke all sessions of a user
+// @route   POST /api/admin/users/:userId/revoke-sessions
+// @access  Private/SuperAdmin
+const revokeUserSessions = asyncHandler(async (req, res) => {
+  try {
+    const revoked = await userService.revokeUserSessions(req.params.userId, req.user._id);
+    
+    res.status(200).json({
+      success: true,
+      data: { revoked },
+      message: `${revoked} session(s) revoked`
+    });
   } catch (error) {
     res.status(400).json({
       success: false,
@@ -92,10 +123,58 @@ const rejectUser = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Assign gates to a security guard
+// @route   PUT /api/admin/users/:userId/gates
+// @access  Private/SuperAdmin
+const assignUserGates = asyncHandler(async (req, res) => {
+  try {
+    const user = await userService.assignUserGates(req.params.userId, req.body.gateIds);
+    
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: 'Gates assigned successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Set the skills and availability of a maintenance staff member
+// @route   PUT /api/admin/users/:userId/assignment-profile
+// @access  Private/Admin
+const updateStaffProfile = asyncHandler(async (req, res) => {
+  try {
+    const { skills, isAvailable } = req.body;
+    const user = await userService.updateStaffProfile(
+      req.params.userId,
+      { skills, isAvailable },
+      req.user
+    );
+    
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: 'Assignment profile updated successfully'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = {
   createAdminUser,
   getAllUsers,
   getPendingUsers,
   approveUser,
-  rejectUser
+  rejectUser,
+  revokeUserSessions,
+  assignUserGates,
+  updateStaffProfile
 };
\ No newline at end of file
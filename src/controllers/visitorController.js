@@ -1,5 +1,25 @@
 const asyncHandler = require('express-async-handler');
 const visitorService = require('../services/visitorService');
+const { toCsv, sendCsv } = require('../utils/csv');
+
+const REGISTER_CSV_COLUMNS = [
+  { header: 'Token', value: 'tokenNumber' },
+  { header: 'Visitor ID', value: 'visitorId' },
+  { header: 'Name', value: 'name' },
+  { header: 'Mobile', value: 'mobileNumber' },
+  { header: 'Group Size', value: 'groupSize' },
+  { header: 'Purpose', value: 'purpose' },
+  { header: 'Source', value: 'source' },
+  { header: 'Host', value: (entry) => entry.requestedBy && entry.requestedBy.name },
+  { header: 'Flat', value: (entry) => entry.hostResource && entry.hostResource.resourceName },
+  { header: 'Gate', value: (entry) => entry.gate && entry.gate.name },
+  { header: 'Check-in', value: 'checkInTime' },
+  { header: 'Checked In By', value: (entry) => entry.checkedInBy && entry.checkedInBy.name },
+  { header: 'Check-out', value: 'checkOutTime' },
+  { header: 'Checked Out By', value: (entry) => entry.checkedOutBy && entry.checkedOutBy.name },
+  { header: 'Token Returned', value: (entry) => (entry.checkOutTime ? entry.tokenReturned : '') },
+  { header: 'Overstay', value: (entry) => Boolean(entry.overstay && entry.overstay.flagged) }
+];
 
 // @desc    Create a new visitor request
 // @route   POST /api/visitors
@@ -38,13 +58,87 @@ const getMyVisitorRequests = asyncHandler(async (req, res) => {
 // @route   GET /api/visitors/pending
 // @access  Private/SecurityAdmin
 const getPendingVisitorRequests = asyncHandler(async (req, res) => {
-  const visitors = await visitorService.getPendingVisitorRequests(req.query);
-  
-  res.status(200).json({
-    success: true,
-    count: visitors.length,
-    data: visitors
-  });
+  try {
+    const visitors = await visitorService.getPendingVisitorRequests(req.query, req.user);
+    
+    res.status(200).json({
+      success: true,
+      count: visitors.length,
+      data: visitors
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Get visitors currently inside, overstays first
+// @route   GET /api/visitors/inside
+// @access  Private/SecurityPersonnel
+const getVisitorsInside = asyncHandler(async (req, res) => {
+  try {
+    const result = await visitorService.getVisitorsInside(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: result.total,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Get the live gate register
+// @route   GET /api/visitors/register
+// @access  Private/SecurityPersonnel
+const getGateRegister = asyncHandler(async (req, res) => {
+  try {
+    const register = await visitorService.getGateRegister(req.query);
+
+    res.status(200).json({
+      success: true,
+      data: register
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Get the daily gate register (CSV with format=csv)
+// @route   GET /api/visitors/register/daily
+// @access  Private/SecurityPersonnel
+const getDailyRegister = asyncHandler(async (req, res) => {
+  try {
+    const register = await visitorService.getDailyRegister(req.query);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(
+        res,
+        `gate-register-${register.date}.csv`,
+        toCsv(REGISTER_CSV_COLUMNS, register.entries)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      count: register.entries.length,
+      data: register
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
 });
 
 // @desc    Approve a visitor request
@@ -55,7 +149,7 @@ const approveVisitorRequest = asyncHandler(async (req, res) => {
     const visitor = await visitorService.updateVisitorStatus(
       req.params.id,
       'approved',
-      req.user._id,
+      req.user,
       req.body.remarks
     );
     
@@ -65,7 +159,7 @@ const approveVisitorRequest = asyncHandler(async (req, res) => {
       message: 'Visitor request approved successfully'
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
@@ -80,7 +174,7 @@ const rejectVisitorRequest = asyncHandler(async (req, res) => {
     const visitor = await visitorService.updateVisitorStatus(
       req.params.id,
       'rejected',
-      req.user._id,
+      req.user,
       req.body.remarks
     );
     
@@ -90,7 +184,27 @@ const rejectVisitorRequest = asyncHandler(async (req, res) => {
       message: 'Visitor request rejected'
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Verify a visitor's entry pass (QR code or OTP)
+// @route   POST /api/visitors/verify
+// @access  Private/SecurityPersonnel
+const verifyEntryPass = asyncHandler(async (req, res) => {
+  try {
+    const visitor = await visitorService.verifyEntryPass(req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: visitor,
+      message: `Entry pass verified for ${visitor.name}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
@@ -105,7 +219,7 @@ const checkInVisitor = asyncHandler(async (req, res) => {
     const visitor = await visitorService.checkInVisitor(
       req.params.id,
       req.body,
-      req.user._id
+      req.user
     );
     
     res.status(200).json({
@@ -114,7 +228,52 @@ const checkInVisitor = asyncHandler(async (req, res) => {
       message: `Visitor checked in successfully. Token number: ${visitor.tokenNumber}`
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Register a walk-in visitor at the gate
+// @route   POST /api/visitors/walk-in
+// @access  Private/SecurityPersonnel
+const registerWalkInVisitor = asyncHandler(async (req, res) => {
+  try {
+    const visitor = await visitorService.registerWalkInVisitor(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: visitor,
+      message: 'Walk-in visitor registered. Waiting for the host to respond.'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Approve or deny a walk-in visitor as the host
+// @route   PUT /api/visitors/:id/host-response
+// @access  Private/Resident
+const respondToWalkInVisitor = asyncHandler(async (req, res) => {
+  try {
+    const visitor = await visitorService.respondToWalkInVisitor(
+      req.params.id,
+      req.body.decision,
+      req.user,
+      req.body.remarks
+    );
+
+    res.status(200).json({
+      success: true,
+      data: visitor,
+      message: visitor.status === 'approved' ? 'Visitor approved' : 'Visitor denied'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
@@ -131,7 +290,7 @@ const checkOutVisitor = asyncHandler(async (req, res) => {
     const visitor = await visitorService.checkOutVisitor(
       req.params.id,
       tokenReturned,
-      req.user._id
+      req.user
     );
     
     res.status(200).json({
@@ -140,7 +299,7 @@ const checkOutVisitor = asyncHandler(async (req, res) => {
       message: 'Visitor checked out successfully'
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: error.message
     });
@@ -255,9 +414,15 @@ module.exports = {
   createVisitorRequest,
   getMyVisitorRequests,
   getPendingVisitorRequests,
+  getVisitorsInside,
+  getGateRegister,
+  getDailyRegister,
   approveVisitorRequest,
   rejectVisitorRequest,
+  verifyEntryPass,
   checkInVisitor,
+  registerWalkInVisitor,
+  respondToWalkInVisitor,
   checkOutVisitor,
   cancelVisitorRequest,
   blacklistVisitor,
@@ -0,0 +1,156 @@
+const asyncHandler = require('express-async-handler');
+const visitorPassService = require('../services/visitorPassService');
+
+// @desc    Request a recurring visitor pass
+// @route   POST /api/visitors/passes
+// @access  Private
+const createVisitorPass = asyncHandler(async (req, res) => {
+  try {
+    const pass = await visitorPassService.createVisitorPass(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: pass,
+      message: 'Visitor pass requested successfully. Awaiting approval.'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Get the logged-in user's visitor passes
+// @route   GET /api/visitors/passes/my
+// @access  Private
+const getMyVisitorPasses = asyncHandler(async (req, res) => {
+  const passes = await visitorPassService.getUserVisitorPasses(req.user._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    count: passes.length,
+    data: passes
+  });
+});
+
+// @desc    Get visitor passes for review
+// @route   GET /api/visitors/passes
+// @access  Private/SecurityAdmin
+const getVisitorPasses = asyncHandler(async (req, res) => {
+  const passes = await visitorPassService.getVisitorPasses(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: passes.length,
+    data: passes
+  });
+});
+
+// @desc    Approve a visitor pass
+// @route   PUT /api/visitors/passes/:id/approve
+// @access  Private/SecurityAdmin
+const approveVisitorPass = asyncHandler(async (req, res) => {
+  try {
+    const pass = await visitorPassService.reviewVisitorPass(
+      req.params.id,
+      'approved',
+      req.user,
+      req.body.remarks
+    );
+
+    res.status(200).json({
+      success: true,
+      data: pass,
+      message: 'Visitor pass approved successfully'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Reject a visitor pass
+// @route   PUT /api/visitors/passes/:id/reject
+// @access  Private/SecurityAdmin
+const rejectVisitorPass = asyncHandler(async (req, res) => {
+  try {
+    const pass = await visitorPassService.reviewVisitorPass(
+      req.params.id,
+      'rejected',
+      req.user,
+      req.body.remarks
+    );
+
+    res.status(200).json({
+      success: true,
+      data: pass,
+      message: 'Visitor pass rejected'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Revoke a visitor pass
+// @route   PUT /api/visitors/passes/:id/revoke
+// @access  Private
+const revokeVisitorPass = asyncHandler(async (req, res) => {
+  try {
+    const pass = await visitorPassService.revokeVisitorPass(
+      req.params.id,
+      req.user,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      data: pass,
+      message: 'Visitor pass revoked'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Check in a pass holder with their pass code
+// @route   POST /api/visitors/passes/check-in
+// @access  Private/SecurityPersonnel
+const checkInWithPass = asyncHandler(async (req, res) => {
+  try {
+    const visitor = await visitorPassService.checkInWithPass(
+      req.body.passCode,
+      req.body,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: visitor,
+      message: `Visitor checked in successfully. Token number: ${visitor.tokenNumber}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = {
+  createVisitorPass,
+  getMyVisitorPasses,
+  getVisitorPasses,
+  approveVisitorPass,
+  rejectVisitorPass,
+  revokeVisitorPass,
+  checkInWithPass
+};
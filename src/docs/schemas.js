@@ -29,8 +29,26 @@
  *           description: User's phone number
  *         role:
  *           type: string
- *           enum: [user, admin, superadmin]
+ *           enum: [superAdmin, departmentAdmin, maintenanceStaff, securityPersonnel, resident]
  *           description: User role
+ *         assignedGates:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Gates a security guard can be posted at
+ *         dutyGate:
+ *           type: string
+ *           description: Gate the security guard is currently on duty at
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Complaint subcategories a maintenance staff member handles
+ *         isAvailable:
+ *           type: boolean
+ *           description: Whether a maintenance staff member can be auto-assigned new complaints
+ *         profilePhoto:
+ *           $ref: '#/components/schemas/StoredFile'
  *         status:
  *           type: string
  *           enum: [pending, active, inactive, rejected]
@@ -47,41 +65,193 @@
  *     Complaint:
  *       type: object
  *       required:
- *         - title
- *         - description
+ *         - resourceId
  *         - category
+ *         - subcategory
+ *         - description
  *       properties:
  *         _id:
  *           type: string
  *           description: Auto-generated MongoDB ID
- *         title:
+ *         complaintId:
  *           type: string
- *           description: Title of the complaint
- *         description:
+ *           description: Custom complaint identifier
+ *           example: CMP-25-06-0001
+ *         userId:
  *           type: string
- *           description: Detailed description of the complaint
+ *           description: Resident who submitted the complaint
+ *         resourceId:
+ *           type: string
+ *           description: Resource the complaint is about
  *         category:
  *           type: string
+ *           enum: [Electrical, Civil, Misc]
  *           description: Complaint category
+ *         subcategory:
+ *           type: string
+ *           description: Complaint subcategory
+ *         description:
+ *           type: string
+ *           description: Detailed description of the complaint
+ *         images:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StoredFile'
+ *           description: Up to 2 images
  *         status:
  *           type: string
- *           enum: [open, in-progress, resolved, closed]
+ *           enum: [pending, assigned, resolved, closed, escalated, finalResolution, withdrawn, onHold, reopened, merged]
  *           description: Current status of the complaint
- *         priority:
+ *         followers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Residents who reported the same issue and receive its updates
+ *         possibleDuplicateOf:
  *           type: string
- *           enum: [low, medium, high, urgent]
- *           description: Priority level of the complaint
- *         submittedBy:
+ *           description: Open complaint this one likely duplicates, until an admin merges or clears it
+ *         duplicateOf:
  *           type: string
- *           description: ID of the user who submitted the complaint
- *         assignedTo:
+ *           description: Complaint this one was merged into
+ *         mergedAt:
  *           type: string
- *           description: ID of the staff assigned to handle the complaint
- *         attachments:
+ *           format: date-time
+ *         source:
+ *           type: string
+ *           enum: [reactive, preventive]
+ *           description: Raised by a resident (reactive) or as a work order of a maintenance plan (preventive)
+ *         maintenancePlan:
+ *           type: string
+ *           description: Maintenance plan that raised a preventive work order
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: Due date of the plan that raised a preventive work order
+ *         assignedAgency:
+ *           type: string
+ *           description: Agency the complaint is assigned to
+ *         assignedStaff:
+ *           type: string
+ *           description: Staff member handling the complaint
+ *         autoAssigned:
+ *           type: boolean
+ *           description: Assigned by the assignment engine and not overridden since
+ *         assignedAt:
+ *           type: string
+ *           format: date-time
+ *         firstAssignedAt:
+ *           type: string
+ *           format: date-time
+ *           description: First assignment, kept when the complaint is reassigned
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         withdrawnAt:
+ *           type: string
+ *           format: date-time
+ *         reopenedAt:
+ *           type: string
+ *           format: date-time
+ *         reopenCount:
+ *           type: number
+ *           description: Number of times the complaint was reopened
+ *         hold:
+ *           type: object
+ *           description: Set while the complaint is on hold
+ *           properties:
+ *             reason:
+ *               type: string
+ *             expectedResumeAt:
+ *               type: string
+ *               format: date-time
+ *             heldAt:
+ *               type: string
+ *               format: date-time
+ *             heldBy:
+ *               type: string
+ *             previousStatus:
+ *               type: string
+ *               description: Status restored when the complaint resumes
+ *         feedback:
+ *           type: object
+ *           properties:
+ *             rating:
+ *               type: number
+ *               minimum: 1
+ *               maximum: 5
+ *             comment:
+ *               type: string
+ *             submittedAt:
+ *               type: string
+ *               format: date-time
+ *         escalation:
+ *           type: object
+ *           properties:
+ *             escalatedAt:
+ *               type: string
+ *               format: date-time
+ *             reason:
+ *               type: string
+ *             appellateAuthority:
+ *               type: string
+ *             finalResolution:
+ *               type: string
+ *             finalResolvedAt:
+ *               type: string
+ *               format: date-time
+ *             automatic:
+ *               type: boolean
+ *               description: Escalated by the SLA check rather than by feedback
+ *         sla:
+ *           type: object
+ *           description: SLA deadlines computed when the complaint was submitted
+ *           properties:
+ *             policy:
+ *               type: string
+ *               description: Applied SLA policy (empty when the defaults applied)
+ *             assignDueAt:
+ *               type: string
+ *               format: date-time
+ *             resolveDueAt:
+ *               type: string
+ *               format: date-time
+ *             assignBreached:
+ *               type: boolean
+ *             assignBreachedAt:
+ *               type: string
+ *               format: date-time
+ *             resolveBreached:
+ *               type: boolean
+ *             resolveBreachedAt:
+ *               type: string
+ *               format: date-time
+ *             pausedAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the SLA clocks were paused (while on hold)
+ *             pausedMinutes:
+ *               type: number
+ *               description: Total time spent on hold
+ *         resolutionNotes:
+ *           type: string
+ *         history:
  *           type: array
  *           items:
- *             type: string
- *           description: Array of attachment URLs
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               updatedBy:
+ *                 type: string
+ *                 description: User who made the change (empty for automatic changes)
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -91,43 +261,630 @@
  *           format: date-time
  *           description: Complaint last update timestamp
  *
+ *     ComplaintComment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         complaint:
+ *           type: string
+ *           description: Complaint the comment belongs to
+ *         author:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             role:
+ *               type: string
+ *         authorRole:
+ *           type: string
+ *           description: Role of the author when posting
+ *         message:
+ *           type: string
+ *         attachments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StoredFile'
+ *         isInternal:
+ *           type: boolean
+ *           description: Internal note hidden from residents
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     SlaPolicy:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         category:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         subcategory:
+ *           type: string
+ *           nullable: true
+ *           description: Subcategory the policy applies to (null for the whole category)
+ *         timeToAssignHours:
+ *           type: number
+ *           example: 4
+ *         timeToResolveHours:
+ *           type: number
+ *           example: 48
+ *         autoEscalate:
+ *           type: boolean
+ *           description: Escalate complaints to the appellate authority on breach
+ *         updatedBy:
+ *           type: string
+ *           description: Super admin who last changed the policy
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     MaintenancePlan:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         resourceId:
+ *           type: string
+ *           description: Resource to maintain
+ *         title:
+ *           type: string
+ *           example: Service AC
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *           description: Department the work orders go to
+ *         subcategory:
+ *           type: string
+ *           example: Fan/AC
+ *         intervalDays:
+ *           type: integer
+ *           example: 90
+ *         nextDueAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the next work order will be raised
+ *         isActive:
+ *           type: boolean
+ *           description: Paused plans raise no work orders
+ *         lastGeneratedAt:
+ *           type: string
+ *           format: date-time
+ *         lastWorkOrder:
+ *           type: string
+ *           description: Most recent work order (complaint) of the plan
+ *         lastCompletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a work order of the plan was last resolved
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AssigneePerformance:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID of the staff member or agency
+ *         userId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *         department:
+ *           type: string
+ *         assigned:
+ *           type: integer
+ *           description: Complaints assigned in the period
+ *           example: 24
+ *         resolved:
+ *           type: integer
+ *           example: 20
+ *         medianHoursToAssign:
+ *           type: number
+ *           nullable: true
+ *           example: 3.5
+ *         medianHoursToResolve:
+ *           type: number
+ *           nullable: true
+ *           example: 26.2
+ *         firstTimeFixRate:
+ *           type: number
+ *           nullable: true
+ *           description: Share of resolved complaints closed without escalation or reopening
+ *           example: 0.85
+ *         escalationRate:
+ *           type: number
+ *           description: Share of assigned complaints that were escalated
+ *           example: 0.083
+ *         avgRating:
+ *           type: number
+ *           nullable: true
+ *           example: 4.25
+ *         ratings:
+ *           type: integer
+ *           description: Number of rated complaints
+ *           example: 12
+ *         openComplaints:
+ *           type: integer
+ *           description: Current assigned, reopened or on-hold complaints
+ *           example: 3
+ *     InventoryItem:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         sku:
+ *           type: string
+ *           example: ELE-LED-20W
+ *         name:
+ *           type: string
+ *           example: LED tube 20W
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *           description: Department that manages the item
+ *         unit:
+ *           type: string
+ *           example: pcs
+ *         unitCost:
+ *           type: number
+ *           example: 180
+ *         reorderLevel:
+ *           type: number
+ *           description: Stock at or below this level raises a low-stock alert
+ *           example: 10
+ *         isActive:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     InventoryStore:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Main store
+ *         location:
+ *           type: string
+ *           example: Block A basement
+ *         isActive:
+ *           type: boolean
+ *     InventoryStock:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         item:
+ *           $ref: '#/components/schemas/InventoryItem'
+ *         store:
+ *           $ref: '#/components/schemas/InventoryStore'
+ *         quantity:
+ *           type: number
+ *           example: 8
+ *         lowStock:
+ *           type: boolean
+ *           description: Quantity is at or below the item's reorder level
+ *         lowStockAlertedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the current shortage was alerted
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         item:
+ *           type: string
+ *         store:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [receipt, issue, adjustment]
+ *         quantity:
+ *           type: number
+ *           description: Change in stock, negative for issues and write-downs
+ *           example: -2
+ *         balanceAfter:
+ *           type: number
+ *           example: 8
+ *         unitCost:
+ *           type: number
+ *           description: Item cost at the time of the movement
+ *         complaint:
+ *           type: string
+ *           description: Complaint the materials were issued on
+ *         resourceId:
+ *           type: string
+ *           description: Resource of the complaint
+ *         category:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         notes:
+ *           type: string
+ *         performedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *     Visitor:
  *       type: object
  *       required:
  *         - name
+ *         - mobileNumber
  *         - purpose
+ *         - expectedArrivalTime
  *       properties:
  *         _id:
  *           type: string
  *           description: Auto-generated MongoDB ID
+ *         visitorId:
+ *           type: string
+ *           description: Custom visitor identifier
  *         name:
  *           type: string
  *           description: Visitor's full name
- *         phone:
- *           type: string
- *           description: Visitor's phone number
- *         email:
+ *         mobileNumber:
  *           type: string
- *           description: Visitor's email address
+ *           description: Visitor's mobile number
+ *         photo:
+ *           $ref: '#/components/schemas/StoredFile'
+ *         idCardPhoto:
+ *           $ref: '#/components/schemas/StoredFile'
  *         purpose:
  *           type: string
  *           description: Purpose of visit
- *         visitingWhom:
+ *         requestedBy:
+ *           type: string
+ *           description: Resident who registered the visitor
+ *         expectedArrivalTime:
+ *           type: string
+ *           format: date-time
+ *           description: Expected arrival time
+ *         expectedDuration:
+ *           type: number
+ *           description: Expected duration in hours
+ *         gate:
+ *           type: string
+ *           description: Entry gate for the visit
+ *         source:
+ *           type: string
+ *           enum: [request, pass, walkIn]
+ *           description: How the visit was registered (a resident's request, a recurring visitor pass or a walk-in at the gate)
+ *         pass:
+ *           type: string
+ *           description: Visitor pass the visit was checked in with
+ *         hostResource:
  *           type: string
- *           description: Person or department being visited
- *         checkIn:
+ *           description: Flat a walk-in visitor came to
+ *         walkIn:
+ *           type: object
+ *           description: Walk-in registration and the host's answer
+ *           properties:
+ *             registeredBy:
+ *               type: string
+ *               description: Guard who registered the visitor
+ *             responseDeadline:
+ *               type: string
+ *               format: date-time
+ *               description: Until when the host can approve or deny
+ *             respondedBy:
+ *               type: string
+ *               description: Resident who answered
+ *             respondedAt:
+ *               type: string
+ *               format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, checked-in, checked-out, cancelled]
+ *           description: Visit status
+ *         approvedBy:
+ *           type: string
+ *           description: Security user who approved or rejected the request
+ *         entryPass:
+ *           type: object
+ *           description: Entry pass issued on approval, verified at the gate with POST /visitors/verify
+ *           properties:
+ *             qrCode:
+ *               type: string
+ *               description: Signed payload to render as a QR code
+ *             otp:
+ *               type: string
+ *               description: 6-digit one-time code
+ *             validFrom:
+ *               type: string
+ *               format: date-time
+ *             validUntil:
+ *               type: string
+ *               format: date-time
+ *             usedAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the pass was verified at the gate
+ *             verifiedBy:
+ *               type: string
+ *               description: Security user who verified the pass
+ *         checkInTime:
  *           type: string
  *           format: date-time
  *           description: Check-in timestamp
- *         checkOut:
+ *         checkedInBy:
+ *           type: string
+ *           description: Security user who checked the visitor in
+ *         tokenNumber:
+ *           type: string
+ *           description: Visitor token issued at check-in
+ *         checkOutTime:
  *           type: string
  *           format: date-time
  *           description: Check-out timestamp
+ *         checkedOutBy:
+ *           type: string
+ *           description: Security user who checked the visitor out
+ *         tokenReturned:
+ *           type: boolean
+ *           description: Whether the visitor token was returned at check-out
+ *         overstay:
+ *           type: object
+ *           description: Set when the visitor stayed past the expected duration plus the grace period
+ *           properties:
+ *             flagged:
+ *               type: boolean
+ *             flaggedAt:
+ *               type: string
+ *               format: date-time
+ *
+ *     VisitorList:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: number
+ *         visitors:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Visitor'
+ *
+ *     VisitorPass:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         passId:
+ *           type: string
+ *           description: Custom visitor pass identifier
+ *         passCode:
+ *           type: string
+ *           description: Code the visitor gives at the gate to check in
+ *         name:
+ *           type: string
+ *           description: Visitor name
+ *         mobileNumber:
+ *           type: string
+ *           description: Visitor mobile number
+ *         photo:
+ *           $ref: '#/components/schemas/StoredFile'
+ *         purpose:
+ *           type: string
+ *           description: Purpose of the visits, e.g. maid or driver
+ *         requestedBy:
+ *           type: string
+ *           description: Resident who requested the pass
+ *         gate:
+ *           type: string
+ *           description: Gate the pass is restricted to, if any
+ *         weekdays:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [sun, mon, tue, wed, thu, fri, sat]
+ *           description: Days the pass can be used
+ *         timeWindow:
+ *           type: object
+ *           description: Daily window (HH:mm, estate timezone) in which the pass can be used
+ *           properties:
+ *             start:
+ *               type: string
+ *               example: "07:00"
+ *             end:
+ *               type: string
+ *               example: "11:00"
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the validity period
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *           description: End of the validity period
  *         status:
  *           type: string
- *           enum: [active, completed, cancelled]
- *           description: Visit status
+ *           enum: [pending, approved, rejected, revoked]
+ *           description: Pass status
+ *         approvedBy:
+ *           type: string
+ *           description: Security user who approved or rejected the pass
+ *         approvalTime:
+ *           type: string
+ *           format: date-time
+ *         revokedBy:
+ *           type: string
+ *           description: User who revoked the pass
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokeReason:
+ *           type: string
+ *         visitCount:
+ *           type: number
+ *           description: Number of check-ins made with the pass
+ *         lastVisitAt:
+ *           type: string
+ *           format: date-time
  *
+ *     Gate:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         gateId:
+ *           type: string
+ *           description: Custom gate identifier
+ *         name:
+ *           type: string
+ *           description: Gate name
+ *         location:
+ *           type: string
+ *           description: Where the gate is
+ *         isActive:
+ *           type: boolean
+ *           description: Whether the gate is open
+ *
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         userId:
+ *           type: string
+ *           description: ID of the user the notification belongs to
+ *         title:
+ *           type: string
+ *           description: Notification title
+ *         message:
+ *           type: string
+ *           description: Notification message
+ *         type:
+ *           type: string
+ *           description: Notification type (complaint, visitor_request, broadcast_emergency, etc.)
+ *         data:
+ *           type: object
+ *           description: Reference IDs and additional context
+ *         isRead:
+ *           type: boolean
+ *           description: Whether the notification has been read
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the notification was read
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Notification creation timestamp
+ *
+ *     RolePermissions:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *           example: departmentAdmin
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["complaint:assign", "poll:create"]
+ *         isDefault:
+ *           type: boolean
+ *           description: True if the role still uses the default mapping
+ *
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *         actor:
+ *           type: object
+ *           description: User who performed the action (empty for anonymous requests)
+ *         actorRole:
+ *           type: string
+ *           description: Role of the actor at the time of the action
+ *         action:
+ *           type: string
+ *           example: visitor:unblacklist
+ *         entityType:
+ *           type: string
+ *           example: VisitorBlacklist
+ *         entityId:
+ *           type: string
+ *           description: ID of the target entity
+ *         changes:
+ *           type: object
+ *           description: "Changed fields, keyed by field name, each with from and to values"
+ *           example: { "isActive": { "from": true, "to": false } }
+ *         method:
+ *           type: string
+ *           example: PUT
+ *         path:
+ *           type: string
+ *           example: /api/visitors/blacklist/60d21b4667d0d8992e610c85/remove
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the action happened
+ *
+ *     StoredFile:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: File ID, used to reference the file in other requests
+ *         driver:
+ *           type: string
+ *           enum: [local, s3]
+ *           description: Storage backend holding the file
+ *         originalName:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *           example: image/jpeg
+ *         size:
+ *           type: number
+ *           description: Size in bytes
+ *         purpose:
+ *           type: string
+ *           enum: [complaintImage, commentAttachment, visitorPhoto, visitorIdCard, blacklistPhoto, profilePhoto]
+ *         uploadedBy:
+ *           type: string
+ *         attachedTo:
+ *           type: object
+ *           description: Record using the file (unset until the upload is referenced)
+ *           properties:
+ *             model:
+ *               type: string
+ *               example: Complaint
+ *             id:
+ *               type: string
+ *         url:
+ *           type: string
+ *           description: Signed download URL, valid for 15 minutes
+ *         thumbnailUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Signed URL of a 320px WebP thumbnail (images only)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *     Error:
  *       type: object
  *       properties:
@@ -0,0 +1,82 @@
+const auditService = require('../services/auditService');
+
+/**
+ * Record a mutating request in the audit log once it succeeds.
+ *
+ * Options:
+ * - model: Mongoose model of the entity; snapshots before and after the
+ *   request are diffed into the log entry
+ * - entity: entity type name when there is no model to snapshot
+ * - idParam: route parameter holding the entity ID (default `id`)
+ * - findBy: field the ID is matched against (default `_id`)
+ * - self: the entity is the logged-in user
+ * - selfService: for public routes (register, login) the entity is also the actor
+ *
+ * When the entity ID is not in the route (e.g. creates) it is taken from
+ * `res.locals.auditEntityId` or the `data._id` of the JSON response.
+ *
+ * @param {string} action - Action name, e.g. user:approve
+ * @param {object} options - See above
+ */
+const audit = (action, options = {}) => {
+  const { model, idParam = 'id', findBy = '_id', self = false, selfService = false } = options;
+  const entityType = options.entity || (model && model.modelName);
+  
+  const loadSnapshot = (entityId) => {
+    if (!model || !entityId) return null;
+    return model.findOne({ [findBy]: entityId }).lean();
+  };
+  
+  return async (req, res, next) => {
+    const routeEntityId = self && req.user ? req.user._id : req.params[idParam];
+    
+    let before = null;
+    try {
+      before = await loadSnapshot(routeEntityId);
+    } catch (error) {
+      // An invalid ID fails in the handler too; nothing to audit then
+    }
+    
+    // Keep the response body to find the IDs of created entities
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditBody = body;
+      return json(body);
+    };
+    
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+      
+      const body = res.locals.auditBody || {};
+      const entityId = routeEntityId ||
+        res.locals.auditEntityId ||
+        (body.data && body.data._id);
+      
+      let after = null;
+      try {
+        after = await loadSnapshot(entityId);
+      } catch (error) {
+        console.error(`Error loading ${entityType} for audit:`, error);
+      }
+      
+      const actor = req.user ? req.user._id : (selfService ? entityId : undefined);
+      
+      await auditService.record({
+        actor,
+        actorRole: req.user ? req.user.role : undefined,
+        action,
+        entityType,
+        entityId,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, before, after);
+    });
+    
+    next();
+  };
+};
+
+module.exports = { audit };
@@ -1,5 +1,59 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const { STREAM_TICKET_PURPOSE } = require('../services/authService');
+
+// Checks shared by access tokens and stream tickets once their signature is verified
+const authenticate = async (decoded, req, res, next) => {
+  // Reject tokens whose session was revoked, expired or rotated by a refresh
+  const sessionActive = await isSessionActive(decoded.sid, decoded.gen);
+  
+  if (!sessionActive) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Session expired or revoked, please log in again' 
+    });
+  }
+  
+  // Get user from the token
+  const user = await User.findById(decoded.id).select('-password');
+  
+  if (!user) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'User not found' 
+    });
+  }
+  
+  if (user.status !== 'approved') {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Account not approved yet' 
+    });
+  }
+  
+  // Reject tokens issued before the last password change
+  if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Password was changed, please log in again' 
+    });
+  }
+  
+  // Accounts flagged for a password change can only reach the change-password route
+  if (user.mustChangePassword && !req.allowPendingPasswordChange) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Password change required before continuing' 
+    });
+  }
+  
+  // Add user and session to request object
+  req.user = user;
+  req.sessionId = decoded.sid;
+  req.sessionGeneration = decoded.gen;
+  next();
+};
 
 const protect = async (req, res, next) => {
   try {
@@ -19,33 +73,63 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Get user from the token
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+    // Stream tickets only open the notification stream
+    if (decoded.purpose) {
+      throw new Error('Not an access token');
     }
     
-    if (user.status !== 'approved') {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Account not approved yet' 
-      });
+    await authenticate(decoded, req, res, next);
+  } catch (error) {
+    console.error(error);
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Not authorized, token failed' 
+    });
+  }
+};
+
+// EventSource clients cannot send headers, so the notification stream also
+// accepts a short-lived stream ticket as ?ticket= (see POST /api/notifications/stream-ticket).
+// Access tokens are never taken from the URL, where they would end up in logs.
+const protectStream = async (req, res, next) => {
+  if (req.headers.authorization || !req.query.ticket) {
+    return protect(req, res, next);
+  }
+  
+  try {
+    const decoded = jwt.verify(req.query.ticket, process.env.JWT_SECRET);
+    
+    if (decoded.purpose !== STREAM_TICKET_PURPOSE) {
+      throw new Error('Not a stream ticket');
     }
     
-    // Add user to request object
-    req.user = user;
-    next();
+    await authenticate(decoded, req, res, next);
   } catch (error) {
     console.error(error);
     return res.status(401).json({ 
       success: false, 
-      message: 'Not authorized, token failed' 
+      message: 'Not authorized, stream ticket failed' 
     });
   }
 };
 
-module.exports = { protect };
\ No newline at end of file
+// A stream stays open long after protectStream let it in. Re-checked on every
+// heartbeat so logout, revoked sessions, password changes and deactivated
+// accounts also close the streams already open.
+const isStillAuthorized = async (req) => {
+  const sessionActive = await isSessionActive(req.sessionId, req.sessionGeneration);
+  if (!sessionActive) {
+    return false;
+  }
+  
+  const user = await User.findById(req.user._id).select('status');
+  return Boolean(user && user.status === 'approved');
+};
+
+// Lets users who must change their password through protect on specific routes
+const allowPendingPasswordChange = (req, res, next) => {
+  req.allowPendingPasswordChange = true;
+  next();
+};
+
+module.exports = { protect, protectStream, isStillAuthorized, allowPendingPasswordChange };
\ No newline at end of file
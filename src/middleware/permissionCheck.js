@@ -0,0 +1,24 @@
+const { roleHasPermissions } = require('../services/permissionService');
+
+// Allow the request only if the user's role has every listed permission
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Unauthorized'
+        });
+      }
+      
+      if (!(await roleHasPermissions(req.user.role, permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+      
+      next();
+    };
+  };
+  
+  module.exports = { requirePermission };
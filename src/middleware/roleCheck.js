@@ -1,21 +0,0 @@
-const checkRole = (...roles) => {
-    return (req, res, next) => {
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Unauthorized'
-        });
-      }
-      
-      if (!roles.includes(req.user.role)) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
-      
-      next();
-    };
-  };
-  
-  module.exports = { checkRole };
\ No newline at end of file
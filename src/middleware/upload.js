@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { FILE_PURPOSES } = require('../utils/constants');
+
+// Files are validated per purpose after upload, so the limit here is the
+// largest size any purpose accepts
+const maxFileSize = Math.max(...Object.values(FILE_PURPOSES).map((rules) => rules.maxSize));
+
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize, files: 1 }
+});
+
+/**
+ * Parse a multipart request carrying a single file
+ * @param {string} field - Form field holding the file
+ * @returns {Function} - Express middleware
+ */
+const uploadSingle = (field) => (req, res, next) => {
+  parser.single(field)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `File is too large (maximum ${Math.round(maxFileSize / (1024 * 1024))} MB)`
+          : err.message
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `A file is required in the "${field}" field`
+      });
+    }
+    
+    next();
+  });
+};
+
+module.exports = { uploadSingle };
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  action: {
+    type: String,
+    required: true // e.g. user:approve, visitor:blacklist
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: String,
+  // Changed fields as { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are append-only: block every update and delete
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+auditLogSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+auditLogSchema.plugin(mongoosePaginate);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+module.exports = AuditLog;
@@ -29,6 +29,10 @@ const broadcastSchema = new mongoose.Schema({
     sms: {
       type: Boolean,
       default: false
+    },
+    email: {
+      type: Boolean,
+      default: false
     }
   },
   targetUsers: {
@@ -60,6 +64,8 @@ const broadcastSchema = new mongoose.Schema({
     default: false
   },
   sentAt: Date,
+  // total/sent/failed count target users; a user counts as sent only when
+  // every enabled channel succeeded. Per-channel counts are kept separately.
   deliveryStats: {
     total: {
       type: Number,
@@ -72,6 +78,36 @@ const broadcastSchema = new mongoose.Schema({
     failed: {
       type: Number,
       default: 0
+    },
+    app: {
+      sent: {
+        type: Number,
+        default: 0
+      },
+      failed: {
+        type: Number,
+        default: 0
+      }
+    },
+    sms: {
+      sent: {
+        type: Number,
+        default: 0
+      },
+      failed: {
+        type: Number,
+        default: 0
+      }
+    },
+    email: {
+      sent: {
+        type: Number,
+        default: 0
+      },
+      failed: {
+        type: Number,
+        default: 0
+      }
     }
   },
   priority: {
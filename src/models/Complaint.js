@@ -34,9 +34,20 @@ const complaintSchema = new mongoose.Schema(
     },
     images: [
       {
-        type: String, // Base64 encoded images or URLs
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "StoredFile",
       },
     ],
+    source: {
+      type: String,
+      enum: ["reactive", "preventive"],
+      default: "reactive", // preventive: work order raised by a maintenance plan
+    },
+    maintenancePlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MaintenancePlan",
+    },
+    scheduledFor: Date, // Due date of the plan that raised a work order
     status: {
       type: String,
       enum: [
@@ -46,9 +57,29 @@ const complaintSchema = new mongoose.Schema(
         "closed",
         "escalated",
         "finalResolution",
+        "withdrawn",
+        "onHold",
+        "reopened",
+        "merged",
       ],
       default: "pending",
     },
+    // Residents who reported the same issue and receive its updates
+    followers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    possibleDuplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint", // Flagged on submission, cleared when reviewed
+    },
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint", // Set when merged
+    },
+    mergedAt: Date,
     assignedAgency: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User", // Reference to maintenance agency user
@@ -57,9 +88,30 @@ const complaintSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User", // Reference to specific staff member
     },
+    autoAssigned: {
+      type: Boolean,
+      default: false, // Set by the assignment engine, cleared on manual override
+    },
     assignedAt: Date,
+    firstAssignedAt: Date, // Kept on reassignment, for time-to-assign
     resolvedAt: Date,
     closedAt: Date,
+    withdrawnAt: Date,
+    reopenedAt: Date,
+    reopenCount: {
+      type: Number,
+      default: 0,
+    },
+    hold: {
+      reason: String, // e.g. waiting for parts, waiting for resident access
+      expectedResumeAt: Date,
+      heldAt: Date,
+      heldBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      previousStatus: String, // Status restored on resume
+    },
     feedback: {
       rating: {
         type: Number,
@@ -78,6 +130,33 @@ const complaintSchema = new mongoose.Schema(
       },
       finalResolution: String,
       finalResolvedAt: Date,
+      automatic: {
+        type: Boolean,
+        default: false, // Escalated by the SLA job rather than by feedback
+      },
+    },
+    sla: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SlaPolicy", // Empty when the built-in defaults applied
+      },
+      assignDueAt: Date,
+      resolveDueAt: Date,
+      assignBreached: {
+        type: Boolean,
+        default: false,
+      },
+      assignBreachedAt: Date,
+      resolveBreached: {
+        type: Boolean,
+        default: false,
+      },
+      resolveBreachedAt: Date,
+      pausedAt: Date, // Set while the complaint is on hold
+      pausedMinutes: {
+        type: Number,
+        default: 0, // Total time spent on hold; deadlines are moved by it
+      },
     },
     resolutionNotes: String,
     history: [
@@ -100,6 +179,14 @@ const complaintSchema = new mongoose.Schema(
   }
 );
 
+// Open complaints are scanned for missed SLA deadlines
+complaintSchema.index({ status: 1, "sla.assignDueAt": 1 });
+complaintSchema.index({ status: 1, "sla.resolveDueAt": 1 });
+complaintSchema.index({ maintenancePlan: 1, createdAt: -1 });
+// Duplicate detection looks for open complaints on the same resource
+complaintSchema.index({ resourceId: 1, subcategory: 1, createdAt: -1 });
+complaintSchema.index({ followers: 1 });
+
 // Generate unique complaint ID before saving
 complaintSchema.pre("save", async function (next) {
   if (this.isNew) {
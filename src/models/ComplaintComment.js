@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+
+const complaintCommentSchema = new mongoose.Schema(
+  {
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    authorRole: String, // Role at the time of posting
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "StoredFile",
+      },
+    ],
+    isInternal: {
+      type: Boolean,
+      default: false, // Internal notes are hidden from residents
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+complaintCommentSchema.index({ complaint: 1, createdAt: 1 });
+
+// Add pagination plugin
+complaintCommentSchema.plugin(mongoosePaginate);
+
+const ComplaintComment = mongoose.model(
+  "ComplaintComment",
+  complaintCommentSchema
+);
+module.exports = ComplaintComment;
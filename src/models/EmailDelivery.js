@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const emailDeliverySchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  transport: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  messageId: String,
+  error: String,
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId // User, Visitor, Complaint, Broadcast, etc.
+  },
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for delivery lookups per source entity
+emailDeliverySchema.index({ referenceId: 1, status: 1 });
+emailDeliverySchema.index({ to: 1, createdAt: -1 });
+
+const EmailDelivery = mongoose.model('EmailDelivery', emailDeliverySchema);
+module.exports = EmailDelivery;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const gateSchema = new mongoose.Schema({
+  gateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const Gate = mongoose.model('Gate', gateSchema);
+module.exports = Gate;
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// A material or spare part kept in the stores, e.g. "LED tube 20W"
+const inventoryItemSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    category: {
+      type: String,
+      enum: ["Electrical", "Civil", "Misc"],
+      required: true, // Department that manages the item
+    },
+    unit: {
+      type: String,
+      trim: true,
+      default: "pcs", // e.g. pcs, m, kg, l
+    },
+    unitCost: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    reorderLevel: {
+      type: Number,
+      min: 0,
+      default: 0, // Stock at or below this level raises a low-stock alert
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inventoryItemSchema.index({ category: 1, name: 1 });
+
+const InventoryItem = mongoose.model("InventoryItem", inventoryItemSchema);
+module.exports = InventoryItem;
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Quantity of an item held in a store
+const inventoryStockSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+      required: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryStore",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Set when a low-stock alert is sent, cleared when restocked above the
+    // reorder level, so each shortage is alerted once
+    lowStockAlertedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inventoryStockSchema.index({ item: 1, store: 1 }, { unique: true });
+inventoryStockSchema.index({ store: 1 });
+
+const InventoryStock = mongoose.model("InventoryStock", inventoryStockSchema);
+module.exports = InventoryStock;
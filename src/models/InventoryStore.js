@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A store room holding stock, e.g. "Main store, Block A basement"
+const inventoryStoreSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 100,
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const InventoryStore = mongoose.model("InventoryStore", inventoryStoreSchema);
+module.exports = InventoryStore;
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Recurring preventive maintenance of a resource, e.g. "service AC every 90
+// days". The maintenance scheduler raises a work order (a Complaint with
+// source "preventive") each time the plan falls due.
+const maintenancePlanSchema = new mongoose.Schema(
+  {
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resource",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 800, // Copied into each work order's description
+    },
+    category: {
+      type: String,
+      enum: ["Electrical", "Civil", "Misc"],
+      required: true, // Department the work orders go to
+    },
+    subcategory: {
+      type: String,
+      required: true,
+    },
+    intervalDays: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    nextDueAt: {
+      type: Date,
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastGeneratedAt: Date,
+    lastWorkOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint",
+    },
+    lastCompletedAt: Date, // When a work order of the plan was last resolved
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true, // Recorded as the requester of generated work orders
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The scheduler scans active plans by due date
+maintenancePlanSchema.index({ isActive: 1, nextDueAt: 1 });
+maintenancePlanSchema.index({ resourceId: 1 });
+
+const MaintenancePlan = mongoose.model(
+  "MaintenancePlan",
+  maintenancePlanSchema
+);
+module.exports = MaintenancePlan;
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: true, // e.g. complaint, visitor_request, broadcast_emergency
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed, // Reference IDs and extra context
+      default: {},
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for inbox listing and unread counts
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+
+// Add pagination plugin
+notificationSchema.plugin(mongoosePaginate);
+
+const Notification = mongoose.model("Notification", notificationSchema);
+module.exports = Notification;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['superAdmin', 'departmentAdmin', 'maintenanceStaff', 'securityPersonnel', 'resident'],
+    required: true,
+    unique: true
+  },
+  permissions: [{
+    type: String
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
+module.exports = RolePermission;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String, // SHA-256 hash of the current refresh token secret
+    required: true
+  },
+  generation: {
+    type: Number, // Incremented on every refresh; older access tokens are rejected
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  userAgent: String,
+  ipAddress: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'admin', 'password_change', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for revoking all sessions of a user
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Service-level targets for complaints of a category, or of one subcategory
+// when `subcategory` is set. Subcategory policies take precedence.
+const slaPolicySchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      enum: ["Electrical", "Civil", "Misc"],
+      required: true,
+    },
+    subcategory: {
+      type: String,
+      default: null, // null applies to the whole category
+    },
+    timeToAssignHours: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    timeToResolveHours: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    autoEscalate: {
+      type: Boolean,
+      default: true, // Escalate to the appellate authority on breach
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+slaPolicySchema.index({ category: 1, subcategory: 1 }, { unique: true });
+
+const SlaPolicy = mongoose.model("SlaPolicy", slaPolicySchema);
+module.exports = SlaPolicy;
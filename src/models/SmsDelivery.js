@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const smsDeliverySchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  providerMessageId: String,
+  error: String,
+  purpose: {
+    type: String, // e.g. broadcast, visitor_approved
+    default: 'general'
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId // Broadcast, Visitor, etc.
+  },
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for delivery lookups per source entity
+smsDeliverySchema.index({ referenceId: 1, status: 1 });
+smsDeliverySchema.index({ to: 1, createdAt: -1 });
+
+const SmsDelivery = mongoose.model('SmsDelivery', smsDeliverySchema);
+module.exports = SmsDelivery;
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// Every change to a stock level. Issues record the materials consumed on a
+// complaint and are the basis of the consumption report.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+      required: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryStore",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["receipt", "issue", "adjustment"],
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true, // Change in stock: negative for issues and write-downs
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    unitCost: {
+      type: Number,
+      min: 0,
+      default: 0, // Item cost at the time of the movement
+    },
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint",
+    },
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resource", // Resource of the complaint, for issues
+    },
+    category: {
+      type: String,
+      enum: ["Electrical", "Civil", "Misc"], // Complaint category for issues, else the item's
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockMovementSchema.index({ complaint: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+stockMovementSchema.index({ item: 1, store: 1, createdAt: -1 });
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+module.exports = StockMovement;
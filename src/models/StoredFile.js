@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { getDownloadUrl } = require('../utils/fileStorage');
+
+const storedFileSchema = new mongoose.Schema({
+  driver: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: String, // Only for images
+  originalName: String,
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['complaintImage', 'commentAttachment', 'visitorPhoto', 'visitorIdCard', 'blacklistPhoto', 'profilePhoto'],
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Document the file belongs to; unattached uploads are only visible to the uploader
+  attachedTo: {
+    model: String,
+    id: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.key;
+      delete ret.thumbnailKey;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+// Short-lived download URLs, generated whenever a file is sent to a client
+const downloadUrl = (file, variant) => {
+  try {
+    return getDownloadUrl(file, variant);
+  } catch (error) {
+    console.error(`Error creating download URL for file ${file._id}:`, error.message);
+    return null;
+  }
+};
+
+storedFileSchema.virtual('url').get(function() {
+  return downloadUrl(this, 'original');
+});
+
+storedFileSchema.virtual('thumbnailUrl').get(function() {
+  return downloadUrl(this, 'thumbnail');
+});
+
+storedFileSchema.index({ 'attachedTo.model': 1, 'attachedTo.id': 1 });
+storedFileSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+const StoredFile = mongoose.model('StoredFile', storedFileSchema);
+module.exports = StoredFile;
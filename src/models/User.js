@@ -29,7 +29,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['superAdmin', 'departmentAdmin', 'maintenanceStaff', 'resident'],
+    enum: ['superAdmin', 'departmentAdmin', 'maintenanceStaff', 'securityPersonnel', 'resident'],
     default: 'resident'
   },
   department: {
@@ -47,7 +47,42 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  profilePhoto: String
+  profilePhoto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
+  },
+  // Gates a security guard may be posted at, and the one they are on duty at now
+  assignedGates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gate'
+  }],
+  dutyGate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gate'
+  },
+  dutyStartedAt: Date,
+  // Complaint subcategories a maintenance staff member handles, and whether
+  // they can currently take new complaints
+  skills: [{
+    type: String
+  }],
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String, // SHA-256 hash of the token sent to the user
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  }
 }, {
   timestamps: true
 });
@@ -65,6 +100,15 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Record when the password changed so older tokens can be rejected
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+  
+  // Back-date by a second so a token issued right after the change stays valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 // Method to compare passwords
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -18,10 +18,12 @@ const visitorSchema = new mongoose.Schema({
     trim: true
   },
   photo: {
-    type: String, // URL or Base64 string
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
   },
   idCardPhoto: {
-    type: String, // URL or Base64 string
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
   },
   
   // Request details
@@ -43,6 +45,39 @@ const visitorSchema = new mongoose.Schema({
     type: Number, // In hours
     default: 2
   },
+  gate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gate' // Entry gate; fixed on approval or check-in if not chosen upfront
+  },
+  
+  // How the visit was raised: a resident's request, a recurring pass or a walk-in registered at the gate
+  source: {
+    type: String,
+    enum: ['request', 'pass', 'walkIn'],
+    default: 'request'
+  },
+  pass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisitorPass' // Recurring pass the visit was checked in with
+  },
+  
+  // Walk-in details: the flat being visited and the host's answer to the guard's prompt
+  hostResource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  },
+  walkIn: {
+    registeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    responseDeadline: Date, // Host can approve or deny until then; afterwards the guard decides
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
   
   // Group visitor details
   isGroupVisit: {
@@ -56,7 +91,10 @@ const visitorSchema = new mongoose.Schema({
   additionalVisitors: [{
     name: String,
     mobileNumber: String,
-    photo: String
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredFile'
+    }
   }],
   
   // Status tracking
@@ -71,17 +109,48 @@ const visitorSchema = new mongoose.Schema({
   },
   approvalTime: Date,
   
+  // Entry pass issued on approval; valid from the expected arrival time for the expected duration
+  entryPass: {
+    qrCode: String, // Signed payload rendered as a QR code
+    otp: String,
+    validFrom: Date,
+    validUntil: Date,
+    issuedAt: Date,
+    usedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  
   // Check-in information
   checkInTime: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   tokenNumber: String, // Generated when checked in
   
   // Check-out information
   checkOutTime: Date,
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   tokenReturned: {
     type: Boolean,
     default: false
   },
   
+  // Set by the overstay job when a visitor stays past expectedDuration plus the grace period
+  overstay: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    flaggedAt: Date
+  },
+  
   // Additional information
   remarks: String,
   isBlacklisted: {
@@ -97,6 +166,15 @@ const visitorSchema = new mongoose.Schema({
 visitorSchema.index({ requestedBy: 1, status: 1 });
 visitorSchema.index({ mobileNumber: 1 });
 visitorSchema.index({ status: 1, createdAt: -1 });
+visitorSchema.index({ gate: 1, status: 1 });
+visitorSchema.index({ pass: 1, status: 1 });
+visitorSchema.index({ hostResource: 1, status: 1 });
+visitorSchema.index({ 'entryPass.otp': 1, 'entryPass.validUntil': 1 });
+// A pass holder can only be inside once, even when two gates check them in together
+visitorSchema.index(
+  { pass: 1 },
+  { unique: true, partialFilterExpression: { pass: { $type: 'objectId' }, status: 'checked-in' } }
+);
 
 const Visitor = mongoose.model('Visitor', visitorSchema);
 module.exports = Visitor;
\ No newline at end of file
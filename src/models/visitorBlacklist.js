@@ -10,7 +10,10 @@ const visitorBlacklistSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  photo: String,
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
+  },
   reason: {
     type: String,
     required: true
@@ -27,7 +30,12 @@ const visitorBlacklistSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedAt: Date
 }, {
   timestamps: true
 });
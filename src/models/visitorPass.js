@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/constants');
+
+// A recurring pass for household staff and other regular visitors (maids,
+// drivers, tutors). Approved once by security; each visit within the allowed
+// days and hours is then checked in with the pass code without a new request.
+const visitorPassSchema = new mongoose.Schema({
+  passId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  passCode: {
+    type: String,
+    required: true,
+    unique: true // Short code the visitor gives at the gate
+  },
+  
+  // Visitor details
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mobileNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
+  },
+  purpose: {
+    type: String,
+    required: true,
+    trim: true // e.g. Maid, Driver, Tutor
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gate' // Optional; the pass is valid at any gate if not set
+  },
+  
+  // When the pass may be used
+  weekdays: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  timeWindow: {
+    start: {
+      type: String, // HH:mm, server local time
+      required: true
+    },
+    end: {
+      type: String,
+      required: true
+    }
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  
+  // Status tracking
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvalTime: Date,
+  remarks: String,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokeReason: String,
+  
+  // Usage
+  visitCount: {
+    type: Number,
+    default: 0
+  },
+  lastVisitAt: Date
+}, {
+  timestamps: true
+});
+
+visitorPassSchema.index({ requestedBy: 1, status: 1 });
+visitorPassSchema.index({ status: 1, createdAt: -1 });
+visitorPassSchema.index({ mobileNumber: 1 });
+
+const VisitorPass = mongoose.model('VisitorPass', visitorPassSchema);
+module.exports = VisitorPass;
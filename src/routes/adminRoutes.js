@@ -1,14 +1,32 @@
 const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/permissionCheck");
 const {
   createAdminUser,
   getAllUsers,
   getPendingUsers,
   approveUser,
   rejectUser,
+  revokeUserSessions,
+  assignUserGates,
+  updateStaffProfile,
 } = require("../controllers/userController");
+const {
+  getRolePermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+} = require("../controllers/permissionController");
+const { getAuditLogs } = require("../controllers/auditController");
+const { validate } = require("../middleware/validator");
+const { audit } = require("../middleware/audit");
+const User = require("../models/User");
+const RolePermission = require("../models/RolePermission");
+const { assignGatesSchema } = require("../utils/visitorValidations");
+const {
+  rolePermissionsSchema,
+  staffProfileSchema,
+} = require("../utils/validations");
 
 // All routes are protected
 router.use(protect);
@@ -52,12 +70,17 @@ router.use(protect);
  *                 example: "9876543210"
  *               role:
  *                 type: string
- *                 enum: [admin, departmentAdmin]
+ *                 enum: [superAdmin, departmentAdmin, maintenanceStaff, securityPersonnel]
  *                 example: departmentAdmin
  *               department:
  *                 type: string
  *                 example: Electrical
- *                 description: Required if role is departmentAdmin
+ *                 description: Required if role is departmentAdmin or maintenanceStaff
+ *               assignedGates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Gate IDs the guard can be posted at (securityPersonnel only)
  *     responses:
  *       201:
  *         description: Admin user created successfully
@@ -90,7 +113,12 @@ router.use(protect);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/users", checkRole("superAdmin"), createAdminUser);
+router.post(
+  "/users",
+  requirePermission("user:create"),
+  audit("user:create", { model: User }),
+  createAdminUser
+);
 
 // Admin routes (accessible by superAdmin and departmentAdmin)
 /**
@@ -99,7 +127,9 @@ router.post("/users", checkRole("superAdmin"), createAdminUser);
  *   get:
  *     summary: Get all users
  *     tags: [Admin]
- *     description: Retrieve a list of all users (admin roles only)
+ *     description: >
+ *       Retrieve a list of users (admin roles only). Department admins only see
+ *       residents and users of their own department.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -107,7 +137,7 @@ router.post("/users", checkRole("superAdmin"), createAdminUser);
  *         name: role
  *         schema:
  *           type: string
- *           enum: [user, admin, departmentAdmin, superAdmin]
+ *           enum: [superAdmin, departmentAdmin, maintenanceStaff, securityPersonnel, resident]
  *         description: Filter users by role
  *       - in: query
  *         name: status
@@ -116,6 +146,11 @@ router.post("/users", checkRole("superAdmin"), createAdminUser);
  *           enum: [pending, active, inactive, rejected]
  *         description: Filter users by status
  *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Filter users by department (department admins may only use their own)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -173,13 +208,13 @@ router.post("/users", checkRole("superAdmin"), createAdminUser);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - not an admin, or department outside the admin's department
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/users", checkRole("superAdmin", "departmentAdmin"), getAllUsers);
+router.get("/users", requirePermission("user:view"), getAllUsers);
 
 /**
  * @swagger
@@ -220,7 +255,7 @@ router.get("/users", checkRole("superAdmin", "departmentAdmin"), getAllUsers);
  */
 router.get(
   "/users/pending",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("user:view"),
   getPendingUsers
 );
 
@@ -260,7 +295,7 @@ router.get(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - not an admin, or user outside the admin's department
  *         content:
  *           application/json:
  *             schema:
@@ -274,7 +309,8 @@ router.get(
  */
 router.put(
   "/users/:userId/approve",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("user:approve"),
+  audit("user:approve", { model: User, idParam: "userId" }),
   approveUser
 );
 
@@ -314,7 +350,7 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - not an admin, or user outside the admin's department
  *         content:
  *           application/json:
  *             schema:
@@ -328,8 +364,544 @@ router.put(
  */
 router.put(
   "/users/:userId/reject",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("user:approve"),
+  audit("user:reject", { model: User, idParam: "userId" }),
   rejectUser
 );
 
+/**
+ * @swagger
+ * /admin/users/{userId}/revoke-sessions:
+ *   post:
+ *     summary: Revoke all sessions of a user
+ *     tags: [Admin]
+ *     description: Log a user out of every device, e.g. when a phone is lost (superAdmin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: number
+ *                       example: 2
+ *                 message:
+ *                   type: string
+ *                   example: 2 session(s) revoked
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a super admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/users/:userId/revoke-sessions",
+  requirePermission("session:revoke"),
+  audit("session:revoke", { entity: "User", idParam: "userId" }),
+  revokeUserSessions
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/gates:
+ *   put:
+ *     summary: Assign gates to a security guard
+ *     tags: [Admin]
+ *     description: >
+ *       Replace the list of gates a security guard can be posted at (superAdmin only).
+ *       A guard on duty at a gate that is no longer assigned is taken off duty.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - gateIds
+ *             properties:
+ *               gateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["60d21b4667d0d8992e610c85"]
+ *     responses:
+ *       200:
+ *         description: Gates assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     assignedGates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Gate'
+ *                     dutyGate:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: User is not a security guard or a gate is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a super admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/users/:userId/gates",
+  requirePermission("gate:assign"),
+  validate(assignGatesSchema),
+  audit("gate:assign", { model: User, idParam: "userId" }),
+  assignUserGates
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/assignment-profile:
+ *   put:
+ *     summary: Set staff skills and availability
+ *     tags: [Admin]
+ *     description: >
+ *       Set the complaint subcategories a maintenance staff member handles and whether
+ *       they can take new complaints. Automatic assignment only picks available staff
+ *       and prefers those skilled in the complaint's subcategory. Department admins can
+ *       only edit staff of their own department.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               skills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Plumbing", "Water Supply"]
+ *               isAvailable:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Assignment profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     department:
+ *                       type: string
+ *                     skills:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     isAvailable:
+ *                       type: boolean
+ *       400:
+ *         description: User is not maintenance staff or a skill is not a subcategory of their department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing staff:manage, or staff outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/users/:userId/assignment-profile",
+  requirePermission("staff:manage"),
+  validate(staffProfileSchema),
+  audit("staff:updateProfile", { model: User, idParam: "userId" }),
+  updateStaffProfile
+);
+
+// Permission management routes
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: Get role permissions
+ *     tags: [Admin]
+ *     description: >
+ *       List every permission in the registry and the permissions currently granted
+ *       to each role. Roles that have never been edited use the default mapping.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission registry and role mappings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             example: complaint:assign
+ *                           description:
+ *                             type: string
+ *                             example: Assign complaints to an agency
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RolePermissions'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/permissions",
+  requirePermission("permission:manage"),
+  getRolePermissions
+);
+
+/**
+ * @swagger
+ * /admin/permissions/{role}:
+ *   put:
+ *     summary: Update role permissions
+ *     tags: [Admin]
+ *     description: >
+ *       Replace the permissions granted to a role. Changes apply to every user with
+ *       the role within a minute. superAdmin must keep `permission:manage`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [superAdmin, departmentAdmin, maintenanceStaff, securityPersonnel, resident]
+ *         description: Role to change
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["complaint:resolve", "complaint:assignStaff"]
+ *     responses:
+ *       200:
+ *         description: Role permissions updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RolePermissions'
+ *       400:
+ *         description: Invalid role or unknown permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/permissions/:role",
+  requirePermission("permission:manage"),
+  validate(rolePermissionsSchema),
+  audit("permission:update", { model: RolePermission, idParam: "role", findBy: "role" }),
+  updateRolePermissions
+);
+
+/**
+ * @swagger
+ * /admin/permissions/{role}:
+ *   delete:
+ *     summary: Reset role permissions
+ *     tags: [Admin]
+ *     description: Discard edits to a role and restore its default permissions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [superAdmin, departmentAdmin, maintenanceStaff, securityPersonnel, resident]
+ *         description: Role to reset
+ *     responses:
+ *       200:
+ *         description: Role permissions reset to defaults
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RolePermissions'
+ *       400:
+ *         description: Invalid role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  "/permissions/:role",
+  requirePermission("permission:manage"),
+  audit("permission:reset", { model: RolePermission, idParam: "role", findBy: "role" }),
+  resetRolePermissions
+);
+
+// Audit log routes
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     summary: Get the audit log
+ *     tags: [Admin]
+ *     description: >
+ *       Query the append-only audit log of administrative and security actions,
+ *       newest first. Each entry records the actor, action, target entity, changed
+ *       fields, IP address and timestamp. Pass `format=csv` to download the matching
+ *       entries (up to 10,000) as a CSV file instead.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who performed the action
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Action name (e.g. user:approve, visitor:unblacklist, broadcast:update)
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *         description: Entity type (e.g. User, Complaint, VisitorBlacklist)
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: ID of the target entity
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries on or after this time
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries on or before this time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: Response format
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number (JSON only)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of entries per page (JSON only)
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 120
+ *                 totalPages:
+ *                   type: number
+ *                   example: 3
+ *                 page:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing audit:view
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/audit", requirePermission("audit:view"), getAuditLogs);
+
 module.exports = router;
@@ -3,11 +3,27 @@ const router = express.Router();
 const {
   registerUser,
   loginUser,
+  refreshToken,
+  logoutUser,
+  changePassword,
+  forgotPassword,
+  resetPassword,
   getUserProfile,
+  updateProfilePhoto,
 } = require("../controllers/authController");
 const { validate } = require("../middleware/validator");
-const { registerSchema, loginSchema } = require("../utils/validations");
-const { protect } = require("../middleware/auth");
+const {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  profilePhotoSchema,
+} = require("../utils/validations");
+const { protect, allowPendingPasswordChange } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
+const User = require("../models/User");
 
 /**
  * @swagger
@@ -65,7 +81,12 @@ const { protect } = require("../middleware/auth");
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/register", validate(registerSchema), registerUser);
+router.post(
+  "/register",
+  validate(registerSchema),
+  audit("auth:register", { model: User, selfService: true }),
+  registerUser
+);
 
 /**
  * @swagger
@@ -111,6 +132,9 @@ router.post("/register", validate(registerSchema), registerUser);
  *                     token:
  *                       type: string
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       example: 60d21b4667d0d8992e610c85.4b1f0c7e9a2d...
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -118,7 +142,280 @@ router.post("/register", validate(registerSchema), registerUser);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/login", validate(loginSchema), loginUser);
+router.post(
+  "/login",
+  validate(loginSchema),
+  audit("auth:login", { entity: "User", selfService: true }),
+  loginUser
+);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     tags: [Authentication]
+ *     description: >
+ *       Exchange a refresh token for a new short-lived access token and a new refresh token.
+ *       Each refresh token can be used once; reusing an old one revokes the session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: 60d21b4667d0d8992e610c85.4b1f0c7e9a2d...
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       example: 60d21b4667d0d8992e610c85.9c3e5a1b7f0d...
+ *       401:
+ *         description: Invalid, expired, reused or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/refresh", validate(refreshTokenSchema), refreshToken);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout
+ *     tags: [Authentication]
+ *     description: Revoke the current session so its access and refresh tokens stop working
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Logged out successfully
+ *       401:
+ *         description: Not authorized - no token or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/logout",
+  allowPendingPasswordChange,
+  protect,
+  audit("auth:logout", { entity: "User", self: true }),
+  logoutUser
+);
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     tags: [Authentication]
+ *     description: >
+ *       Change the current user's password. Accounts flagged with `mustChangePassword`
+ *       (such as the seeded super admin) can only use this route until they do so.
+ *       Tokens issued before the change stop working; a new token is returned.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: Password@123
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: NewPassword@456
+ *               confirmPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: NewPassword@456
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *                 message:
+ *                   type: string
+ *                   example: Password changed successfully
+ *       400:
+ *         description: Validation error or incorrect current password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized - no token or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/change-password",
+  allowPendingPasswordChange,
+  protect,
+  validate(changePasswordSchema),
+  audit("auth:changePassword", { model: User, self: true }),
+  changePassword
+);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     tags: [Authentication]
+ *     description: >
+ *       Send a single-use, expiring password reset code to the account's email or phone.
+ *       The response is the same whether or not the account exists.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john@example.com
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms]
+ *                 example: email
+ *                 description: Delivery channel (defaults to email)
+ *     responses:
+ *       200:
+ *         description: Reset code sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: If an account exists for this email, a password reset code has been sent.
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/forgot-password", validate(forgotPasswordSchema), forgotPassword);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     tags: [Authentication]
+ *     description: Set a new password using the code from forgot-password. Each code works only once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 3f9c2a7d41b8e6f0c5a9d2e4b7f1a8c3d6e9b2f5
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: NewPassword@456
+ *               confirmPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: NewPassword@456
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Password reset successful. Please log in with your new password.
+ *       400:
+ *         description: Validation error or invalid/expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/reset-password",
+  validate(resetPasswordSchema),
+  audit("auth:resetPassword", { entity: "User", selfService: true }),
+  resetPassword
+);
 
 /**
  * @swagger
@@ -149,6 +446,66 @@ router.post("/login", validate(loginSchema), loginUser);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/profile", protect, getUserProfile);
+router.get("/profile", allowPendingPasswordChange, protect, getUserProfile);
+
+/**
+ * @swagger
+ * /auth/profile/photo:
+ *   put:
+ *     summary: Set profile photo
+ *     tags: [Authentication]
+ *     description: >
+ *       Set the current user's profile photo to an image uploaded through
+ *       POST /files with purpose profilePhoto. The previous photo is deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileId
+ *             properties:
+ *               fileId:
+ *                 type: string
+ *                 description: ID of the uploaded photo
+ *     responses:
+ *       200:
+ *         description: Profile photo updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/StoredFile'
+ *                 message:
+ *                   type: string
+ *                   example: Profile photo updated successfully
+ *       400:
+ *         description: Invalid file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized - no token or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/profile/photo",
+  protect,
+  validate(profilePhotoSchema),
+  audit("auth:profilePhoto", { model: User, self: true }),
+  updateProfilePhoto
+);
 
 module.exports = router;
@@ -1,8 +1,18 @@
 const express = require("express");
 const { protect } = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/permissionCheck");
+const { audit } = require("../middleware/audit");
+const Complaint = require("../models/Complaint");
+const SlaPolicy = require("../models/SlaPolicy");
+const MaintenancePlan = require("../models/MaintenancePlan");
+const ComplaintComment = require("../models/ComplaintComment");
 const { check } = require("express-validator");
 const complaintController = require("../controllers/complaintController");
+const slaController = require("../controllers/slaController");
+const maintenanceController = require("../controllers/maintenanceController");
+const complaintCommentController = require("../controllers/complaintCommentController");
+const complaintDuplicateController = require("../controllers/complaintDuplicateController");
+const complaintAnalyticsController = require("../controllers/complaintAnalyticsController");
 
 const router = express.Router();
 
@@ -97,7 +107,10 @@ router.get("/subcategories/:category", complaintController.getSubcategories);
  *   get:
  *     summary: Get complaint statistics
  *     tags: [Complaints]
- *     description: Retrieve statistics about complaints (counts by status, etc.)
+ *     description: >
+ *       Retrieve statistics about complaints (counts by status, etc.). The top-level
+ *       counts cover reactive complaints raised by residents; work orders raised by
+ *       preventive maintenance plans are counted separately under `preventive`.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -117,24 +130,78 @@ router.get("/subcategories/:category", complaintController.getSubcategories);
  *                     total:
  *                       type: number
  *                       example: 100
- *                     open:
+ *                     pending:
  *                       type: number
  *                       example: 25
- *                     inProgress:
+ *                     assigned:
  *                       type: number
  *                       example: 35
  *                     resolved:
  *                       type: number
- *                       example: 30
+ *                       example: 20
  *                     closed:
  *                       type: number
  *                       example: 10
+ *                     escalated:
+ *                       type: number
+ *                       example: 6
+ *                     finalResolution:
+ *                       type: number
+ *                       example: 4
+ *                     withdrawn:
+ *                       type: number
+ *                       example: 3
+ *                     onHold:
+ *                       type: number
+ *                       example: 2
+ *                     reopened:
+ *                       type: number
+ *                       example: 1
+ *                     merged:
+ *                       type: number
+ *                       example: 2
+ *                     possibleDuplicates:
+ *                       type: number
+ *                       description: Complaints flagged as possible duplicates and not yet reviewed
+ *                       example: 1
+ *                     slaBreached:
+ *                       type: number
+ *                       description: Complaints that missed a time-to-assign or time-to-resolve target
+ *                       example: 7
+ *                     avgRating:
+ *                       type: number
+ *                       example: 3.8
+ *                     preventive:
+ *                       type: object
+ *                       description: The same counts (without avgRating) for preventive maintenance work orders
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                           example: 12
+ *                         pending:
+ *                           type: number
+ *                           example: 1
+ *                         assigned:
+ *                           type: number
+ *                           example: 3
+ *                         resolved:
+ *                           type: number
+ *                           example: 8
+ *                         slaBreached:
+ *                           type: number
+ *                           example: 1
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - department admin requested another department's category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.get("/stats", complaintController.getComplaintStats);
 
@@ -183,50 +250,26 @@ router.get(
 
 /**
  * @swagger
- * /complaints:
- *   post:
- *     summary: Create a new complaint
+ * /complaints/staff-workload:
+ *   get:
+ *     summary: Get staff workload
  *     tags: [Complaints]
- *     description: Create a new complaint in the system
+ *     description: >
+ *       List the maintenance staff of a department with their skills, availability and
+ *       number of open assigned complaints, as used by automatic assignment. Department
+ *       admins always get their own department.
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - resourceId
- *               - category
- *               - subcategory
- *               - description
- *             properties:
- *               resourceId:
- *                 type: string
- *                 description: ID of the resource the complaint is about
- *                 example: 60d21b4667d0d8992e610c85
- *               category:
- *                 type: string
- *                 enum: [Electrical, Civil, Misc]
- *                 example: Electrical
- *               subcategory:
- *                 type: string
- *                 example: Lighting
- *               description:
- *                 type: string
- *                 maxLength: 1000
- *                 example: The light fixture in the hallway is not working
- *               images:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary
- *                 maxItems: 2
- *                 description: Optional images showing the issue
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *           example: Civil
+ *         description: Department (required for super admins)
  *     responses:
- *       201:
- *         description: Complaint created successfully
+ *       200:
+ *         description: Staff workload
  *         content:
  *           application/json:
  *             schema:
@@ -235,10 +278,34 @@ router.get(
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 2
  *                 data:
- *                   $ref: '#/components/schemas/Complaint'
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       userId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       department:
+ *                         type: string
+ *                       skills:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["Plumbing", "Drainage"]
+ *                       isAvailable:
+ *                         type: boolean
+ *                       openComplaints:
+ *                         type: number
+ *                         example: 3
  *       400:
- *         description: Validation error
+ *         description: Department is required
  *         content:
  *           application/json:
  *             schema:
@@ -249,77 +316,2201 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing staff:manage, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post(
-  "/",
-  [
-    check("resourceId", "Resource ID is required").notEmpty(),
-    check("category", "Category is required").isIn([
-      "Electrical",
-      "Civil",
-      "Misc",
-    ]),
-    check("subcategory", "Subcategory is required").notEmpty(),
-    check(
-      "description",
-      "Description is required and should not exceed 1000 characters"
-    )
-      .notEmpty()
-      .isLength({ max: 1000 }),
-    check("images").optional().isArray({ max: 2 }),
-  ],
-  complaintController.createComplaint
+router.get(
+  "/staff-workload",
+  requirePermission("staff:manage"),
+  complaintController.getStaffWorkload
 );
 
 /**
  * @swagger
- * /complaints:
+ * /complaints/recurring-faults:
  *   get:
- *     summary: Get all complaints
+ *     summary: Get resources with recurring faults
  *     tags: [Complaints]
- *     description: Retrieve all complaints with filtering and pagination
+ *     description: >
+ *       List resources with at least `minCount` resident complaints of the same
+ *       subcategory in the last `days` days (e.g. three plumbing complaints in 60
+ *       days), most frequent first. Merged duplicates, withdrawn complaints and
+ *       preventive work orders are not counted. Department admins only see their
+ *       own department.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: page
+ *         name: days
  *         schema:
  *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number
+ *           default: 60
+ *         description: Look-back period in days
  *       - in: query
- *         name: limit
+ *         name: minCount
  *         schema:
  *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of items per page
+ *           default: 3
+ *         description: Minimum number of complaints to count as recurring
  *       - in: query
- *         name: status
+ *         name: category
  *         schema:
  *           type: string
- *           enum: [open, in-progress, resolved, closed]
- *         description: Filter by complaint status
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by category
+ *       - in: query
+ *         name: subcategory
+ *         schema:
+ *           type: string
+ *         description: Filter by subcategory
+ *     responses:
+ *       200:
+ *         description: Recurring faults
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     days:
+ *                       type: number
+ *                       example: 60
+ *                     minCount:
+ *                       type: number
+ *                       example: 3
+ *                     faults:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           resource:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               resourceName:
+ *                                 type: string
+ *                               resourceType:
+ *                                 type: string
+ *                               location:
+ *                                 type: object
+ *                           category:
+ *                             type: string
+ *                             example: Civil
+ *                           subcategory:
+ *                             type: string
+ *                             example: Plumbing
+ *                           count:
+ *                             type: number
+ *                             example: 4
+ *                           open:
+ *                             type: number
+ *                             example: 1
+ *                           firstReportedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastReportedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           complaints:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["CMP-25-05-0012", "CMP-25-06-0003"]
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing complaint:analytics, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/recurring-faults",
+  requirePermission("complaint:analytics"),
+  complaintDuplicateController.getRecurringFaults
+);
+
+/**
+ * @swagger
+ * /complaints/analytics/staff:
+ *   get:
+ *     summary: Get staff and agency performance metrics
+ *     tags: [Complaints]
+ *     description: >
+ *       Performance of each maintenance staff member (`staff`, grouped by
+ *       `assignedStaff`) and each department agency (`agencies`, grouped by
+ *       `assignedAgency`) over the complaints created in the date range: median
+ *       hours from creation to first assignment and to resolution, first-time-fix rate
+ *       (share of resolved complaints closed without being escalated or reopened),
+ *       escalation rate, average resident rating and current open workload
+ *       (assigned, reopened or on-hold complaints, regardless of the date range).
+ *       Pass `format=csv` to download both lists as one CSV file. Department admins
+ *       only see their own department.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only complaints created on or after this time
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only complaints created on or before this time
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by complaint category
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by category
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: Response format
+ *     responses:
+ *       200:
+ *         description: Staff and agency performance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     staff:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AssigneePerformance'
+ *                     agencies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AssigneePerformance'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing complaint:analytics, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/analytics/staff",
+  [
+    check("dateFrom", "dateFrom must be a valid date").optional().isISO8601(),
+    check("dateTo", "dateTo must be a valid date").optional().isISO8601(),
+    check("category", "Invalid category")
+      .optional()
+      .isIn(["Electrical", "Civil", "Misc"]),
+    requirePermission("complaint:analytics"),
+  ],
+  complaintAnalyticsController.getStaffAnalytics
+);
+
+/**
+ * @swagger
+ * /complaints/analytics/trends:
+ *   get:
+ *     summary: Get complaint trends over time
+ *     tags: [Complaints]
+ *     description: >
+ *       Complaint counts per day, week (ISO week, e.g. `2025-W23`) or month, broken
+ *       down by any combination of block, sector, floor, category and subcategory
+ *       (`groupBy=block,category`). Location comes from the complaint's resource;
+ *       complaints about resources without a location are counted under `null`.
+ *       Merged duplicates are not counted. Department admins only see their own
+ *       department.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Length of each period
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *         description: Comma-separated dimensions out of block, sector, floor, category and subcategory
+ *         example: block,category
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only complaints created on or after this time
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only complaints created on or before this time
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by category
  *       - in: query
  *         name: subcategory
  *         schema:
  *           type: string
- *         description: Filter by complaint subcategory
+ *         description: Filter by subcategory
  *       - in: query
- *         name: resourceId
+ *         name: sector
  *         schema:
  *           type: string
- *         description: Filter by resource ID
+ *         description: Filter by sector
+ *       - in: query
+ *         name: block
+ *         schema:
+ *           type: string
+ *         description: Filter by block
+ *     responses:
+ *       200:
+ *         description: Complaint counts per period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     interval:
+ *                       type: string
+ *                       example: week
+ *                     groupBy:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [block, category]
+ *                     total:
+ *                       type: number
+ *                       example: 57
+ *                     series:
+ *                       type: array
+ *                       description: One entry per period and combination of the groupBy dimensions
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period:
+ *                             type: string
+ *                             example: 2025-W23
+ *                           count:
+ *                             type: number
+ *                             example: 6
+ *                         additionalProperties: true
+ *                         example:
+ *                           period: 2025-W23
+ *                           block: B
+ *                           category: Civil
+ *                           count: 6
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing complaint:analytics, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/analytics/trends",
+  [
+    check("interval", "Interval must be day, week or month")
+      .optional()
+      .isIn(["day", "week", "month"]),
+    check(
+      "groupBy",
+      "groupBy may only contain block, sector, floor, category and subcategory"
+    )
+      .optional()
+      .custom((value) =>
+        value
+          .split(",")
+          .every((dimension) =>
+            ["block", "sector", "floor", "category", "subcategory"].includes(
+              dimension.trim()
+            )
+          )
+      ),
+    check("dateFrom", "dateFrom must be a valid date").optional().isISO8601(),
+    check("dateTo", "dateTo must be a valid date").optional().isISO8601(),
+    check("category", "Invalid category")
+      .optional()
+      .isIn(["Electrical", "Civil", "Misc"]),
+    requirePermission("complaint:analytics"),
+  ],
+  complaintAnalyticsController.getComplaintTrends
+);
+
+/**
+ * @swagger
+ * /complaints/analytics/hotspots:
+ *   get:
+ *     summary: Get complaint hotspots
+ *     tags: [Complaints]
+ *     description: >
+ *       Rank sectors, blocks or floors by complaint density, the number of
+ *       complaints per registered resource at the location, to plan civil works.
+ *       Blocks are identified within their sector and floors within their block.
+ *       Covers the last 90 days unless a date range is given. Merged duplicates are
+ *       not counted. Department admins only see their own department.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [sector, block, floor]
+ *           default: block
+ *         description: Location level to rank
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [density, count]
+ *           default: density
+ *         description: Rank by complaints per resource or by total complaints
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of locations to return
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only complaints created on or after this time
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only complaints created on or before this time
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by category
+ *       - in: query
+ *         name: subcategory
+ *         schema:
+ *           type: string
+ *         description: Filter by subcategory
+ *       - in: query
+ *         name: sector
+ *         schema:
+ *           type: string
+ *         description: Only locations in this sector
+ *     responses:
+ *       200:
+ *         description: Locations ranked by complaint density
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     level:
+ *                       type: string
+ *                       example: block
+ *                     sortBy:
+ *                       type: string
+ *                       example: density
+ *                     hotspots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           location:
+ *                             type: object
+ *                             example:
+ *                               sector: North
+ *                               block: B
+ *                           count:
+ *                             type: number
+ *                             description: Complaints at the location
+ *                             example: 18
+ *                           open:
+ *                             type: number
+ *                             description: Complaints still waiting for a fix
+ *                             example: 4
+ *                           resources:
+ *                             type: number
+ *                             description: Registered resources at the location
+ *                             example: 12
+ *                           affectedResources:
+ *                             type: number
+ *                             description: Resources with at least one complaint
+ *                             example: 7
+ *                           density:
+ *                             type: number
+ *                             description: Complaints per registered resource
+ *                             example: 1.5
+ *                           topSubcategories:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 subcategory:
+ *                                   type: string
+ *                                   example: Plumbing
+ *                                 count:
+ *                                   type: number
+ *                                   example: 9
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing complaint:analytics, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/analytics/hotspots",
+  [
+    check("level", "Level must be sector, block or floor")
+      .optional()
+      .isIn(["sector", "block", "floor"]),
+    check("sortBy", "sortBy must be density or count")
+      .optional()
+      .isIn(["density", "count"]),
+    check("limit", "Limit must be between 1 and 100")
+      .optional()
+      .isInt({ min: 1, max: 100 }),
+    check("dateFrom", "dateFrom must be a valid date").optional().isISO8601(),
+    check("dateTo", "dateTo must be a valid date").optional().isISO8601(),
+    check("category", "Invalid category")
+      .optional()
+      .isIn(["Electrical", "Civil", "Misc"]),
+    requirePermission("complaint:analytics"),
+  ],
+  complaintAnalyticsController.getComplaintHotspots
+);
+
+/**
+ * @swagger
+ * /complaints:
+ *   post:
+ *     summary: Create a new complaint
+ *     tags: [Complaints]
+ *     description: >
+ *       Create a new complaint in the system. If an open complaint about the same
+ *       resource and subcategory was raised within the duplicate window (72 hours by
+ *       default), the new one is a likely duplicate. By default it is still created,
+ *       flagged with `possibleDuplicateOf` for the admins to merge or clear, and not
+ *       auto-assigned. When the server runs with DUPLICATE_COMPLAINT_MODE=merge, no
+ *       complaint is created: the resident becomes a follower of the open complaint,
+ *       the submitted images are added to it, and it is returned with status 200 and
+ *       `merged: true`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resourceId
+ *               - category
+ *               - subcategory
+ *               - description
+ *             properties:
+ *               resourceId:
+ *                 type: string
+ *                 description: ID of the resource the complaint is about
+ *                 example: 60d21b4667d0d8992e610c85
+ *               category:
+ *                 type: string
+ *                 enum: [Electrical, Civil, Misc]
+ *                 example: Electrical
+ *               subcategory:
+ *                 type: string
+ *                 example: Lighting
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: The light fixture in the hallway is not working
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 maxItems: 2
+ *                 description: Optional images showing the issue, as IDs of files uploaded with purpose complaintImage
+ *     responses:
+ *       200:
+ *         description: Duplicate merged - the resident now follows the open complaint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 merged:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *                 message:
+ *                   type: string
+ *                   example: This issue is already reported as complaint CMP-25-06-0001. You have been added as a follower.
+ *       201:
+ *         description: Complaint created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 merged:
+ *                   type: boolean
+ *                   example: false
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/",
+  [
+    check("resourceId", "Resource ID is required").notEmpty(),
+    check("category", "Category is required").isIn([
+      "Electrical",
+      "Civil",
+      "Misc",
+    ]),
+    check("subcategory", "Subcategory is required").notEmpty(),
+    check(
+      "description",
+      "Description is required and should not exceed 1000 characters"
+    )
+      .notEmpty()
+      .isLength({ max: 1000 }),
+    check("images").optional().isArray({ max: 2 }),
+    check("images.*").isMongoId().withMessage("Images must be uploaded file IDs"),
+  ],
+  audit("complaint:create", { model: Complaint }),
+  complaintController.createComplaint
+);
+
+/**
+ * @swagger
+ * /complaints:
+ *   get:
+ *     summary: Get all complaints
+ *     tags: [Complaints]
+ *     description: Retrieve all complaints with filtering and pagination
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, in-progress, resolved, closed]
+ *         description: Filter by complaint status
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [reactive, preventive]
+ *         description: Resident complaints (reactive) or maintenance plan work orders (preventive)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by complaint category
+ *       - in: query
+ *         name: subcategory
+ *         schema:
+ *           type: string
+ *         description: Filter by complaint subcategory
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *         description: Filter by resource ID
+ *     responses:
+ *       200:
+ *         description: List of complaints
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     complaints:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Complaint'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         totalDocs:
+ *                           type: number
+ *                           example: 100
+ *                         limit:
+ *                           type: number
+ *                           example: 10
+ *                         totalPages:
+ *                           type: number
+ *                           example: 10
+ *                         page:
+ *                           type: number
+ *                           example: 1
+ *                         pagingCounter:
+ *                           type: number
+ *                           example: 1
+ *                         hasPrevPage:
+ *                           type: boolean
+ *                           example: false
+ *                         hasNextPage:
+ *                           type: boolean
+ *                           example: true
+ *                         prevPage:
+ *                           type: number
+ *                           nullable: true
+ *                           example: null
+ *                         nextPage:
+ *                           type: number
+ *                           example: 2
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - department admin requested another department's category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", complaintController.getComplaints);
+
+/**
+ * @swagger
+ * /complaints/{id}/assign:
+ *   put:
+ *     summary: Assign complaint to an agency
+ *     tags: [Complaints]
+ *     description: Assign a complaint to a maintenance agency
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agencyId
+ *             properties:
+ *               agencyId:
+ *                 type: string
+ *                 example: 60d21b4667d0d8992e610c85
+ *     responses:
+ *       200:
+ *         description: Complaint assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission, or complaint/staff outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/assign",
+  [
+    check("agencyId", "Agency ID is required").notEmpty(),
+    requirePermission("complaint:assign"),
+  ],
+  audit("complaint:assign", { model: Complaint }),
+  complaintController.assignComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/auto-assign:
+ *   post:
+ *     summary: Assign a complaint automatically
+ *     tags: [Complaints]
+ *     description: >
+ *       Run the assignment engine on a pending complaint (it also runs when a complaint
+ *       is submitted). It picks an available maintenance staff member of the complaint's
+ *       department, preferring staff skilled in its subcategory and then the lowest number
+ *       of open assigned complaints. The decision is recorded in the complaint history.
+ *       Use the assign and assign-staff endpoints to override it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     responses:
+ *       200:
+ *         description: Complaint assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Complaint is not pending or no staff is available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission, or complaint outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/auto-assign",
+  requirePermission("complaint:assign"),
+  audit("complaint:autoAssign", { model: Complaint }),
+  complaintController.autoAssignComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/assign-staff:
+ *   put:
+ *     summary: Assign complaint to staff
+ *     tags: [Complaints]
+ *     description: Assign a complaint to a maintenance staff member
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staffId
+ *             properties:
+ *               staffId:
+ *                 type: string
+ *                 example: 60d21b4667d0d8992e610c85
+ *     responses:
+ *       200:
+ *         description: Complaint assigned to staff successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission, or complaint/staff outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/assign-staff",
+  [
+    check("staffId", "Staff ID is required").notEmpty(),
+    requirePermission("complaint:assignStaff"),
+  ],
+  audit("complaint:assignStaff", { model: Complaint }),
+  complaintController.assignToStaff
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/resolve:
+ *   put:
+ *     summary: Mark complaint as resolved
+ *     tags: [Complaints]
+ *     description: >
+ *       Mark a complaint as resolved with resolution notes and the materials
+ *       consumed. Each material is issued from the given store and recorded against
+ *       the complaint; the request fails without resolving if any store does not
+ *       hold enough stock. Stock that drops to its reorder level raises a low-stock
+ *       alert to the item's department admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolutionNotes
+ *             properties:
+ *               resolutionNotes:
+ *                 type: string
+ *                 example: Fixed the lighting issue by replacing the bulb and repairing the wiring.
+ *               materials:
+ *                 type: array
+ *                 description: Materials consumed on the fix
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                     - storeId
+ *                     - quantity
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: Inventory item ID
+ *                     storeId:
+ *                       type: string
+ *                       description: Store the material was taken from
+ *                     quantity:
+ *                       type: number
+ *                       example: 2
+ *     responses:
+ *       200:
+ *         description: Complaint marked as resolved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Validation error or not enough stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission, or complaint outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/resolve",
+  [
+    check("resolutionNotes", "Resolution notes are required").notEmpty(),
+    check("materials", "Materials must be a list").optional().isArray(),
+    check("materials.*.itemId", "Material item ID is required").isMongoId(),
+    check("materials.*.storeId", "Material store ID is required").isMongoId(),
+    check(
+      "materials.*.quantity",
+      "Material quantity must be a positive number"
+    )
+      .isFloat({ gt: 0 })
+      .toFloat(),
+    requirePermission("complaint:resolve"),
+  ],
+  audit("complaint:resolve", { model: Complaint }),
+  complaintController.resolveComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/withdraw:
+ *   put:
+ *     summary: Withdraw a complaint
+ *     tags: [Complaints]
+ *     description: >
+ *       Withdraw a pending, assigned, on-hold or reopened complaint. Residents can
+ *       only withdraw their own complaints. The assigned agency and staff are notified.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Fixed it myself
+ *     responses:
+ *       200:
+ *         description: Complaint updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Complaint cannot be withdrawn in its current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission, or not the resident's complaint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/withdraw",
+  requirePermission("complaint:withdraw"),
+  audit("complaint:withdraw", { model: Complaint }),
+  complaintController.withdrawComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/hold:
+ *   put:
+ *     summary: Put a complaint on hold
+ *     tags: [Complaints]
+ *     description: >
+ *       Pause work on an assigned or reopened complaint, e.g. while waiting for parts
+ *       or for access to the resident's premises. SLA clocks stop while the complaint is
+ *       on hold and the deadlines move by the time spent on hold once it resumes.
+ *       Maintenance staff can only hold complaints assigned to them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - expectedResumeAt
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Waiting for replacement pump
+ *               expectedResumeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2025-06-20T10:00:00Z
+ *     responses:
+ *       200:
+ *         description: Complaint updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Validation error, complaint cannot be put on hold, or resume date not in the future
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission, or complaint outside the user's department or assignments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/hold",
+  [
+    check("reason", "Hold reason is required").notEmpty(),
+    check(
+      "expectedResumeAt",
+      "Expected resume date is required and must be a valid date"
+    ).isISO8601(),
+    requirePermission("complaint:hold"),
+  ],
+  audit("complaint:hold", { model: Complaint }),
+  complaintController.holdComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/resume:
+ *   put:
+ *     summary: Resume a complaint on hold
+ *     tags: [Complaints]
+ *     description: >
+ *       Resume work on a complaint on hold. It returns to the status it had before the
+ *       hold (assigned or reopened) and its SLA clocks restart.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: Pump delivered
+ *     responses:
+ *       200:
+ *         description: Complaint updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Complaint is not on hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission, or complaint outside the user's department or assignments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/resume",
+  requirePermission("complaint:hold"),
+  audit("complaint:resume", { model: Complaint }),
+  complaintController.resumeComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/reopen:
+ *   put:
+ *     summary: Reopen a closed complaint
+ *     tags: [Complaints]
+ *     description: >
+ *       Reopen a closed complaint, or one with a final resolution, when the issue comes
+ *       back. The complaint stays with its assigned staff, gets a fresh time-to-resolve
+ *       deadline and can be resolved again. Residents can only reopen their own complaints.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: The tap is leaking again
+ *     responses:
+ *       200:
+ *         description: Complaint updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Validation error, or complaint is not closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing permission, not the resident's complaint, or outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/reopen",
+  [
+    check("reason", "Reopen reason is required").notEmpty(),
+    requirePermission("complaint:reopen"),
+  ],
+  audit("complaint:reopen", { model: Complaint }),
+  complaintController.reopenComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/merge:
+ *   put:
+ *     summary: Merge a duplicate complaint
+ *     tags: [Complaints]
+ *     description: >
+ *       Merge a complaint into the open complaint about the same resource that it
+ *       duplicates. The complaint moves to `merged`, and its reporter and followers
+ *       become followers of the target, receiving its status updates.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the duplicate complaint
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetComplaintId
+ *             properties:
+ *               targetComplaintId:
+ *                 type: string
+ *                 description: ID of the open complaint to merge into
+ *     responses:
+ *       200:
+ *         description: Complaint merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Complaint cannot be merged (closed, different resource, target not open)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing complaint:merge or complaint outside the user's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/merge",
+  [
+    check("targetComplaintId", "Target complaint ID is required").isMongoId(),
+    requirePermission("complaint:merge"),
+  ],
+  audit("complaint:merge", { model: Complaint }),
+  complaintDuplicateController.mergeComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/not-duplicate:
+ *   put:
+ *     summary: Clear a possible-duplicate flag
+ *     tags: [Complaints]
+ *     description: >
+ *       Mark a complaint flagged as a possible duplicate as a separate issue. It is
+ *       not auto-assigned afterwards; assign it as usual.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     responses:
+ *       200:
+ *         description: Flag cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Complaint is not flagged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing complaint:merge or complaint outside the user's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/not-duplicate",
+  requirePermission("complaint:merge"),
+  audit("complaint:dismissDuplicate", { model: Complaint }),
+  complaintDuplicateController.dismissDuplicateFlag
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/feedback:
+ *   put:
+ *     summary: Submit feedback for resolved complaint
+ *     tags: [Complaints]
+ *     description: Submit user feedback for a resolved complaint
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 4
+ *               comment:
+ *                 type: string
+ *                 example: Great job fixing the issue quickly.
+ *     responses:
+ *       200:
+ *         description: Feedback submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - user does not have required role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/feedback",
+  [
+    check("rating", "Rating is required and must be between 1-5")
+      .notEmpty()
+      .isInt({ min: 1, max: 5 }),
+    check("comment").optional(),
+    requirePermission("complaint:feedback"),
+  ],
+  audit("complaint:feedback", { model: Complaint }),
+  complaintController.submitFeedback
+);
+
+/**
+ * @swagger
+ * /complaints/{id}/final-resolution:
+ *   put:
+ *     summary: Final resolution by appellate authority
+ *     tags: [Complaints]
+ *     description: Provide final resolution for a complaint
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Complaint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 example: After reviewing the case, we've approved additional maintenance work to prevent future issues.
+ *     responses:
+ *       200:
+ *         description: Final resolution provided successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Complaint'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - user does not have required role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Complaint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/final-resolution",
+  [
+    check("resolution", "Final resolution is required").notEmpty(),
+    requirePermission("complaint:finalize"),
+  ],
+  audit("complaint:finalize", { model: Complaint }),
+  complaintController.finalizeComplaint
+);
+
+/**
+ * @swagger
+ * /complaints/sla-policies:
+ *   get:
+ *     summary: Get complaint SLA policies
+ *     tags: [Complaints]
+ *     description: >
+ *       Retrieve the configured time-to-assign and time-to-resolve targets. A
+ *       subcategory policy takes precedence over its category policy; complaints
+ *       without either use the built-in defaults.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Only return policies of this category
+ *     responses:
+ *       200:
+ *         description: SLA policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     defaults:
+ *                       type: object
+ *                       properties:
+ *                         timeToAssignHours:
+ *                           type: number
+ *                           example: 24
+ *                         timeToResolveHours:
+ *                           type: number
+ *                           example: 72
+ *                         autoEscalate:
+ *                           type: boolean
+ *                           example: true
+ *                     policies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SlaPolicy'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing sla:view
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Create or update an SLA policy
+ *     tags: [Complaints]
+ *     description: >
+ *       Set the targets of a category, or of one subcategory when `subcategory` is
+ *       given. Deadlines are computed when a complaint is submitted, so changes apply
+ *       to new complaints only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - timeToAssignHours
+ *               - timeToResolveHours
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [Electrical, Civil, Misc]
+ *                 example: Civil
+ *               subcategory:
+ *                 type: string
+ *                 example: Plumbing
+ *               timeToAssignHours:
+ *                 type: number
+ *                 example: 4
+ *               timeToResolveHours:
+ *                 type: number
+ *                 example: 48
+ *               autoEscalate:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: SLA policy saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SlaPolicy'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing sla:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/sla-policies",
+  requirePermission("sla:view"),
+  slaController.getSlaPolicies
+);
+router.put(
+  "/sla-policies",
+  [
+    check("category", "Category is required").isIn([
+      "Electrical",
+      "Civil",
+      "Misc",
+    ]),
+    check(
+      "timeToAssignHours",
+      "Time to assign must be at least 1 hour"
+    ).isFloat({ min: 1 }),
+    check(
+      "timeToResolveHours",
+      "Time to resolve must be at least 1 hour"
+    ).isFloat({ min: 1 }),
+    check("autoEscalate", "autoEscalate must be a boolean")
+      .optional()
+      .isBoolean(),
+    requirePermission("sla:manage"),
+  ],
+  audit("sla:update", { model: SlaPolicy }),
+  slaController.upsertSlaPolicy
+);
+
+/**
+ * @swagger
+ * /complaints/sla-policies/{id}:
+ *   delete:
+ *     summary: Delete an SLA policy
+ *     tags: [Complaints]
+ *     description: >
+ *       Remove a policy. New complaints fall back to the category policy or the
+ *       built-in defaults.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SLA policy ID
+ *     responses:
+ *       200:
+ *         description: SLA policy deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: SLA policy deleted successfully
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing sla:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: SLA policy not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  "/sla-policies/:id",
+  requirePermission("sla:manage"),
+  audit("sla:delete", { model: SlaPolicy }),
+  slaController.deleteSlaPolicy
+);
+
+/**
+ * @swagger
+ * /complaints/sla/process:
+ *   post:
+ *     summary: Run the SLA breach check
+ *     tags: [Complaints]
+ *     description: >
+ *       Flag open complaints that missed their time-to-assign or time-to-resolve
+ *       deadline, notify the department admins and escalate them when the policy
+ *       allows. The same check runs every 15 minutes in production.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Breaches processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       complaintId:
+ *                         type: string
+ *                         example: CMP-25-06-0001
+ *                       breaches:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [assign, resolve]
+ *                       escalated:
+ *                         type: boolean
+ *                         example: true
+ *                 message:
+ *                   type: string
+ *                   example: Processed 1 SLA breaches
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing sla:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/sla/process",
+  requirePermission("sla:manage"),
+  audit("sla:process", { entity: "Complaint" }),
+  slaController.processSlaBreaches
+);
+
+/**
+ * @swagger
+ * /complaints/maintenance-plans:
+ *   get:
+ *     summary: Get preventive maintenance plans
+ *     tags: [Complaints]
+ *     description: >
+ *       List maintenance plans, soonest due first. Department admins only see the
+ *       plans of their department.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by department
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *         description: Filter by resource
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter active or paused plans
+ *     responses:
+ *       200:
+ *         description: List of maintenance plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 4
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MaintenancePlan'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing maintenance:view or another department's category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a preventive maintenance plan
+ *     tags: [Complaints]
+ *     description: >
+ *       Plan recurring maintenance of a resource, e.g. servicing an AC every 90 days.
+ *       When the plan falls due the scheduler raises a work order: a complaint with
+ *       source `preventive` in the plan's category, routed to that department and
+ *       auto-assigned like a resident complaint. The first work order is raised on
+ *       `startDate` (immediately if omitted), then every `intervalDays` days.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resourceId
+ *               - title
+ *               - category
+ *               - subcategory
+ *               - intervalDays
+ *             properties:
+ *               resourceId:
+ *                 type: string
+ *                 example: 60d21b4667d0d8992e610c85
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Service AC
+ *               description:
+ *                 type: string
+ *                 maxLength: 800
+ *                 example: Clean filters and check gas pressure
+ *               category:
+ *                 type: string
+ *                 enum: [Electrical, Civil, Misc]
+ *                 example: Electrical
+ *               subcategory:
+ *                 type: string
+ *                 example: Fan/AC
+ *               intervalDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 90
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Due date of the first work order
+ *     responses:
+ *       201:
+ *         description: Maintenance plan created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/MaintenancePlan'
+ *       400:
+ *         description: Validation error, unknown or inactive resource
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing maintenance:manage or another department's category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/maintenance-plans",
+  requirePermission("maintenance:view"),
+  maintenanceController.getMaintenancePlans
+);
+router.post(
+  "/maintenance-plans",
+  [
+    check("resourceId", "Resource ID is required").isMongoId(),
+    check("title", "Title is required").trim().notEmpty().isLength({ max: 100 }),
+    check("description").optional().isLength({ max: 800 }),
+    check("category", "Category is required").isIn([
+      "Electrical",
+      "Civil",
+      "Misc",
+    ]),
+    check("subcategory", "Subcategory is required").notEmpty(),
+    check("intervalDays", "Interval must be at least 1 day").isInt({ min: 1 }),
+    check("startDate", "Start date must be a valid date")
+      .optional()
+      .isISO8601(),
+    requirePermission("maintenance:manage"),
+  ],
+  audit("maintenance:create", { model: MaintenancePlan }),
+  maintenanceController.createMaintenancePlan
+);
+
+/**
+ * @swagger
+ * /complaints/maintenance-plans/process:
+ *   post:
+ *     summary: Run the preventive maintenance scheduler
+ *     tags: [Complaints]
+ *     description: >
+ *       Raise a work order for every active plan that is due and move each plan to its
+ *       next due date. Due dates missed while the scheduler was not running produce a
+ *       single work order. The same check runs every 15 minutes in production.
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of complaints
+ *         description: Work orders raised
  *         content:
  *           application/json:
  *             schema:
@@ -329,59 +2520,53 @@ router.post(
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: object
- *                   properties:
- *                     complaints:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Complaint'
- *                     pagination:
- *                       type: object
- *                       properties:
- *                         totalDocs:
- *                           type: number
- *                           example: 100
- *                         limit:
- *                           type: number
- *                           example: 10
- *                         totalPages:
- *                           type: number
- *                           example: 10
- *                         page:
- *                           type: number
- *                           example: 1
- *                         pagingCounter:
- *                           type: number
- *                           example: 1
- *                         hasPrevPage:
- *                           type: boolean
- *                           example: false
- *                         hasNextPage:
- *                           type: boolean
- *                           example: true
- *                         prevPage:
- *                           type: number
- *                           nullable: true
- *                           example: null
- *                         nextPage:
- *                           type: number
- *                           example: 2
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       planId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                         example: Service AC
+ *                       complaintId:
+ *                         type: string
+ *                         example: CMP-25-06-0042
+ *                       nextDueAt:
+ *                         type: string
+ *                         format: date-time
+ *                 message:
+ *                   type: string
+ *                   example: Raised 1 work orders
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing maintenance:process
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.get("/", complaintController.getComplaints);
+router.post(
+  "/maintenance-plans/process",
+  requirePermission("maintenance:process"),
+  audit("maintenance:process", { entity: "MaintenancePlan" }),
+  maintenanceController.processDueMaintenance
+);
 
 /**
  * @swagger
- * /complaints/{id}/assign:
- *   put:
- *     summary: Assign complaint to an agency
+ * /complaints/maintenance-plans/{id}:
+ *   get:
+ *     summary: Get a maintenance plan
  *     tags: [Complaints]
- *     description: Assign a complaint to a maintenance agency
+ *     description: >
+ *       Get a plan with its 20 most recent work orders and a completion summary of
+ *       all its work orders (completed means resolved, closed or finally resolved).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -390,22 +2575,10 @@ router.get("/", complaintController.getComplaints);
  *         required: true
  *         schema:
  *           type: string
- *         description: Complaint ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - agencyId
- *             properties:
- *               agencyId:
- *                 type: string
- *                 example: 60d21b4667d0d8992e610c85
+ *         description: Maintenance plan ID
  *     responses:
  *       200:
- *         description: Complaint assigned successfully
+ *         description: Maintenance plan details
  *         content:
  *           application/json:
  *             schema:
@@ -415,13 +2588,29 @@ router.get("/", complaintController.getComplaints);
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Complaint'
- *       400:
- *         description: Validation error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *                   type: object
+ *                   properties:
+ *                     plan:
+ *                       $ref: '#/components/schemas/MaintenancePlan'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                           example: 5
+ *                         completed:
+ *                           type: number
+ *                           example: 4
+ *                         open:
+ *                           type: number
+ *                           example: 1
+ *                         withdrawn:
+ *                           type: number
+ *                           example: 0
+ *                     workOrders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Complaint'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
@@ -429,34 +2618,23 @@ router.get("/", complaintController.getComplaints);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - user does not have required role
+ *         description: Forbidden - plan outside the user's department
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Complaint not found
+ *         description: Maintenance plan not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- */
-router.put(
-  "/:id/assign",
-  [
-    check("agencyId", "Agency ID is required").notEmpty(),
-    checkRole("superAdmin", "departmentAdmin"),
-  ],
-  complaintController.assignComplaint
-);
-
-/**
- * @swagger
- * /complaints/{id}/assign-staff:
  *   put:
- *     summary: Assign complaint to staff
+ *     summary: Update a maintenance plan
  *     tags: [Complaints]
- *     description: Assign a complaint to a maintenance staff member
+ *     description: >
+ *       Change a plan's details or schedule, or pause it with `isActive: false`. The
+ *       resource and department of a plan cannot be changed.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -465,22 +2643,31 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
- *         description: Complaint ID
+ *         description: Maintenance plan ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - staffId
  *             properties:
- *               staffId:
+ *               title:
  *                 type: string
- *                 example: 60d21b4667d0d8992e610c85
+ *               description:
+ *                 type: string
+ *               subcategory:
+ *                 type: string
+ *               intervalDays:
+ *                 type: integer
+ *                 minimum: 1
+ *               nextDueAt:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Complaint assigned to staff successfully
+ *         description: Maintenance plan updated
  *         content:
  *           application/json:
  *             schema:
@@ -490,7 +2677,7 @@ router.put(
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Complaint'
+ *                   $ref: '#/components/schemas/MaintenancePlan'
  *       400:
  *         description: Validation error
  *         content:
@@ -504,34 +2691,21 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - user does not have required role
+ *         description: Forbidden - missing maintenance:manage or plan outside the user's department
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Complaint not found
+ *         description: Maintenance plan not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- */
-router.put(
-  "/:id/assign-staff",
-  [
-    check("staffId", "Staff ID is required").notEmpty(),
-    checkRole("departmentAdmin"),
-  ],
-  complaintController.assignToStaff
-);
-
-/**
- * @swagger
- * /complaints/{id}/resolve:
- *   put:
- *     summary: Mark complaint as resolved
+ *   delete:
+ *     summary: Delete a maintenance plan
  *     tags: [Complaints]
- *     description: Mark a complaint as resolved with resolution notes
+ *     description: Delete a plan. Work orders it already raised are kept.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -540,22 +2714,10 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
- *         description: Complaint ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - resolutionNotes
- *             properties:
- *               resolutionNotes:
- *                 type: string
- *                 example: Fixed the lighting issue by replacing the bulb and repairing the wiring.
+ *         description: Maintenance plan ID
  *     responses:
  *       200:
- *         description: Complaint marked as resolved successfully
+ *         description: Maintenance plan deleted successfully
  *         content:
  *           application/json:
  *             schema:
@@ -564,14 +2726,9 @@ router.put(
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 data:
- *                   $ref: '#/components/schemas/Complaint'
- *       400:
- *         description: Validation error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *                 message:
+ *                   type: string
+ *                   example: Maintenance plan deleted successfully
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
@@ -579,34 +2736,58 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - user does not have required role
+ *         description: Forbidden - missing maintenance:manage or plan outside the user's department
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Complaint not found
+ *         description: Maintenance plan not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
+router.get(
+  "/maintenance-plans/:id",
+  requirePermission("maintenance:view"),
+  maintenanceController.getMaintenancePlanById
+);
 router.put(
-  "/:id/resolve",
+  "/maintenance-plans/:id",
   [
-    check("resolutionNotes", "Resolution notes are required").notEmpty(),
-    checkRole("maintenanceStaff", "departmentAdmin"),
+    check("title").optional().trim().notEmpty().isLength({ max: 100 }),
+    check("description").optional().isLength({ max: 800 }),
+    check("subcategory").optional().notEmpty(),
+    check("intervalDays", "Interval must be at least 1 day")
+      .optional()
+      .isInt({ min: 1 }),
+    check("nextDueAt", "Next due date must be a valid date")
+      .optional()
+      .isISO8601(),
+    check("isActive", "isActive must be a boolean").optional().isBoolean(),
+    requirePermission("maintenance:manage"),
   ],
-  complaintController.resolveComplaint
+  audit("maintenance:update", { model: MaintenancePlan }),
+  maintenanceController.updateMaintenancePlan
+);
+router.delete(
+  "/maintenance-plans/:id",
+  requirePermission("maintenance:manage"),
+  audit("maintenance:delete", { model: MaintenancePlan }),
+  maintenanceController.deleteMaintenancePlan
 );
 
 /**
  * @swagger
- * /complaints/{id}/feedback:
- *   put:
- *     summary: Submit feedback for resolved complaint
+ * /complaints/{id}/comments:
+ *   get:
+ *     summary: Get complaint comments
  *     tags: [Complaints]
- *     description: Submit user feedback for a resolved complaint
+ *     description: >
+ *       Retrieve the conversation on a complaint, oldest first. Anyone who can view the
+ *       complaint can read it; internal notes are only returned to roles with
+ *       complaint:internalNote, so residents never see them.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -616,26 +2797,21 @@ router.put(
  *         schema:
  *           type: string
  *         description: Complaint ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - rating
- *             properties:
- *               rating:
- *                 type: integer
- *                 minimum: 1
- *                 maximum: 5
- *                 example: 4
- *               comment:
- *                 type: string
- *                 example: Great job fixing the issue quickly.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of comments per page
  *     responses:
  *       200:
- *         description: Feedback submitted successfully
+ *         description: Complaint comments
  *         content:
  *           application/json:
  *             schema:
@@ -644,14 +2820,19 @@ router.put(
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 4
+ *                 totalPages:
+ *                   type: number
+ *                   example: 1
+ *                 page:
+ *                   type: number
+ *                   example: 1
  *                 data:
- *                   $ref: '#/components/schemas/Complaint'
- *       400:
- *         description: Validation error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ComplaintComment'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
@@ -659,7 +2840,7 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - user does not have required role
+ *         description: Forbidden - missing permission, or no access to the complaint
  *         content:
  *           application/json:
  *             schema:
@@ -670,26 +2851,14 @@ router.put(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- */
-router.put(
-  "/:id/feedback",
-  [
-    check("rating", "Rating is required and must be between 1-5")
-      .notEmpty()
-      .isInt({ min: 1, max: 5 }),
-    check("comment").optional(),
-    checkRole("resident"),
-  ],
-  complaintController.submitFeedback
-);
-
-/**
- * @swagger
- * /complaints/{id}/final-resolution:
- *   put:
- *     summary: Final resolution by appellate authority
+ *   post:
+ *     summary: Comment on a complaint
  *     tags: [Complaints]
- *     description: Provide final resolution for a complaint
+ *     description: >
+ *       Add a comment to the complaint conversation. A resident's comment notifies the
+ *       assigned agency and staff (or the department admins if nobody is assigned yet);
+ *       a staff or admin comment notifies the resident. Internal notes are hidden from
+ *       residents and only notify the staff side.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -706,14 +2875,25 @@ router.put(
  *           schema:
  *             type: object
  *             required:
- *               - resolution
+ *               - message
  *             properties:
- *               resolution:
+ *               message:
  *                 type: string
- *                 example: After reviewing the case, we've approved additional maintenance work to prevent future issues.
+ *                 maxLength: 2000
+ *                 example: When can we enter the flat to check the pipe?
+ *               attachments:
+ *                 type: array
+ *                 maxItems: 3
+ *                 items:
+ *                   type: string
+ *                 description: Optional attachments, as IDs of files uploaded with purpose commentAttachment
+ *               isInternal:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Internal note hidden from residents
  *     responses:
- *       200:
- *         description: Final resolution provided successfully
+ *       201:
+ *         description: Comment added
  *         content:
  *           application/json:
  *             schema:
@@ -723,7 +2903,7 @@ router.put(
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Complaint'
+ *                   $ref: '#/components/schemas/ComplaintComment'
  *       400:
  *         description: Validation error
  *         content:
@@ -737,7 +2917,7 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - user does not have required role
+ *         description: Forbidden - missing permission, no access to the complaint, or internal note not allowed
  *         content:
  *           application/json:
  *             schema:
@@ -749,13 +2929,29 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put(
-  "/:id/final-resolution",
+router.get(
+  "/:id/comments",
+  requirePermission("complaint:comment"),
+  complaintCommentController.getComments
+);
+router.post(
+  "/:id/comments",
   [
-    check("resolution", "Final resolution is required").notEmpty(),
-    checkRole("superAdmin"),
+    check(
+      "message",
+      "Message is required and should not exceed 2000 characters"
+    )
+      .notEmpty()
+      .isLength({ max: 2000 }),
+    check("attachments").optional().isArray({ max: 3 }),
+    check("attachments.*")
+      .isMongoId()
+      .withMessage("Attachments must be uploaded file IDs"),
+    check("isInternal").optional().isBoolean(),
+    requirePermission("complaint:comment"),
   ],
-  complaintController.finalizeComplaint
+  audit("complaint:comment", { model: ComplaintComment }),
+  complaintCommentController.addComment
 );
 
 /**
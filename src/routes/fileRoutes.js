@@ -0,0 +1,251 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/auth");
+const { uploadSingle } = require("../middleware/upload");
+const { audit } = require("../middleware/audit");
+const StoredFile = require("../models/StoredFile");
+const {
+  uploadFile,
+  getFile,
+  getFileContent,
+  deleteFile,
+} = require("../controllers/fileController");
+
+/**
+ * @swagger
+ * /files/{id}/content:
+ *   get:
+ *     summary: Download a file
+ *     tags: [Files]
+ *     description: >
+ *       Download a file stored on the local disk driver. Links to this route are
+ *       returned as `url` and `thumbnailUrl` on file objects, are signed and expire
+ *       after 15 minutes, so they work without an Authorization header (e.g. in an
+ *       img tag). Files on the S3 driver are linked to the bucket directly.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: File ID
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *           enum: [original, thumbnail]
+ *           default: original
+ *         description: Original file or its thumbnail
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Link expiry (Unix seconds)
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link signature
+ *     responses:
+ *       200:
+ *         description: File content
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Invalid or expired download link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: File not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/content", getFileContent);
+
+// All other routes are protected
+router.use(protect);
+
+/**
+ * @swagger
+ * /files:
+ *   post:
+ *     summary: Upload a file
+ *     tags: [Files]
+ *     description: >
+ *       Upload an image or document as multipart/form-data, then pass the returned
+ *       file ID where the API expects a photo or attachment (complaint `images`,
+ *       comment `attachments`, visitor `photo` and `idCardPhoto`, blacklist `photo`,
+ *       profile photo). The file type is detected from its content and must match
+ *       the purpose: JPEG, PNG or WebP images of up to 5 MB (2 MB for profile
+ *       photos); comment attachments may also be PDFs of up to 10 MB. Images get a
+ *       thumbnail. Uploads not used by any record can only be seen by the uploader.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - purpose
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               purpose:
+ *                 type: string
+ *                 enum: [complaintImage, commentAttachment, visitorPhoto, visitorIdCard, blacklistPhoto, profilePhoto]
+ *     responses:
+ *       201:
+ *         description: File uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/StoredFile'
+ *       400:
+ *         description: Missing file, unsupported type, file too large or invalid purpose
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/",
+  uploadSingle("file"),
+  audit("file:upload", { model: StoredFile }),
+  uploadFile
+);
+
+/**
+ * @swagger
+ * /files/{id}:
+ *   get:
+ *     summary: Get a file
+ *     tags: [Files]
+ *     description: >
+ *       Get a file's details with fresh download URLs. Access follows the record the
+ *       file belongs to (e.g. a resident can only see files of their own complaints
+ *       and visitors).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: File ID
+ *     responses:
+ *       200:
+ *         description: File details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/StoredFile'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not authorized to access this file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: File not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete an unused upload
+ *     tags: [Files]
+ *     description: Delete a file you uploaded that is not used by any record
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: File ID
+ *     responses:
+ *       200:
+ *         description: File deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: File deleted successfully
+ *       400:
+ *         description: File is in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not the uploader of the file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: File not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", getFile);
+router.delete("/:id", audit("file:delete", { model: StoredFile }), deleteFile);
+
+module.exports = router;
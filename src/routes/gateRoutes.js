@@ -0,0 +1,381 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissionCheck");
+const { validate } = require("../middleware/validator");
+const { audit } = require("../middleware/audit");
+const User = require("../models/User");
+const Gate = require("../models/Gate");
+const {
+  gateSchema,
+  updateGateSchema,
+  dutySchema,
+} = require("../utils/visitorValidations");
+const {
+  createGate,
+  getGates,
+  updateGate,
+  getDutyStatus,
+  startDuty,
+  endDuty,
+} = require("../controllers/gateController");
+
+// All routes are protected
+router.use(protect);
+
+// Security guard duty routes
+/**
+ * @swagger
+ * /gates/duty:
+ *   get:
+ *     summary: Get my duty status
+ *     tags: [Gates]
+ *     description: Get the gates the logged-in guard is assigned to and the gate they are on duty at
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Duty status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignedGates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Gate'
+ *                     dutyGate:
+ *                       $ref: '#/components/schemas/Gate'
+ *                     dutyStartedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not security personnel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/duty", requirePermission("gate:duty"), getDutyStatus);
+
+/**
+ * @swagger
+ * /gates/duty:
+ *   put:
+ *     summary: Go on duty at a gate
+ *     tags: [Gates]
+ *     description: >
+ *       Start a duty shift at one of the guard's assigned gates. Visitor approval,
+ *       check-in and check-out by the guard are limited to this gate until they go
+ *       off duty or switch gates.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - gateId
+ *             properties:
+ *               gateId:
+ *                 type: string
+ *                 example: 60d21b4667d0d8992e610c85
+ *     responses:
+ *       200:
+ *         description: Guard is on duty at the gate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dutyGate:
+ *                       $ref: '#/components/schemas/Gate'
+ *                     dutyStartedAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Gate not found, inactive or not assigned to the guard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not security personnel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/duty",
+  requirePermission("gate:duty"),
+  validate(dutySchema),
+  audit("gate:startDuty", { model: User, self: true }),
+  startDuty
+);
+
+/**
+ * @swagger
+ * /gates/duty:
+ *   delete:
+ *     summary: Go off duty
+ *     tags: [Gates]
+ *     description: End the logged-in guard's current duty shift
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Guard is off duty
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: You are now off duty
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not security personnel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  "/duty",
+  requirePermission("gate:duty"),
+  audit("gate:endDuty", { model: User, self: true }),
+  endDuty
+);
+
+// Gate management routes
+/**
+ * @swagger
+ * /gates:
+ *   get:
+ *     summary: Get gates
+ *     tags: [Gates]
+ *     description: Retrieve all estate gates (admins and security personnel)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by whether the gate is open
+ *     responses:
+ *       200:
+ *         description: List of gates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Gate'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - user does not have required role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", requirePermission("gate:view"), getGates);
+
+/**
+ * @swagger
+ * /gates:
+ *   post:
+ *     summary: Create a gate
+ *     tags: [Gates]
+ *     description: Add a new estate gate (superAdmin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Main Gate
+ *               location:
+ *                 type: string
+ *                 example: Sector 1, near the club house
+ *     responses:
+ *       201:
+ *         description: Gate created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Gate'
+ *       400:
+ *         description: Validation error or gate name already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a super admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/",
+  requirePermission("gate:manage"),
+  validate(gateSchema),
+  audit("gate:create", { model: Gate }),
+  createGate
+);
+
+/**
+ * @swagger
+ * /gates/{id}:
+ *   put:
+ *     summary: Update a gate
+ *     tags: [Gates]
+ *     description: >
+ *       Rename, relocate, open or close a gate (superAdmin only). Closing a gate
+ *       takes any guard on duty there off duty.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Gate ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Main Gate
+ *               location:
+ *                 type: string
+ *                 example: Sector 1, near the club house
+ *               isActive:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Gate updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Gate'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a super admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Gate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id",
+  requirePermission("gate:manage"),
+  validate(updateGateSchema),
+  audit("gate:update", { model: Gate }),
+  updateGate
+);
+
+module.exports = router;
@@ -0,0 +1,1024 @@
+const express = require("express");
+const { protect } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissionCheck");
+const { audit } = require("../middleware/audit");
+const InventoryItem = require("../models/InventoryItem");
+const InventoryStore = require("../models/InventoryStore");
+const StockMovement = require("../models/StockMovement");
+const { check } = require("express-validator");
+const inventoryController = require("../controllers/inventoryController");
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(protect);
+
+/**
+ * @swagger
+ * /inventory/items:
+ *   get:
+ *     summary: Get inventory items
+ *     tags: [Inventory]
+ *     description: >
+ *       List the materials and spare parts kept in the stores, alphabetically.
+ *       Department admins only see their own department's items.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by department
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Match on name or SKU
+ *     responses:
+ *       200:
+ *         description: List of items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryItem'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:view, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create an inventory item
+ *     tags: [Inventory]
+ *     description: Department admins can only create items of their own department
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sku
+ *               - name
+ *               - category
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 example: ELE-LED-20W
+ *               name:
+ *                 type: string
+ *                 example: LED tube 20W
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [Electrical, Civil, Misc]
+ *               unit:
+ *                 type: string
+ *                 example: pcs
+ *               unitCost:
+ *                 type: number
+ *                 example: 180
+ *               reorderLevel:
+ *                 type: number
+ *                 example: 10
+ *     responses:
+ *       201:
+ *         description: Item created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryItem'
+ *       400:
+ *         description: Validation error or duplicate SKU
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:manage, or item outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/items",
+  requirePermission("inventory:view"),
+  inventoryController.getItems
+);
+
+router.post(
+  "/items",
+  [
+    check("sku", "SKU is required").trim().notEmpty().isLength({ max: 50 }),
+    check("name", "Name is required").trim().notEmpty().isLength({ max: 100 }),
+    check("category", "Category is required").isIn([
+      "Electrical",
+      "Civil",
+      "Misc",
+    ]),
+    check("unitCost", "Unit cost must be a positive number")
+      .optional()
+      .isFloat({ min: 0 }),
+    check("reorderLevel", "Reorder level must be a positive number")
+      .optional()
+      .isFloat({ min: 0 }),
+    requirePermission("inventory:manage"),
+  ],
+  audit("inventory:createItem", { model: InventoryItem }),
+  inventoryController.createItem
+);
+
+/**
+ * @swagger
+ * /inventory/items/{id}:
+ *   put:
+ *     summary: Update an inventory item
+ *     tags: [Inventory]
+ *     description: Update an item's details, cost or reorder level, or deactivate it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               unitCost:
+ *                 type: number
+ *               reorderLevel:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Item updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryItem'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:manage, or item outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Item not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/items/:id",
+  [
+    check("name", "Name should not exceed 100 characters")
+      .optional()
+      .trim()
+      .notEmpty()
+      .isLength({ max: 100 }),
+    check("unitCost", "Unit cost must be a positive number")
+      .optional()
+      .isFloat({ min: 0 }),
+    check("reorderLevel", "Reorder level must be a positive number")
+      .optional()
+      .isFloat({ min: 0 }),
+    check("isActive", "isActive must be a boolean").optional().isBoolean(),
+    requirePermission("inventory:manage"),
+  ],
+  audit("inventory:updateItem", { model: InventoryItem }),
+  inventoryController.updateItem
+);
+
+/**
+ * @swagger
+ * /inventory/stores:
+ *   get:
+ *     summary: Get stores
+ *     tags: [Inventory]
+ *     description: List the store rooms holding stock, alphabetically
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: List of stores
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryStore'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:view
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a store
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Main store
+ *               location:
+ *                 type: string
+ *                 example: Block A basement
+ *     responses:
+ *       201:
+ *         description: Store created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryStore'
+ *       400:
+ *         description: Validation error or duplicate name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/stores",
+  requirePermission("inventory:view"),
+  inventoryController.getStores
+);
+
+router.post(
+  "/stores",
+  [
+    check("name", "Name is required").trim().notEmpty().isLength({ max: 100 }),
+    requirePermission("inventory:manage"),
+  ],
+  audit("inventory:createStore", { model: InventoryStore }),
+  inventoryController.createStore
+);
+
+/**
+ * @swagger
+ * /inventory/stores/{id}:
+ *   put:
+ *     summary: Update a store
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Store updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryStore'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/stores/:id",
+  [
+    check("name", "Name should not exceed 100 characters")
+      .optional()
+      .trim()
+      .notEmpty()
+      .isLength({ max: 100 }),
+    check("isActive", "isActive must be a boolean").optional().isBoolean(),
+    requirePermission("inventory:manage"),
+  ],
+  audit("inventory:updateStore", { model: InventoryStore }),
+  inventoryController.updateStore
+);
+
+/**
+ * @swagger
+ * /inventory/stock:
+ *   get:
+ *     summary: Get stock levels
+ *     tags: [Inventory]
+ *     description: >
+ *       Quantity of each item held in each store, flagged `lowStock` when at or
+ *       below the item's reorder level. Department admins only see their own
+ *       department's items.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by item department
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         description: Filter by item
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Filter by store
+ *     responses:
+ *       200:
+ *         description: Stock levels
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryStock'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:view, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/stock",
+  [
+    check("itemId", "Invalid item ID").optional().isMongoId(),
+    check("storeId", "Invalid store ID").optional().isMongoId(),
+    requirePermission("inventory:view"),
+  ],
+  inventoryController.getStock
+);
+
+/**
+ * @swagger
+ * /inventory/stock/receive:
+ *   post:
+ *     summary: Receive stock
+ *     tags: [Inventory]
+ *     description: >
+ *       Add delivered stock to a store. A given unit cost becomes the item's cost
+ *       for later issues. Restocking above the reorder level re-arms the item's
+ *       low-stock alert.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *               - storeId
+ *               - quantity
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *               storeId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *                 example: 50
+ *               unitCost:
+ *                 type: number
+ *                 example: 175
+ *               notes:
+ *                 type: string
+ *                 example: Invoice 4471
+ *     responses:
+ *       201:
+ *         description: Stock received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stock:
+ *                       $ref: '#/components/schemas/InventoryStock'
+ *                     movement:
+ *                       $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         description: Validation error, or inactive item or store
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:manage, or item outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Item or store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/stock/receive",
+  [
+    check("itemId", "Item ID is required").isMongoId(),
+    check("storeId", "Store ID is required").isMongoId(),
+    check("quantity", "Quantity must be a positive number")
+      .isFloat({ gt: 0 })
+      .toFloat(),
+    check("unitCost", "Unit cost must be a positive number")
+      .optional()
+      .isFloat({ min: 0 })
+      .toFloat(),
+    requirePermission("inventory:manage"),
+  ],
+  audit("inventory:receive", { model: StockMovement }),
+  inventoryController.receiveStock
+);
+
+/**
+ * @swagger
+ * /inventory/stock/adjust:
+ *   post:
+ *     summary: Adjust stock to a counted quantity
+ *     tags: [Inventory]
+ *     description: >
+ *       Set the stock of an item in a store to the quantity counted, e.g. after a
+ *       stocktake or a write-off. The difference is recorded as an adjustment.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *               - storeId
+ *               - quantity
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *               storeId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *                 description: Counted quantity
+ *                 example: 42
+ *               notes:
+ *                 type: string
+ *                 example: Monthly stocktake
+ *     responses:
+ *       201:
+ *         description: Stock adjusted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stock:
+ *                       $ref: '#/components/schemas/InventoryStock'
+ *                     movement:
+ *                       $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         description: Validation error, or the stock already matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:manage, or item outside the department admin's department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Item or store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/stock/adjust",
+  [
+    check("itemId", "Item ID is required").isMongoId(),
+    check("storeId", "Store ID is required").isMongoId(),
+    check("quantity", "Quantity must be zero or more")
+      .isFloat({ min: 0 })
+      .toFloat(),
+    check("notes", "Notes are required").trim().notEmpty(),
+    requirePermission("inventory:manage"),
+  ],
+  audit("inventory:adjust", { model: StockMovement }),
+  inventoryController.adjustStock
+);
+
+/**
+ * @swagger
+ * /inventory/movements:
+ *   get:
+ *     summary: Get stock movements
+ *     tags: [Inventory]
+ *     description: >
+ *       Receipts, issues and adjustments, newest first. Filter by `complaintId` to
+ *       see the materials used on a complaint. Department admins only see their
+ *       own department's movements.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: complaintId
+ *         schema:
+ *           type: string
+ *         description: Filter by complaint (MongoDB ID)
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         description: Filter by item
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Filter by store
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [receipt, issue, adjustment]
+ *         description: Filter by movement type
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by department
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of movements
+ *     responses:
+ *       200:
+ *         description: Stock movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:view, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/movements",
+  [
+    check("complaintId", "Invalid complaint ID").optional().isMongoId(),
+    check("itemId", "Invalid item ID").optional().isMongoId(),
+    check("storeId", "Invalid store ID").optional().isMongoId(),
+    check("type", "Invalid movement type")
+      .optional()
+      .isIn(["receipt", "issue", "adjustment"]),
+    check("limit", "Limit must be between 1 and 500")
+      .optional()
+      .isInt({ min: 1, max: 500 }),
+    requirePermission("inventory:view"),
+  ],
+  inventoryController.getMovements
+);
+
+/**
+ * @swagger
+ * /inventory/low-stock:
+ *   get:
+ *     summary: Get low stock
+ *     tags: [Inventory]
+ *     description: >
+ *       Active items at or below their reorder level in active stores. Department
+ *       admins are also notified when an item first drops to its reorder level.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by item department
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Filter by store
+ *     responses:
+ *       200:
+ *         description: Stock at or below its reorder level
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryStock'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:reports, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/low-stock",
+  [
+    check("storeId", "Invalid store ID").optional().isMongoId(),
+    requirePermission("inventory:reports"),
+  ],
+  inventoryController.getLowStock
+);
+
+/**
+ * @swagger
+ * /inventory/reports/consumption:
+ *   get:
+ *     summary: Get material consumption
+ *     tags: [Inventory]
+ *     description: >
+ *       Materials issued on complaints, per complaint category or per resource,
+ *       with the quantity and cost of each item and the number of complaints they
+ *       were used on. Costs use the item cost at the time of issue. Department
+ *       admins only see their own department.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [category, resource]
+ *           default: category
+ *         description: Report per complaint category or per resource
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Electrical, Civil, Misc]
+ *         description: Filter by complaint category
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only materials issued on or after this time
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only materials issued on or before this time
+ *     responses:
+ *       200:
+ *         description: Material consumption
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     groupBy:
+ *                       type: string
+ *                       example: category
+ *                     report:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                             description: Present when grouped by category
+ *                             example: Electrical
+ *                           resource:
+ *                             type: object
+ *                             description: Present when grouped by resource
+ *                           complaints:
+ *                             type: number
+ *                             example: 14
+ *                           totalCost:
+ *                             type: number
+ *                             example: 5320
+ *                           items:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 item:
+ *                                   type: object
+ *                                   properties:
+ *                                     sku:
+ *                                       type: string
+ *                                     name:
+ *                                       type: string
+ *                                     unit:
+ *                                       type: string
+ *                                 quantity:
+ *                                   type: number
+ *                                   example: 20
+ *                                 cost:
+ *                                   type: number
+ *                                   example: 3600
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing inventory:reports, or another department requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/reports/consumption",
+  [
+    check("groupBy", "groupBy must be category or resource")
+      .optional()
+      .isIn(["category", "resource"]),
+    check("category", "Invalid category")
+      .optional()
+      .isIn(["Electrical", "Civil", "Misc"]),
+    check("dateFrom", "dateFrom must be a valid date").optional().isISO8601(),
+    check("dateTo", "dateTo must be a valid date").optional().isISO8601(),
+    requirePermission("inventory:reports"),
+  ],
+  inventoryController.getConsumptionReport
+);
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/permissionCheck");
 const { validate } = require("../middleware/validator");
+const { audit } = require("../middleware/audit");
+const Broadcast = require("../models/Broadcast");
+const Poll = require("../models/Poll");
 const {
   broadcastSchema,
   pollSchema,
@@ -24,6 +27,7 @@ const {
   sendBroadcast,
   cancelScheduledBroadcast,
   processScheduledBroadcasts,
+  getBroadcastSmsDeliveries,
 } = require("../controllers/broadcastController");
 
 const {
@@ -141,7 +145,7 @@ router.use(protect);
  */
 router.get(
   "/dashboard",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("dashboard:view"),
   getDashboardData
 );
 
@@ -348,8 +352,9 @@ router.get("/user-dashboard", getUserDashboardData);
  */
 router.post(
   "/broadcasts",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("broadcast:create"),
   validate(broadcastSchema),
+  audit("broadcast:create", { model: Broadcast }),
   createBroadcast
 );
 
@@ -464,7 +469,7 @@ router.post(
  */
 router.get(
   "/broadcasts",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("broadcast:view"),
   getAllBroadcasts
 );
 
@@ -560,7 +565,7 @@ router.get(
  */
 router.get(
   "/broadcasts/:id",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("broadcast:view"),
   getBroadcastById
 );
 
@@ -677,8 +682,9 @@ router.get(
  */
 router.put(
   "/broadcasts/:id",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("broadcast:update"),
   validate(broadcastSchema),
+  audit("broadcast:update", { model: Broadcast }),
   updateBroadcast
 );
 
@@ -733,7 +739,8 @@ router.put(
  */
 router.delete(
   "/broadcasts/:id",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("broadcast:delete"),
+  audit("broadcast:delete", { model: Broadcast }),
   deleteBroadcast
 );
 
@@ -803,7 +810,8 @@ router.delete(
  */
 router.post(
   "/broadcasts/:id/send",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("broadcast:send"),
+  audit("broadcast:send", { model: Broadcast }),
   sendBroadcast
 );
 
@@ -870,10 +878,89 @@ router.post(
  */
 router.post(
   "/broadcasts/:id/cancel",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("broadcast:send"),
+  audit("broadcast:cancel", { model: Broadcast }),
   cancelScheduledBroadcast
 );
 
+/**
+ * @swagger
+ * /misc/broadcasts/{id}/sms-deliveries:
+ *   get:
+ *     summary: Get SMS delivery records
+ *     tags: [Broadcasts]
+ *     description: Retrieve the per-message SMS delivery records of a broadcast (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Broadcast ID
+ *     responses:
+ *       200:
+ *         description: SMS delivery records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       to:
+ *                         type: string
+ *                         example: "9876543210"
+ *                       provider:
+ *                         type: string
+ *                         example: http
+ *                       status:
+ *                         type: string
+ *                         enum: [queued, sent, failed]
+ *                         example: sent
+ *                       providerMessageId:
+ *                         type: string
+ *                         example: msg_8f2a1c
+ *                       error:
+ *                         type: string
+ *                       sentAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - user does not have required role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Broadcast not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/broadcasts/:id/sms-deliveries",
+  requirePermission("broadcast:view"),
+  getBroadcastSmsDeliveries
+);
+
 /**
  * @swagger
  * /misc/broadcasts/process-scheduled:
@@ -929,7 +1016,8 @@ router.post(
  */
 router.post(
   "/broadcasts/process-scheduled",
-  checkRole("superAdmin"),
+  requirePermission("broadcast:process"),
+  audit("broadcast:process", { entity: "Broadcast" }),
   processScheduledBroadcasts
 );
 
@@ -1046,8 +1134,9 @@ router.post(
  */
 router.post(
   "/polls",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("poll:create"),
   validate(pollSchema),
+  audit("poll:create", { model: Poll }),
   createPoll
 );
 
@@ -1153,7 +1242,7 @@ router.post(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/polls", checkRole("superAdmin", "departmentAdmin"), getAllPolls);
+router.get("/polls", requirePermission("poll:view"), getAllPolls);
 
 /**
  * @swagger
@@ -1247,7 +1336,7 @@ router.get("/polls", checkRole("superAdmin", "departmentAdmin"), getAllPolls);
  */
 router.get(
   "/polls/:id",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("poll:view"),
   getPollById
 );
 
@@ -1349,8 +1438,9 @@ router.get(
  */
 router.put(
   "/polls/:id",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("poll:update"),
   validate(pollSchema),
+  audit("poll:update", { model: Poll }),
   updatePoll
 );
 
@@ -1405,7 +1495,8 @@ router.put(
  */
 router.delete(
   "/polls/:id",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("poll:delete"),
+  audit("poll:delete", { model: Poll }),
   deletePoll
 );
 
@@ -1505,7 +1596,7 @@ router.delete(
  */
 router.get(
   "/polls/:id/results",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("poll:view"),
   getPollResults
 );
 
@@ -1572,7 +1663,8 @@ router.get(
  */
 router.put(
   "/polls/:id/close",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("poll:close"),
+  audit("poll:close", { model: Poll }),
   closePoll
 );
 
@@ -1639,7 +1731,8 @@ router.put(
  */
 router.put(
   "/polls/:id/archive",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("poll:close"),
+  audit("poll:archive", { model: Poll }),
   archivePoll
 );
 
@@ -1767,6 +1860,7 @@ router.get("/polls/active", getActivePolls);
 router.post(
   "/polls/:id/respond",
   validate(pollResponseSchema),
+  audit("poll:respond", { entity: "Poll" }),
   submitPollResponse
 );
 
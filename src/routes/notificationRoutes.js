@@ -0,0 +1,324 @@
+const express = require("express");
+const router = express.Router();
+const { protect, protectStream } = require("../middleware/auth");
+const {
+  createStreamTicket,
+  streamNotifications,
+  getMyNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+} = require("../controllers/notificationController");
+
+/**
+ * @swagger
+ * /notifications/stream:
+ *   get:
+ *     summary: Stream real-time notifications
+ *     tags: [Notifications]
+ *     description: >
+ *       Open a Server-Sent Events stream of `notification` events for the current user.
+ *       Events addressed to the user's role (new visitor requests, blacklist attempts)
+ *       are delivered on the same stream. Browsers using EventSource, which cannot set
+ *       headers, pass a ticket from `POST /notifications/stream-ticket` as the `ticket`
+ *       query parameter instead of the Authorization header. The stream is ended with an
+ *       `unauthorized` event once the session is logged out or revoked, or the account
+ *       is no longer approved.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         schema:
+ *           type: string
+ *         description: Stream ticket (alternative to the Authorization header)
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: notification\ndata: {\"title\":\"New Visitor Request\",\"type\":\"visitor_request\"}"
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/stream", protectStream, streamNotifications);
+
+// All other routes are protected
+router.use(protect);
+
+/**
+ * @swagger
+ * /notifications/stream-ticket:
+ *   post:
+ *     summary: Get a notification stream ticket
+ *     tags: [Notifications]
+ *     description: >
+ *       Issue a ticket for opening `GET /notifications/stream` with EventSource. The
+ *       ticket expires after a minute, only opens the stream and stops working when
+ *       the session is refreshed or revoked, so the access token never has to be put
+ *       in a URL.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Ticket issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ticket:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: number
+ *                       description: Seconds until the ticket expires
+ *                       example: 60
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/stream-ticket", createStreamTicket);
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: Get my notifications
+ *     tags: [Notifications]
+ *     description: Retrieve the current user's notification inbox, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by notification type (e.g. complaint, visitor_update)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 42
+ *                 totalPages:
+ *                   type: number
+ *                   example: 3
+ *                 page:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", getMyNotifications);
+
+/**
+ * @swagger
+ * /notifications/unread-count:
+ *   get:
+ *     summary: Get unread notification count
+ *     tags: [Notifications]
+ *     description: Get the number of unread notifications for the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread notification count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: number
+ *                       example: 5
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/unread-count", getUnreadCount);
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     description: Mark every unread notification of the current user as read
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated:
+ *                       type: number
+ *                       example: 5
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/read-all", markAllAsRead);
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     description: Mark a single notification of the current user as read
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Notification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id/read", markAsRead);
+
+/**
+ * @swagger
+ * /notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     description: Remove a notification from the current user's inbox
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Notification deleted successfully
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Notification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", deleteNotification);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/permissionCheck");
+const { audit } = require("../middleware/audit");
+const Resource = require("../models/Resource");
 const {
   createResource,
   getAllResources,
@@ -117,7 +119,12 @@ router.use(protect);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/", checkRole("superAdmin", "departmentAdmin"), createResource);
+router.post(
+  "/",
+  requirePermission("resource:create"),
+  audit("resource:create", { model: Resource }),
+  createResource
+);
 
 // All authenticated users can access these routes
 /**
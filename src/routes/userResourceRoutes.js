@@ -1,8 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/permissionCheck");
 const { validate } = require("../middleware/validator");
+const { audit } = require("../middleware/audit");
+const UserResource = require("../models/UserResource");
 const { resourceRequestSchema } = require("../utils/validations");
 const {
   requestResourceAllocation,
@@ -108,7 +110,12 @@ router.use(protect);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/", validate(resourceRequestSchema), requestResourceAllocation);
+router.post(
+  "/",
+  validate(resourceRequestSchema),
+  audit("allocation:request", { model: UserResource }),
+  requestResourceAllocation
+);
 
 /**
  * @swagger
@@ -250,7 +257,7 @@ router.get("/my", getMyResources);
  */
 router.get(
   "/pending",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("allocation:approve"),
   getPendingAllocations
 );
 
@@ -323,7 +330,8 @@ router.get(
  */
 router.put(
   "/:id/approve",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("allocation:approve"),
+  audit("allocation:approve", { model: UserResource }),
   approveAllocation
 );
 
@@ -417,7 +425,8 @@ router.put(
  */
 router.put(
   "/:id/reject",
-  checkRole("superAdmin", "departmentAdmin"),
+  requirePermission("allocation:approve"),
+  audit("allocation:reject", { model: UserResource }),
   rejectAllocation
 );
 
@@ -1,20 +1,36 @@
 const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { requirePermission } = require("../middleware/permissionCheck");
 const { validate } = require("../middleware/validator");
+const { audit } = require("../middleware/audit");
+const Visitor = require("../models/visitor");
+const VisitorBlacklist = require("../models/visitorBlacklist");
+const VisitorPass = require("../models/visitorPass");
 const {
   visitorRequestSchema,
   visitorCheckInSchema,
+  verifyEntryPassSchema,
+  walkInVisitorSchema,
+  hostResponseSchema,
+  visitorPassSchema,
+  passCheckInSchema,
+  revokePassSchema,
   blacklistSchema,
-} = require("../utils/validations");
+} = require("../utils/visitorValidations");
 const {
   createVisitorRequest,
   getMyVisitorRequests,
   getPendingVisitorRequests,
+  getVisitorsInside,
+  getGateRegister,
+  getDailyRegister,
   approveVisitorRequest,
   rejectVisitorRequest,
+  verifyEntryPass,
   checkInVisitor,
+  registerWalkInVisitor,
+  respondToWalkInVisitor,
   checkOutVisitor,
   cancelVisitorRequest,
   blacklistVisitor,
@@ -22,57 +38,890 @@ const {
   getBlacklistedVisitors,
   getVisitorReports,
 } = require("../controllers/visitorController");
+const {
+  createVisitorPass,
+  getMyVisitorPasses,
+  getVisitorPasses,
+  approveVisitorPass,
+  rejectVisitorPass,
+  revokeVisitorPass,
+  checkInWithPass,
+} = require("../controllers/visitorPassController");
 
 // All routes are protected
 router.use(protect);
 
-// User routes
+// User routes
+/**
+ * @swagger
+ * /visitors:
+ *   post:
+ *     summary: Create a visitor request
+ *     tags: [Visitors]
+ *     description: Create a new visitor request for a guest
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - mobileNumber
+ *               - purpose
+ *               - expectedArrivalTime
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: John Doe
+ *               mobileNumber:
+ *                 type: string
+ *                 example: "9876543210"
+ *               photo:
+ *                 type: string
+ *                 description: ID of a photo uploaded with purpose visitorPhoto
+ *               purpose:
+ *                 type: string
+ *                 example: Meeting regarding project discussion
+ *               expectedArrivalTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2023-08-15T10:00:00Z
+ *               expectedDuration:
+ *                 type: number
+ *                 example: 2
+ *                 description: Expected duration in hours
+ *               gate:
+ *                 type: string
+ *                 description: Gate the visitor will enter through (optional)
+ *               isGroupVisit:
+ *                 type: boolean
+ *                 example: false
+ *               groupSize:
+ *                 type: number
+ *                 example: 1
+ *               additionalVisitors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     mobileNumber:
+ *                       type: string
+ *                     photo:
+ *                       type: string
+ *                       description: ID of a photo uploaded with purpose visitorPhoto
+ *     responses:
+ *       201:
+ *         description: Visitor request created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Visitor'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/",
+  validate(visitorRequestSchema),
+  audit("visitor:create", { model: Visitor }),
+  createVisitorRequest
+);
+
+/**
+ * @swagger
+ * /visitors/my:
+ *   get:
+ *     summary: Get my visitor requests
+ *     tags: [Visitors]
+ *     description: Retrieve all visitor requests created by the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of visitor requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Visitor'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/my", getMyVisitorRequests);
+
+// Recurring visitor pass routes
+/**
+ * @swagger
+ * /visitors/passes:
+ *   post:
+ *     summary: Request a recurring visitor pass
+ *     tags: [Visitors]
+ *     description: >
+ *       Request a pass for household staff and other regular visitors (maids, drivers,
+ *       tutors) who come on set weekdays within a time window. Security approves the
+ *       pass once; afterwards each visit is checked in with the pass code and
+ *       auto-approved. Times are in the estate timezone.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - mobileNumber
+ *               - purpose
+ *               - weekdays
+ *               - timeWindow
+ *               - validUntil
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Sita Devi
+ *               mobileNumber:
+ *                 type: string
+ *                 example: "9876543210"
+ *               photo:
+ *                 type: string
+ *                 description: ID of a photo uploaded with purpose visitorPhoto
+ *               purpose:
+ *                 type: string
+ *                 example: Maid
+ *               gate:
+ *                 type: string
+ *                 description: Only allow entry through this gate (optional)
+ *               weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [sun, mon, tue, wed, thu, fri, sat]
+ *                 example: [mon, tue, wed, thu, fri, sat]
+ *               timeWindow:
+ *                 type: object
+ *                 properties:
+ *                   start:
+ *                     type: string
+ *                     example: "07:00"
+ *                   end:
+ *                     type: string
+ *                     example: "11:00"
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *                 description: First valid day (defaults to today)
+ *               validUntil:
+ *                 type: string
+ *                 format: date
+ *                 description: Last valid day
+ *                 example: 2025-12-31
+ *     responses:
+ *       201:
+ *         description: Visitor pass requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/VisitorPass'
+ *       400:
+ *         description: Validation error or blacklisted visitor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: Get visitor passes for review
+ *     tags: [Visitors]
+ *     description: List visitor passes by status, pending ones by default (security personnel only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, revoked]
+ *           default: pending
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: List of visitor passes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VisitorPass'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing visitor:approve
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/passes",
+  validate(visitorPassSchema),
+  audit("visitorPass:create", { model: VisitorPass }),
+  createVisitorPass
+);
+
+router.get("/passes", requirePermission("visitor:approve"), getVisitorPasses);
+
+/**
+ * @swagger
+ * /visitors/passes/my:
+ *   get:
+ *     summary: Get my visitor passes
+ *     tags: [Visitors]
+ *     description: Retrieve the recurring visitor passes requested by the current user, with their pass codes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, revoked]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: List of visitor passes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VisitorPass'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/passes/my", getMyVisitorPasses);
+
+/**
+ * @swagger
+ * /visitors/passes/check-in:
+ *   post:
+ *     summary: Check in a pass holder
+ *     tags: [Visitors]
+ *     description: >
+ *       Check in a recurring visitor with their pass code, without a new request. The
+ *       pass must be approved, within its validity period, on an allowed weekday and
+ *       within its time window. The visit is logged as an auto-approved visitor with
+ *       source `pass` and is checked out like any other visitor. Guards must be on
+ *       duty, and at the pass's gate if it has one.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - passCode
+ *             properties:
+ *               passCode:
+ *                 type: string
+ *                 example: K7M3QX
+ *               idCardPhoto:
+ *                 type: string
+ *                 description: ID of a photo uploaded with purpose visitorIdCard (optional)
+ *     responses:
+ *       201:
+ *         description: Visitor checked in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Visitor'
+ *       400:
+ *         description: Unknown, pending, revoked or out-of-hours pass, or the holder is already inside
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing role, not on duty, or pass belongs to another gate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/passes/check-in",
+  requirePermission("visitor:checkIn"),
+  validate(passCheckInSchema),
+  audit("visitor:checkIn", { model: Visitor }),
+  checkInWithPass
+);
+
+/**
+ * @swagger
+ * /visitors/passes/{id}/approve:
+ *   put:
+ *     summary: Approve a visitor pass
+ *     tags: [Visitors]
+ *     description: >
+ *       Approve a pending visitor pass once; the resident is notified and the visitor
+ *       receives the pass code by SMS. Guards can only act while on duty, and only on
+ *       passes for the gate they are on duty at.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Visitor pass ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Visitor pass approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/VisitorPass'
+ *       400:
+ *         description: Pass not found or not pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing role, not on duty, or pass belongs to another gate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/passes/:id/approve",
+  requirePermission("visitor:approve"),
+  audit("visitorPass:approve", { model: VisitorPass }),
+  approveVisitorPass
+);
+
+/**
+ * @swagger
+ * /visitors/passes/{id}/reject:
+ *   put:
+ *     summary: Reject a visitor pass
+ *     tags: [Visitors]
+ *     description: Reject a pending visitor pass (security personnel only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Visitor pass ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *                 example: Visitor could not be verified
+ *     responses:
+ *       200:
+ *         description: Visitor pass rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/VisitorPass'
+ *       400:
+ *         description: Pass not found or not pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing role, not on duty, or pass belongs to another gate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/passes/:id/reject",
+  requirePermission("visitor:approve"),
+  audit("visitorPass:reject", { model: VisitorPass }),
+  rejectVisitorPass
+);
+
+/**
+ * @swagger
+ * /visitors/passes/{id}/revoke:
+ *   put:
+ *     summary: Revoke a visitor pass
+ *     tags: [Visitors]
+ *     description: >
+ *       Revoke a pending or approved pass at any time; it can no longer be used to
+ *       check in. Residents can revoke their own passes and security can revoke any
+ *       pass (the resident is then notified). A visit already in progress is not
+ *       affected.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Visitor pass ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: No longer employed
+ *     responses:
+ *       200:
+ *         description: Visitor pass revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/VisitorPass'
+ *       400:
+ *         description: Pass not found or already rejected or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not the resident's pass and missing visitor:approve
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/passes/:id/revoke",
+  validate(revokePassSchema),
+  audit("visitorPass:revoke", { model: VisitorPass }),
+  revokeVisitorPass
+);
+
+/**
+ * @swagger
+ * /visitors/{id}/cancel:
+ *   put:
+ *     summary: Cancel a visitor request
+ *     tags: [Visitors]
+ *     description: Cancel a previously created visitor request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Visitor request ID
+ *     responses:
+ *       200:
+ *         description: Visitor request cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Visitor'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - cannot cancel this request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Visitor request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/:id/cancel",
+  audit("visitor:cancel", { model: Visitor }),
+  cancelVisitorRequest
+);
+
+// Security personnel routes (including admin)
+/**
+ * @swagger
+ * /visitors/pending:
+ *   get:
+ *     summary: Get pending visitor requests
+ *     tags: [Visitors]
+ *     description: Retrieve all pending visitor requests (security personnel only)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of pending visitor requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Visitor'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - user does not have required role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/pending",
+  requirePermission("visitor:approve"),
+  getPendingVisitorRequests
+);
+
+/**
+ * @swagger
+ * /visitors/inside:
+ *   get:
+ *     summary: Get visitors currently inside
+ *     tags: [Visitors]
+ *     description: >
+ *       Live list of checked-in visitors with their expected exit time (check-in time plus
+ *       expected duration). A background job flags visitors still inside
+ *       VISITOR_OVERSTAY_GRACE_MINUTES (default 30) after their expected exit and alerts the
+ *       host resident and security; flagged visits are listed first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: gate
+ *         schema:
+ *           type: string
+ *         description: Only visitors who entered through this gate
+ *       - in: query
+ *         name: overstayOnly
+ *         schema:
+ *           type: boolean
+ *         description: Only visits flagged as overstays
+ *     responses:
+ *       200:
+ *         description: Visitors currently inside
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 12
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                       example: 12
+ *                     overstayCount:
+ *                       type: number
+ *                       example: 2
+ *                     visitors:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Visitor'
+ *                           - type: object
+ *                             properties:
+ *                               expectedExitAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               minutesOverdue:
+ *                                 type: number
+ *                                 example: 45
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - user does not have required role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/inside",
+  requirePermission("visitor:checkIn"),
+  getVisitorsInside
+);
+
+/**
+ * @swagger
+ * /visitors/register:
+ *   get:
+ *     summary: Get the live gate register
+ *     tags: [Visitors]
+ *     description: >
+ *       Live view for the gate: how many visits and people are inside, approved visitors
+ *       expected in the next hour, checked-in visitors past their expected exit, and every
+ *       token not returned at check-out, oldest check-outs last.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: gate
+ *         schema:
+ *           type: string
+ *         description: Only this gate (expected arrivals also include visits without a gate)
+ *     responses:
+ *       200:
+ *         description: Gate register
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     generatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     gate:
+ *                       type: string
+ *                       nullable: true
+ *                     headcount:
+ *                       type: object
+ *                       properties:
+ *                         visits:
+ *                           type: number
+ *                           example: 12
+ *                         people:
+ *                           type: number
+ *                           description: Including group members
+ *                           example: 17
+ *                     expectedArrivals:
+ *                       $ref: '#/components/schemas/VisitorList'
+ *                     overdueCheckOuts:
+ *                       $ref: '#/components/schemas/VisitorList'
+ *                     unreturnedTokens:
+ *                       $ref: '#/components/schemas/VisitorList'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - user does not have required role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/register",
+  requirePermission("visitor:checkIn"),
+  getGateRegister
+);
+
 /**
  * @swagger
- * /visitors:
- *   post:
- *     summary: Create a visitor request
+ * /visitors/register/daily:
+ *   get:
+ *     summary: Get the daily gate register
  *     tags: [Visitors]
- *     description: Create a new visitor request for a guest
+ *     description: >
+ *       Every visitor checked in on a day, in check-in order, with host, gate, the guards who
+ *       checked them in and out, and whether the token was returned. Use `format=csv` for a
+ *       printable register.
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - purpose
- *             properties:
- *               name:
- *                 type: string
- *                 example: John Doe
- *               phone:
- *                 type: string
- *                 example: "9876543210"
- *               email:
- *                 type: string
- *                 format: email
- *                 example: visitor@example.com
- *               purpose:
- *                 type: string
- *                 example: Meeting regarding project discussion
- *               visitingWhom:
- *                 type: string
- *                 example: Marketing Department
- *               scheduledDate:
- *                 type: string
- *                 format: date-time
- *                 example: 2023-08-15T10:00:00Z
- *               expectedDuration:
- *                 type: number
- *                 example: 60
- *                 description: Expected duration in minutes
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day as YYYY-MM-DD in the estate timezone (defaults to today)
+ *       - in: query
+ *         name: gate
+ *         schema:
+ *           type: string
+ *         description: Only this gate
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
  *     responses:
- *       201:
- *         description: Visitor request created successfully
+ *       200:
+ *         description: Daily gate register
  *         content:
  *           application/json:
  *             schema:
@@ -81,10 +930,24 @@ router.use(protect);
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 48
  *                 data:
- *                   $ref: '#/components/schemas/Visitor'
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       example: "2025-06-01"
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Visitor'
+ *           text/csv:
+ *             schema:
+ *               type: string
  *       400:
- *         description: Validation error
+ *         description: Invalid date
  *         content:
  *           application/json:
  *             schema:
@@ -95,21 +958,40 @@ router.use(protect);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - user does not have required role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post("/", validate(visitorRequestSchema), createVisitorRequest);
+router.get(
+  "/register/daily",
+  requirePermission("visitor:checkIn"),
+  getDailyRegister
+);
 
 /**
  * @swagger
- * /visitors/my:
- *   get:
- *     summary: Get my visitor requests
+ * /visitors/{id}/approve:
+ *   put:
+ *     summary: Approve a visitor request
  *     tags: [Visitors]
- *     description: Retrieve all visitor requests created by the current user
+ *     description: >
+ *       Approve a pending visitor request (security personnel only). Guards can only act while on duty, and
+ *       only on visitors entering through the gate they are on duty at; approving a request without a gate assigns it to the guard's gate.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Visitor request ID
  *     responses:
  *       200:
- *         description: List of visitor requests
+ *         description: Visitor request approved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -119,25 +1001,42 @@ router.post("/", validate(visitorRequestSchema), createVisitorRequest);
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Visitor'
+ *                   $ref: '#/components/schemas/Visitor'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing role, not on duty, or visitor belongs to another gate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Visitor request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.get("/my", getMyVisitorRequests);
+router.put(
+  "/:id/approve",
+  requirePermission("visitor:approve"),
+  audit("visitor:approve", { model: Visitor }),
+  approveVisitorRequest
+);
 
 /**
  * @swagger
- * /visitors/{id}/cancel:
+ * /visitors/{id}/reject:
  *   put:
- *     summary: Cancel a visitor request
+ *     summary: Reject a visitor request
  *     tags: [Visitors]
- *     description: Cancel a previously created visitor request
+ *     description: >
+ *       Reject a pending visitor request (security personnel only). Guards can only act while on duty, and
+ *       only on visitors entering through the gate they are on duty at.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -149,7 +1048,7 @@ router.get("/my", getMyVisitorRequests);
  *         description: Visitor request ID
  *     responses:
  *       200:
- *         description: Visitor request cancelled successfully
+ *         description: Visitor request rejected successfully
  *         content:
  *           application/json:
  *             schema:
@@ -167,7 +1066,7 @@ router.get("/my", getMyVisitorRequests);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - cannot cancel this request
+ *         description: Forbidden - missing role, not on duty, or visitor belongs to another gate
  *         content:
  *           application/json:
  *             schema:
@@ -179,23 +1078,65 @@ router.get("/my", getMyVisitorRequests);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id/cancel", cancelVisitorRequest);
-
-// Security personnel routes (including admin)
-const securityRoles = ["superAdmin", "departmentAdmin", "securityPersonnel"];
+router.put(
+  "/:id/reject",
+  requirePermission("visitor:approve"),
+  audit("visitor:reject", { model: Visitor }),
+  rejectVisitorRequest
+);
 
 /**
  * @swagger
- * /visitors/pending:
- *   get:
- *     summary: Get pending visitor requests
+ * /visitors/walk-in:
+ *   post:
+ *     summary: Register a walk-in visitor
  *     tags: [Visitors]
- *     description: Retrieve all pending visitor requests (security personnel only)
+ *     description: >
+ *       Register a delivery agent or unannounced guest who arrived at the gate. The guard
+ *       captures the visitor's details and photo and selects the host flat; the flat's
+ *       residents are asked to approve or deny the visit. If no one answers within
+ *       WALK_IN_RESPONSE_MINUTES (default 5), the guard decides with the usual approve and
+ *       reject endpoints. Guards must be on duty; the visit is tied to their duty gate.
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - mobileNumber
+ *               - photo
+ *               - purpose
+ *               - hostResource
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Ravi Kumar
+ *               mobileNumber:
+ *                 type: string
+ *                 example: "9876543210"
+ *               photo:
+ *                 type: string
+ *                 description: ID of a photo uploaded with purpose visitorPhoto
+ *               purpose:
+ *                 type: string
+ *                 example: Parcel delivery
+ *               hostResource:
+ *                 type: string
+ *                 description: ID of the flat (personal resource) being visited
+ *               expectedDuration:
+ *                 type: number
+ *                 description: Expected duration in hours
+ *                 default: 1
+ *               gate:
+ *                 type: string
+ *                 description: Entry gate (admins only; guards use their duty gate)
  *     responses:
- *       200:
- *         description: List of pending visitor requests
+ *       201:
+ *         description: Walk-in visitor registered, waiting for the host
  *         content:
  *           application/json:
  *             schema:
@@ -205,9 +1146,13 @@ const securityRoles = ["superAdmin", "departmentAdmin", "securityPersonnel"];
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Visitor'
+ *                   $ref: '#/components/schemas/Visitor'
+ *       400:
+ *         description: Validation error, blacklisted visitor, or unknown or unoccupied flat
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
@@ -215,21 +1160,30 @@ const securityRoles = ["superAdmin", "departmentAdmin", "securityPersonnel"];
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - user does not have required role
+ *         description: Forbidden - missing role or not on duty
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/pending", checkRole(...securityRoles), getPendingVisitorRequests);
+router.post(
+  "/walk-in",
+  requirePermission("visitor:checkIn"),
+  validate(walkInVisitorSchema),
+  audit("visitor:walkIn", { model: Visitor }),
+  registerWalkInVisitor
+);
 
 /**
  * @swagger
- * /visitors/{id}/approve:
+ * /visitors/{id}/host-response:
  *   put:
- *     summary: Approve a visitor request
+ *     summary: Approve or deny a walk-in visitor
  *     tags: [Visitors]
- *     description: Approve a pending visitor request (security personnel only)
+ *     description: >
+ *       Answer the prompt for a walk-in visitor as a resident of the host flat, before the
+ *       response deadline. The first answer wins and the guard who registered the visitor
+ *       is notified.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -238,10 +1192,25 @@ router.get("/pending", checkRole(...securityRoles), getPendingVisitorRequests);
  *         required: true
  *         schema:
  *           type: string
- *         description: Visitor request ID
+ *         description: Visitor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, deny]
+ *               remarks:
+ *                 type: string
+ *                 example: Leave the parcel with the guard
  *     responses:
  *       200:
- *         description: Visitor request approved successfully
+ *         description: Visitor approved or denied
  *         content:
  *           application/json:
  *             schema:
@@ -252,46 +1221,63 @@ router.get("/pending", checkRole(...securityRoles), getPendingVisitorRequests);
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/Visitor'
- *       401:
- *         description: Unauthorized - invalid or missing token
+ *       400:
+ *         description: Visitor not found, already answered, or response time passed
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       403:
- *         description: Forbidden - user does not have required role
+ *       401:
+ *         description: Unauthorized - invalid or missing token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Visitor request not found
+ *       403:
+ *         description: Forbidden - not a resident of the host flat
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id/approve", checkRole(...securityRoles), approveVisitorRequest);
+router.put(
+  "/:id/host-response",
+  validate(hostResponseSchema),
+  audit("visitor:hostResponse", { model: Visitor }),
+  respondToWalkInVisitor
+);
 
 /**
  * @swagger
- * /visitors/{id}/reject:
- *   put:
- *     summary: Reject a visitor request
+ * /visitors/verify:
+ *   post:
+ *     summary: Verify a visitor's entry pass
  *     tags: [Visitors]
- *     description: Reject a pending visitor request (security personnel only)
+ *     description: >
+ *       When a visit is approved the resident receives an entry pass: a signed QR code and
+ *       a 6-digit OTP (also sent to the visitor by SMS). The guard verifies either one here
+ *       before checking the visitor in. A pass is valid from the expected arrival time for the
+ *       expected duration and can only be verified once; cancelled or rejected visits are
+ *       refused. Guards must be on duty, and at the visitor's gate if it has one.
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Visitor request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Provide exactly one of qrCode or otp
+ *             properties:
+ *               qrCode:
+ *                 type: string
+ *                 description: Payload scanned from the QR code
+ *               otp:
+ *                 type: string
+ *                 example: "482913"
  *     responses:
  *       200:
- *         description: Visitor request rejected successfully
+ *         description: Entry pass verified
  *         content:
  *           application/json:
  *             schema:
@@ -302,26 +1288,35 @@ router.put("/:id/approve", checkRole(...securityRoles), approveVisitorRequest);
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/Visitor'
- *       401:
- *         description: Unauthorized - invalid or missing token
+ *                 message:
+ *                   type: string
+ *                   example: Entry pass verified for John Doe
+ *       400:
+ *         description: Invalid, expired, already used or cancelled entry pass
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       403:
- *         description: Forbidden - user does not have required role
+ *       401:
+ *         description: Unauthorized - invalid or missing token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Visitor request not found
+ *       403:
+ *         description: Forbidden - missing role, not on duty, or visitor belongs to another gate
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id/reject", checkRole(...securityRoles), rejectVisitorRequest);
+router.post(
+  "/verify",
+  requirePermission("visitor:checkIn"),
+  validate(verifyEntryPassSchema),
+  audit("visitor:verifyEntryPass", { model: Visitor }),
+  verifyEntryPass
+);
 
 /**
  * @swagger
@@ -329,7 +1324,9 @@ router.put("/:id/reject", checkRole(...securityRoles), rejectVisitorRequest);
  *   put:
  *     summary: Check in a visitor
  *     tags: [Visitors]
- *     description: Check in an approved visitor (security personnel only)
+ *     description: >
+ *       Check in an approved visitor (security personnel only). Guards can only act while on duty, and
+ *       only on visitors entering through the gate they are on duty at.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -346,18 +1343,11 @@ router.put("/:id/reject", checkRole(...securityRoles), rejectVisitorRequest);
  *           schema:
  *             type: object
  *             required:
- *               - idType
- *               - idNumber
+ *               - idCardPhoto
  *             properties:
- *               idType:
- *                 type: string
- *                 example: Drivers License
- *               idNumber:
- *                 type: string
- *                 example: DL123456789
- *               photoId:
+ *               idCardPhoto:
  *                 type: string
- *                 description: Base64 encoded image of ID
+ *                 description: ID of an ID card photo uploaded with purpose visitorIdCard
  *     responses:
  *       200:
  *         description: Visitor checked in successfully
@@ -384,7 +1374,7 @@ router.put("/:id/reject", checkRole(...securityRoles), rejectVisitorRequest);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - user does not have required role
+ *         description: Forbidden - missing role, not on duty, or visitor belongs to another gate
  *         content:
  *           application/json:
  *             schema:
@@ -398,8 +1388,9 @@ router.put("/:id/reject", checkRole(...securityRoles), rejectVisitorRequest);
  */
 router.put(
   "/:id/check-in",
-  checkRole(...securityRoles),
+  requirePermission("visitor:checkIn"),
   validate(visitorCheckInSchema),
+  audit("visitor:checkIn", { model: Visitor }),
   checkInVisitor
 );
 
@@ -409,7 +1400,9 @@ router.put(
  *   put:
  *     summary: Check out a visitor
  *     tags: [Visitors]
- *     description: Check out a visitor who has previously checked in (security personnel only)
+ *     description: >
+ *       Check out a visitor who has previously checked in (security personnel only). Guards can only act while on duty, and
+ *       only on visitors entering through the gate they are on duty at.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -439,7 +1432,7 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - user does not have required role
+ *         description: Forbidden - missing role, not on duty, or visitor belongs to another gate
  *         content:
  *           application/json:
  *             schema:
@@ -451,7 +1444,12 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id/check-out", checkRole(...securityRoles), checkOutVisitor);
+router.put(
+  "/:id/check-out",
+  requirePermission("visitor:checkIn"),
+  audit("visitor:checkOut", { model: Visitor }),
+  checkOutVisitor
+);
 
 /**
  * @swagger
@@ -510,11 +1508,13 @@ router.put("/:id/check-out", checkRole(...securityRoles), checkOutVisitor);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/blacklist", checkRole(...securityRoles), getBlacklistedVisitors);
+router.get(
+  "/blacklist",
+  requirePermission("visitor:viewBlacklist"),
+  getBlacklistedVisitors
+);
 
 // Security admin only routes
-const securityAdminRoles = ["superAdmin", "departmentAdmin"];
-
 /**
  * @swagger
  * /visitors/blacklist:
@@ -545,6 +1545,9 @@ const securityAdminRoles = ["superAdmin", "departmentAdmin"];
  *               idNumber:
  *                 type: string
  *                 example: DL123456789
+ *               photo:
+ *                 type: string
+ *                 description: ID of a photo uploaded with purpose blacklistPhoto
  *               reason:
  *                 type: string
  *                 example: Security violation
@@ -595,8 +1598,9 @@ const securityAdminRoles = ["superAdmin", "departmentAdmin"];
  */
 router.post(
   "/blacklist",
-  checkRole(...securityAdminRoles),
+  requirePermission("visitor:blacklist"),
   validate(blacklistSchema),
+  audit("visitor:blacklist", { model: VisitorBlacklist }),
   blacklistVisitor
 );
 
@@ -651,7 +1655,8 @@ router.post(
  */
 router.put(
   "/blacklist/:id/remove",
-  checkRole(...securityAdminRoles),
+  requirePermission("visitor:blacklist"),
+  audit("visitor:unblacklist", { model: VisitorBlacklist }),
   removeFromBlacklist
 );
 
@@ -734,7 +1739,7 @@ router.put(
  */
 router.get(
   "/reports/:reportType",
-  checkRole(...securityAdminRoles),
+  requirePermission("visitor:reports"),
   getVisitorReports
 );
 
@@ -6,7 +6,12 @@ const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
 const connectDB = require("./config/database");
 const { scheduleTask } = require("./utils/broadcastScheduler");
+const { scheduleSlaTask } = require("./utils/slaScheduler");
+const { scheduleMaintenanceTask } = require("./utils/maintenanceScheduler");
+const { scheduleOverstayTask } = require("./utils/visitorOverstayScheduler");
 const swagger = require("./config/swagger");
+const { resolveProvider } = require("./utils/smsService");
+const { resolveTransport } = require("./utils/emailService");
 
 // Load environment variables
 dotenv.config();
@@ -24,7 +29,7 @@ app.use(
   })
 );
 app.use(cors());
-app.use(express.json({ limit: "50mb" })); // Increased limit for base64 encoded images
+app.use(express.json({ limit: "1mb" })); // Files are uploaded through /api/files
 
 // Rate limiting
 const limiter = rateLimit({
@@ -47,8 +52,12 @@ app.use("/api/admin", require("./routes/adminRoutes"));
 app.use("/api/resources", require("./routes/resourceRoutes"));
 app.use("/api/user-resources", require("./routes/userResourceRoutes"));
 app.use("/api/visitors", require("./routes/visitorRoutes"));
+app.use("/api/gates", require("./routes/gateRoutes"));
 app.use("/api/misc", require("./routes/miscRoutes"));
 app.use("/api/complaints", require("./routes/complaintRoutes"));
+app.use("/api/inventory", require("./routes/inventoryRoutes"));
+app.use("/api/notifications", require("./routes/notificationRoutes"));
+app.use("/api/files", require("./routes/fileRoutes"));
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -70,7 +79,14 @@ app.use((req, res) => {
 
 // Start scheduled tasks only in production
 if (process.env.NODE_ENV === "production") {
+  // Refuse to start with the development SMS/email fallbacks
+  resolveProvider();
+  resolveTransport();
+
   scheduleTask();
+  scheduleSlaTask();
+  scheduleMaintenanceTask();
+  scheduleOverstayTask();
   console.log("Scheduled tasks started.");
 }
 
@@ -0,0 +1,84 @@
+const Complaint = require("../models/Complaint");
+const User = require("../models/User");
+
+// Automatic assignment is opt-in (AUTO_ASSIGN_COMPLAINTS=true)
+const isAutoAssignEnabled = () => process.env.AUTO_ASSIGN_COMPLAINTS === "true";
+
+// Complaint statuses that count towards a staff member's workload
+const OPEN_STATUSES = ["assigned", "reopened", "onHold"];
+
+// Get the maintenance staff of a department with their open workload
+const getStaffWorkload = async (department) => {
+  const staff = await User.find({
+    role: "maintenanceStaff",
+    department,
+    status: "approved",
+  }).select("userId name department skills isAvailable");
+
+  const counts = await Complaint.aggregate([
+    {
+      $match: {
+        assignedStaff: { $in: staff.map((member) => member._id) },
+        status: { $in: OPEN_STATUSES },
+      },
+    },
+    { $group: { _id: "$assignedStaff", openComplaints: { $sum: 1 } } },
+  ]);
+
+  const workload = new Map(
+    counts.map((entry) => [entry._id.toString(), entry.openComplaints])
+  );
+
+  return staff.map((member) => ({
+    _id: member._id,
+    userId: member.userId,
+    name: member.name,
+    department: member.department,
+    skills: member.skills,
+    isAvailable: member.isAvailable !== false,
+    openComplaints: workload.get(member._id.toString()) || 0,
+  }));
+};
+
+// Pick the staff member for a complaint: available staff of the complaint's
+// department, preferring those skilled in its subcategory, then the lowest
+// open workload. Returns null when nobody is available.
+const pickStaff = async (complaint) => {
+  const staff = await getStaffWorkload(complaint.category);
+  const available = staff.filter((member) => member.isAvailable);
+
+  if (available.length === 0) {
+    return null;
+  }
+
+  const skilled = available.filter((member) =>
+    (member.skills || []).includes(complaint.subcategory)
+  );
+  const candidates = skilled.length > 0 ? skilled : available;
+
+  // Fewest open complaints first; ties go to the longest-standing staff ID
+  candidates.sort(
+    (a, b) =>
+      a.openComplaints - b.openComplaints ||
+      a._id.toString().localeCompare(b._id.toString())
+  );
+
+  const chosen = candidates[0];
+  const reasons = [
+    skilled.length > 0
+      ? `skilled in ${complaint.subcategory}`
+      : `no available staff skilled in ${complaint.subcategory}`,
+    `${chosen.openComplaints} open complaint${
+      chosen.openComplaints === 1 ? "" : "s"
+    }`,
+    `${candidates.length} candidate${candidates.length === 1 ? "" : "s"}`,
+  ];
+
+  return { staff: chosen, reason: reasons.join(", ") };
+};
+
+module.exports = {
+  isAutoAssignEnabled,
+  getStaffWorkload,
+  pickStaff,
+};
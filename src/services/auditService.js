@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Fields that never go into the audit log
+const REDACTED_FIELDS = new Set([
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'refreshTokenHash',
+  // Entry pass QR codes and OTPs and visitor pass codes would let a log
+  // reader through the gate
+  'qrCode',
+  'otp',
+  'passCode'
+]);
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+// Longer strings are base64 images and similar blobs
+const MAX_STRING_LENGTH = 500;
+
+/**
+ * Turn a document into a plain, audit-safe object
+ * @param {object|null} doc - Mongoose document or plain object
+ * @returns {object|null} - Sanitized snapshot
+ */
+const toSnapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+
+  return JSON.parse(JSON.stringify(plain, (key, value) => {
+    if (REDACTED_FIELDS.has(key)) return undefined;
+    if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+      return `[${value.length} characters omitted]`;
+    }
+    return value;
+  }));
+};
+
+/**
+ * Compare two snapshots field by field
+ * @param {object|null} before - Snapshot before the change
+ * @param {object|null} after - Snapshot after the change
+ * @returns {object} - Changed fields as { field: { from, to } }
+ */
+const diffSnapshots = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.has(field)) return;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = {
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to
+      };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Append an entry to the audit log. Failures are logged, never thrown, so
+ * auditing cannot break the action being audited.
+ * @param {object} entry - Actor, action, entity and request details
+ * @param {object|null} before - Entity before the change
+ * @param {object|null} after - Entity after the change
+ * @returns {object|null} - Created entry
+ */
+const record = async (entry, before = null, after = null) => {
+  try {
+    return await AuditLog.create({
+      ...entry,
+      entityId: entry.entityId ? entry.entityId.toString() : undefined,
+      changes: diffSnapshots(toSnapshot(before), toSnapshot(after))
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${entry.action}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Build the audit log query from request filters
+ * @param {object} filters - actor, action, entityType, entityId, dateFrom, dateTo
+ * @returns {object} - Mongo query
+ */
+const buildQuery = (filters = {}) => {
+  const query = {};
+
+  if (filters.actor) {
+    if (!mongoose.isValidObjectId(filters.actor)) {
+      throw new Error('Invalid actor ID');
+    }
+    query.actor = filters.actor;
+  }
+  if (filters.action) query.action = filters.action;
+  if (filters.entityType) query.entityType = filters.entityType;
+  if (filters.entityId) query.entityId = filters.entityId;
+
+  if (filters.dateFrom || filters.dateTo) {
+    query.createdAt = {};
+    if (filters.dateFrom) query.createdAt.$gte = new Date(filters.dateFrom);
+    if (filters.dateTo) query.createdAt.$lte = new Date(filters.dateTo);
+  }
+
+  return query;
+};
+
+/**
+ * Get audit log entries, newest first
+ * @param {object} filters - Filter conditions
+ * @param {number} page - Page number
+ * @param {number} limit - Entries per page
+ * @returns {object} - Paginated entries
+ */
+const getAuditLogs = async (filters = {}, page = 1, limit = 50) => {
+  return await AuditLog.paginate(buildQuery(filters), {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    sort: { createdAt: -1 },
+    populate: { path: 'actor', select: 'name userId role' }
+  });
+};
+
+// Upper bound on rows in a single CSV export
+const EXPORT_LIMIT = 10000;
+
+/**
+ * Get audit log entries for export, newest first
+ * @param {object} filters - Filter conditions
+ * @returns {Array} - Entries (at most EXPORT_LIMIT)
+ */
+const exportAuditLogs = async (filters = {}) => {
+  return await AuditLog.find(buildQuery(filters))
+    .populate('actor', 'name userId role')
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean();
+};
+
+module.exports = {
+  record,
+  getAuditLogs,
+  exportAuditLogs
+};
@@ -1,26 +1,137 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const StoredFile = require('../models/StoredFile');
 const { generateUserId } = require('../utils/generateId');
+const { sendEmail } = require('../utils/emailService');
+const smsService = require('../utils/smsService');
+const sessionService = require('./sessionService');
+const { claimUploads, releaseUploads, attachFiles } = require('./fileService');
+const fileStorage = require('../utils/fileStorage');
+
+const RESET_TOKEN_EXPIRE_MINUTES = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES, 10) || 30;
+
+// Stream tickets stand in for the access token where it would go in a URL
+const STREAM_TICKET_PURPOSE = 'stream';
+const STREAM_TICKET_EXPIRE_SECONDS = 60;
 
 /**
- * Generate JWT Token
+ * Generate a short-lived JWT access token bound to a session
  * @param {object} user - User object
+ * @param {object} session - Session the token belongs to
  * @returns {string} - JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, session) => {
   return jwt.sign(
-    { id: user._id, role: user.role },
+    { id: user._id, role: user.role, sid: session._id, gen: session.generation },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+/**
+ * Generate a stream ticket: a JWT that can only open the notification
+ * stream, bound to the same session and valid for a minute
+ * @param {object} user - User object
+ * @param {string} sessionId - Session of the requesting access token
+ * @param {number} generation - Session generation of that token
+ * @returns {object} - { ticket, expiresIn } with expiresIn in seconds
+ */
+const generateStreamTicket = (user, sessionId, generation) => {
+  const ticket = jwt.sign(
+    { id: user._id, sid: sessionId, gen: generation, purpose: STREAM_TICKET_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TICKET_EXPIRE_SECONDS }
+  );
+  
+  return { ticket, expiresIn: STREAM_TICKET_EXPIRE_SECONDS };
+};
+
+/**
+ * Build the user payload returned by auth endpoints
+ * @param {object} user - User document
+ * @param {object} session - Session document
+ * @param {string} refreshToken - Refresh token of the session
+ * @returns {object} - User fields and tokens
+ */
+const toAuthResponse = (user, session, refreshToken) => ({
+  _id: user._id,
+  userId: user.userId,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  status: user.status,
+  mustChangePassword: user.mustChangePassword,
+  token: generateToken(user, session),
+  refreshToken
+});
+
+/**
+ * Start a new session for a user and build the auth payload
+ * @param {object} user - User document
+ * @param {object} meta - Optional userAgent and ipAddress of the client
+ * @returns {object} - User fields and tokens
+ */
+const startSession = async (user, meta) => {
+  const { session, refreshToken } = await sessionService.createSession(user._id, meta);
+  return toAuthResponse(user, session, refreshToken);
+};
+
+/**
+ * Hash a password reset token for storage and lookup
+ * @param {string} token - Plain reset token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashResetToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Channels a password reset token can be delivered through.
+ * Each channel receives the user, the plain token and its lifetime,
+ * and resolves to true when the token was handed off successfully.
+ */
+const resetTokenChannels = {
+  email: async (user, token, expiresInMinutes) => {
+    const resetUrl = process.env.PASSWORD_RESET_URL
+      ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+      : undefined;
+
+    const delivery = await sendEmail(
+      user.email,
+      'passwordReset',
+      { name: user.name, token, expiresInMinutes, resetUrl },
+      { referenceId: user._id, secrets: [token] }
+    );
+    return Boolean(delivery && delivery.status === 'sent');
+  },
+  sms: async (user, token, expiresInMinutes) => {
+    const delivery = await smsService.sendSMS(
+      user.phone,
+      `Your NFC password reset code is ${token}. It expires in ${expiresInMinutes} minutes.`,
+      { purpose: 'password_reset', referenceId: user._id, secrets: [token] }
+    );
+    return delivery.status === 'sent';
+  }
+};
+
+/**
+ * Register an additional password reset delivery channel
+ * @param {string} name - Channel name used in forgot-password requests
+ * @param {Function} deliver - async (user, token, expiresInMinutes) => boolean
+ */
+const registerResetChannel = (name, deliver) => {
+  resetTokenChannels[name] = deliver;
+};
+
 /**
  * Register a new user
  * @param {object} userData - User data
- * @returns {object} - User object and token
+ * @param {object} meta - Optional userAgent and ipAddress of the client
+ * @returns {object} - User object and tokens
  */
-const registerUser = async (userData) => {
+const registerUser = async (userData, meta = {}) => {
   const { name, email, phone, password } = userData;
   
   // Check if user exists
@@ -40,25 +151,17 @@ const registerUser = async (userData) => {
     status: 'pending'  // Pending admin approval
   });
   
-  return {
-    _id: user._id,
-    userId: user.userId,
-    name: user.name,
-    email: user.email,
-    phone: user.phone,
-    role: user.role,
-    status: user.status,
-    token: generateToken(user)
-  };
+  return await startSession(user, meta);
 };
 
 /**
  * Login user
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {object} - User object and token
+ * @param {object} meta - Optional userAgent and ipAddress of the client
+ * @returns {object} - User object and tokens
  */
-const loginUser = async (email, password) => {
+const loginUser = async (email, password, meta = {}) => {
   const user = await User.findOne({ email });
   
   if (!user) {
@@ -71,20 +174,175 @@ const loginUser = async (email, password) => {
     throw new Error('Invalid credentials');
   }
   
-  return {
-    _id: user._id,
-    userId: user.userId,
-    name: user.name,
-    email: user.email,
-    phone: user.phone,
-    role: user.role,
-    status: user.status,
-    token: generateToken(user)
-  };
+  return await startSession(user, meta);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Current refresh token
+ * @returns {object} - User object and rotated tokens
+ */
+const refreshSession = async (refreshToken) => {
+  const { session, refreshToken: newRefreshToken } = await sessionService.rotateSession(refreshToken);
+  
+  const user = await User.findById(session.userId);
+  
+  if (!user) {
+    await sessionService.revokeSession(session._id, 'admin');
+    throw new Error('User not found');
+  }
+  
+  return toAuthResponse(user, session, newRefreshToken);
+};
+
+/**
+ * Log out by revoking the current session
+ * @param {string} sessionId - Session ID of the access token
+ * @returns {boolean} - Success status
+ */
+const logoutUser = async (sessionId) => {
+  await sessionService.revokeSession(sessionId, 'logout');
+  return true;
+};
+
+/**
+ * Change the password of a logged-in user
+ * @param {string} userId - User ID
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {object} meta - Optional userAgent and ipAddress of the client
+ * @returns {object} - User object and fresh tokens
+ */
+const changePassword = async (userId, currentPassword, newPassword, meta = {}) => {
+  const user = await User.findById(userId);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  const isMatch = await user.matchPassword(currentPassword);
+  
+  if (!isMatch) {
+    throw new Error('Current password is incorrect');
+  }
+  
+  user.password = newPassword;
+  user.mustChangePassword = false;
+  await user.save();
+  
+  // Sign out every device and start a fresh session for this one
+  await sessionService.revokeAllSessions(user._id, 'password_change');
+  return await startSession(user, meta);
+};
+
+/**
+ * Issue a single-use password reset token and deliver it to the user
+ * @param {string} email - Account email
+ * @param {string} channel - Delivery channel (defaults to PASSWORD_RESET_CHANNEL or email)
+ * @returns {boolean} - Always true, so callers cannot probe which emails exist
+ */
+const requestPasswordReset = async (email, channel) => {
+  const channelName = channel || process.env.PASSWORD_RESET_CHANNEL || 'email';
+  const deliver = resetTokenChannels[channelName];
+  
+  if (!deliver) {
+    throw new Error(`Unsupported reset channel: ${channelName}`);
+  }
+  
+  const user = await User.findOne({ email });
+  
+  if (!user) {
+    return true;
+  }
+  
+  const token = crypto.randomBytes(20).toString('hex');
+  
+  user.passwordResetToken = hashResetToken(token);
+  user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_EXPIRE_MINUTES * 60 * 1000);
+  await user.save();
+  
+  const delivered = await deliver(user, token, RESET_TOKEN_EXPIRE_MINUTES);
+  
+  if (!delivered) {
+    console.error(`Password reset token for user ${user._id} could not be delivered via ${channelName}`);
+  }
+  
+  return true;
+};
+
+/**
+ * Reset a password using a reset token
+ * @param {string} token - Plain reset token
+ * @param {string} newPassword - New password
+ * @returns {string} - ID of the user whose password was reset
+ */
+const resetPassword = async (token, newPassword) => {
+  const user = await User.findOne({
+    passwordResetToken: hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+  
+  if (!user) {
+    throw new Error('Invalid or expired reset token');
+  }
+  
+  user.password = newPassword;
+  user.mustChangePassword = false;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+  
+  await sessionService.revokeAllSessions(user._id, 'password_change');
+  
+  return user._id;
+};
+
+/**
+ * Set a user's profile photo, removing the one it replaces
+ * @param {string} userId - User ID
+ * @param {string} fileId - ID of an upload with purpose profilePhoto
+ * @returns {object} - New profile photo (StoredFile)
+ */
+const updateProfilePhoto = async (userId, fileId) => {
+  const user = await User.findById(userId);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  const [photo] = await claimUploads(fileId, user._id, 'profilePhoto');
+  let previousPhoto;
+  
+  try {
+    previousPhoto = user.profilePhoto && await StoredFile.findById(user.profilePhoto);
+    
+    user.profilePhoto = photo._id;
+    await user.save();
+    await attachFiles([photo], 'User', user._id);
+  } catch (error) {
+    await releaseUploads([photo]);
+    throw error;
+  }
+  
+  if (previousPhoto) {
+    await fileStorage.removeFile(previousPhoto);
+    await previousPhoto.deleteOne();
+  }
+  
+  return photo;
 };
 
 module.exports = {
   registerUser,
   loginUser,
-  generateToken
+  refreshSession,
+  logoutUser,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  updateProfilePhoto,
+  registerResetChannel,
+  generateToken,
+  generateStreamTicket,
+  STREAM_TICKET_PURPOSE
 };
\ No newline at end of file
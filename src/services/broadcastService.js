@@ -1,6 +1,8 @@
 const Broadcast = require("../models/Broadcast");
 const User = require("../models/User");
 const notificationService = require("./notificationService");
+const smsService = require("../utils/smsService");
+const { sendEmail } = require("../utils/emailService");
 const { generateBroadcastId } = require("../utils/generateMiscId.js");
 
 /**
@@ -38,6 +40,10 @@ const createBroadcast = async (broadcastData, adminId) => {
         notificationChannels?.sms !== undefined
           ? notificationChannels.sms
           : false,
+      email:
+        notificationChannels?.email !== undefined
+          ? notificationChannels.email
+          : false,
     },
     targetUsers: targetUsers || "all",
     targetDepartments: targetDepartments || [],
@@ -206,13 +212,18 @@ const sendBroadcast = async (broadcastId) => {
     total: users.length,
     sent: 0,
     failed: 0,
+    app: { sent: 0, failed: 0 },
+    sms: { sent: 0, failed: 0 },
+    email: { sent: 0, failed: 0 },
   };
 
   for (const user of users) {
+    let delivered = true;
+
     try {
       // Send app notification
       if (broadcast.notificationChannels.app) {
-        await notificationService.sendNotification(
+        const notification = await notificationService.sendNotification(
           user._id,
           broadcast.title,
           broadcast.message,
@@ -223,20 +234,60 @@ const sendBroadcast = async (broadcastId) => {
             broadcastType: broadcast.broadcastType,
           }
         );
+
+        if (notification) {
+          deliveryStats.app.sent++;
+        } else {
+          deliveryStats.app.failed++;
+          delivered = false;
+        }
       }
 
       // Send SMS if enabled and user has phone number
       if (broadcast.notificationChannels.sms && user.phone) {
-        // In a real implementation, integrate with SMS service
-        console.log(
-          `SMS would be sent to ${user.phone}: ${broadcast.title} - ${broadcast.message}`
+        const delivery = await smsService.sendSMS(
+          user.phone,
+          `${broadcast.title}: ${broadcast.message}`,
+          { purpose: "broadcast", referenceId: broadcast._id }
         );
-        // await smsService.sendSMS(user.phone, `${broadcast.title}: ${broadcast.message}`);
+
+        if (delivery.status === "sent") {
+          deliveryStats.sms.sent++;
+        } else {
+          deliveryStats.sms.failed++;
+          delivered = false;
+        }
       }
 
-      deliveryStats.sent++;
+      // Send email if enabled
+      if (broadcast.notificationChannels.email && user.email) {
+        const delivery = await sendEmail(
+          user.email,
+          "broadcast",
+          {
+            name: user.name,
+            title: broadcast.title,
+            message: broadcast.message,
+            broadcastType: broadcast.broadcastType,
+          },
+          { referenceId: broadcast._id }
+        );
+
+        if (delivery && delivery.status === "sent") {
+          deliveryStats.email.sent++;
+        } else {
+          deliveryStats.email.failed++;
+          delivered = false;
+        }
+      }
     } catch (error) {
       console.error(`Failed to send broadcast to user ${user._id}:`, error);
+      delivered = false;
+    }
+
+    if (delivered) {
+      deliveryStats.sent++;
+    } else {
       deliveryStats.failed++;
     }
   }
@@ -319,6 +370,21 @@ const cancelScheduledBroadcast = async (broadcastId) => {
   return broadcast;
 };
 
+/**
+ * Get SMS delivery records for a broadcast
+ * @param {string} broadcastId - Broadcast ID
+ * @returns {Array} - SMS delivery records
+ */
+const getBroadcastSmsDeliveries = async (broadcastId) => {
+  const broadcast = await Broadcast.findById(broadcastId);
+
+  if (!broadcast) {
+    throw new Error("Broadcast not found");
+  }
+
+  return await smsService.getDeliveries(broadcast._id);
+};
+
 module.exports = {
   createBroadcast,
   getAllBroadcasts,
@@ -328,4 +394,5 @@ module.exports = {
   sendBroadcast,
   processScheduledBroadcasts,
   cancelScheduledBroadcast,
+  getBroadcastSmsDeliveries,
 };
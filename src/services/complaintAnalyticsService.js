@@ -0,0 +1,362 @@
+const Complaint = require("../models/Complaint");
+const User = require("../models/User");
+const Resource = require("../models/Resource");
+const { getTimeZone } = require("../utils/estateTime");
+
+const HOUR = 60 * 60 * 1000;
+
+// Statuses counting towards open workload (see assignmentService)
+const OPEN_STATUSES = ["assigned", "reopened", "onHold"];
+
+// Statuses of complaints still waiting for a fix
+const UNRESOLVED_STATUSES = [
+  "pending",
+  "assigned",
+  "onHold",
+  "reopened",
+  "escalated",
+];
+
+// Build the $match stage shared by the analytics queries
+const buildMatch = (filters = {}) => {
+  const matchStage = {};
+
+  if (filters.category) matchStage.category = filters.category;
+  if (filters.dateFrom || filters.dateTo) {
+    matchStage.createdAt = {};
+    if (filters.dateFrom) matchStage.createdAt.$gte = new Date(filters.dateFrom);
+    if (filters.dateTo) matchStage.createdAt.$lte = new Date(filters.dateTo);
+  }
+
+  return matchStage;
+};
+
+const median = (values) => {
+  const sorted = values.filter((value) => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value, digits = 1) =>
+  value === null || value === undefined
+    ? null
+    : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Hours between two date fields, null when either is missing
+const hoursBetween = (from, to) => ({
+  $cond: [
+    { $and: [{ $ifNull: [from, false] }, { $ifNull: [to, false] }] },
+    { $divide: [{ $subtract: [to, from] }, HOUR] },
+    null,
+  ],
+});
+
+// Performance metrics of the complaints assigned to each value of `field`
+// (assignedStaff or assignedAgency), optionally only assignees with a role
+const aggregateByAssignee = async (field, filters, role) => {
+  const assignees = role
+    ? { $in: await User.find({ role }).distinct("_id") }
+    : { $ne: null };
+
+  const metrics = await Complaint.aggregate([
+    { $match: { ...buildMatch(filters), [field]: assignees } },
+    {
+      $group: {
+        _id: `$${field}`,
+        assigned: { $sum: 1 },
+        // assignedAt moves on reassignment; older complaints only have that
+        hoursToAssign: {
+          $push: hoursBetween("$createdAt", {
+            $ifNull: ["$firstAssignedAt", "$assignedAt"],
+          }),
+        },
+        hoursToResolve: { $push: hoursBetween("$createdAt", "$resolvedAt") },
+        resolved: {
+          $sum: { $cond: [{ $ifNull: ["$resolvedAt", false] }, 1, 0] },
+        },
+        // Closed on the first fix: never escalated or reopened
+        firstTimeFixes: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", "closed"] },
+                  { $not: [{ $ifNull: ["$escalation.escalatedAt", false] }] },
+                  { $eq: [{ $ifNull: ["$reopenCount", 0] }, 0] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        escalated: {
+          $sum: {
+            $cond: [{ $ifNull: ["$escalation.escalatedAt", false] }, 1, 0],
+          },
+        },
+        avgRating: { $avg: "$feedback.rating" },
+        ratings: {
+          $sum: { $cond: [{ $ifNull: ["$feedback.rating", false] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  // Current open workload is not limited to the date range
+  const workload = await Complaint.aggregate([
+    {
+      $match: {
+        ...(filters.category ? { category: filters.category } : {}),
+        [field]: { $in: metrics.map((entry) => entry._id) },
+        status: { $in: OPEN_STATUSES },
+      },
+    },
+    { $group: { _id: `$${field}`, openComplaints: { $sum: 1 } } },
+  ]);
+  const openByAssignee = new Map(
+    workload.map((entry) => [entry._id.toString(), entry.openComplaints])
+  );
+
+  const users = await User.find({
+    _id: { $in: metrics.map((entry) => entry._id) },
+  }).select("userId name role department");
+  const userById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  return metrics
+    .map((entry) => {
+      const user = userById.get(entry._id.toString());
+
+      return {
+        _id: entry._id,
+        userId: user ? user.userId : null,
+        name: user ? user.name : null,
+        role: user ? user.role : null,
+        department: user ? user.department : null,
+        assigned: entry.assigned,
+        resolved: entry.resolved,
+        medianHoursToAssign: round(median(entry.hoursToAssign)),
+        medianHoursToResolve: round(median(entry.hoursToResolve)),
+        firstTimeFixRate: entry.resolved
+          ? round(entry.firstTimeFixes / entry.resolved, 3)
+          : null,
+        escalationRate: round(entry.escalated / entry.assigned, 3),
+        avgRating: round(entry.avgRating, 2),
+        ratings: entry.ratings,
+        openComplaints: openByAssignee.get(entry._id.toString()) || 0,
+      };
+    })
+    .sort((a, b) => b.assigned - a.assigned);
+};
+
+// Per-staff and per-agency performance: median hours to assign and resolve,
+// first-time-fix rate (resolved complaints closed without escalation or
+// reopening), escalation rate, average rating and open workload. Complaints
+// are selected by creation date and category.
+const getStaffPerformance = async (filters = {}) => {
+  const [staff, agencies] = await Promise.all([
+    aggregateByAssignee("assignedStaff", filters),
+    // Staff picked directly can be recorded as the agency; only count
+    // department agencies here
+    aggregateByAssignee("assignedAgency", filters, "departmentAdmin"),
+  ]);
+
+  return { staff, agencies };
+};
+
+// Period label formats of the trend intervals (weeks are ISO weeks)
+const INTERVAL_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+// Dimensions complaint trends can be broken down by
+const TREND_DIMENSIONS = {
+  block: "$resource.location.block",
+  sector: "$resource.location.sector",
+  floor: "$resource.location.floor",
+  category: "$category",
+  subcategory: "$subcategory",
+};
+
+// Location fields identifying a hotspot at each level: a block is unique
+// within its sector and a floor within its block
+const HOTSPOT_LEVELS = {
+  sector: ["sector"],
+  block: ["sector", "block"],
+  floor: ["sector", "block", "floor"],
+};
+
+// Pipeline selecting complaints and joining the location of their resource.
+// Merged duplicates are left out so that one fault is counted once.
+const matchWithLocation = (filters = {}) => {
+  const complaintMatch = {
+    ...buildMatch(filters),
+    status: { $ne: "merged" },
+  };
+  if (filters.subcategory) complaintMatch.subcategory = filters.subcategory;
+
+  const locationMatch = {};
+  if (filters.sector) {
+    locationMatch["resource.location.sector"] = filters.sector;
+  }
+  if (filters.block) locationMatch["resource.location.block"] = filters.block;
+
+  return [
+    { $match: complaintMatch },
+    {
+      $lookup: {
+        from: "resources",
+        localField: "resourceId",
+        foreignField: "_id",
+        as: "resource",
+      },
+    },
+    { $unwind: { path: "$resource", preserveNullAndEmptyArrays: true } },
+    { $match: locationMatch },
+  ];
+};
+
+// Complaint counts per day, week or month, optionally broken down by any of
+// the TREND_DIMENSIONS
+const getComplaintTrends = async (filters = {}) => {
+  const interval = INTERVAL_FORMATS[filters.interval]
+    ? filters.interval
+    : "day";
+  const groupBy = (filters.groupBy || []).filter((dimension) =>
+    Object.prototype.hasOwnProperty.call(TREND_DIMENSIONS, dimension)
+  );
+
+  const groupId = {
+    period: {
+      $dateToString: {
+        format: INTERVAL_FORMATS[interval],
+        date: "$createdAt",
+        // Days, weeks and months of the estate calendar
+        timezone: getTimeZone(),
+      },
+    },
+  };
+  groupBy.forEach((dimension) => {
+    groupId[dimension] = TREND_DIMENSIONS[dimension];
+  });
+
+  const projection = { _id: 0, period: "$_id.period", count: 1 };
+  groupBy.forEach((dimension) => {
+    projection[dimension] = { $ifNull: [`$_id.${dimension}`, null] };
+  });
+
+  const series = await Complaint.aggregate([
+    ...matchWithLocation(filters),
+    { $group: { _id: groupId, count: { $sum: 1 } } },
+    { $project: projection },
+    { $sort: { period: 1, count: -1 } },
+  ]);
+
+  return {
+    interval,
+    groupBy,
+    total: series.reduce((sum, point) => sum + point.count, 0),
+    series,
+  };
+};
+
+// Locations ranked by complaint density: complaints per registered resource
+// at the location. Defaults to blocks over the last 90 days.
+const getComplaintHotspots = async (filters = {}) => {
+  const level = HOTSPOT_LEVELS[filters.level] ? filters.level : "block";
+  const fields = HOTSPOT_LEVELS[level];
+  const limit = parseInt(filters.limit, 10) || 10;
+  const sortBy = filters.sortBy === "count" ? "count" : "density";
+
+  const dateFilters = { ...filters };
+  if (!dateFilters.dateFrom && !dateFilters.dateTo) {
+    dateFilters.dateFrom = new Date(Date.now() - 90 * 24 * HOUR);
+  }
+
+  const locationId = {};
+  fields.forEach((field) => {
+    locationId[field] = `$resource.location.${field}`;
+  });
+
+  const hotspots = await Complaint.aggregate([
+    ...matchWithLocation(dateFilters),
+    {
+      $match: {
+        [`resource.location.${fields[fields.length - 1]}`]: { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: locationId,
+        count: { $sum: 1 },
+        open: {
+          $sum: { $cond: [{ $in: ["$status", UNRESOLVED_STATUSES] }, 1, 0] },
+        },
+        affectedResources: { $addToSet: "$resourceId" },
+        subcategories: { $push: "$subcategory" },
+      },
+    },
+  ]);
+
+  // Registered resources per location, the denominator of the density
+  const resourceCounts = await Resource.aggregate([
+    { $match: { [`location.${fields[fields.length - 1]}`]: { $ne: null } } },
+    {
+      $group: {
+        _id: Object.fromEntries(
+          fields.map((field) => [field, `$location.${field}`])
+        ),
+        resources: { $sum: 1 },
+      },
+    },
+  ]);
+  const locationKey = (location) =>
+    JSON.stringify(fields.map((field) => location[field] ?? null));
+  const resourcesByLocation = new Map(
+    resourceCounts.map((entry) => [locationKey(entry._id), entry.resources])
+  );
+
+  return {
+    level,
+    sortBy,
+    hotspots: hotspots
+      .map((entry) => {
+        const resources =
+          resourcesByLocation.get(locationKey(entry._id)) ||
+          entry.affectedResources.length;
+
+        // Most frequent subcategories at the location
+        const bySubcategory = {};
+        entry.subcategories.forEach((subcategory) => {
+          bySubcategory[subcategory] = (bySubcategory[subcategory] || 0) + 1;
+        });
+
+        return {
+          location: entry._id,
+          count: entry.count,
+          open: entry.open,
+          resources,
+          affectedResources: entry.affectedResources.length,
+          density: round(entry.count / resources, 2),
+          topSubcategories: Object.entries(bySubcategory)
+            .map(([subcategory, count]) => ({ subcategory, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 3),
+        };
+      })
+      .sort((a, b) => b[sortBy] - a[sortBy] || b.count - a.count)
+      .slice(0, limit),
+  };
+};
+
+module.exports = {
+  getStaffPerformance,
+  getComplaintTrends,
+  getComplaintHotspots,
+};
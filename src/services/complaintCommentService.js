@@ -0,0 +1,128 @@
+const Complaint = require("../models/Complaint");
+const ComplaintComment = require("../models/ComplaintComment");
+const User = require("../models/User");
+const { sendBulkNotification } = require("./notificationService");
+const { roleHasPermissions } = require("./permissionService");
+const { claimUploads, releaseUploads, attachFiles } = require("./fileService");
+const {
+  outOfScopeError,
+  assertComplaintAccess,
+} = require("../utils/departmentScope");
+
+// Load a complaint and make sure the user may take part in its thread
+const findAccessibleComplaint = async (complaintId, user) => {
+  const complaint = await Complaint.findById(complaintId);
+  if (!complaint) {
+    throw new Error("Complaint not found");
+  }
+
+  assertComplaintAccess(user, complaint);
+  return complaint;
+};
+
+// Staff side of a complaint: assignees, or the department admins (superAdmins
+// for Misc) when nobody is assigned yet
+const findStaffSide = async (complaint) => {
+  const assignees = [complaint.assignedAgency, complaint.assignedStaff]
+    .filter(Boolean)
+    .map((id) => id.toString());
+
+  if (assignees.length > 0) {
+    return assignees;
+  }
+
+  const adminQuery =
+    complaint.category === "Misc"
+      ? { role: "superAdmin", status: "approved" }
+      : {
+          role: "departmentAdmin",
+          department: complaint.category,
+          status: "approved",
+        };
+  const admins = await User.find(adminQuery).select("_id");
+  return admins.map((admin) => admin._id.toString());
+};
+
+// Whether the user's role may read and write internal notes
+const canUseInternalNotes = async (user) =>
+  await roleHasPermissions(user.role, ["complaint:internalNote"]);
+
+// Get the comments of a complaint, oldest first. Internal notes are only
+// returned to roles with complaint:internalNote (not residents).
+const getComments = async (complaintId, user, page = 1, limit = 50) => {
+  await findAccessibleComplaint(complaintId, user);
+
+  const query = { complaint: complaintId };
+  if (!(await canUseInternalNotes(user))) {
+    query.isInternal = false;
+  }
+
+  return await ComplaintComment.paginate(query, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    sort: { createdAt: 1 },
+    populate: [{ path: "author", select: "name role" }, { path: "attachments" }],
+  });
+};
+
+// Add a comment to a complaint and notify the other party
+const addComment = async (complaintId, commentData, user) => {
+  const complaint = await findAccessibleComplaint(complaintId, user);
+  const isInternal = Boolean(commentData.isInternal);
+
+  if (isInternal && !(await canUseInternalNotes(user))) {
+    throw outOfScopeError("You are not allowed to post internal notes");
+  }
+
+  const attachments = await claimUploads(
+    commentData.attachments,
+    user._id,
+    "commentAttachment"
+  );
+
+  let comment;
+  try {
+    comment = await ComplaintComment.create({
+      complaint: complaint._id,
+      author: user._id,
+      authorRole: user.role,
+      message: commentData.message,
+      attachments: attachments.map((attachment) => attachment._id),
+      isInternal,
+    });
+
+    await attachFiles(attachments, "ComplaintComment", comment._id);
+  } catch (error) {
+    await releaseUploads(attachments);
+    throw error;
+  }
+
+  // Residents reach the staff side; staff reach the resident, or only the
+  // rest of the staff side for internal notes
+  const audience =
+    user.role === "resident" || isInternal
+      ? await findStaffSide(complaint)
+      : [complaint.userId.toString()];
+
+  const recipients = [...new Set(audience)].filter(
+    (recipientId) => recipientId !== user._id.toString()
+  );
+
+  await sendBulkNotification(
+    recipients,
+    isInternal ? "New Internal Note" : "New Comment on Complaint",
+    `${user.name} commented on complaint ${complaint.complaintId}`,
+    "complaint_comment",
+    { complaintId: complaint._id, commentId: comment._id }
+  );
+
+  return await comment.populate([
+    { path: "author", select: "name role" },
+    { path: "attachments" },
+  ]);
+};
+
+module.exports = {
+  getComments,
+  addComment,
+};
@@ -0,0 +1,267 @@
+const Complaint = require("../models/Complaint");
+const mongoose = require("mongoose");
+const { sendNotification } = require("./notificationService");
+const { assertComplaintInScope } = require("../utils/departmentScope");
+const { COMPLAINT_TRANSITIONS } = require("../utils/constants");
+const { isAutoAssignEnabled } = require("./assignmentService");
+const {
+  claimUploads,
+  releaseUploads,
+  attachFiles,
+} = require("./fileService");
+
+const HOUR = 60 * 60 * 1000;
+
+// Complaints that can still take duplicate reports
+const OPEN_STATUSES = ["pending", "assigned", "onHold", "reopened", "escalated"];
+
+// How duplicates are handled: "flag" (default) keeps the new complaint and
+// marks it for the admins, "merge" adds the resident to the open complaint
+const getDuplicateMode = () =>
+  process.env.DUPLICATE_COMPLAINT_MODE === "merge" ? "merge" : "flag";
+
+// Find the open complaint a new one likely duplicates: same resource and
+// subcategory, raised within DUPLICATE_WINDOW_HOURS (default 72)
+const findDuplicate = async ({ resourceId, subcategory }, now = new Date()) => {
+  const windowHours = parseInt(process.env.DUPLICATE_WINDOW_HOURS, 10) || 72;
+
+  return await Complaint.findOne({
+    resourceId,
+    subcategory,
+    status: { $in: OPEN_STATUSES },
+    createdAt: { $gte: new Date(now.getTime() - windowHours * HOUR) },
+  }).sort({ createdAt: 1 });
+};
+
+// Add a resident as a follower of a complaint instead of filing a duplicate.
+// Images of the duplicate report are added to the open complaint.
+const followComplaint = async (complaint, user, imageIds) => {
+  const images = await claimUploads(imageIds, user._id, "complaintImage");
+  const isOwner = complaint.userId.toString() === user._id.toString();
+  const isFollower = complaint.followers.some(
+    (id) => id.toString() === user._id.toString()
+  );
+
+  try {
+    if (!isOwner && !isFollower) {
+      complaint.followers.push(user._id);
+      complaint.history.push({
+        status: complaint.status,
+        updatedBy: user._id,
+        timestamp: new Date(),
+        notes: "Duplicate report merged; reporter added as a follower",
+      });
+    }
+    if (images.length > 0) {
+      complaint.images.push(...images.map((image) => image._id));
+    }
+
+    if (complaint.isModified()) {
+      await complaint.save();
+    }
+    await attachFiles(images, "Complaint", complaint._id);
+  } catch (error) {
+    await releaseUploads(images);
+    throw error;
+  }
+
+  if (isOwner) {
+    return complaint; // Their own complaint is already open
+  }
+
+  await sendNotification(
+    user._id,
+    "Complaint Merged",
+    `The issue you reported is already being handled as complaint ${complaint.complaintId}. You will receive its updates.`,
+    "complaint",
+    { complaintId: complaint._id }
+  );
+
+  return complaint;
+};
+
+// Merge a complaint into the open complaint it duplicates. Its reporter and
+// followers become followers of the original.
+const mergeComplaint = async (complaintId, targetComplaintId, user) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (complaintId.toString() === targetComplaintId.toString()) {
+      throw new Error("A complaint cannot be merged into itself");
+    }
+
+    const complaint = await Complaint.findById(complaintId).session(session);
+    const target = await Complaint.findById(targetComplaintId).session(session);
+    if (!complaint || !target) {
+      throw new Error("Complaint not found");
+    }
+
+    assertComplaintInScope(user, complaint);
+    assertComplaintInScope(user, target);
+
+    if (!(COMPLAINT_TRANSITIONS[complaint.status] || []).includes("merged")) {
+      throw new Error(`Cannot merge a ${complaint.status} complaint`);
+    }
+    if (!OPEN_STATUSES.includes(target.status)) {
+      throw new Error("Complaints can only be merged into an open complaint");
+    }
+    if (complaint.resourceId.toString() !== target.resourceId.toString()) {
+      throw new Error("Only complaints about the same resource can be merged");
+    }
+
+    const newFollowers = [complaint.userId, ...complaint.followers].filter(
+      (id) =>
+        id.toString() !== target.userId.toString() &&
+        !target.followers.some((existing) => existing.toString() === id.toString())
+    );
+    target.followers.push(...newFollowers);
+    target.history.push({
+      status: target.status,
+      updatedBy: user._id,
+      timestamp: new Date(),
+      notes: `Duplicate complaint ${complaint.complaintId} merged`,
+    });
+
+    complaint.status = "merged";
+    complaint.duplicateOf = target._id;
+    complaint.possibleDuplicateOf = undefined;
+    complaint.mergedAt = new Date();
+    complaint.history.push({
+      status: "merged",
+      updatedBy: user._id,
+      timestamp: new Date(),
+      notes: `Merged into complaint ${target.complaintId}`,
+    });
+
+    await target.save({ session });
+    await complaint.save({ session });
+
+    await sendNotification(
+      complaint.userId,
+      "Complaint Merged",
+      `Your complaint ${complaint.complaintId} duplicates complaint ${target.complaintId} and has been merged into it. You will receive its updates.`,
+      "complaint",
+      { complaintId: target._id }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return complaint;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Clear the possible-duplicate flag of a complaint that is a separate issue
+const dismissDuplicateFlag = async (complaintId, user) => {
+  const complaint = await Complaint.findById(complaintId);
+  if (!complaint) {
+    throw new Error("Complaint not found");
+  }
+
+  assertComplaintInScope(user, complaint);
+
+  if (!complaint.possibleDuplicateOf) {
+    throw new Error("Complaint is not flagged as a possible duplicate");
+  }
+
+  complaint.possibleDuplicateOf = undefined;
+  complaint.history.push({
+    status: complaint.status,
+    updatedBy: user._id,
+    timestamp: new Date(),
+    notes: "Reviewed: not a duplicate",
+  });
+  await complaint.save();
+
+  // Flagged complaints skipped automatic assignment on submission
+  if (isAutoAssignEnabled() && complaint.status === "pending") {
+    // Loaded here because complaintService depends on this module
+    const { autoAssignComplaint } = require("./complaintService");
+    try {
+      return await autoAssignComplaint(complaint._id);
+    } catch (error) {
+      console.error("Error auto-assigning complaint:", error);
+    }
+  }
+
+  return complaint;
+};
+
+// Resources with recurring faults: at least `minCount` resident complaints
+// of the same subcategory within the last `days` days. Merged duplicates,
+// withdrawn complaints and preventive work orders are not counted.
+const getRecurringFaults = async (filters = {}) => {
+  const days = parseInt(filters.days, 10) || 60;
+  const minCount = parseInt(filters.minCount, 10) || 3;
+
+  const matchStage = {
+    createdAt: { $gte: new Date(Date.now() - days * 24 * HOUR) },
+    status: { $nin: ["merged", "withdrawn"] },
+    source: { $ne: "preventive" },
+  };
+  if (filters.category) matchStage.category = filters.category;
+  if (filters.subcategory) matchStage.subcategory = filters.subcategory;
+
+  const faults = await Complaint.aggregate([
+    { $match: matchStage },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { resourceId: "$resourceId", subcategory: "$subcategory" },
+        category: { $first: "$category" },
+        count: { $sum: 1 },
+        open: {
+          $sum: { $cond: [{ $in: ["$status", OPEN_STATUSES] }, 1, 0] },
+        },
+        firstReportedAt: { $first: "$createdAt" },
+        lastReportedAt: { $last: "$createdAt" },
+        complaints: { $push: "$complaintId" },
+      },
+    },
+    { $match: { count: { $gte: minCount } } },
+    {
+      $lookup: {
+        from: "resources",
+        localField: "_id.resourceId",
+        foreignField: "_id",
+        as: "resource",
+      },
+    },
+    { $unwind: { path: "$resource", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        resource: {
+          _id: "$_id.resourceId",
+          resourceName: "$resource.resourceName",
+          resourceType: "$resource.resourceType",
+          location: "$resource.location",
+        },
+        category: 1,
+        subcategory: "$_id.subcategory",
+        count: 1,
+        open: 1,
+        firstReportedAt: 1,
+        lastReportedAt: 1,
+        complaints: 1,
+      },
+    },
+    { $sort: { count: -1, lastReportedAt: -1 } },
+  ]);
+
+  return { days, minCount, faults };
+};
+
+module.exports = {
+  getDuplicateMode,
+  findDuplicate,
+  followComplaint,
+  mergeComplaint,
+  dismissDuplicateFlag,
+  getRecurringFaults,
+};
@@ -1,7 +1,122 @@
 const Complaint = require("../models/Complaint");
 const User = require("../models/User");
+const MaintenancePlan = require("../models/MaintenancePlan");
 const mongoose = require("mongoose");
-const { sendNotification } = require("../utils/notificationHelper");
+const {
+  sendNotification,
+  sendBulkNotification,
+} = require("./notificationService");
+const { sendEmail } = require("../utils/emailService");
+const {
+  computeSla,
+  pauseSla,
+  resumeSla,
+  restartResolveClock,
+} = require("./slaService");
+const { isAutoAssignEnabled, pickStaff } = require("./assignmentService");
+const {
+  claimUploads,
+  releaseUploads,
+  attachFiles,
+} = require("./fileService");
+const { issueMaterials, alertLowStock } = require("./inventoryService");
+const {
+  getDuplicateMode,
+  findDuplicate,
+  followComplaint,
+} = require("./complaintDuplicateService");
+const {
+  outOfScopeError,
+  assertComplaintInScope,
+  assertUserInScope,
+} = require("../utils/departmentScope");
+const { COMPLAINT_TRANSITIONS } = require("../utils/constants");
+
+// Make sure a complaint may move to the given status
+const assertTransition = (complaint, status) => {
+  const allowed = COMPLAINT_TRANSITIONS[complaint.status] || [];
+  if (!allowed.includes(status)) {
+    throw new Error(
+      `Cannot change a ${complaint.status} complaint to ${status}`
+    );
+  }
+};
+
+// Residents may only act on their own complaints
+const assertComplaintOwner = (user, complaint) => {
+  if (
+    user.role === "resident" &&
+    complaint.userId.toString() !== user._id.toString()
+  ) {
+    throw outOfScopeError("Not authorized to access this complaint");
+  }
+};
+
+// Agency and staff member working on a complaint, each listed once
+const complaintAssignees = (complaint) => [
+  ...new Set(
+    [complaint.assignedAgency, complaint.assignedStaff]
+      .filter(Boolean)
+      .map((id) => id.toString())
+  ),
+];
+
+// Notify the resident who raised a complaint. Preventive work orders are
+// filed under the admin who set up the plan, who is not a resident and is
+// not asked for updates or feedback.
+const notifyOwner = async (complaint, title, message, data = {}) => {
+  if (complaint.source === "preventive") {
+    return null;
+  }
+
+  return await sendNotification(
+    complaint.userId,
+    title,
+    message,
+    "complaint",
+    { complaintId: complaint._id, ...data }
+  );
+};
+
+// Email the complaint owner and followers about a status change, and notify
+// the followers in the app (the owner is notified by each action). Runs after
+// commit, never throws.
+const emailStatusChange = async (complaint, notes) => {
+  try {
+    const followerIds = complaint.followers || [];
+    const ownerIds =
+      complaint.source === "preventive" ? [] : [complaint.userId];
+    const recipients = await User.find({
+      _id: { $in: [...ownerIds, ...followerIds] },
+    }).select("name email");
+
+    for (const recipient of recipients) {
+      await sendEmail(
+        recipient.email,
+        "complaintStatusChanged",
+        {
+          name: recipient.name,
+          complaintId: complaint.complaintId,
+          status: complaint.status,
+          notes,
+        },
+        { referenceId: complaint._id }
+      );
+    }
+
+    if (followerIds.length > 0) {
+      await sendBulkNotification(
+        followerIds,
+        "Complaint Update",
+        `Complaint ${complaint.complaintId} you follow is now ${complaint.status}`,
+        "complaint",
+        { complaintId: complaint._id }
+      );
+    }
+  } catch (error) {
+    console.error("Error emailing complaint status change:", error);
+  }
+};
 
 // Get all complaints with pagination, filtering and sorting
 const getComplaints = async (
@@ -24,6 +139,7 @@ const getComplaints = async (
         },
         { path: "assignedAgency", select: "name department" },
         { path: "assignedStaff", select: "name" },
+        { path: "images" },
       ],
     };
 
@@ -31,8 +147,22 @@ const getComplaints = async (
 
     // Apply filters
     if (filters.userId) query.userId = mongoose.Types.ObjectId(filters.userId);
+    if (filters.participantId) {
+      // Complaints raised or followed by a resident
+      query.$or = [
+        { userId: filters.participantId },
+        { followers: filters.participantId },
+      ];
+    }
     if (filters.category) query.category = filters.category;
     if (filters.status) query.status = filters.status;
+    // Complaints filed before the source field existed are reactive
+    if (filters.source) {
+      query.source =
+        filters.source === "reactive"
+          ? { $in: ["reactive", null] }
+          : filters.source;
+    }
     if (filters.resourceId)
       query.resourceId = mongoose.Types.ObjectId(filters.resourceId);
     if (filters.dateFrom && filters.dateTo) {
@@ -60,6 +190,7 @@ const getComplaintById = async (complaintId) => {
       )
       .populate("assignedAgency", "name department")
       .populate("assignedStaff", "name")
+      .populate("images")
       .populate("history.updatedBy", "name role");
 
     if (!complaint) {
@@ -72,17 +203,39 @@ const getComplaintById = async (complaintId) => {
   }
 };
 
-// Create a new complaint
+// Create a new complaint. A likely duplicate of an open complaint is either
+// merged into it (the resident follows the open complaint instead) or
+// created and flagged for the admins, depending on DUPLICATE_COMPLAINT_MODE.
+// Returns { complaint, merged }.
 const createComplaint = async (complaintData, user) => {
+  const duplicate = await findDuplicate(complaintData);
+  if (duplicate && getDuplicateMode() === "merge") {
+    return {
+      complaint: await followComplaint(duplicate, user, complaintData.images),
+      merged: true,
+    };
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let images = [];
   try {
+    // Images are uploaded beforehand and referenced by file ID
+    images = await claimUploads(
+      complaintData.images,
+      user._id,
+      "complaintImage"
+    );
+
     // Create complaint with the userId of the current user
     const complaint = new Complaint({
       ...complaintData,
+      images: images.map((image) => image._id),
       userId: user._id,
       status: "pending",
+      possibleDuplicateOf: duplicate ? duplicate._id : undefined,
+      sla: await computeSla(complaintData.category, complaintData.subcategory),
       history: [
         {
           status: "pending",
@@ -116,25 +269,113 @@ const createComplaint = async (complaintData, user) => {
       await sendNotification(
         agency._id,
         "New Complaint Received",
-        `A new ${complaintData.category} complaint has been submitted: ${complaint.complaintId}`,
+        duplicate
+          ? `A new ${complaintData.category} complaint has been submitted: ${complaint.complaintId} (possible duplicate of ${duplicate.complaintId})`
+          : `A new ${complaintData.category} complaint has been submitted: ${complaint.complaintId}`,
         "complaint",
-        complaint._id
+        { complaintId: complaint._id }
       );
     }
 
     await session.commitTransaction();
     session.endSession();
 
-    return complaint;
+    await attachFiles(images, "Complaint", complaint._id);
+
+    // Possible duplicates wait for an admin to merge or clear them
+    if (isAutoAssignEnabled() && !duplicate) {
+      try {
+        return {
+          complaint: await autoAssignComplaint(complaint._id),
+          merged: false,
+        };
+      } catch (error) {
+        console.error("Error auto-assigning complaint:", error);
+      }
+    }
+
+    return { complaint, merged: false };
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
+    await releaseUploads(images);
     throw error;
   }
 };
 
+// Assign a complaint to the best available staff member of its department.
+// Without a user the decision is recorded as automatic (on submission).
+const autoAssignComplaint = async (complaintId, user = null) => {
+  const complaint = await Complaint.findById(complaintId);
+  if (!complaint) {
+    throw new Error("Complaint not found");
+  }
+
+  if (user) {
+    assertComplaintInScope(user, complaint);
+  }
+
+  if (complaint.status !== "pending") {
+    throw new Error("Only pending complaints can be assigned automatically");
+  }
+
+  const decision = await pickStaff(complaint);
+
+  if (!decision) {
+    complaint.history.push({
+      status: complaint.status,
+      updatedBy: user ? user._id : undefined,
+      timestamp: new Date(),
+      notes: `Automatic assignment: no available ${complaint.category} staff, left for manual assignment`,
+    });
+    await complaint.save();
+
+    if (user) {
+      throw new Error(`No available ${complaint.category} staff to assign`);
+    }
+    return complaint;
+  }
+
+  const { staff, reason } = decision;
+
+  // Staff are picked directly; no agency is involved
+  complaint.assignedStaff = staff._id;
+  complaint.autoAssigned = true;
+  complaint.status = "assigned";
+  complaint.assignedAt = new Date();
+  complaint.firstAssignedAt = complaint.firstAssignedAt || complaint.assignedAt;
+  complaint.history.push({
+    status: "assigned",
+    updatedBy: user ? user._id : undefined,
+    timestamp: new Date(),
+    notes: `Automatically assigned to ${staff.name} (${reason})`,
+  });
+
+  await complaint.save();
+
+  // Notify staff
+  await sendNotification(
+    staff._id,
+    "Complaint Assigned",
+    `A complaint ${complaint.complaintId} has been assigned to you`,
+    "complaint",
+    { complaintId: complaint._id }
+  );
+
+  // Notify user
+  await notifyOwner(
+    complaint,
+    "Complaint Update",
+    `Your complaint ${complaint.complaintId} has been assigned to maintenance staff`
+  );
+
+  await emailStatusChange(complaint, `Assigned to ${staff.name}`);
+
+  return complaint;
+};
+
 // Assign complaint to agency
-const assignComplaint = async (complaintId, agencyId, userId) => {
+const assignComplaint = async (complaintId, agencyId, user) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -144,6 +385,13 @@ const assignComplaint = async (complaintId, agencyId, userId) => {
       throw new Error("Complaint not found");
     }
 
+    assertComplaintInScope(user, complaint);
+
+    if (complaint.status === "onHold") {
+      throw new Error("Resume the complaint before reassigning it");
+    }
+    assertTransition(complaint, "assigned");
+
     // Verify agency exists
     const agency = await User.findOne({
       _id: agencyId,
@@ -155,15 +403,28 @@ const assignComplaint = async (complaintId, agencyId, userId) => {
       throw new Error("Maintenance agency not found");
     }
 
+    assertUserInScope(user, agency);
+
     // Update complaint
+    const overridden = complaint.autoAssigned;
     complaint.assignedAgency = agencyId;
+    complaint.autoAssigned = false;
+    if (overridden) {
+      // The automatically picked staff member is no longer responsible
+      complaint.assignedStaff =
+        agency.role === "maintenanceStaff" ? agency._id : undefined;
+    }
     complaint.status = "assigned";
     complaint.assignedAt = new Date();
+    complaint.firstAssignedAt =
+      complaint.firstAssignedAt || complaint.assignedAt;
     complaint.history.push({
       status: "assigned",
-      updatedBy: userId,
+      updatedBy: user._id,
       timestamp: new Date(),
-      notes: `Assigned to ${agency.name}`,
+      notes: overridden
+        ? `Automatic assignment overridden: assigned to ${agency.name}`
+        : `Assigned to ${agency.name}`,
     });
 
     await complaint.save({ session });
@@ -174,21 +435,21 @@ const assignComplaint = async (complaintId, agencyId, userId) => {
       "Complaint Assigned",
       `A complaint ${complaint.complaintId} has been assigned to you`,
       "complaint",
-      complaint._id
+      { complaintId: complaint._id }
     );
 
     // Notify user
-    await sendNotification(
-      complaint.userId,
+    await notifyOwner(
+      complaint,
       "Complaint Update",
-      `Your complaint ${complaint.complaintId} has been assigned to maintenance staff`,
-      "complaint",
-      complaint._id
+      `Your complaint ${complaint.complaintId} has been assigned to maintenance staff`
     );
 
     await session.commitTransaction();
     session.endSession();
 
+    await emailStatusChange(complaint, `Assigned to ${agency.name}`);
+
     return complaint;
   } catch (error) {
     await session.abortTransaction();
@@ -198,7 +459,7 @@ const assignComplaint = async (complaintId, agencyId, userId) => {
 };
 
 // Assign complaint to staff
-const assignToStaff = async (complaintId, staffId, agencyId) => {
+const assignToStaff = async (complaintId, staffId, user) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -208,6 +469,13 @@ const assignToStaff = async (complaintId, staffId, agencyId) => {
       throw new Error("Complaint not found");
     }
 
+    assertComplaintInScope(user, complaint);
+
+    const openStatuses = ["pending", "assigned", "onHold", "reopened"];
+    if (!openStatuses.includes(complaint.status)) {
+      throw new Error(`Cannot assign staff to a ${complaint.status} complaint`);
+    }
+
     // Verify staff exists and belongs to agency
     const staff = await User.findOne({
       _id: staffId,
@@ -219,13 +487,19 @@ const assignToStaff = async (complaintId, staffId, agencyId) => {
       throw new Error("Maintenance staff not found");
     }
 
+    assertUserInScope(user, staff);
+
     // Update complaint
+    const overridden = complaint.autoAssigned;
     complaint.assignedStaff = staffId;
+    complaint.autoAssigned = false;
     complaint.history.push({
       status: complaint.status,
-      updatedBy: agencyId,
+      updatedBy: user._id,
       timestamp: new Date(),
-      notes: `Assigned to staff: ${staff.name}`,
+      notes: overridden
+        ? `Automatic assignment overridden: assigned to staff: ${staff.name}`
+        : `Assigned to staff: ${staff.name}`,
     });
 
     await complaint.save({ session });
@@ -236,7 +510,7 @@ const assignToStaff = async (complaintId, staffId, agencyId) => {
       "Complaint Assigned",
       `A complaint ${complaint.complaintId} has been assigned to you`,
       "complaint",
-      complaint._id
+      { complaintId: complaint._id }
     );
 
     await session.commitTransaction();
@@ -250,8 +524,14 @@ const assignToStaff = async (complaintId, staffId, agencyId) => {
   }
 };
 
-// Mark complaint as resolved by maintenance staff/agency
-const resolveComplaint = async (complaintId, resolutionNotes, userId) => {
+// Mark complaint as resolved by maintenance staff/agency, issuing the
+// materials consumed from stock
+const resolveComplaint = async (
+  complaintId,
+  resolutionNotes,
+  user,
+  materials = []
+) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -261,8 +541,10 @@ const resolveComplaint = async (complaintId, resolutionNotes, userId) => {
       throw new Error("Complaint not found");
     }
 
-    if (complaint.status !== "assigned") {
-      throw new Error("Complaint must be in assigned status to be resolved");
+    assertComplaintInScope(user, complaint);
+
+    if (!["assigned", "reopened"].includes(complaint.status)) {
+      throw new Error("Complaint must be assigned or reopened to be resolved");
     }
 
     // Update complaint
@@ -271,20 +553,214 @@ const resolveComplaint = async (complaintId, resolutionNotes, userId) => {
     complaint.resolutionNotes = resolutionNotes;
     complaint.history.push({
       status: "resolved",
-      updatedBy: userId,
+      updatedBy: user._id,
       timestamp: new Date(),
       notes: resolutionNotes,
     });
 
     await complaint.save({ session });
 
+    const lowStock = await issueMaterials(complaint, materials, user, session);
+
+    // Preventive work orders complete their plan's cycle; there is no
+    // resident to ask for feedback
+    if (complaint.source === "preventive") {
+      await MaintenancePlan.updateOne(
+        { _id: complaint.maintenancePlan },
+        { lastCompletedAt: complaint.resolvedAt },
+        { session }
+      );
+
+      await session.commitTransaction();
+      session.endSession();
+
+      await alertLowStock(lowStock);
+      return complaint;
+    }
+
     // Notify user
-    await sendNotification(
-      complaint.userId,
+    await notifyOwner(
+      complaint,
       "Complaint Resolved",
-      `Your complaint ${complaint.complaintId} has been resolved. Please provide feedback.`,
-      "complaint",
-      complaint._id
+      `Your complaint ${complaint.complaintId} has been resolved. Please provide feedback.`
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await alertLowStock(lowStock);
+    await emailStatusChange(complaint, resolutionNotes);
+
+    return complaint;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Withdraw an open complaint at the resident's request
+const withdrawComplaint = async (complaintId, reason, user) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const complaint = await Complaint.findById(complaintId).session(session);
+    if (!complaint) {
+      throw new Error("Complaint not found");
+    }
+
+    assertComplaintOwner(user, complaint);
+    assertTransition(complaint, "withdrawn");
+
+    complaint.status = "withdrawn";
+    complaint.withdrawnAt = new Date();
+    complaint.history.push({
+      status: "withdrawn",
+      updatedBy: user._id,
+      timestamp: new Date(),
+      notes: `Withdrawn by resident${reason ? `: ${reason}` : ""}`,
+    });
+
+    await complaint.save({ session });
+
+    // Notify whoever was working on it
+    for (const assigneeId of complaintAssignees(complaint)) {
+      await sendNotification(
+        assigneeId,
+        "Complaint Withdrawn",
+        `Complaint ${complaint.complaintId} has been withdrawn by the resident`,
+        "complaint",
+        { complaintId: complaint._id }
+      );
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return complaint;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Put an assigned or reopened complaint on hold; SLA clocks stop until it resumes
+const holdComplaint = async (complaintId, reason, expectedResumeAt, user) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const complaint = await Complaint.findById(complaintId).session(session);
+    if (!complaint) {
+      throw new Error("Complaint not found");
+    }
+
+    assertComplaintInScope(user, complaint);
+
+    // Staff can only hold complaints assigned to them
+    if (
+      user.role === "maintenanceStaff" &&
+      (!complaint.assignedStaff ||
+        complaint.assignedStaff.toString() !== user._id.toString())
+    ) {
+      throw outOfScopeError("Not authorized to access this complaint");
+    }
+
+    assertTransition(complaint, "onHold");
+
+    const resumeDate = new Date(expectedResumeAt);
+    if (resumeDate <= new Date()) {
+      throw new Error("Expected resume date must be in the future");
+    }
+
+    const now = new Date();
+    complaint.hold = {
+      reason,
+      expectedResumeAt: resumeDate,
+      heldAt: now,
+      heldBy: user._id,
+      previousStatus: complaint.status,
+    };
+    complaint.status = "onHold";
+    pauseSla(complaint, now);
+    complaint.history.push({
+      status: "onHold",
+      updatedBy: user._id,
+      timestamp: now,
+      notes: `On hold: ${reason} (expected to resume ${resumeDate.toISOString()})`,
+    });
+
+    await complaint.save({ session });
+
+    // Notify user
+    await notifyOwner(
+      complaint,
+      "Complaint On Hold",
+      `Work on your complaint ${complaint.complaintId} is on hold: ${reason}`,
+      { expectedResumeAt: resumeDate }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await emailStatusChange(complaint, reason);
+
+    return complaint;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Resume a complaint on hold, restoring its previous status
+const resumeComplaint = async (complaintId, notes, user) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const complaint = await Complaint.findById(complaintId).session(session);
+    if (!complaint) {
+      throw new Error("Complaint not found");
+    }
+
+    assertComplaintInScope(user, complaint);
+
+    if (
+      user.role === "maintenanceStaff" &&
+      (!complaint.assignedStaff ||
+        complaint.assignedStaff.toString() !== user._id.toString())
+    ) {
+      throw outOfScopeError("Not authorized to access this complaint");
+    }
+
+    if (complaint.status !== "onHold") {
+      throw new Error("Only complaints on hold can be resumed");
+    }
+
+    const status = complaint.hold.previousStatus || "assigned";
+    assertTransition(complaint, status);
+
+    const now = new Date();
+    complaint.status = status;
+    complaint.hold = undefined;
+    resumeSla(complaint, now);
+    complaint.history.push({
+      status,
+      updatedBy: user._id,
+      timestamp: now,
+      notes: notes ? `Resumed: ${notes}` : "Resumed",
+    });
+
+    await complaint.save({ session });
+
+    // Notify user
+    await notifyOwner(
+      complaint,
+      "Complaint Update",
+      `Work on your complaint ${complaint.complaintId} has resumed`
     );
 
     await session.commitTransaction();
@@ -298,6 +774,78 @@ const resolveComplaint = async (complaintId, resolutionNotes, userId) => {
   }
 };
 
+// Reopen a closed complaint when the issue comes back
+const reopenComplaint = async (complaintId, reason, user) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const complaint = await Complaint.findById(complaintId).session(session);
+    if (!complaint) {
+      throw new Error("Complaint not found");
+    }
+
+    assertComplaintOwner(user, complaint);
+    assertComplaintInScope(user, complaint);
+    assertTransition(complaint, "reopened");
+
+    const now = new Date();
+    complaint.status = "reopened";
+    complaint.reopenedAt = now;
+    complaint.reopenCount = (complaint.reopenCount || 0) + 1;
+    complaint.resolvedAt = undefined;
+    complaint.closedAt = undefined;
+    await restartResolveClock(complaint, now);
+    complaint.history.push({
+      status: "reopened",
+      updatedBy: user._id,
+      timestamp: now,
+      notes: `Reopened: ${reason}`,
+    });
+
+    await complaint.save({ session });
+
+    // Notify the assignees, or the department when nobody is assigned
+    const assignees = complaintAssignees(complaint);
+
+    if (assignees.length === 0) {
+      const adminQuery =
+        complaint.category === "Misc"
+          ? { role: "superAdmin", status: "approved" }
+          : {
+              role: "departmentAdmin",
+              department: complaint.category,
+              status: "approved",
+            };
+      const admins = await User.find(adminQuery)
+        .select("_id")
+        .session(session);
+      assignees.push(...admins.map((admin) => admin._id.toString()));
+    }
+
+    for (const assigneeId of new Set(assignees)) {
+      await sendNotification(
+        assigneeId,
+        "Complaint Reopened",
+        `Complaint ${complaint.complaintId} has been reopened: ${reason}`,
+        "complaint",
+        { complaintId: complaint._id }
+      );
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await emailStatusChange(complaint, reason);
+
+    return complaint;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
 // Submit feedback and close complaint or escalate
 const submitFeedback = async (complaintId, rating, comment, userId) => {
   const session = await mongoose.startSession();
@@ -333,14 +881,16 @@ const submitFeedback = async (complaintId, rating, comment, userId) => {
         }`,
       });
 
-      // Notify agency
-      await sendNotification(
-        complaint.assignedAgency,
-        "Complaint Closed",
-        `Complaint ${complaint.complaintId} has been closed with rating: ${rating}/5`,
-        "complaint",
-        complaint._id
-      );
+      // Notify whoever worked on it
+      for (const assigneeId of complaintAssignees(complaint)) {
+        await sendNotification(
+          assigneeId,
+          "Complaint Closed",
+          `Complaint ${complaint.complaintId} has been closed with rating: ${rating}/5`,
+          "complaint",
+          { complaintId: complaint._id }
+        );
+      }
     } else {
       // If not satisfied, escalate the complaint
       complaint.status = "escalated";
@@ -374,18 +924,20 @@ const submitFeedback = async (complaintId, rating, comment, userId) => {
           "Complaint Escalated",
           `Complaint ${complaint.complaintId} has been escalated due to unsatisfactory resolution`,
           "complaint",
-          complaint._id
+          { complaintId: complaint._id }
         );
       }
 
-      // Notify agency
-      await sendNotification(
-        complaint.assignedAgency,
-        "Complaint Escalated",
-        `Complaint ${complaint.complaintId} has been escalated. Rating: ${rating}/5`,
-        "complaint",
-        complaint._id
-      );
+      // Notify whoever worked on it
+      for (const assigneeId of complaintAssignees(complaint)) {
+        await sendNotification(
+          assigneeId,
+          "Complaint Escalated",
+          `Complaint ${complaint.complaintId} has been escalated. Rating: ${rating}/5`,
+          "complaint",
+          { complaintId: complaint._id }
+        );
+      }
     }
 
     await complaint.save({ session });
@@ -393,6 +945,8 @@ const submitFeedback = async (complaintId, rating, comment, userId) => {
     await session.commitTransaction();
     session.endSession();
 
+    await emailStatusChange(complaint, comment);
+
     return complaint;
   } catch (error) {
     await session.abortTransaction();
@@ -431,26 +985,28 @@ const finalizeComplaint = async (complaintId, resolution, authorityId) => {
     await complaint.save({ session });
 
     // Notify user
-    await sendNotification(
-      complaint.userId,
+    await notifyOwner(
+      complaint,
       "Final Resolution",
-      `Your escalated complaint ${complaint.complaintId} has received final resolution from the appellate authority`,
-      "complaint",
-      complaint._id
+      `Your escalated complaint ${complaint.complaintId} has received final resolution from the appellate authority`
     );
 
-    // Notify agency
-    await sendNotification(
-      complaint.assignedAgency,
-      "Final Resolution",
-      `Escalated complaint ${complaint.complaintId} has received final resolution from the appellate authority`,
-      "complaint",
-      complaint._id
-    );
+    // Notify whoever worked on it
+    for (const assigneeId of complaintAssignees(complaint)) {
+      await sendNotification(
+        assigneeId,
+        "Final Resolution",
+        `Escalated complaint ${complaint.complaintId} has received final resolution from the appellate authority`,
+        "complaint",
+        { complaintId: complaint._id }
+      );
+    }
 
     await session.commitTransaction();
     session.endSession();
 
+    await emailStatusChange(complaint, resolution);
+
     return complaint;
   } catch (error) {
     await session.abortTransaction();
@@ -477,11 +1033,12 @@ const getComplaintStats = async (filters = {}) => {
       };
     }
 
+    // Preventive work orders are counted apart from reactive complaints
     const result = await Complaint.aggregate([
       { $match: matchStage },
       {
         $group: {
-          _id: null,
+          _id: { $ifNull: ["$source", "reactive"] },
           total: { $sum: 1 },
           pending: {
             $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
@@ -501,6 +1058,37 @@ const getComplaintStats = async (filters = {}) => {
           finalResolution: {
             $sum: { $cond: [{ $eq: ["$status", "finalResolution"] }, 1, 0] },
           },
+          withdrawn: {
+            $sum: { $cond: [{ $eq: ["$status", "withdrawn"] }, 1, 0] },
+          },
+          onHold: {
+            $sum: { $cond: [{ $eq: ["$status", "onHold"] }, 1, 0] },
+          },
+          reopened: {
+            $sum: { $cond: [{ $eq: ["$status", "reopened"] }, 1, 0] },
+          },
+          merged: {
+            $sum: { $cond: [{ $eq: ["$status", "merged"] }, 1, 0] },
+          },
+          possibleDuplicates: {
+            $sum: {
+              $cond: [{ $ifNull: ["$possibleDuplicateOf", false] }, 1, 0],
+            },
+          },
+          slaBreached: {
+            $sum: {
+              $cond: [
+                {
+                  $or: [
+                    { $eq: ["$sla.assignBreached", true] },
+                    { $eq: ["$sla.resolveBreached", true] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
           avgRating: {
             $avg: "$feedback.rating",
           },
@@ -508,18 +1096,32 @@ const getComplaintStats = async (filters = {}) => {
       },
     ]);
 
-    return (
-      result[0] || {
-        total: 0,
-        pending: 0,
-        assigned: 0,
-        resolved: 0,
-        closed: 0,
-        escalated: 0,
-        finalResolution: 0,
-        avgRating: 0,
-      }
-    );
+    const emptyStats = {
+      total: 0,
+      pending: 0,
+      assigned: 0,
+      resolved: 0,
+      closed: 0,
+      escalated: 0,
+      finalResolution: 0,
+      withdrawn: 0,
+      onHold: 0,
+      reopened: 0,
+      merged: 0,
+      possibleDuplicates: 0,
+      slaBreached: 0,
+      avgRating: 0,
+    };
+    const statsOf = (source) => {
+      const { _id, ...stats } =
+        result.find((entry) => entry._id === source) || emptyStats;
+      return stats;
+    };
+
+    const preventive = statsOf("preventive");
+    delete preventive.avgRating; // Work orders get no resident feedback
+
+    return { ...statsOf("reactive"), preventive };
   } catch (error) {
     throw error;
   }
@@ -533,6 +1135,7 @@ const getCategoryDistribution = async (filters = {}) => {
     // Apply filters
     if (filters.userId)
       matchStage.userId = mongoose.Types.ObjectId(filters.userId);
+    if (filters.category) matchStage.category = filters.category;
     if (filters.resourceId)
       matchStage.resourceId = mongoose.Types.ObjectId(filters.resourceId);
     if (filters.dateFrom && filters.dateTo) {
@@ -569,9 +1172,14 @@ module.exports = {
   getComplaints,
   getComplaintById,
   createComplaint,
+  autoAssignComplaint,
   assignComplaint,
   assignToStaff,
   resolveComplaint,
+  withdrawComplaint,
+  holdComplaint,
+  resumeComplaint,
+  reopenComplaint,
   submitFeedback,
   finalizeComplaint,
   getComplaintStats,
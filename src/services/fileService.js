@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const StoredFile = require('../models/StoredFile');
+const Complaint = require('../models/Complaint');
+const ComplaintComment = require('../models/ComplaintComment');
+const Visitor = require('../models/visitor');
+const VisitorPass = require('../models/visitorPass');
+const UserResource = require('../models/UserResource');
+const fileStorage = require('../utils/fileStorage');
+const { outOfScopeError, assertComplaintAccess } = require('../utils/departmentScope');
+const { roleHasPermissions } = require('./permissionService');
+
+// attachedTo.model of uploads claimed by a request still in progress
+const PENDING_CLAIM = 'PendingClaim';
+
+/**
+ * Store an uploaded file
+ * @param {Buffer} buffer - File content
+ * @param {object} fileData - { purpose, originalName }
+ * @param {object} user - Uploading user
+ * @returns {object} - Created StoredFile
+ */
+const uploadFile = async (buffer, fileData, user) => {
+  const stored = await fileStorage.storeFile(buffer, fileData.purpose);
+  
+  return await StoredFile.create({
+    ...stored,
+    originalName: fileData.originalName,
+    purpose: fileData.purpose,
+    uploadedBy: user._id
+  });
+};
+
+/**
+ * Whether a user works the gate: visitor photos, ID cards and blacklist
+ * photos are only for roles that check in or approve visitors
+ * @param {object} user - Authenticated user
+ * @returns {boolean} - True if the user may see visitor files
+ */
+const canHandleVisitors = async (user) =>
+  (await roleHasPermissions(user.role, ['visitor:checkIn'])) ||
+  (await roleHasPermissions(user.role, ['visitor:approve']));
+
+/**
+ * Make sure a user may download a file. Uploaders always can; otherwise
+ * access follows the document the file is attached to.
+ * @param {object} user - Authenticated user
+ * @param {object} file - StoredFile document
+ */
+const assertFileAccess = async (user, file) => {
+  if (file.uploadedBy && file.uploadedBy.toString() === user._id.toString()) {
+    return;
+  }
+  
+  const { model, id } = file.attachedTo || {};
+  const denied = outOfScopeError('Not authorized to access this file');
+  
+  switch (model) {
+    case 'Complaint': {
+      const complaint = await Complaint.findById(id);
+      if (!complaint) throw denied;
+      assertComplaintAccess(user, complaint);
+      return;
+    }
+    case 'ComplaintComment': {
+      const comment = await ComplaintComment.findById(id);
+      const complaint = comment && await Complaint.findById(comment.complaint);
+      if (!complaint) throw denied;
+      assertComplaintAccess(user, complaint);
+      if (comment.isInternal && !(await roleHasPermissions(user.role, ['complaint:internalNote']))) {
+        throw denied;
+      }
+      return;
+    }
+    case 'Visitor': {
+      if (user.role !== 'resident') {
+        if (!(await canHandleVisitors(user))) throw denied;
+        return;
+      }
+      const visitor = await Visitor.findById(id);
+      if (!visitor) throw denied;
+      if (visitor.requestedBy.toString() === user._id.toString()) return;
+      // Any resident of a walk-in's host flat
+      const isHost = visitor.hostResource && await UserResource.exists({
+        userId: user._id,
+        resourceId: visitor.hostResource,
+        approvalStatus: 'approved'
+      });
+      if (!isHost) throw denied;
+      return;
+    }
+    case 'VisitorPass': {
+      if (user.role !== 'resident') {
+        if (!(await canHandleVisitors(user))) throw denied;
+        return;
+      }
+      const pass = await VisitorPass.findById(id);
+      if (!pass || pass.requestedBy.toString() !== user._id.toString()) throw denied;
+      return;
+    }
+    case 'VisitorBlacklist':
+      if (!(await canHandleVisitors(user))) throw denied;
+      return;
+    case 'User':
+      if (user.role === 'resident' && id.toString() !== user._id.toString()) throw denied;
+      return;
+    default:
+      // Unattached uploads are private to the uploader
+      throw denied;
+  }
+};
+
+/**
+ * Get a file with fresh download URLs
+ * @param {string} fileId - File ID
+ * @param {object} user - Authenticated user
+ * @returns {object} - StoredFile
+ */
+const getFile = async (fileId, user) => {
+  const file = await StoredFile.findById(fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+  
+  await assertFileAccess(user, file);
+  return file;
+};
+
+/**
+ * Read a file through a signed download URL
+ * @param {string} fileId - File ID
+ * @param {object} params - { variant, expires, signature } from the URL
+ * @returns {object} - { file, content }
+ */
+const getSignedFileContent = async (fileId, { variant = 'original', expires, signature }) => {
+  if (!['original', 'thumbnail'].includes(variant) ||
+      !fileStorage.verifyDownloadSignature(fileId, variant, expires, signature)) {
+    throw outOfScopeError('Invalid or expired download link');
+  }
+  
+  const file = await StoredFile.findById(fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+  
+  const content = await fileStorage.readFile(file, variant);
+  return { file, content };
+};
+
+/**
+ * Delete an upload that was never attached to a document
+ * @param {string} fileId - File ID
+ * @param {object} user - Uploading user
+ */
+const deleteFile = async (fileId, user) => {
+  const file = await StoredFile.findById(fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+  
+  if (!file.uploadedBy || file.uploadedBy.toString() !== user._id.toString()) {
+    throw outOfScopeError('Not authorized to delete this file');
+  }
+  
+  if (file.attachedTo && file.attachedTo.id) {
+    throw new Error('File is in use and cannot be deleted');
+  }
+  
+  await fileStorage.removeFile(file);
+  await file.deleteOne();
+};
+
+/**
+ * Claim uploads referenced in a request: they must belong to the user, have
+ * the expected purpose and not be used elsewhere. The claim is taken in one
+ * update, so two requests cannot both use the same file.
+ * @param {Array|string} fileIds - File ID(s); empty values are ignored
+ * @param {string} userId - ID of the user submitting the request
+ * @param {string} purpose - Expected file purpose
+ * @returns {Array} - StoredFile documents in the order given
+ */
+const claimUploads = async (fileIds, userId, purpose) => {
+  const ids = [...new Set([].concat(fileIds || []).filter(Boolean).map(String))];
+  if (ids.length === 0) {
+    return [];
+  }
+  
+  const files = await StoredFile.find({ _id: { $in: ids } });
+  
+  const claimed = ids.map((fileId) => {
+    const file = files.find((entry) => entry._id.toString() === fileId);
+    
+    if (!file || file.purpose !== purpose) {
+      throw new Error(`File ${fileId} not found or not a ${purpose} upload`);
+    }
+    if (!file.uploadedBy || file.uploadedBy.toString() !== userId.toString()) {
+      throw new Error(`File ${fileId} was uploaded by another user`);
+    }
+    if (file.attachedTo && file.attachedTo.id) {
+      throw new Error(`File ${fileId} is already in use`);
+    }
+    
+    return file;
+  });
+  
+  // Held under a placeholder until attachFiles links the real document
+  const claim = { model: PENDING_CLAIM, id: new mongoose.Types.ObjectId() };
+  const { matchedCount } = await StoredFile.updateMany(
+    { _id: { $in: ids }, uploadedBy: userId, purpose, 'attachedTo.id': null },
+    { attachedTo: claim }
+  );
+  
+  if (matchedCount !== ids.length) {
+    // Another request claimed some of the files first; give back the rest
+    await StoredFile.updateMany(
+      { _id: { $in: ids }, 'attachedTo.id': claim.id },
+      { $unset: { attachedTo: 1 } }
+    );
+    throw new Error('One or more files are already in use');
+  }
+  
+  claimed.forEach((file) => {
+    file.attachedTo = claim;
+  });
+  return claimed;
+};
+
+/**
+ * Give back uploads claimed for a request that failed, so they can be used
+ * again. Files already linked to a document are left alone.
+ * @param {Array} files - StoredFile documents from claimUploads
+ */
+const releaseUploads = async (files) => {
+  if (files.length === 0) return;
+  
+  await StoredFile.updateMany(
+    { _id: { $in: files.map((file) => file._id) }, 'attachedTo.model': PENDING_CLAIM },
+    { $unset: { attachedTo: 1 } }
+  );
+};
+
+/**
+ * Link claimed uploads to the document that uses them
+ * @param {Array} files - StoredFile documents from claimUploads
+ * @param {string} model - Model name of the document
+ * @param {string} id - Document ID
+ */
+const attachFiles = async (files, model, id) => {
+  if (files.length === 0) return;
+  
+  await StoredFile.updateMany(
+    { _id: { $in: files.map((file) => file._id) } },
+    { attachedTo: { model, id } }
+  );
+};
+
+module.exports = {
+  uploadFile,
+  getFile,
+  getSignedFileContent,
+  deleteFile,
+  claimUploads,
+  releaseUploads,
+  attachFiles
+};
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Gate = require('../models/Gate');
+const User = require('../models/User');
+const { generateGateId } = require('../utils/generateVisitorId');
+
+/**
+ * Create a gate
+ * @param {object} gateData - Gate name and location
+ * @param {string} createdBy - Admin user ID
+ * @returns {object} - Created gate
+ */
+const createGate = async (gateData, createdBy) => {
+  const { name, location } = gateData;
+
+  const gateExists = await Gate.findOne({ name });
+  if (gateExists) {
+    throw new Error('A gate with this name already exists');
+  }
+
+  return await Gate.create({
+    gateId: generateGateId(),
+    name,
+    location,
+    createdBy
+  });
+};
+
+/**
+ * Get gates
+ * @param {object} filters - Filter conditions (isActive)
+ * @returns {Array} - List of gates
+ */
+const getGates = async (filters = {}) => {
+  const query = {};
+
+  if (filters.isActive !== undefined) {
+    query.isActive = filters.isActive === true || filters.isActive === 'true';
+  }
+
+  return await Gate.find(query).sort({ name: 1 });
+};
+
+/**
+ * Update a gate
+ * @param {string} gateId - Gate ID
+ * @param {object} updates - Name, location or isActive
+ * @returns {object} - Updated gate
+ */
+const updateGate = async (gateId, updates) => {
+  const gate = await Gate.findById(gateId);
+
+  if (!gate) {
+    throw new Error('Gate not found');
+  }
+
+  ['name', 'location', 'isActive'].forEach((field) => {
+    if (updates[field] !== undefined) {
+      gate[field] = updates[field];
+    }
+  });
+
+  await gate.save();
+
+  // Guards cannot stay on duty at a gate that has been closed
+  if (!gate.isActive) {
+    await User.updateMany(
+      { dutyGate: gate._id },
+      { $unset: { dutyGate: 1, dutyStartedAt: 1 } }
+    );
+  }
+
+  return gate;
+};
+
+/**
+ * Make sure every gate ID refers to an active gate
+ * @param {Array} gateIds - Gate IDs
+ * @returns {Array} - Matching gates
+ */
+const findActiveGates = async (gateIds = []) => {
+  if (!Array.isArray(gateIds)) {
+    throw new Error('Gates must be provided as a list of gate IDs');
+  }
+
+  const uniqueIds = [...new Set(gateIds.map((id) => id.toString()))];
+
+  if (uniqueIds.some((id) => !mongoose.isValidObjectId(id))) {
+    throw new Error('Invalid gate ID');
+  }
+
+  const gates = await Gate.find({ _id: { $in: uniqueIds }, isActive: true });
+  if (gates.length !== uniqueIds.length) {
+    throw new Error('One or more gates were not found or are inactive');
+  }
+
+  return gates;
+};
+
+/**
+ * Start a duty shift at one of the guard's assigned gates
+ * @param {string} userId - Security personnel user ID
+ * @param {string} gateId - Gate ID
+ * @returns {object} - Guard's duty details
+ */
+const startDuty = async (userId, gateId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [gate] = await findActiveGates([gateId]);
+
+  if (!user.assignedGates.some((assigned) => assigned.toString() === gate._id.toString())) {
+    throw new Error('You are not assigned to this gate');
+  }
+
+  user.dutyGate = gate._id;
+  user.dutyStartedAt = new Date();
+  await user.save();
+
+  return {
+    dutyGate: gate,
+    dutyStartedAt: user.dutyStartedAt
+  };
+};
+
+/**
+ * End the guard's current duty shift
+ * @param {string} userId - Security personnel user ID
+ * @returns {boolean} - True if the guard was on duty
+ */
+const endDuty = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId, dutyGate: { $exists: true } },
+    { $unset: { dutyGate: 1, dutyStartedAt: 1 } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Get the guard's assigned gates and current duty gate
+ * @param {string} userId - Security personnel user ID
+ * @returns {object} - Assigned gates and duty details
+ */
+const getDutyStatus = async (userId) => {
+  const user = await User.findById(userId)
+    .select('assignedGates dutyGate dutyStartedAt')
+    .populate('assignedGates', 'gateId name location isActive')
+    .populate('dutyGate', 'gateId name location');
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return {
+    assignedGates: user.assignedGates,
+    dutyGate: user.dutyGate || null,
+    dutyStartedAt: user.dutyStartedAt || null
+  };
+};
+
+module.exports = {
+  createGate,
+  getGates,
+  updateGate,
+  findActiveGates,
+  startDuty,
+  endDuty,
+  getDutyStatus
+};
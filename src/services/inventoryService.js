@@ -0,0 +1,550 @@
+const mongoose = require("mongoose");
+const InventoryItem = require("../models/InventoryItem");
+const InventoryStore = require("../models/InventoryStore");
+const InventoryStock = require("../models/InventoryStock");
+const StockMovement = require("../models/StockMovement");
+const Resource = require("../models/Resource");
+const { sendBulkNotification } = require("./notificationService");
+const { findResponsibleAdmins } = require("./slaService");
+const {
+  outOfScopeError,
+  isDepartmentScoped,
+} = require("../utils/departmentScope");
+
+// Errors carry their status so that they keep it when raised while
+// resolving a complaint
+const inventoryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Department admins only manage the items of their own department
+const assertItemInScope = (user, item) => {
+  if (isDepartmentScoped(user) && item.category !== user.department) {
+    throw outOfScopeError(
+      `${item.name} belongs to the ${item.category} department and is outside your department`
+    );
+  }
+};
+
+// Restrict a category filter to the department admin's own department
+const scopeCategory = (user, category) => {
+  if (!isDepartmentScoped(user)) {
+    return category;
+  }
+
+  if (category && category !== user.department) {
+    throw outOfScopeError(
+      `You can only view inventory of the ${user.department} department`
+    );
+  }
+  return user.department;
+};
+
+const findItem = async (itemId) => {
+  if (!mongoose.isValidObjectId(itemId)) {
+    throw inventoryError("Invalid item ID");
+  }
+
+  const item = await InventoryItem.findById(itemId);
+  if (!item) {
+    throw inventoryError("Item not found", 404);
+  }
+  return item;
+};
+
+const findStore = async (storeId) => {
+  if (!mongoose.isValidObjectId(storeId)) {
+    throw inventoryError("Invalid store ID");
+  }
+
+  const store = await InventoryStore.findById(storeId);
+  if (!store) {
+    throw inventoryError("Store not found", 404);
+  }
+  return store;
+};
+
+const isLowStock = (stock, item) => stock.quantity <= item.reorderLevel;
+
+// Get inventory items, alphabetically
+const getItems = async (filters = {}, user) => {
+  const query = {};
+  const category = scopeCategory(user, filters.category);
+  if (category) query.category = category;
+  if (filters.isActive !== undefined) {
+    query.isActive = String(filters.isActive) === "true";
+  }
+  if (filters.search) {
+    // Match the search text literally, not as a pattern
+    const search = String(filters.search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { sku: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  return await InventoryItem.find(query).sort({ name: 1 });
+};
+
+// Create an inventory item
+const createItem = async (itemData, user) => {
+  const { sku, name, description, category, unit, unitCost, reorderLevel } =
+    itemData;
+
+  assertItemInScope(user, { name, category });
+
+  const itemExists = await InventoryItem.findOne({ sku: sku.toUpperCase() });
+  if (itemExists) {
+    throw new Error("An item with this SKU already exists");
+  }
+
+  return await InventoryItem.create({
+    sku,
+    name,
+    description,
+    category,
+    unit,
+    unitCost,
+    reorderLevel,
+    createdBy: user._id,
+    updatedBy: user._id,
+  });
+};
+
+// Update an item's details, cost or reorder level
+const updateItem = async (itemId, updates, user) => {
+  const item = await findItem(itemId);
+  assertItemInScope(user, item);
+
+  const fields = [
+    "name",
+    "description",
+    "unit",
+    "unitCost",
+    "reorderLevel",
+    "isActive",
+  ];
+  fields.forEach((field) => {
+    if (updates[field] !== undefined) {
+      item[field] = updates[field];
+    }
+  });
+  item.updatedBy = user._id;
+
+  await item.save();
+  return item;
+};
+
+// Get stores, alphabetically
+const getStores = async (filters = {}) => {
+  const query = {};
+  if (filters.isActive !== undefined) {
+    query.isActive = String(filters.isActive) === "true";
+  }
+
+  return await InventoryStore.find(query).sort({ name: 1 });
+};
+
+// Create a store
+const createStore = async (storeData, user) => {
+  const { name, location } = storeData;
+
+  const storeExists = await InventoryStore.findOne({ name });
+  if (storeExists) {
+    throw new Error("A store with this name already exists");
+  }
+
+  return await InventoryStore.create({ name, location, createdBy: user._id });
+};
+
+// Update a store's name, location or status
+const updateStore = async (storeId, updates) => {
+  const store = await findStore(storeId);
+
+  ["name", "location", "isActive"].forEach((field) => {
+    if (updates[field] !== undefined) {
+      store[field] = updates[field];
+    }
+  });
+
+  await store.save();
+  return store;
+};
+
+// Get stock levels per item and store
+const getStock = async (filters = {}, user) => {
+  const itemQuery = {};
+  const category = scopeCategory(user, filters.category);
+  if (category) itemQuery.category = category;
+  if (filters.itemId) itemQuery._id = filters.itemId;
+
+  const items = await InventoryItem.find(itemQuery).select("_id");
+
+  const query = { item: { $in: items.map((item) => item._id) } };
+  if (filters.storeId) query.store = filters.storeId;
+
+  const stock = await InventoryStock.find(query)
+    .populate("item", "sku name category unit unitCost reorderLevel isActive")
+    .populate("store", "name location isActive")
+    .sort({ updatedAt: -1 });
+
+  return stock.map((entry) => ({
+    ...entry.toObject(),
+    lowStock: isLowStock(entry, entry.item),
+  }));
+};
+
+// Notify the item's department admins of stock that has dropped to its
+// reorder level. Each shortage is alerted once until the item is restocked.
+const alertLowStock = async (stocks) => {
+  for (const stock of stocks) {
+    const claimed = await InventoryStock.findOneAndUpdate(
+      { _id: stock._id, lowStockAlertedAt: null },
+      { lowStockAlertedAt: new Date() },
+      { new: true }
+    ).populate([
+      { path: "item", select: "sku name category unit reorderLevel" },
+      { path: "store", select: "name" },
+    ]);
+    if (!claimed) continue;
+
+    const adminIds = await findResponsibleAdmins(claimed.item.category);
+    await sendBulkNotification(
+      adminIds,
+      "Low Stock",
+      `${claimed.item.name} (${claimed.item.sku}) is down to ${claimed.quantity} ${claimed.item.unit} at ${claimed.store.name}; its reorder level is ${claimed.item.reorderLevel}`,
+      "inventory",
+      { itemId: claimed.item._id, storeId: claimed.store._id }
+    );
+  }
+};
+
+// Add received stock to a store
+const receiveStock = async (receiptData, user) => {
+  const { itemId, storeId, quantity, unitCost, notes } = receiptData;
+
+  const item = await findItem(itemId);
+  assertItemInScope(user, item);
+  const store = await findStore(storeId);
+
+  if (!item.isActive || !store.isActive) {
+    throw inventoryError(
+      "Stock can only be received for active items and stores"
+    );
+  }
+
+  // Cost, stock and ledger change together, so a failure leaves none of them
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // The latest purchase price becomes the item's cost
+    if (unitCost !== undefined && unitCost !== item.unitCost) {
+      item.unitCost = unitCost;
+      item.updatedBy = user._id;
+      await item.save({ session });
+    }
+
+    const stock = await InventoryStock.findOneAndUpdate(
+      { item: item._id, store: store._id },
+      { $inc: { quantity } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+
+    if (!isLowStock(stock, item) && stock.lowStockAlertedAt) {
+      stock.lowStockAlertedAt = undefined;
+      await stock.save({ session });
+    }
+
+    const [movement] = await StockMovement.create(
+      [
+        {
+          item: item._id,
+          store: store._id,
+          type: "receipt",
+          quantity,
+          balanceAfter: stock.quantity,
+          unitCost: item.unitCost,
+          category: item.category,
+          notes,
+          performedBy: user._id,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { stock, movement };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Correct a stock level to the counted quantity, e.g. after a stocktake
+const adjustStock = async (adjustmentData, user) => {
+  const { itemId, storeId, quantity, notes } = adjustmentData;
+
+  const item = await findItem(itemId);
+  assertItemInScope(user, item);
+  const store = await findStore(storeId);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let stock;
+  let movement;
+  try {
+    // Set the counted level and read the level it replaces in one step, so
+    // materials issued at the same time are not lost from the ledger
+    const previous = await InventoryStock.findOneAndUpdate(
+      { item: item._id, store: store._id },
+      { quantity },
+      { new: false, upsert: true, setDefaultsOnInsert: true, session }
+    );
+    const change = quantity - (previous ? previous.quantity : 0);
+    if (change === 0) {
+      throw inventoryError("The stock level already matches this quantity");
+    }
+
+    stock = await InventoryStock.findOne({
+      item: item._id,
+      store: store._id,
+    }).session(session);
+
+    if (!isLowStock(stock, item) && stock.lowStockAlertedAt) {
+      stock.lowStockAlertedAt = undefined;
+      await stock.save({ session });
+    }
+
+    [movement] = await StockMovement.create(
+      [
+        {
+          item: item._id,
+          store: store._id,
+          type: "adjustment",
+          quantity: change,
+          balanceAfter: stock.quantity,
+          unitCost: item.unitCost,
+          category: item.category,
+          notes,
+          performedBy: user._id,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+
+  if (isLowStock(stock, item)) {
+    await alertLowStock([stock]);
+  }
+
+  return { stock, movement };
+};
+
+// Issue the materials consumed on a complaint, within the caller's
+// transaction. Returns the stock records that reached their reorder level,
+// to be alerted once the transaction commits.
+const issueMaterials = async (complaint, materials, user, session) => {
+  // Combine repeated item/store pairs into one issue
+  const totals = new Map();
+  for (const { itemId, storeId, quantity } of materials) {
+    const key = `${itemId}:${storeId}`;
+    totals.set(key, {
+      itemId,
+      storeId,
+      quantity: ((totals.get(key) || {}).quantity || 0) + quantity,
+    });
+  }
+
+  const lowStock = [];
+  for (const { itemId, storeId, quantity } of totals.values()) {
+    const item = await findItem(itemId);
+    const store = await findStore(storeId);
+
+    if (!item.isActive) {
+      throw inventoryError(`${item.name} is no longer stocked`);
+    }
+
+    const stock = await InventoryStock.findOneAndUpdate(
+      { item: item._id, store: store._id, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } },
+      { new: true, session }
+    );
+    if (!stock) {
+      throw inventoryError(
+        `Not enough ${item.name} in ${store.name} to issue ${quantity} ${item.unit}`
+      );
+    }
+
+    await StockMovement.create(
+      [
+        {
+          item: item._id,
+          store: store._id,
+          type: "issue",
+          quantity: -quantity,
+          balanceAfter: stock.quantity,
+          unitCost: item.unitCost,
+          complaint: complaint._id,
+          resourceId: complaint.resourceId,
+          category: complaint.category,
+          performedBy: user._id,
+        },
+      ],
+      { session }
+    );
+
+    if (isLowStock(stock, item)) {
+      lowStock.push(stock);
+    }
+  }
+
+  return lowStock;
+};
+
+// Get stock at or below its item's reorder level
+const getLowStock = async (filters = {}, user) => {
+  const stock = await getStock(filters, user);
+  return stock.filter(
+    (entry) => entry.lowStock && entry.item.isActive && entry.store.isActive
+  );
+};
+
+// Get stock movements, newest first
+const getMovements = async (filters = {}, user) => {
+  const query = {};
+  if (filters.complaintId) query.complaint = filters.complaintId;
+  if (filters.itemId) query.item = filters.itemId;
+  if (filters.storeId) query.store = filters.storeId;
+  if (filters.type) query.type = filters.type;
+
+  const category = scopeCategory(user, filters.category);
+  if (category) query.category = category;
+
+  return await StockMovement.find(query)
+    .populate("item", "sku name unit")
+    .populate("store", "name")
+    .populate("complaint", "complaintId")
+    .populate("performedBy", "name")
+    .sort({ createdAt: -1 })
+    .limit(parseInt(filters.limit, 10) || 100);
+};
+
+// Materials consumed on complaints per category or per resource, with the
+// quantity and cost of each item
+const getConsumptionReport = async (filters = {}, user) => {
+  const groupBy = filters.groupBy === "resource" ? "resource" : "category";
+
+  const matchStage = { type: "issue" };
+  const category = scopeCategory(user, filters.category);
+  if (category) matchStage.category = category;
+  if (filters.dateFrom || filters.dateTo) {
+    matchStage.createdAt = {};
+    if (filters.dateFrom) matchStage.createdAt.$gte = new Date(filters.dateFrom);
+    if (filters.dateTo) matchStage.createdAt.$lte = new Date(filters.dateTo);
+  }
+
+  const groups = await StockMovement.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: {
+          key: groupBy === "resource" ? "$resourceId" : "$category",
+          item: "$item",
+        },
+        quantity: { $sum: { $abs: "$quantity" } },
+        cost: { $sum: { $multiply: [{ $abs: "$quantity" }, "$unitCost"] } },
+        complaints: { $addToSet: "$complaint" },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.key",
+        items: {
+          $push: { item: "$_id.item", quantity: "$quantity", cost: "$cost" },
+        },
+        totalCost: { $sum: "$cost" },
+        complaints: { $push: "$complaints" },
+      },
+    },
+    {
+      $project: {
+        items: 1,
+        totalCost: 1,
+        complaints: {
+          $size: {
+            $reduce: {
+              input: "$complaints",
+              initialValue: [],
+              in: { $setUnion: ["$$value", "$$this"] },
+            },
+          },
+        },
+      },
+    },
+    { $sort: { totalCost: -1 } },
+  ]);
+
+  const items = await InventoryItem.find({
+    _id: { $in: groups.flatMap((group) => group.items.map((i) => i.item)) },
+  }).select("sku name unit");
+  const itemById = new Map(items.map((item) => [item._id.toString(), item]));
+
+  let resourceById = new Map();
+  if (groupBy === "resource") {
+    const resources = await Resource.find({
+      _id: { $in: groups.map((group) => group._id) },
+    }).select("resourceName resourceType location");
+    resourceById = new Map(
+      resources.map((resource) => [resource._id.toString(), resource])
+    );
+  }
+
+  return {
+    groupBy,
+    report: groups.map((group) => ({
+      ...(groupBy === "resource"
+        ? { resource: resourceById.get(String(group._id)) || group._id }
+        : { category: group._id }),
+      complaints: group.complaints,
+      totalCost: group.totalCost,
+      items: group.items
+        .map((entry) => ({
+          item: itemById.get(entry.item.toString()) || entry.item,
+          quantity: entry.quantity,
+          cost: entry.cost,
+        }))
+        .sort((a, b) => b.cost - a.cost),
+    })),
+  };
+};
+
+module.exports = {
+  getItems,
+  createItem,
+  updateItem,
+  getStores,
+  createStore,
+  updateStore,
+  getStock,
+  receiveStock,
+  adjustStock,
+  issueMaterials,
+  alertLowStock,
+  getLowStock,
+  getMovements,
+  getConsumptionReport,
+};
@@ -0,0 +1,297 @@
+const MaintenancePlan = require("../models/MaintenancePlan");
+const Complaint = require("../models/Complaint");
+const Resource = require("../models/Resource");
+const { sendBulkNotification } = require("./notificationService");
+const { computeSla, findResponsibleAdmins } = require("./slaService");
+const { autoAssignComplaint } = require("./complaintService");
+const { isAutoAssignEnabled } = require("./assignmentService");
+const {
+  outOfScopeError,
+  isDepartmentScoped,
+} = require("../utils/departmentScope");
+const { COMPLAINT_CATEGORIES } = require("../utils/constants");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Work order statuses that count as completed
+const COMPLETED_STATUSES = ["resolved", "closed", "finalResolution"];
+
+// Department admins only manage the plans of their own department
+const assertPlanInScope = (user, plan) => {
+  if (isDepartmentScoped(user) && plan.category !== user.department) {
+    throw outOfScopeError(
+      `This maintenance plan belongs to the ${plan.category} department and is outside your department`
+    );
+  }
+};
+
+const findPlan = async (planId, user) => {
+  const plan = await MaintenancePlan.findById(planId);
+  if (!plan) {
+    throw new Error("Maintenance plan not found");
+  }
+
+  assertPlanInScope(user, plan);
+  return plan;
+};
+
+const assertSubcategory = (category, subcategory) => {
+  if (!COMPLAINT_CATEGORIES[category]) {
+    throw new Error(`Invalid category: ${category}`);
+  }
+
+  if (!COMPLAINT_CATEGORIES[category].includes(subcategory)) {
+    throw new Error(`Invalid subcategory for ${category}: ${subcategory}`);
+  }
+};
+
+// Get maintenance plans, soonest due first
+const getMaintenancePlans = async (filters = {}, user) => {
+  const query = {};
+  if (filters.category) query.category = filters.category;
+  if (filters.resourceId) query.resourceId = filters.resourceId;
+  if (filters.isActive !== undefined) {
+    query.isActive = String(filters.isActive) === "true";
+  }
+
+  if (isDepartmentScoped(user)) {
+    if (filters.category && filters.category !== user.department) {
+      throw outOfScopeError(
+        `You can only view maintenance plans of the ${user.department} department`
+      );
+    }
+    query.category = user.department;
+  }
+
+  return await MaintenancePlan.find(query)
+    .populate("resourceId", "resourceName resourceType location")
+    .populate("lastWorkOrder", "complaintId status")
+    .sort({ nextDueAt: 1 });
+};
+
+// Get a plan with its work orders and completion summary
+const getMaintenancePlanById = async (planId, user) => {
+  const plan = await findPlan(planId, user);
+  await plan.populate([
+    { path: "resourceId", select: "resourceName resourceType location" },
+    { path: "createdBy", select: "name" },
+  ]);
+
+  const workOrders = await Complaint.find({ maintenancePlan: plan._id })
+    .select(
+      "complaintId status scheduledFor assignedStaff resolvedAt sla.resolveBreached createdAt"
+    )
+    .populate("assignedStaff", "name")
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  const counts = await Complaint.aggregate([
+    { $match: { maintenancePlan: plan._id } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const summary = { total: 0, completed: 0, open: 0, withdrawn: 0 };
+  for (const { _id: status, count } of counts) {
+    summary.total += count;
+    if (COMPLETED_STATUSES.includes(status)) summary.completed += count;
+    else if (status === "withdrawn") summary.withdrawn += count;
+    else summary.open += count;
+  }
+
+  return { plan, summary, workOrders };
+};
+
+// Create a maintenance plan for a resource
+const createMaintenancePlan = async (planData, user) => {
+  const {
+    resourceId,
+    title,
+    description,
+    category,
+    subcategory,
+    intervalDays,
+    startDate,
+  } = planData;
+
+  assertSubcategory(category, subcategory);
+  assertPlanInScope(user, { category });
+
+  const resource = await Resource.findById(resourceId);
+  if (!resource) {
+    throw new Error("Resource not found");
+  }
+  if (resource.status !== "active") {
+    throw new Error("Maintenance can only be planned for active resources");
+  }
+
+  return await MaintenancePlan.create({
+    resourceId,
+    title,
+    description,
+    category,
+    subcategory,
+    intervalDays,
+    // The first work order is raised on the start date (immediately if omitted)
+    nextDueAt: startDate ? new Date(startDate) : new Date(),
+    createdBy: user._id,
+    updatedBy: user._id,
+  });
+};
+
+// Update the schedule or details of a plan. The resource and department of
+// a plan cannot change; create a new plan instead.
+const updateMaintenancePlan = async (planId, planData, user) => {
+  const plan = await findPlan(planId, user);
+
+  if (planData.subcategory !== undefined) {
+    assertSubcategory(plan.category, planData.subcategory);
+  }
+
+  for (const field of [
+    "title",
+    "description",
+    "subcategory",
+    "intervalDays",
+    "isActive",
+  ]) {
+    if (planData[field] !== undefined) {
+      plan[field] = planData[field];
+    }
+  }
+  if (planData.nextDueAt !== undefined) {
+    plan.nextDueAt = new Date(planData.nextDueAt);
+  }
+
+  plan.updatedBy = user._id;
+  await plan.save();
+
+  return plan;
+};
+
+// Delete a plan; work orders already raised are kept
+const deleteMaintenancePlan = async (planId, user) => {
+  const plan = await findPlan(planId, user);
+  await plan.deleteOne();
+
+  return plan;
+};
+
+// Raise the work order of a plan that fell due and route it to the
+// plan's department
+const generateWorkOrder = async (plan, dueAt) => {
+  const description = plan.description
+    ? `Preventive maintenance: ${plan.title}. ${plan.description}`
+    : `Preventive maintenance: ${plan.title}`;
+
+  const workOrder = await Complaint.create({
+    // Filed under the plan's admin, who gets no resident updates for it
+    userId: plan.createdBy,
+    resourceId: plan.resourceId,
+    category: plan.category,
+    subcategory: plan.subcategory,
+    description: description.slice(0, 1000),
+    source: "preventive",
+    maintenancePlan: plan._id,
+    scheduledFor: dueAt,
+    status: "pending",
+    sla: await computeSla(plan.category, plan.subcategory),
+    history: [
+      {
+        status: "pending",
+        notes: `Work order raised by maintenance plan "${plan.title}"`,
+      },
+    ],
+  });
+
+  const adminIds = await findResponsibleAdmins(plan.category);
+  await sendBulkNotification(
+    adminIds,
+    "Preventive Maintenance Due",
+    `Work order ${workOrder.complaintId} has been raised for "${plan.title}"`,
+    "complaint",
+    { complaintId: workOrder._id, maintenancePlanId: plan._id }
+  );
+
+  if (isAutoAssignEnabled()) {
+    try {
+      return await autoAssignComplaint(workOrder._id);
+    } catch (error) {
+      console.error("Error auto-assigning work order:", error);
+    }
+  }
+
+  return workOrder;
+};
+
+// Raise work orders for every active plan that is due (run by the
+// scheduler). Due dates missed while the job was not running are not
+// back-filled: each plan gets one work order and moves to its next future
+// due date.
+const processDueMaintenance = async (now = new Date()) => {
+  const plans = await MaintenancePlan.find({
+    isActive: true,
+    nextDueAt: { $lte: now },
+  });
+
+  const results = [];
+  for (const plan of plans) {
+    const dueAt = plan.nextDueAt;
+
+    let nextDueAt = dueAt.getTime() + plan.intervalDays * DAY;
+    while (nextDueAt <= now.getTime()) {
+      nextDueAt += plan.intervalDays * DAY;
+    }
+
+    try {
+      // Claim the due date so a concurrent run does not raise it twice
+      const claimed = await MaintenancePlan.findOneAndUpdate(
+        { _id: plan._id, isActive: true, nextDueAt: dueAt },
+        { nextDueAt: new Date(nextDueAt) },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      let workOrder;
+      try {
+        workOrder = await generateWorkOrder(claimed, dueAt);
+      } catch (error) {
+        // Give the due date back so the next run tries again
+        await MaintenancePlan.updateOne(
+          { _id: plan._id, nextDueAt: claimed.nextDueAt },
+          { nextDueAt: dueAt }
+        );
+        throw error;
+      }
+
+      await MaintenancePlan.updateOne(
+        { _id: plan._id },
+        { lastGeneratedAt: now, lastWorkOrder: workOrder._id }
+      );
+
+      results.push({
+        planId: plan._id,
+        title: plan.title,
+        complaintId: workOrder.complaintId,
+        nextDueAt: claimed.nextDueAt,
+      });
+    } catch (error) {
+      console.error(
+        `Error raising work order for maintenance plan ${plan._id}:`,
+        error
+      );
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  getMaintenancePlans,
+  getMaintenancePlanById,
+  createMaintenancePlan,
+  updateMaintenancePlan,
+  deleteMaintenancePlan,
+  processDueMaintenance,
+};
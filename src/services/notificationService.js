@@ -1,27 +1,237 @@
 const User = require('../models/User');
+const Notification = require('../models/Notification');
+const realtimeHub = require('../utils/realtimeHub');
+const smsService = require('../utils/smsService');
+const { sendEmail } = require('../utils/emailService');
 
 /**
- * Send notification to a user
+ * Send notification to a user and store it in their inbox
  * @param {string} userId - User ID to notify
  * @param {string} title - Notification title
  * @param {string} message - Notification message
  * @param {string} type - Notification type
  * @param {object} data - Additional data for the notification
+ * @returns {object|null} - Saved notification, or null if it could not be stored
  */
 const sendNotification = async (userId, title, message, type, data = {}) => {
-  // In a production environment, this would integrate with Firebase Cloud Messaging,
-  // or a similar service for push notifications
-  
-  console.log(`Notification sent to user ${userId}:`, {
-    title,
-    message,
-    type,
-    data,
-    timestamp: new Date()
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const notification = await Notification.create({
+      userId,
+      title,
+      message,
+      type,
+      data
+    });
+
+    // Push to any open real-time streams of the user
+    realtimeHub.publishToUser(userId, 'notification', notification);
+
+    return notification;
+  } catch (error) {
+    console.error(`Error sending notification to user ${userId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Store the same notification in the inbox of multiple users
+ * @param {Array<string>} userIds - User IDs to notify
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} type - Notification type
+ * @param {object} data - Additional data for the notification
+ * @returns {Array} - Stored notifications
+ */
+const storeNotifications = async (userIds, title, message, type, data) => {
+  return await Notification.insertMany(
+    userIds.map((userId) => ({ userId, title, message, type, data }))
+  );
+};
+
+/**
+ * Send the same notification to multiple users
+ * @param {Array<string>} userIds - User IDs to notify
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} type - Notification type
+ * @param {object} data - Additional data for the notification
+ * @returns {number} - Number of notifications stored
+ */
+const sendBulkNotification = async (userIds, title, message, type, data = {}) => {
+  if (!userIds || userIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const notifications = await storeNotifications(userIds, title, message, type, data);
+
+    for (const notification of notifications) {
+      realtimeHub.publishToUser(notification.userId, 'notification', notification);
+    }
+
+    return notifications.length;
+  } catch (error) {
+    console.error('Error sending bulk notifications:', error);
+    return 0;
+  }
+};
+
+/**
+ * Send notification to all approved users holding any of the given roles.
+ * Each user gets an inbox entry, which is also pushed to their live streams.
+ * @param {Array<string>} roles - User roles to notify
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} type - Notification type
+ * @param {object} data - Additional data for the notification
+ * @returns {number} - Number of notifications stored
+ */
+const notifyRoles = async (roles, title, message, type, data = {}) => {
+  const users = await User.find({
+    role: { $in: roles },
+    status: 'approved'
+  }).select('_id');
+
+  if (users.length === 0) {
+    return 0;
+  }
+
+  try {
+    const stored = await storeNotifications(users.map((user) => user._id), title, message, type, data);
+
+    // Streams get the stored entry, so clients can mark it read by its ID
+    for (const notification of stored) {
+      realtimeHub.publishToUser(notification.userId, 'notification', notification);
+    }
+
+    return stored.length;
+  } catch (error) {
+    console.error('Error storing role notifications:', error);
+    return 0;
+  }
+};
+
+/**
+ * Send notification to all approved users with a specific role
+ * @param {string} role - User role to notify
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} type - Notification type
+ * @param {object} data - Additional data for the notification
+ * @returns {number} - Number of notifications stored
+ */
+const notifyByRole = async (role, title, message, type, data = {}) => {
+  return await notifyRoles([role], title, message, type, data);
+};
+
+/**
+ * Send notification to all admins and staff of a department
+ * @param {string} department - Department to notify
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} type - Notification type
+ * @param {object} data - Additional data for the notification
+ * @returns {number} - Number of notifications stored
+ */
+const notifyByDepartment = async (department, title, message, type, data = {}) => {
+  const users = await User.find({
+    department,
+    status: 'approved',
+    role: { $in: ['departmentAdmin', 'maintenanceStaff'] }
+  }).select('_id');
+
+  return await sendBulkNotification(users.map((user) => user._id), title, message, type, data);
+};
+
+/**
+ * Get notifications for a user with pagination
+ * @param {string} userId - User ID
+ * @param {object} filters - Filter conditions (unread, type)
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {object} - Paginated notifications
+ */
+const getUserNotifications = async (userId, filters = {}, page = 1, limit = 20) => {
+  const query = { userId };
+
+  if (filters.unread === true || filters.unread === 'true') {
+    query.isRead = false;
+  }
+
+  if (filters.type) {
+    query.type = filters.type;
+  }
+
+  return await Notification.paginate(query, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    sort: { createdAt: -1 }
   });
-  
-  // Placeholder for actual notification implementation
-  // Example: await firebaseAdmin.messaging().send({ ... });
+};
+
+/**
+ * Get the number of unread notifications for a user
+ * @param {string} userId - User ID
+ * @returns {number} - Unread count
+ */
+const getUnreadCount = async (userId) => {
+  return await Notification.countDocuments({ userId, isRead: false });
+};
+
+/**
+ * Mark a single notification as read
+ * @param {string} notificationId - Notification ID
+ * @param {string} userId - Owner user ID
+ * @returns {object} - Updated notification
+ */
+const markAsRead = async (notificationId, userId) => {
+  const notification = await Notification.findOne({ _id: notificationId, userId });
+
+  if (!notification) {
+    throw new Error('Notification not found');
+  }
+
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  return notification;
+};
+
+/**
+ * Mark all unread notifications of a user as read
+ * @param {string} userId - User ID
+ * @returns {number} - Number of notifications updated
+ */
+const markAllAsRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { userId, isRead: false },
+    { isRead: true, readAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Delete a notification from a user's inbox
+ * @param {string} notificationId - Notification ID
+ * @param {string} userId - Owner user ID
+ * @returns {boolean} - Success status
+ */
+const deleteNotification = async (notificationId, userId) => {
+  const result = await Notification.deleteOne({ _id: notificationId, userId });
+
+  if (result.deletedCount === 0) {
+    throw new Error('Notification not found');
+  }
+
+  return true;
 };
 
 /**
@@ -33,16 +243,14 @@ const sendNotification = async (userId, title, message, type, data = {}) => {
  */
 const notifySecurityPersonnel = async (title, message, type, data = {}) => {
   try {
-    // Find all users with security roles
-    const securityUsers = await User.find({
-      role: { $in: ['superAdmin', 'departmentAdmin', 'securityPersonnel'] },
-      status: 'approved'
-    }).select('_id');
-    
-    // Send notification to each security user
-    for (const user of securityUsers) {
-      await sendNotification(user._id, title, message, type, data);
-    }
+    // Store for every security user and push once per security role stream
+    await notifyRoles(
+      ['superAdmin', 'departmentAdmin', 'securityPersonnel'],
+      title,
+      message,
+      type,
+      data
+    );
   } catch (error) {
     console.error('Error sending security notifications:', error);
   }
@@ -105,18 +313,198 @@ const notifyVisitorStatusChange = async (visitor, status, remarks = '') => {
         message = `Status update for your visitor ${visitor.name}: ${status}`;
     }
     
+    const entryPass = status === 'approved' && visitor.entryPass && visitor.entryPass.issuedAt
+      ? visitor.entryPass
+      : null;
+
     await sendNotification(user._id, title, message, 'visitor_update', {
       visitorId: visitor._id,
       visitorName: visitor.name,
       status,
       remarks,
-      updateTime: new Date()
+      updateTime: new Date(),
+      // The app renders the QR code for the resident to share with the visitor
+      ...(entryPass && {
+        entryPass: {
+          qrCode: entryPass.qrCode,
+          otp: entryPass.otp,
+          validFrom: entryPass.validFrom,
+          validUntil: entryPass.validUntil
+        }
+      })
     });
+
+    if (status === 'approved') {
+      await sendEmail(
+        user.email,
+        'visitorApproved',
+        {
+          name: user.name,
+          visitorName: visitor.name,
+          expectedArrivalTime: visitor.expectedArrivalTime,
+          otp: entryPass && entryPass.otp,
+          validUntil: entryPass && entryPass.validUntil
+        },
+        { referenceId: visitor._id, secrets: [entryPass && entryPass.otp] }
+      );
+    }
+
+    // Let the visitor know by SMS that they are expected at the gate
+    if (status === 'approved' && visitor.mobileNumber) {
+      await smsService.sendSMS(
+        visitor.mobileNumber,
+        `Hello ${visitor.name}, your visit requested by ${user.name} has been approved for ${new Date(visitor.expectedArrivalTime).toLocaleString()}.` +
+          (entryPass ? ` Show OTP ${entryPass.otp} at the gate.` : ''),
+        { purpose: 'visitor_approved', referenceId: visitor._id, secrets: [entryPass && entryPass.otp] }
+      );
+    }
   } catch (error) {
     console.error('Error sending visitor status notification:', error);
   }
 };
 
+/**
+ * Ask a flat's residents to approve or deny a walk-in visitor at the gate
+ * @param {object} visitor - Walk-in visitor
+ * @param {Array} hosts - Residents of the host flat
+ * @param {object} flat - Host flat (personal resource)
+ */
+const notifyWalkInVisitor = async (visitor, hosts, flat) => {
+  try {
+    const deadline = new Date(visitor.walkIn.responseDeadline).toLocaleTimeString();
+
+    await sendBulkNotification(
+      hosts.map((host) => host._id),
+      'Visitor at the Gate',
+      `${visitor.name} is at the gate for ${flat.resourceName} (${visitor.purpose}). Please approve or deny by ${deadline}.`,
+      'visitor_walk_in',
+      {
+        visitorId: visitor._id,
+        visitorName: visitor.name,
+        purpose: visitor.purpose,
+        hostResource: flat._id,
+        responseDeadline: visitor.walkIn.responseDeadline
+      }
+    );
+  } catch (error) {
+    console.error('Error sending walk-in visitor notification:', error);
+  }
+};
+
+/**
+ * Tell the guard who registered a walk-in visitor how the host answered
+ * @param {object} visitor - Walk-in visitor
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {object} host - Resident who answered
+ * @param {string} remarks - Optional remarks
+ */
+const notifyWalkInResponse = async (visitor, status, host, remarks = '') => {
+  const approved = status === 'approved';
+  let message = `${host.name} has ${approved ? 'approved' : 'denied'} entry for ${visitor.name}.`;
+  if (remarks) message += ` Remarks: ${remarks}`;
+
+  await sendNotification(
+    visitor.walkIn.registeredBy,
+    approved ? 'Walk-in Visitor Approved' : 'Walk-in Visitor Denied',
+    message,
+    'visitor_walk_in_update',
+    {
+      visitorId: visitor._id,
+      visitorName: visitor.name,
+      status,
+      remarks,
+      respondedBy: host.name
+    }
+  );
+};
+
+/**
+ * Alert the host resident and security that a visitor stayed past their expected duration
+ * @param {object} visitor - Checked-in visitor flagged as an overstay
+ */
+const notifyVisitorOverstay = async (visitor) => {
+  const expectedExitAt = new Date(
+    visitor.checkInTime.getTime() + visitor.expectedDuration * 60 * 60 * 1000
+  );
+  const data = {
+    visitorId: visitor._id,
+    visitorName: visitor.name,
+    tokenNumber: visitor.tokenNumber,
+    gate: visitor.gate,
+    checkInTime: visitor.checkInTime,
+    expectedExitAt
+  };
+
+  await sendNotification(
+    visitor.requestedBy,
+    'Visitor Overstay',
+    `Your visitor ${visitor.name} was expected to leave by ${expectedExitAt.toLocaleString()} and is still inside.`,
+    'visitor_overstay',
+    data
+  );
+
+  await notifySecurityPersonnel(
+    'Visitor Overstay',
+    `Visitor ${visitor.name} (token ${visitor.tokenNumber}) was expected to leave by ${expectedExitAt.toLocaleString()} and has not checked out.`,
+    'visitor_overstay',
+    data
+  );
+};
+
+/**
+ * Notify security about a new recurring visitor pass awaiting approval
+ * @param {object} pass - Visitor pass
+ * @param {object} requestedBy - Resident who requested the pass
+ */
+const notifyNewVisitorPass = async (pass, requestedBy) => {
+  const title = 'New Visitor Pass Request';
+  const message = `${requestedBy.name} has requested a recurring pass for ${pass.name} (${pass.purpose})`;
+  
+  await notifySecurityPersonnel(title, message, 'visitor_pass_request', {
+    passId: pass._id,
+    visitorName: pass.name,
+    requestedBy: requestedBy.name,
+    requestTime: pass.createdAt
+  });
+};
+
+/**
+ * Notify the resident about a change to their visitor pass
+ * @param {object} pass - Visitor pass
+ * @param {string} status - New status ('approved', 'rejected' or 'revoked')
+ * @param {string} remarks - Optional remarks or reason
+ */
+const notifyVisitorPassStatusChange = async (pass, status, remarks = '') => {
+  try {
+    const titles = {
+      approved: 'Visitor Pass Approved',
+      rejected: 'Visitor Pass Rejected',
+      revoked: 'Visitor Pass Revoked'
+    };
+    let message = `The recurring pass for ${pass.name} has been ${status}.`;
+    if (status === 'approved') message += ` Pass code: ${pass.passCode}`;
+    if (remarks) message += ` Reason: ${remarks}`;
+    
+    await sendNotification(pass.requestedBy, titles[status], message, 'visitor_pass_update', {
+      passId: pass._id,
+      visitorName: pass.name,
+      status,
+      remarks
+    });
+
+    // The visitor needs the pass code at the gate
+    if (status === 'approved' && pass.mobileNumber) {
+      await smsService.sendSMS(
+        pass.mobileNumber,
+        `Hello ${pass.name}, your visitor pass has been approved. Show pass code ${pass.passCode} at the gate.`,
+        { purpose: 'visitor_pass_approved', referenceId: pass._id, secrets: [pass.passCode] }
+      );
+    }
+  } catch (error) {
+    console.error('Error sending visitor pass notification:', error);
+  }
+};
+
 /**
  * Notify about a blacklisted visitor attempt
  * @param {object} blacklistEntry - Blacklist entry
@@ -150,10 +538,24 @@ const notifyBlacklistedVisitorAttempt = async (blacklistEntry, visitorRequest =
 
 module.exports = {
   sendNotification,
+  sendBulkNotification,
+  notifyRoles,
+  notifyByRole,
+  notifyByDepartment,
+  getUserNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
   notifySecurityPersonnel,
   notifyNewVisitorRequest,
   notifyVisitorStatusChange,
-  notifyBlacklistedVisitorAttempt
+  notifyNewVisitorPass,
+  notifyVisitorPassStatusChange,
+  notifyBlacklistedVisitorAttempt,
+  notifyWalkInVisitor,
+  notifyWalkInResponse,
+  notifyVisitorOverstay
 };
 
 
@@ -0,0 +1,131 @@
+const RolePermission = require('../models/RolePermission');
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  USER_ROLES
+} = require('../utils/constants');
+
+// Role mappings are read on every protected request, so keep them in memory
+// briefly. Other server processes pick up edits once their copy expires.
+const CACHE_TTL = 60 * 1000;
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Load the effective permissions of every role: the stored mapping where a
+ * superAdmin has edited the role, the defaults otherwise
+ * @returns {Map} - Role to Set of permissions
+ */
+const loadRolePermissions = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL) {
+    return cache;
+  }
+
+  const stored = await RolePermission.find();
+  const mappings = new Map(
+    Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([role, permissions]) => [role, new Set(permissions)])
+  );
+
+  stored.forEach((entry) => {
+    mappings.set(entry.role, new Set(entry.permissions));
+  });
+
+  cache = mappings;
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Check whether a role has all of the given permissions
+ * @param {string} role - User role
+ * @param {Array} permissions - Permission keys
+ * @returns {boolean} - True if every permission is granted
+ */
+const roleHasPermissions = async (role, permissions) => {
+  const mappings = await loadRolePermissions();
+  const granted = mappings.get(role);
+
+  return Boolean(granted) && permissions.every((permission) => granted.has(permission));
+};
+
+/**
+ * Get the permission registry and the current mapping of every role
+ * @returns {object} - { permissions, roles }
+ */
+const getRolePermissions = async () => {
+  const mappings = await loadRolePermissions();
+  const customized = new Set((await RolePermission.find().select('role')).map((entry) => entry.role));
+
+  return {
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+    roles: Object.keys(USER_ROLES).map((role) => ({
+      role,
+      permissions: [...(mappings.get(role) || [])],
+      isDefault: !customized.has(role)
+    }))
+  };
+};
+
+/**
+ * Replace the permissions granted to a role
+ * @param {string} role - User role
+ * @param {Array} permissions - Permission keys
+ * @param {string} updatedBy - superAdmin user ID
+ * @returns {object} - Updated role mapping
+ */
+const updateRolePermissions = async (role, permissions, updatedBy) => {
+  if (!USER_ROLES[role]) {
+    throw new Error('Invalid role');
+  }
+
+  const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  // Stop superAdmins from locking themselves out of this API
+  if (role === 'superAdmin' && !permissions.includes('permission:manage')) {
+    throw new Error('superAdmin must keep the permission:manage permission');
+  }
+
+  const entry = await RolePermission.findOneAndUpdate(
+    { role },
+    { permissions: [...new Set(permissions)], updatedBy },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  cache = null;
+
+  return {
+    role: entry.role,
+    permissions: entry.permissions,
+    isDefault: false
+  };
+};
+
+/**
+ * Restore the default permissions of a role
+ * @param {string} role - User role
+ * @returns {object} - Default role mapping
+ */
+const resetRolePermissions = async (role) => {
+  if (!USER_ROLES[role]) {
+    throw new Error('Invalid role');
+  }
+
+  await RolePermission.deleteOne({ role });
+  cache = null;
+
+  return {
+    role,
+    permissions: DEFAULT_ROLE_PERMISSIONS[role] || [],
+    isDefault: true
+  };
+};
+
+module.exports = {
+  roleHasPermissions,
+  getRolePermissions,
+  updateRolePermissions,
+  resetRolePermissions
+};
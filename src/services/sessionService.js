@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+/**
+ * Hash a refresh token secret for storage and comparison
+ * @param {string} secret - Refresh token secret
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Build a refresh token in the form `<sessionId>.<secret>`
+ * @param {object} session - Session document
+ * @param {string} secret - Refresh token secret
+ * @returns {string} - Refresh token
+ */
+const formatRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+/**
+ * Create a new session for a user
+ * @param {string} userId - User ID
+ * @param {object} meta - Optional userAgent and ipAddress of the client
+ * @returns {object} - Session document and its refresh token
+ */
+const createSession = async (userId, meta = {}) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    lastUsedAt: new Date(),
+    userAgent: meta.userAgent,
+    ipAddress: meta.ipAddress
+  });
+
+  return { session, refreshToken: formatRefreshToken(session, secret) };
+};
+
+/**
+ * Rotate a refresh token. Presenting an already-rotated token revokes
+ * the whole session, since it means the token was copied.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {object} - Updated session and its new refresh token
+ */
+const rotateSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const now = new Date();
+  const newSecret = crypto.randomBytes(32).toString('hex');
+
+  // Check and rotate in one step so two requests with the same token cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashSecret(secret),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: { refreshTokenHash: hashSecret(newSecret), lastUsedAt: now },
+      $inc: { generation: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId).select('revokedAt expiresAt');
+
+    if (!existing || existing.revokedAt) {
+      throw new Error('Session has been revoked');
+    }
+
+    if (existing.expiresAt <= now) {
+      throw new Error('Session has expired');
+    }
+
+    // The token was valid once but has been rotated since: it was copied
+    await revokeSession(sessionId, 'token_reuse');
+    throw new Error('Refresh token has already been used');
+  }
+
+  return { session, refreshToken: formatRefreshToken(session, newSecret) };
+};
+
+/**
+ * Check whether an access token still belongs to a live session generation
+ * @param {string} sessionId - Session ID from the token
+ * @param {number} generation - Session generation from the token
+ * @returns {boolean} - True if the token may be used
+ */
+const isSessionActive = async (sessionId, generation) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt generation');
+
+  return Boolean(
+    session &&
+    !session.revokedAt &&
+    session.expiresAt > new Date() &&
+    session.generation === generation
+  );
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @param {string} revokedBy - User ID performing the revocation
+ * @returns {boolean} - True if a live session was revoked
+ */
+const revokeSession = async (sessionId, reason = 'logout', revokedBy = null) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every live session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} revokedBy - User ID performing the revocation
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'admin', revokedBy = null) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,322 @@
+const Complaint = require("../models/Complaint");
+const SlaPolicy = require("../models/SlaPolicy");
+const User = require("../models/User");
+const { sendBulkNotification, sendNotification } = require("./notificationService");
+const {
+  COMPLAINT_CATEGORIES,
+  DEFAULT_SLA_POLICY,
+} = require("../utils/constants");
+
+const HOUR = 60 * 60 * 1000;
+
+// Find the policy for a complaint: subcategory policy first, then the
+// category policy, then the built-in defaults
+const resolvePolicy = async (category, subcategory) => {
+  const policies = await SlaPolicy.find({
+    category,
+    subcategory: { $in: [subcategory, null] },
+  });
+
+  return (
+    policies.find((policy) => policy.subcategory === subcategory) ||
+    policies.find((policy) => policy.subcategory === null) || {
+      ...DEFAULT_SLA_POLICY,
+      _id: undefined,
+    }
+  );
+};
+
+// Compute the SLA deadlines of a new complaint
+const computeSla = async (category, subcategory, from = new Date()) => {
+  const policy = await resolvePolicy(category, subcategory);
+
+  return {
+    policy: policy._id,
+    assignDueAt: new Date(from.getTime() + policy.timeToAssignHours * HOUR),
+    resolveDueAt: new Date(from.getTime() + policy.timeToResolveHours * HOUR),
+    assignBreached: false,
+    resolveBreached: false,
+  };
+};
+
+// Stop the SLA clocks of a complaint going on hold
+const pauseSla = (complaint, at = new Date()) => {
+  if (!complaint.sla || !complaint.sla.resolveDueAt || complaint.sla.pausedAt) {
+    return;
+  }
+
+  complaint.sla.pausedAt = at;
+};
+
+// Restart the SLA clocks of a resumed complaint, moving the deadlines that
+// had not passed yet by the time spent on hold
+const resumeSla = (complaint, at = new Date()) => {
+  if (!complaint.sla || !complaint.sla.pausedAt) {
+    return;
+  }
+
+  const pausedMs = at.getTime() - complaint.sla.pausedAt.getTime();
+  const shift = (dueAt) => new Date(dueAt.getTime() + pausedMs);
+
+  if (complaint.sla.assignDueAt && !complaint.sla.assignBreached) {
+    complaint.sla.assignDueAt = shift(complaint.sla.assignDueAt);
+  }
+  if (complaint.sla.resolveDueAt && !complaint.sla.resolveBreached) {
+    complaint.sla.resolveDueAt = shift(complaint.sla.resolveDueAt);
+  }
+
+  complaint.sla.pausedMinutes =
+    (complaint.sla.pausedMinutes || 0) + Math.round(pausedMs / 60000);
+  complaint.sla.pausedAt = undefined;
+};
+
+// Give a reopened complaint a fresh time-to-resolve deadline
+const restartResolveClock = async (complaint, at = new Date()) => {
+  const policy = await resolvePolicy(complaint.category, complaint.subcategory);
+
+  complaint.sla = complaint.sla || {};
+  complaint.sla.resolveDueAt = new Date(
+    at.getTime() + policy.timeToResolveHours * HOUR
+  );
+  complaint.sla.resolveBreached = false;
+  complaint.sla.resolveBreachedAt = undefined;
+};
+
+// Get configured SLA policies, optionally for one category
+const getSlaPolicies = async (filters = {}) => {
+  const query = {};
+  if (filters.category) query.category = filters.category;
+
+  const policies = await SlaPolicy.find(query)
+    .populate("updatedBy", "name")
+    .sort({ category: 1, subcategory: 1 });
+
+  return {
+    defaults: DEFAULT_SLA_POLICY,
+    policies,
+  };
+};
+
+// Create or replace the policy of a category/subcategory
+const upsertSlaPolicy = async (policyData, user) => {
+  const {
+    category,
+    subcategory,
+    timeToAssignHours,
+    timeToResolveHours,
+    autoEscalate,
+  } = policyData;
+
+  if (!COMPLAINT_CATEGORIES[category]) {
+    throw new Error(`Invalid category: ${category}`);
+  }
+
+  if (subcategory && !COMPLAINT_CATEGORIES[category].includes(subcategory)) {
+    throw new Error(`Invalid subcategory for ${category}: ${subcategory}`);
+  }
+
+  if (Number(timeToResolveHours) < Number(timeToAssignHours)) {
+    throw new Error("Time to resolve cannot be shorter than time to assign");
+  }
+
+  const policy = await SlaPolicy.findOneAndUpdate(
+    { category, subcategory: subcategory || null },
+    {
+      timeToAssignHours,
+      timeToResolveHours,
+      autoEscalate: autoEscalate !== undefined ? autoEscalate : true,
+      updatedBy: user._id,
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return policy;
+};
+
+// Delete a policy; its complaints fall back to the category policy or defaults
+const deleteSlaPolicy = async (policyId) => {
+  const policy = await SlaPolicy.findByIdAndDelete(policyId);
+  if (!policy) {
+    throw new Error("SLA policy not found");
+  }
+
+  return policy;
+};
+
+// Admins responsible for a complaint category (superAdmins for Misc)
+const findResponsibleAdmins = async (category) => {
+  const query =
+    category === "Misc"
+      ? { role: "superAdmin", status: "approved" }
+      : { role: "departmentAdmin", department: category, status: "approved" };
+
+  const admins = await User.find(query).select("_id");
+  return admins.map((admin) => admin._id);
+};
+
+// Flag a breached complaint, escalate it if the policy says so and notify.
+// Returns null when a concurrent run already handled the breach.
+const handleBreach = async (complaint, breaches, now, appellateAuthority) => {
+  const policy = await resolvePolicy(complaint.category, complaint.subcategory);
+  const labels = [];
+  const changes = {};
+  const unbreached = {};
+
+  if (breaches.includes("assign")) {
+    changes["sla.assignBreached"] = true;
+    changes["sla.assignBreachedAt"] = now;
+    unbreached["sla.assignBreached"] = { $ne: true };
+    labels.push("time-to-assign");
+  }
+  if (breaches.includes("resolve")) {
+    changes["sla.resolveBreached"] = true;
+    changes["sla.resolveBreachedAt"] = now;
+    unbreached["sla.resolveBreached"] = { $ne: true };
+    labels.push("time-to-resolve");
+  }
+
+  const missed = `${labels.join(" and ")} target${labels.length > 1 ? "s" : ""}`;
+  const reason = `SLA breached: ${missed} missed`;
+  const escalate = policy.autoEscalate && complaint.status !== "escalated";
+
+  if (escalate) {
+    changes.status = "escalated";
+    changes.escalation = {
+      escalatedAt: now,
+      reason,
+      appellateAuthority: appellateAuthority && appellateAuthority._id,
+      automatic: true,
+    };
+  }
+
+  // Claim the breach so a concurrent run does not escalate or notify twice
+  const claimed = await Complaint.findOneAndUpdate(
+    { _id: complaint._id, status: complaint.status, ...unbreached },
+    {
+      $set: changes,
+      $push: {
+        history: {
+          status: escalate ? "escalated" : complaint.status,
+          timestamp: now,
+          notes: escalate ? `${reason}. Escalated automatically` : reason,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  // Notify the department admins
+  const adminIds = await findResponsibleAdmins(complaint.category);
+  await sendBulkNotification(
+    adminIds,
+    "Complaint SLA Breached",
+    `Complaint ${complaint.complaintId} missed its ${missed}${
+      escalate ? " and has been escalated" : ""
+    }`,
+    "complaint",
+    { complaintId: complaint._id, breaches }
+  );
+
+  if (escalate) {
+    if (appellateAuthority) {
+      await sendNotification(
+        appellateAuthority._id,
+        "Complaint Escalated",
+        `Complaint ${complaint.complaintId} has been escalated after missing its SLA`,
+        "complaint",
+        { complaintId: complaint._id }
+      );
+    }
+
+    // Preventive work orders have no resident to tell
+    if (complaint.source !== "preventive") {
+      await sendNotification(
+        complaint.userId,
+        "Complaint Update",
+        `Your complaint ${complaint.complaintId} has been escalated to the appellate authority`,
+        "complaint",
+        { complaintId: complaint._id }
+      );
+    }
+  }
+
+  return { complaintId: complaint.complaintId, breaches, escalated: escalate };
+};
+
+// Flag open complaints whose SLA deadlines have passed (run by the scheduler).
+// Complaints on hold are skipped until they resume.
+const processSlaBreaches = async (now = new Date()) => {
+  const complaints = await Complaint.find({
+    $or: [
+      {
+        status: "pending",
+        "sla.assignDueAt": { $lte: now },
+        "sla.assignBreached": { $ne: true },
+      },
+      {
+        status: { $in: ["pending", "assigned", "reopened"] },
+        "sla.resolveDueAt": { $lte: now },
+        "sla.resolveBreached": { $ne: true },
+      },
+    ],
+  });
+
+  if (complaints.length === 0) {
+    return [];
+  }
+
+  const appellateAuthority = await User.findOne({
+    role: "superAdmin",
+    status: "approved",
+  }).select("_id");
+
+  const results = [];
+  for (const complaint of complaints) {
+    const breaches = [];
+    if (
+      complaint.status === "pending" &&
+      !complaint.sla.assignBreached &&
+      complaint.sla.assignDueAt <= now
+    ) {
+      breaches.push("assign");
+    }
+    if (!complaint.sla.resolveBreached && complaint.sla.resolveDueAt <= now) {
+      breaches.push("resolve");
+    }
+
+    try {
+      const result = await handleBreach(
+        complaint,
+        breaches,
+        now,
+        appellateAuthority
+      );
+      if (result) {
+        results.push(result);
+      }
+    } catch (error) {
+      console.error(
+        `Error processing SLA breach of complaint ${complaint.complaintId}:`,
+        error
+      );
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  computeSla,
+  pauseSla,
+  resumeSla,
+  restartResolveClock,
+  getSlaPolicies,
+  upsertSlaPolicy,
+  deleteSlaPolicy,
+  findResponsibleAdmins,
+  processSlaBreaches,
+};
@@ -1,5 +1,10 @@
 const User = require('../models/User');
 const { generateUserId } = require('../utils/generateId');
+const { sendEmail } = require('../utils/emailService');
+const sessionService = require('./sessionService');
+const gateService = require('./gateService');
+const { assertUserInScope, userScopeQuery } = require('../utils/departmentScope');
+const { COMPLAINT_CATEGORIES } = require('../utils/constants');
 
 /**
  * Create a new admin or staff user
@@ -8,7 +13,7 @@ const { generateUserId } = require('../utils/generateId');
  * @returns {object} - Created user object
  */
 const createAdminUser = async (userData, createdBy) => {
-  const { name, email, phone, password, role, department } = userData;
+  const { name, email, phone, password, role, department, assignedGates = [] } = userData;
   
   // Check if user exists
   const userExists = await User.findOne({ email });
@@ -16,6 +21,12 @@ const createAdminUser = async (userData, createdBy) => {
     throw new Error('User already exists');
   }
   
+  // Only security personnel are posted at gates
+  if (assignedGates.length > 0 && role !== 'securityPersonnel') {
+    throw new Error('Gates can only be assigned to security personnel');
+  }
+  const gates = await gateService.findActiveGates(assignedGates);
+  
   // Create user with role and auto-approved status
   const user = await User.create({
     userId: generateUserId(),
@@ -25,6 +36,7 @@ const createAdminUser = async (userData, createdBy) => {
     password,
     role,
     department,
+    assignedGates: gates.map((gate) => gate._id),
     status: 'approved',
     approvedBy: createdBy
   });
@@ -37,28 +49,31 @@ const createAdminUser = async (userData, createdBy) => {
     phone: user.phone,
     role: user.role,
     department: user.department,
+    assignedGates: user.assignedGates,
     status: user.status
   };
 };
 
 /**
- * Get all users with filters
+ * Get all users with filters, limited to the viewer's department
  * @param {object} filters - Filter conditions
+ * @param {object} viewer - User requesting the list
  * @returns {Array} - List of users
  */
-const getAllUsers = async (filters = {}) => {
-  return await User.find(filters)
+const getAllUsers = async (filters = {}, viewer) => {
+  return await User.find({ ...filters, ...userScopeQuery(viewer) })
     .select('-password')
     .sort({ createdAt: -1 });
 };
 
 /**
- * Get users by status
+ * Get users by status, limited to the viewer's department
  * @param {string} status - User status
+ * @param {object} viewer - User requesting the list
  * @returns {Array} - List of users
  */
-const getUsersByStatus = async (status) => {
-  return await User.find({ status })
+const getUsersByStatus = async (status, viewer) => {
+  return await User.find({ status, ...userScopeQuery(viewer) })
     .select('-password')
     .sort({ createdAt: -1 });
 };
@@ -67,21 +82,32 @@ const getUsersByStatus = async (status) => {
  * Approve or reject user registration
  * @param {string} userId - User ID
  * @param {string} status - New status ('approved' or 'rejected')
- * @param {string} adminId - Admin user ID
+ * @param {object} admin - Admin approving or rejecting the user
  * @returns {object} - Updated user
  */
-const updateUserStatus = async (userId, status, adminId) => {
+const updateUserStatus = async (userId, status, admin) => {
   const user = await User.findById(userId);
   
   if (!user) {
     throw new Error('User not found');
   }
   
+  assertUserInScope(admin, user);
+  
   user.status = status;
-  user.approvedBy = adminId;
+  user.approvedBy = admin._id;
   
   await user.save();
   
+  if (['approved', 'rejected'].includes(status)) {
+    await sendEmail(
+      user.email,
+      status === 'approved' ? 'accountApproved' : 'accountRejected',
+      { name: user.name },
+      { referenceId: user._id }
+    );
+  }
+  
   return {
     _id: user._id,
     userId: user.userId,
@@ -92,9 +118,115 @@ const updateUserStatus = async (userId, status, adminId) => {
   };
 };
 
+/**
+ * Revoke all active sessions of a user (e.g. lost device)
+ * @param {string} userId - User ID
+ * @param {string} adminId - Admin user ID
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, adminId) => {
+  const user = await User.findById(userId);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  return await sessionService.revokeAllSessions(user._id, 'admin', adminId);
+};
+
+/**
+ * Set the gates a security guard can be posted at
+ * @param {string} userId - User ID
+ * @param {Array} gateIds - Gate IDs
+ * @returns {object} - Updated user
+ */
+const assignUserGates = async (userId, gateIds) => {
+  const user = await User.findById(userId);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  if (user.role !== 'securityPersonnel') {
+    throw new Error('Gates can only be assigned to security personnel');
+  }
+  
+  const gates = await gateService.findActiveGates(gateIds);
+  user.assignedGates = gates.map((gate) => gate._id);
+  
+  // End the current shift if the guard was moved off that gate
+  if (user.dutyGate && !gates.some((gate) => gate._id.equals(user.dutyGate))) {
+    user.dutyGate = undefined;
+    user.dutyStartedAt = undefined;
+  }
+  
+  await user.save();
+  
+  return {
+    _id: user._id,
+    userId: user.userId,
+    name: user.name,
+    role: user.role,
+    assignedGates: gates,
+    dutyGate: user.dutyGate || null
+  };
+};
+
+/**
+ * Update the skills and availability used to auto-assign complaints to a staff member
+ * @param {string} userId - Staff user ID
+ * @param {object} profile - { skills, isAvailable }
+ * @param {object} admin - Admin making the change
+ * @returns {object} - Updated staff assignment profile
+ */
+const updateStaffProfile = async (userId, profile, admin) => {
+  const user = await User.findById(userId);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  if (user.role !== 'maintenanceStaff') {
+    throw new Error('Skills and availability can only be set for maintenance staff');
+  }
+  
+  assertUserInScope(admin, user);
+  
+  if (profile.skills !== undefined) {
+    const subcategories = COMPLAINT_CATEGORIES[user.department];
+    const unknown = subcategories
+      ? profile.skills.filter((skill) => !subcategories.includes(skill))
+      : [];
+    
+    if (unknown.length > 0) {
+      throw new Error(`Not ${user.department} subcategories: ${unknown.join(', ')}`);
+    }
+    
+    user.skills = [...new Set(profile.skills)];
+  }
+  
+  if (profile.isAvailable !== undefined) {
+    user.isAvailable = profile.isAvailable;
+  }
+  
+  await user.save();
+  
+  return {
+    _id: user._id,
+    userId: user.userId,
+    name: user.name,
+    department: user.department,
+    skills: user.skills,
+    isAvailable: user.isAvailable
+  };
+};
+
 module.exports = {
   createAdminUser,
   getAllUsers,
   getUsersByStatus,
-  updateUserStatus
+  updateUserStatus,
+  revokeUserSessions,
+  assignUserGates,
+  updateStaffProfile
 };
\ No newline at end of file
@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const Visitor = require('../models/visitor');
+const VisitorPass = require('../models/visitorPass');
+const VisitorBlacklist = require('../models/visitorBlacklist');
+const User = require('../models/User');
+const {
+  generateVisitorId,
+  generateVisitorPassId
+} = require('../utils/generateVisitorId');
+const { WEEKDAYS } = require('../utils/constants');
+const { getLocalParts, toLocalDate, atLocalTime } = require('../utils/estateTime');
+const notificationService = require('./notificationService');
+const gateService = require('./gateService');
+const { roleHasPermissions } = require('./permissionService');
+const { claimUploads, releaseUploads, attachFiles } = require('./fileService');
+const {
+  gateAccessError,
+  resolveActionGate,
+  generateTokenNumber
+} = require('./visitorService');
+
+// Pass codes avoid characters that are easy to misread (0/O, 1/I)
+const PASS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PASS_CODE_LENGTH = 6;
+
+/**
+ * Generate a pass code that no other pass uses
+ * @returns {string} - Pass code
+ */
+const generatePassCode = async () => {
+  for (;;) {
+    let code = '';
+    for (let i = 0; i < PASS_CODE_LENGTH; i++) {
+      code += PASS_CODE_ALPHABET[crypto.randomInt(PASS_CODE_ALPHABET.length)];
+    }
+
+    if (!(await VisitorPass.exists({ passCode: code }))) {
+      return code;
+    }
+  }
+};
+
+/**
+ * Convert an HH:mm time to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Make sure a pass can be used right now: approved, within its validity
+ * period, on an allowed weekday and within its time window, in estate time
+ * @param {object} pass - Visitor pass
+ * @param {Date} now - Current time
+ */
+const assertPassUsable = (pass, now) => {
+  if (pass.status === 'revoked') {
+    throw new Error('This visitor pass has been revoked');
+  }
+
+  if (pass.status !== 'approved') {
+    throw new Error('This visitor pass has not been approved');
+  }
+
+  if (now < pass.validFrom || now > pass.validUntil) {
+    throw new Error('This visitor pass is not valid today');
+  }
+
+  const { weekday, hours, minutes: minute } = getLocalParts(now);
+  if (!pass.weekdays.includes(WEEKDAYS[weekday])) {
+    throw new Error(`This visitor pass is not valid on ${WEEKDAYS[weekday]}`);
+  }
+
+  const minutes = hours * 60 + minute;
+  if (minutes < toMinutes(pass.timeWindow.start) || minutes > toMinutes(pass.timeWindow.end)) {
+    throw new Error(
+      `This visitor pass is only valid between ${pass.timeWindow.start} and ${pass.timeWindow.end}`
+    );
+  }
+};
+
+/**
+ * Find a pass by ID
+ * @param {string} passId - Visitor pass ID
+ * @returns {object} - Visitor pass
+ */
+const findPass = async (passId) => {
+  const pass = await VisitorPass.findById(passId);
+
+  if (!pass) {
+    throw new Error('Visitor pass not found');
+  }
+
+  return pass;
+};
+
+/**
+ * Create a recurring visitor pass, pending security approval
+ * @param {object} passData - Visitor details, weekdays, time window and validity
+ * @param {string} userId - Requesting resident ID
+ * @returns {object} - Created pass
+ */
+const createVisitorPass = async (passData, userId) => {
+  const {
+    name,
+    mobileNumber,
+    photo,
+    purpose,
+    gate,
+    weekdays,
+    timeWindow,
+    validFrom,
+    validUntil
+  } = passData;
+
+  const isBlacklisted = await VisitorBlacklist.findOne({
+    mobileNumber,
+    isActive: true
+  });
+
+  if (isBlacklisted) {
+    await notificationService.notifyBlacklistedVisitorAttempt(isBlacklisted, {
+      requestedBy: userId,
+      visitor: { name, mobileNumber }
+    });
+
+    throw new Error('This visitor is blacklisted and cannot be registered');
+  }
+
+  if (toMinutes(timeWindow.end) <= toMinutes(timeWindow.start)) {
+    throw new Error('The time window must end after it starts');
+  }
+
+  // The validity period covers whole days of the estate calendar
+  const from = atLocalTime(toLocalDate(validFrom || new Date()));
+  const until = atLocalTime(toLocalDate(validUntil), 23, 59, 59, 999);
+
+  if (until < from) {
+    throw new Error('The pass must be valid until after it starts');
+  }
+
+  if (gate) {
+    await gateService.findActiveGates([gate]);
+  }
+
+  const [photoFile] = await claimUploads(photo, userId, 'visitorPhoto');
+
+  let pass;
+  try {
+    pass = await VisitorPass.create({
+      passId: generateVisitorPassId(),
+      passCode: await generatePassCode(),
+      name,
+      mobileNumber,
+      photo: photoFile && photoFile._id,
+      purpose,
+      requestedBy: userId,
+      gate,
+      weekdays: [...new Set(weekdays)],
+      timeWindow,
+      validFrom: from,
+      validUntil: until,
+      status: 'pending'
+    });
+
+    if (photoFile) {
+      await attachFiles([photoFile], 'VisitorPass', pass._id);
+    }
+  } catch (error) {
+    if (photoFile) await releaseUploads([photoFile]);
+    throw error;
+  }
+
+  const requestedBy = await User.findById(userId);
+  await notificationService.notifyNewVisitorPass(pass, requestedBy);
+
+  return pass;
+};
+
+/**
+ * Get the passes a resident has requested
+ * @param {string} userId - Resident ID
+ * @param {object} filters - Filter conditions (status)
+ * @returns {Array} - List of passes
+ */
+const getUserVisitorPasses = async (userId, filters = {}) => {
+  const query = { requestedBy: userId };
+
+  if (filters.status) {
+    query.status = filters.status;
+  }
+
+  return await VisitorPass.find(query)
+    .populate('photo')
+    .populate('gate', 'gateId name')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Get passes for security, pending ones by default
+ * @param {object} filters - Filter conditions (status)
+ * @returns {Array} - List of passes
+ */
+const getVisitorPasses = async (filters = {}) => {
+  const query = { status: filters.status || 'pending' };
+
+  return await VisitorPass.find(query)
+    .populate('requestedBy', 'name userId email')
+    .populate('gate', 'gateId name')
+    .populate('photo')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Approve or reject a pending visitor pass
+ * @param {string} passId - Visitor pass ID
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {object} securityPersonnel - User reviewing the pass
+ * @param {string} remarks - Optional remarks
+ * @returns {object} - Updated pass
+ */
+const reviewVisitorPass = async (passId, status, securityPersonnel, remarks = '') => {
+  const pass = await findPass(passId);
+
+  if (pass.status !== 'pending') {
+    throw new Error('Only pending visitor passes can be reviewed');
+  }
+
+  resolveActionGate(pass, securityPersonnel);
+
+  pass.status = status;
+  pass.remarks = remarks || pass.remarks;
+  pass.approvedBy = securityPersonnel._id;
+  pass.approvalTime = new Date();
+
+  await pass.save();
+
+  await notificationService.notifyVisitorPassStatusChange(pass, status, remarks);
+
+  return pass;
+};
+
+/**
+ * Revoke a pass. Residents can revoke their own passes; security can revoke any.
+ * @param {string} passId - Visitor pass ID
+ * @param {object} user - User revoking the pass
+ * @param {string} reason - Optional reason
+ * @returns {object} - Updated pass
+ */
+const revokeVisitorPass = async (passId, user, reason = '') => {
+  const pass = await findPass(passId);
+
+  const isOwner = pass.requestedBy.toString() === user._id.toString();
+  if (!isOwner && !(await roleHasPermissions(user.role, ['visitor:approve']))) {
+    throw gateAccessError('Not authorized to revoke this visitor pass');
+  }
+
+  if (!['pending', 'approved'].includes(pass.status)) {
+    throw new Error('Only pending or approved visitor passes can be revoked');
+  }
+
+  pass.status = 'revoked';
+  pass.revokedBy = user._id;
+  pass.revokedAt = new Date();
+  pass.revokeReason = reason;
+
+  await pass.save();
+
+  if (!isOwner) {
+    await notificationService.notifyVisitorPassStatusChange(pass, 'revoked', reason);
+  }
+
+  return pass;
+};
+
+/**
+ * Check in a pass holder with their pass code. The visit is logged as an
+ * auto-approved Visitor without a new request.
+ * @param {string} passCode - Pass code given at the gate
+ * @param {object} checkInData - Optional ID card photo
+ * @param {object} securityPersonnel - User checking the visitor in
+ * @returns {object} - Checked-in visitor
+ */
+const checkInWithPass = async (passCode, checkInData, securityPersonnel) => {
+  const { idCardPhoto } = checkInData;
+  const now = new Date();
+
+  const pass = await VisitorPass.findOne({ passCode: passCode.toUpperCase() });
+  if (!pass) {
+    throw new Error('Visitor pass not found');
+  }
+
+  assertPassUsable(pass, now);
+  const gate = resolveActionGate(pass, securityPersonnel);
+
+  const isBlacklisted = await VisitorBlacklist.findOne({
+    mobileNumber: pass.mobileNumber,
+    isActive: true
+  });
+  if (isBlacklisted) {
+    await notificationService.notifyBlacklistedVisitorAttempt(isBlacklisted, pass);
+    throw new Error('This visitor is blacklisted and cannot be checked in');
+  }
+
+  const alreadyInside = await Visitor.exists({ pass: pass._id, status: 'checked-in' });
+  if (alreadyInside) {
+    throw new Error('This pass holder is already checked in');
+  }
+
+  const [idCardFile] = await claimUploads(idCardPhoto, securityPersonnel._id, 'visitorIdCard');
+
+  // Expected to leave by the end of the pass's time window
+  const [endHours, endMinutes] = pass.timeWindow.end.split(':').map(Number);
+  const windowEnd = atLocalTime(toLocalDate(now), endHours, endMinutes);
+
+  let visitor;
+  try {
+    visitor = await Visitor.create({
+      visitorId: generateVisitorId(),
+      name: pass.name,
+      mobileNumber: pass.mobileNumber,
+      photo: pass.photo,
+      idCardPhoto: idCardFile && idCardFile._id,
+      requestedBy: pass.requestedBy,
+      purpose: pass.purpose,
+      expectedArrivalTime: now,
+      expectedDuration: Math.max(1, Math.ceil((windowEnd - now) / (60 * 60 * 1000))),
+      gate,
+      source: 'pass',
+      pass: pass._id,
+      status: 'checked-in',
+      approvedBy: pass.approvedBy,
+      approvalTime: now,
+      checkInTime: now,
+      checkedInBy: securityPersonnel._id,
+      tokenNumber: generateTokenNumber()
+    });
+
+    if (idCardFile) {
+      await attachFiles([idCardFile], 'Visitor', visitor._id);
+    }
+  } catch (error) {
+    if (idCardFile) await releaseUploads([idCardFile]);
+    // Another check-in with the same pass won the race
+    if (error.code === 11000) {
+      throw new Error('This pass holder is already checked in');
+    }
+    throw error;
+  }
+
+  pass.visitCount += 1;
+  pass.lastVisitAt = now;
+  await pass.save();
+
+  await notificationService.notifyVisitorStatusChange(visitor, 'checked-in');
+
+  return visitor;
+};
+
+module.exports = {
+  createVisitorPass,
+  getUserVisitorPasses,
+  getVisitorPasses,
+  reviewVisitorPass,
+  revokeVisitorPass,
+  checkInWithPass
+};
@@ -1,8 +1,130 @@
+const crypto = require('crypto');
 const Visitor = require('../models/visitor');
 const VisitorBlacklist = require('../models/visitorBlacklist');
 const User = require('../models/User');
+const Resource = require('../models/Resource');
+const UserResource = require('../models/UserResource');
 const { generateVisitorId } = require('../utils/generateVisitorId');
+const { DATE_ONLY, toLocalDate, atLocalTime, addDays } = require('../utils/estateTime');
 const notificationService = require('./notificationService');
+const gateService = require('./gateService');
+const { claimUploads, releaseUploads, attachFiles } = require('./fileService');
+
+/**
+ * Error for a visitor action outside the guard's gate (sent as 403)
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const gateAccessError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+};
+
+/**
+ * Get the gate a security action on a visitor happens at. Admins can act on
+ * any visitor; security personnel must be on duty, and only at the visitor's gate.
+ * @param {object} visitor - Visitor document
+ * @param {object} actor - User performing the action
+ * @returns {ObjectId|undefined} - Gate for the action
+ */
+const resolveActionGate = (visitor, actor) => {
+  if (actor.role !== 'securityPersonnel') {
+    return visitor.gate;
+  }
+
+  if (!actor.dutyGate) {
+    throw gateAccessError('You must be on duty at a gate to perform this action');
+  }
+
+  if (visitor.gate && visitor.gate.toString() !== actor.dutyGate.toString()) {
+    throw gateAccessError('This visitor is assigned to a different gate');
+  }
+
+  return actor.dutyGate;
+};
+
+/**
+ * Generate a gate token number (timestamp + random digits)
+ * @returns {string} - Token number
+ */
+const generateTokenNumber = () => {
+  const timestamp = Date.now().toString().slice(-4);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `V${timestamp}${random}`;
+};
+
+const ENTRY_OTP_LENGTH = 6;
+const WALK_IN_RESPONSE_MINUTES = parseInt(process.env.WALK_IN_RESPONSE_MINUTES, 10) || 5;
+const VISITOR_OVERSTAY_GRACE_MINUTES = parseInt(process.env.VISITOR_OVERSTAY_GRACE_MINUTES, 10) || 30;
+const EXPECTED_ARRIVAL_WINDOW_MINUTES = 60;
+
+const entryPassSecret = () => process.env.ENTRY_PASS_SECRET || process.env.JWT_SECRET;
+
+const signEntryPass = (visitorId, expires) => crypto
+  .createHmac('sha256', entryPassSecret())
+  .update(`entry:${visitorId}:${expires}`)
+  .digest('base64url');
+
+/**
+ * Generate an entry OTP that no other unexpired entry pass uses
+ * @returns {string} - Numeric OTP
+ */
+const generateEntryOtp = async () => {
+  for (;;) {
+    const otp = crypto.randomInt(10 ** ENTRY_OTP_LENGTH).toString().padStart(ENTRY_OTP_LENGTH, '0');
+
+    const inUse = await Visitor.exists({
+      'entryPass.otp': otp,
+      'entryPass.validUntil': { $gte: new Date() }
+    });
+    if (!inUse) {
+      return otp;
+    }
+  }
+};
+
+/**
+ * Issue the entry pass of an approved visitor: a signed QR payload and a
+ * numeric OTP, valid from the expected arrival time for the expected duration
+ * @param {object} visitor - Visitor document (saved by the caller)
+ */
+const issueEntryPass = async (visitor) => {
+  const validFrom = new Date(visitor.expectedArrivalTime);
+  const validUntil = new Date(validFrom.getTime() + visitor.expectedDuration * 60 * 60 * 1000);
+  const expires = Math.floor(validUntil.getTime() / 1000);
+
+  visitor.entryPass = {
+    qrCode: `${visitor._id}.${expires}.${signEntryPass(visitor._id.toString(), expires)}`,
+    otp: await generateEntryOtp(),
+    validFrom,
+    validUntil,
+    issuedAt: new Date()
+  };
+};
+
+/**
+ * Find the visitor an entry pass belongs to
+ * @param {object} code - { qrCode } or { otp }
+ * @returns {object|null} - Visitor, or null if the code is not recognised
+ */
+const findEntryPassVisitor = async ({ qrCode, otp }) => {
+  if (qrCode) {
+    const [visitorId, expires, signature] = String(qrCode).split('.');
+    const expected = Buffer.from(signEntryPass(visitorId, expires));
+    const actual = Buffer.from(String(signature));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return await Visitor.findOne({ _id: visitorId, 'entryPass.qrCode': qrCode });
+  }
+
+  // OTPs are only unique among unexpired passes, so prefer the latest-expiring match
+  return await Visitor.findOne({ 'entryPass.otp': otp })
+    .sort({ 'entryPass.validUntil': -1 });
+};
 
 /**
  * Create a new visitor request
@@ -18,6 +140,7 @@ const createVisitorRequest = async (visitorData, userId) => {
     purpose,
     expectedArrivalTime,
     expectedDuration,
+    gate,
     isGroupVisit = false,
     groupSize = 1,
     additionalVisitors = []
@@ -40,6 +163,11 @@ const createVisitorRequest = async (visitorData, userId) => {
     throw new Error('This visitor is blacklisted and cannot be registered');
   }
 
+  // The entry gate is optional, but must be open if chosen
+  if (gate) {
+    await gateService.findActiveGates([gate]);
+  }
+
   // For group visits, validate additionalVisitors
   if (isGroupVisit && groupSize > 1) {
     if (!additionalVisitors || additionalVisitors.length !== groupSize - 1) {
@@ -47,21 +175,40 @@ const createVisitorRequest = async (visitorData, userId) => {
     }
   }
 
-  // Create visitor request
-  const visitor = await Visitor.create({
-    visitorId: generateVisitorId(),
-    name,
-    mobileNumber,
-    photo,
-    purpose,
-    expectedArrivalTime: new Date(expectedArrivalTime),
-    expectedDuration: parseInt(expectedDuration) || 2,
-    requestedBy: userId,
-    isGroupVisit,
-    groupSize,
-    additionalVisitors,
-    status: 'pending'
-  });
+  // Photos are uploaded beforehand and referenced by file ID
+  const photos = [];
+  let visitor;
+  try {
+    const [photoFile] = await claimUploads(photo, userId, 'visitorPhoto');
+    if (photoFile) photos.push(photoFile);
+    photos.push(...await claimUploads(
+      additionalVisitors.map((companion) => companion.photo),
+      userId,
+      'visitorPhoto'
+    ));
+
+    // Create visitor request
+    visitor = await Visitor.create({
+      visitorId: generateVisitorId(),
+      name,
+      mobileNumber,
+      photo: photoFile && photoFile._id,
+      purpose,
+      expectedArrivalTime: new Date(expectedArrivalTime),
+      expectedDuration: parseInt(expectedDuration) || 2,
+      gate,
+      requestedBy: userId,
+      isGroupVisit,
+      groupSize,
+      additionalVisitors,
+      status: 'pending'
+    });
+
+    await attachFiles(photos, 'Visitor', visitor._id);
+  } catch (error) {
+    await releaseUploads(photos);
+    throw error;
+  }
 
   // Notify security personnel about new visitor request
   const requestedBy = await User.findById(userId);
@@ -77,7 +224,11 @@ const createVisitorRequest = async (visitorData, userId) => {
  * @returns {Array} - List of visitor requests
  */
 const getUserVisitorRequests = async (userId, filters = {}) => {
-  const query = { requestedBy: userId };
+  // Walk-ins are shared by every resident of the host flat
+  const flats = await UserResource.find({ userId, approvalStatus: 'approved' }).distinct('resourceId');
+  const query = {
+    $or: [{ requestedBy: userId }, { hostResource: { $in: flats } }]
+  };
 
   // Apply additional filters
   if (filters.status) {
@@ -93,17 +244,29 @@ const getUserVisitorRequests = async (userId, filters = {}) => {
   }
 
   return await Visitor.find(query)
+    .populate('photo')
     .sort({ createdAt: -1 });
 };
 
 /**
- * Get all pending visitor requests for security approval
+ * Get all pending visitor requests for security approval. Guards only see
+ * requests for the gate they are on duty at and requests without a gate.
  * @param {object} filters - Filter conditions
+ * @param {object} user - User requesting the list
  * @returns {Array} - List of pending visitor requests
  */
-const getPendingVisitorRequests = async (filters = {}) => {
+const getPendingVisitorRequests = async (filters = {}, user = {}) => {
   const query = { status: 'pending' };
 
+  if (user.role === 'securityPersonnel') {
+    if (!user.dutyGate) {
+      throw gateAccessError('You must be on duty at a gate to view pending requests');
+    }
+    query.gate = { $in: [user.dutyGate, null] };
+  } else if (filters.gate) {
+    query.gate = filters.gate;
+  }
+
   // Date range filters
   if (filters.startDate && filters.endDate) {
     query.expectedArrivalTime = {
@@ -114,6 +277,8 @@ const getPendingVisitorRequests = async (filters = {}) => {
 
   return await Visitor.find(query)
     .populate('requestedBy', 'name userId email')
+    .populate('gate', 'gateId name')
+    .populate('photo')
     .sort({ expectedArrivalTime: 1 });
 };
 
@@ -121,23 +286,37 @@ const getPendingVisitorRequests = async (filters = {}) => {
  * Update visitor request status
  * @param {string} visitorId - Visitor ID
  * @param {string} status - New status ('approved', 'rejected', etc.)
- * @param {string} securityPersonnelId - Security personnel user ID
+ * @param {object} securityPersonnel - User approving or rejecting the request
  * @param {string} remarks - Optional remarks
  * @returns {object} - Updated visitor request
  */
-const updateVisitorStatus = async (visitorId, status, securityPersonnelId, remarks = '') => {
+const updateVisitorStatus = async (visitorId, status, securityPersonnel, remarks = '') => {
   const visitor = await Visitor.findById(visitorId);
 
   if (!visitor) {
     throw new Error('Visitor request not found');
   }
 
+  const gate = resolveActionGate(visitor, securityPersonnel);
+
+  // Walk-ins are the host's call until their response deadline
+  if (visitor.source === 'walkIn' && visitor.status === 'pending' &&
+      securityPersonnel.role === 'securityPersonnel' && new Date() < visitor.walkIn.responseDeadline) {
+    throw new Error('Waiting for the host to respond to this walk-in visitor');
+  }
+
   visitor.status = status;
   visitor.remarks = remarks || visitor.remarks;
 
   if (['approved', 'rejected'].includes(status)) {
-    visitor.approvedBy = securityPersonnelId;
+    visitor.approvedBy = securityPersonnel._id;
     visitor.approvalTime = new Date();
+    visitor.gate = gate;
+  }
+
+  // Walk-ins are already at the gate and need no entry pass
+  if (status === 'approved' && visitor.source !== 'walkIn') {
+    await issueEntryPass(visitor);
   }
 
   await visitor.save();
@@ -148,14 +327,63 @@ const updateVisitorStatus = async (visitorId, status, securityPersonnelId, remar
   return visitor;
 };
 
+/**
+ * Verify a visitor's entry pass at the gate. A pass can be verified once,
+ * within its validity window, while the visit is still approved.
+ * @param {object} code - { qrCode } or { otp }
+ * @param {object} securityPersonnel - User verifying the pass
+ * @returns {object} - Visitor the pass belongs to
+ */
+const verifyEntryPass = async (code, securityPersonnel) => {
+  const visitor = await findEntryPassVisitor(code);
+
+  if (!visitor || !visitor.entryPass || !visitor.entryPass.issuedAt) {
+    throw new Error('Invalid entry pass');
+  }
+
+  if (['cancelled', 'rejected'].includes(visitor.status)) {
+    throw new Error(`This visit has been ${visitor.status}`);
+  }
+
+  if (visitor.status !== 'approved' || visitor.entryPass.usedAt) {
+    throw new Error('This entry pass has already been used');
+  }
+
+  const now = new Date();
+  if (now < visitor.entryPass.validFrom) {
+    throw new Error(`This entry pass is not valid before ${visitor.entryPass.validFrom.toLocaleString()}`);
+  }
+
+  if (now > visitor.entryPass.validUntil) {
+    throw new Error('This entry pass has expired');
+  }
+
+  resolveActionGate(visitor, securityPersonnel);
+
+  // Claim the pass atomically so a code scanned twice at once is only accepted once
+  const verified = await Visitor.findOneAndUpdate(
+    { _id: visitor._id, status: 'approved', 'entryPass.usedAt': null },
+    { 'entryPass.usedAt': now, 'entryPass.verifiedBy': securityPersonnel._id },
+    { new: true }
+  )
+    .populate('requestedBy', 'name userId phone')
+    .populate('photo');
+
+  if (!verified) {
+    throw new Error('This entry pass has already been used');
+  }
+
+  return verified;
+};
+
 /**
  * Check-in a visitor who has arrived
  * @param {string} visitorId - Visitor ID
  * @param {object} checkInData - Check-in information
- * @param {string} securityPersonnelId - Security personnel user ID
+ * @param {object} securityPersonnel - User checking the visitor in
  * @returns {object} - Updated visitor
  */
-const checkInVisitor = async (visitorId, checkInData, securityPersonnelId) => {
+const checkInVisitor = async (visitorId, checkInData, securityPersonnel) => {
   const { idCardPhoto } = checkInData;
   const visitor = await Visitor.findById(visitorId);
 
@@ -167,17 +395,23 @@ const checkInVisitor = async (visitorId, checkInData, securityPersonnelId) => {
     throw new Error('Visitor request must be approved before check-in');
   }
 
-  // Generate token number (using timestamp + random digits)
-  const timestamp = Date.now().toString().slice(-4);
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  const tokenNumber = `V${timestamp}${random}`;
-
-  visitor.status = 'checked-in';
-  visitor.checkInTime = new Date();
-  visitor.idCardPhoto = idCardPhoto;
-  visitor.tokenNumber = tokenNumber;
-
-  await visitor.save();
+  const gate = resolveActionGate(visitor, securityPersonnel);
+  const [idCardFile] = await claimUploads(idCardPhoto, securityPersonnel._id, 'visitorIdCard');
+
+  try {
+    visitor.status = 'checked-in';
+    visitor.checkInTime = new Date();
+    visitor.idCardPhoto = idCardFile._id;
+    visitor.tokenNumber = generateTokenNumber();
+    visitor.gate = gate;
+    visitor.checkedInBy = securityPersonnel._id;
+
+    await visitor.save();
+    await attachFiles([idCardFile], 'Visitor', visitor._id);
+  } catch (error) {
+    await releaseUploads([idCardFile]);
+    throw error;
+  }
 
   // Notify the user that their visitor has checked in
   await notificationService.notifyVisitorStatusChange(visitor, 'checked-in');
@@ -185,14 +419,163 @@ const checkInVisitor = async (visitorId, checkInData, securityPersonnelId) => {
   return visitor;
 };
 
+/**
+ * Get the approved residents of a flat, primary residents first
+ * @param {string} resourceId - Flat (personal resource) ID
+ * @returns {Array} - Resident users
+ */
+const findFlatResidents = async (resourceId) => {
+  const links = await UserResource.find({ resourceId, approvalStatus: 'approved' })
+    .populate('userId', 'name role status')
+    .sort({ isPrimary: -1, createdAt: 1 });
+
+  return links
+    .map((link) => link.userId)
+    .filter((user) => user && user.role === 'resident' && user.status === 'approved');
+};
+
+/**
+ * Register a visitor who arrived at the gate unannounced. The flat's residents
+ * are asked to approve or deny the visit until the response deadline.
+ * @param {object} walkInData - Visitor details, photo and host flat
+ * @param {object} securityPersonnel - Guard registering the visitor
+ * @returns {object} - Created visitor, pending the host's answer
+ */
+const registerWalkInVisitor = async (walkInData, securityPersonnel) => {
+  const { name, mobileNumber, photo, purpose, hostResource, expectedDuration, gate } = walkInData;
+
+  const isBlacklisted = await VisitorBlacklist.findOne({
+    mobileNumber,
+    isActive: true
+  });
+
+  if (isBlacklisted) {
+    await notificationService.notifyBlacklistedVisitorAttempt(isBlacklisted, {
+      requestedBy: securityPersonnel._id,
+      visitor: { name, mobileNumber }
+    });
+
+    throw new Error('This visitor is blacklisted and cannot be registered');
+  }
+
+  const flat = await Resource.findById(hostResource);
+  if (!flat || flat.resourceType !== 'personal' || flat.status !== 'active') {
+    throw new Error('Host flat not found');
+  }
+
+  const hosts = await findFlatResidents(flat._id);
+  if (hosts.length === 0) {
+    throw new Error('No resident is registered for this flat');
+  }
+
+  // Guards register walk-ins at their duty gate; admins may name an open gate
+  const entryGate = resolveActionGate({ gate }, securityPersonnel);
+  if (gate && securityPersonnel.role !== 'securityPersonnel') {
+    await gateService.findActiveGates([gate]);
+  }
+
+  const [photoFile] = await claimUploads(photo, securityPersonnel._id, 'visitorPhoto');
+  const now = new Date();
+
+  let visitor;
+  try {
+    visitor = await Visitor.create({
+      visitorId: generateVisitorId(),
+      name,
+      mobileNumber,
+      photo: photoFile._id,
+      purpose,
+      requestedBy: hosts[0]._id,
+      expectedArrivalTime: now,
+      expectedDuration: parseInt(expectedDuration) || 1,
+      gate: entryGate,
+      source: 'walkIn',
+      hostResource: flat._id,
+      walkIn: {
+        registeredBy: securityPersonnel._id,
+        responseDeadline: new Date(now.getTime() + WALK_IN_RESPONSE_MINUTES * 60 * 1000)
+      },
+      status: 'pending'
+    });
+
+    await attachFiles([photoFile], 'Visitor', visitor._id);
+  } catch (error) {
+    await releaseUploads([photoFile]);
+    throw error;
+  }
+
+  await notificationService.notifyWalkInVisitor(visitor, hosts, flat);
+
+  return visitor;
+};
+
+/**
+ * Approve or deny a walk-in visitor as a resident of the host flat
+ * @param {string} visitorId - Visitor ID
+ * @param {string} decision - 'approve' or 'deny'
+ * @param {object} user - Resident responding
+ * @param {string} remarks - Optional remarks for the guard
+ * @returns {object} - Updated visitor
+ */
+const respondToWalkInVisitor = async (visitorId, decision, user, remarks = '') => {
+  const visitor = await Visitor.findOne({ _id: visitorId, source: 'walkIn' });
+
+  if (!visitor) {
+    throw new Error('Walk-in visitor not found');
+  }
+
+  const isHost = await UserResource.exists({
+    userId: user._id,
+    resourceId: visitor.hostResource,
+    approvalStatus: 'approved'
+  });
+  if (!isHost) {
+    throw gateAccessError('Only residents of the host flat can respond to this visitor');
+  }
+
+  if (visitor.status !== 'pending') {
+    throw new Error('This walk-in visitor has already been answered');
+  }
+
+  const now = new Date();
+  if (now > visitor.walkIn.responseDeadline) {
+    throw new Error('The response time has passed; the guard at the gate will decide');
+  }
+
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+
+  // Another resident or the guard may answer at the same time; the first answer wins
+  const updated = await Visitor.findOneAndUpdate(
+    { _id: visitor._id, status: 'pending' },
+    {
+      status,
+      remarks: remarks || visitor.remarks,
+      requestedBy: user._id,
+      approvedBy: user._id,
+      approvalTime: now,
+      'walkIn.respondedBy': user._id,
+      'walkIn.respondedAt': now
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new Error('This walk-in visitor has already been answered');
+  }
+
+  await notificationService.notifyWalkInResponse(updated, status, user, remarks);
+
+  return updated;
+};
+
 /**
  * Check-out a visitor who is leaving
  * @param {string} visitorId - Visitor ID
  * @param {boolean} tokenReturned - Whether the token was returned
- * @param {string} securityPersonnelId - Security personnel user ID
+ * @param {object} securityPersonnel - User checking the visitor out
  * @returns {object} - Updated visitor
  */
-const checkOutVisitor = async (visitorId, tokenReturned, securityPersonnelId) => {
+const checkOutVisitor = async (visitorId, tokenReturned, securityPersonnel) => {
   const visitor = await Visitor.findById(visitorId);
 
   if (!visitor) {
@@ -203,9 +586,12 @@ const checkOutVisitor = async (visitorId, tokenReturned, securityPersonnelId) =>
     throw new Error('Visitor must be checked-in before check-out');
   }
 
+  resolveActionGate(visitor, securityPersonnel);
+
   visitor.status = 'checked-out';
   visitor.checkOutTime = new Date();
   visitor.tokenReturned = tokenReturned;
+  visitor.checkedOutBy = securityPersonnel._id;
 
   await visitor.save();
 
@@ -215,6 +601,203 @@ const checkOutVisitor = async (visitorId, tokenReturned, securityPersonnelId) =>
   return visitor;
 };
 
+/**
+ * Aggregation expression for when a checked-in visitor is expected to leave
+ * @returns {object} - $add expression over checkInTime and expectedDuration
+ */
+const expectedExitExpression = () => ({
+  $add: ['$checkInTime', { $multiply: [{ $ifNull: ['$expectedDuration', 2] }, 60 * 60 * 1000] }]
+});
+
+/**
+ * Flag checked-in visitors who stayed past their expected duration plus the
+ * grace period, and alert the host resident and security
+ * @param {Date} now - Current time
+ * @returns {Array} - Flagged visitors
+ */
+const processOverstays = async (now = new Date()) => {
+  const graceMs = VISITOR_OVERSTAY_GRACE_MINUTES * 60 * 1000;
+
+  const candidates = await Visitor.find({
+    status: 'checked-in',
+    'overstay.flagged': { $ne: true },
+    $expr: { $lte: [{ $add: [expectedExitExpression(), graceMs] }, now] }
+  }).select('_id');
+
+  const flagged = [];
+  for (const { _id } of candidates) {
+    try {
+      // Claim the visit so a concurrent run does not alert twice
+      const visitor = await Visitor.findOneAndUpdate(
+        { _id, status: 'checked-in', 'overstay.flagged': { $ne: true } },
+        { 'overstay.flagged': true, 'overstay.flaggedAt': now },
+        { new: true }
+      );
+
+      if (visitor) {
+        await notificationService.notifyVisitorOverstay(visitor);
+        flagged.push(visitor);
+      }
+    } catch (error) {
+      console.error(`Error flagging overstay of visitor ${_id}:`, error);
+    }
+  }
+
+  return flagged;
+};
+
+/**
+ * Get the visitors currently inside, with overstays first
+ * @param {object} filters - Filter conditions (gate, overstayOnly)
+ * @returns {object} - Counts and visitors with their expected exit time
+ */
+const getVisitorsInside = async (filters = {}) => {
+  const query = { status: 'checked-in' };
+
+  if (filters.gate) {
+    query.gate = filters.gate;
+  }
+
+  if (String(filters.overstayOnly) === 'true') {
+    query['overstay.flagged'] = true;
+  }
+
+  const visitors = await Visitor.find(query)
+    .populate('requestedBy', 'name userId phone')
+    .populate('hostResource', 'resourceId resourceName location')
+    .populate('gate', 'gateId name')
+    .populate('photo')
+    .sort({ 'overstay.flagged': -1, checkInTime: 1 });
+
+  const now = Date.now();
+  const data = visitors.map((visitor) => {
+    const expectedExitAt = new Date(
+      visitor.checkInTime.getTime() + (visitor.expectedDuration || 2) * 60 * 60 * 1000
+    );
+
+    return {
+      ...visitor.toJSON(),
+      expectedExitAt,
+      minutesOverdue: Math.max(0, Math.floor((now - expectedExitAt) / 60000))
+    };
+  });
+
+  return {
+    total: data.length,
+    overstayCount: data.filter((visitor) => visitor.overstay && visitor.overstay.flagged).length,
+    visitors: data
+  };
+};
+
+/**
+ * Get the start and end of a day in the estate timezone
+ * @param {string} date - Day as YYYY-MM-DD (defaults to today)
+ * @returns {object} - { day, start, end }
+ */
+const dayRange = (date) => {
+  if (date && (!DATE_ONLY.test(date) || addDays(date, 0) !== date)) {
+    throw new Error('Date must be in YYYY-MM-DD format');
+  }
+
+  const day = date || toLocalDate();
+
+  return { day, start: atLocalTime(day), end: atLocalTime(addDays(day, 1)) };
+};
+
+/**
+ * Get the live gate register: headcount inside, arrivals expected in the
+ * next hour, overdue check-outs and tokens still not returned
+ * @param {object} filters - Filter conditions (gate)
+ * @returns {object} - Gate register
+ */
+const getGateRegister = async (filters = {}) => {
+  const now = new Date();
+
+  const inside = await getVisitorsInside({ gate: filters.gate });
+  const overdue = inside.visitors.filter((visitor) => visitor.minutesOverdue > 0);
+
+  // Approved visits without a gate can still arrive at any gate
+  const arrivalQuery = {
+    status: 'approved',
+    expectedArrivalTime: {
+      $gte: now,
+      $lte: new Date(now.getTime() + EXPECTED_ARRIVAL_WINDOW_MINUTES * 60 * 1000)
+    }
+  };
+  if (filters.gate) {
+    arrivalQuery.gate = { $in: [filters.gate, null] };
+  }
+
+  const expectedArrivals = await Visitor.find(arrivalQuery)
+    .populate('requestedBy', 'name userId phone')
+    .populate('gate', 'gateId name')
+    .populate('photo')
+    .sort({ expectedArrivalTime: 1 });
+
+  const tokenQuery = {
+    status: 'checked-out',
+    tokenReturned: false,
+    tokenNumber: { $exists: true }
+  };
+  if (filters.gate) {
+    tokenQuery.gate = filters.gate;
+  }
+
+  const unreturnedTokens = await Visitor.find(tokenQuery)
+    .populate('requestedBy', 'name userId phone')
+    .populate('gate', 'gateId name')
+    .select('visitorId name mobileNumber tokenNumber requestedBy gate checkInTime checkOutTime checkedOutBy')
+    .sort({ checkOutTime: -1 });
+
+  return {
+    generatedAt: now,
+    gate: filters.gate || null,
+    headcount: {
+      visits: inside.total,
+      people: inside.visitors.reduce((sum, visitor) => sum + (visitor.groupSize || 1), 0)
+    },
+    expectedArrivals: {
+      count: expectedArrivals.length,
+      visitors: expectedArrivals
+    },
+    overdueCheckOuts: {
+      count: overdue.length,
+      visitors: overdue
+    },
+    unreturnedTokens: {
+      count: unreturnedTokens.length,
+      visitors: unreturnedTokens
+    }
+  };
+};
+
+/**
+ * Get the daily gate register: every visitor checked in on a day
+ * @param {object} filters - Filter conditions (date as YYYY-MM-DD, gate)
+ * @returns {object} - { date, entries }
+ */
+const getDailyRegister = async (filters = {}) => {
+  const { day, start, end } = dayRange(filters.date);
+  const query = { checkInTime: { $gte: start, $lt: end } };
+
+  if (filters.gate) {
+    query.gate = filters.gate;
+  }
+
+  const entries = await Visitor.find(query)
+    .populate('requestedBy', 'name userId')
+    .populate('hostResource', 'resourceId resourceName')
+    .populate('gate', 'gateId name')
+    .populate('checkedInBy', 'name userId')
+    .populate('checkedOutBy', 'name userId')
+    .sort({ checkInTime: 1 });
+
+  return {
+    date: day,
+    entries
+  };
+};
+
 /**
  * Cancel a visitor request
  * @param {string} visitorId - Visitor ID
@@ -256,16 +839,26 @@ const blacklistVisitor = async (blacklistData, securityPersonnelId) => {
     throw new Error('This visitor is already blacklisted');
   }
 
-  // Create blacklist entry
-  const blacklistEntry = await VisitorBlacklist.create({
-    mobileNumber,
-    name,
-    photo,
-    reason,
-    blockedBy: securityPersonnelId,
-    lastVisitId: visitorId || null,
-    isActive: true
-  });
+  const photos = await claimUploads(photo, securityPersonnelId, 'blacklistPhoto');
+
+  let blacklistEntry;
+  try {
+    // Create blacklist entry
+    blacklistEntry = await VisitorBlacklist.create({
+      mobileNumber,
+      name,
+      photo: photos.length ? photos[0]._id : undefined,
+      reason,
+      blockedBy: securityPersonnelId,
+      lastVisitId: visitorId || null,
+      isActive: true
+    });
+
+    await attachFiles(photos, 'VisitorBlacklist', blacklistEntry._id);
+  } catch (error) {
+    await releaseUploads(photos);
+    throw error;
+  }
 
   // Update any existing visitor with this mobile number to be blacklisted
   if (visitorId) {
@@ -291,7 +884,13 @@ const removeFromBlacklist = async (blacklistId, securityPersonnelId) => {
     throw new Error('Blacklist entry not found');
   }
 
+  if (!blacklistEntry.isActive) {
+    throw new Error('This visitor is not blacklisted');
+  }
+
   blacklistEntry.isActive = false;
+  blacklistEntry.removedBy = securityPersonnelId;
+  blacklistEntry.removedAt = new Date();
   await blacklistEntry.save();
 
   return blacklistEntry;
@@ -304,6 +903,7 @@ const removeFromBlacklist = async (blacklistId, securityPersonnelId) => {
 const getBlacklistedVisitors = async () => {
   return await VisitorBlacklist.find({ isActive: true })
     .populate('blockedBy', 'name userId')
+    .populate('photo')
     .sort({ createdAt: -1 });
 };
 
@@ -399,12 +999,22 @@ const getVisitorReports = async (reportType, startDate, endDate) => {
 };
 
 module.exports = {
+  gateAccessError,
+  resolveActionGate,
+  generateTokenNumber,
   createVisitorRequest,
   getUserVisitorRequests,
   getPendingVisitorRequests,
   updateVisitorStatus,
+  verifyEntryPass,
   checkInVisitor,
+  registerWalkInVisitor,
+  respondToWalkInVisitor,
   checkOutVisitor,
+  processOverstays,
+  getVisitorsInside,
+  getGateRegister,
+  getDailyRegister,
   cancelVisitorRequest,
   blacklistVisitor,
   removeFromBlacklist,
@@ -45,8 +45,64 @@ const COMPLAINT_STATUS = {
   resolved:
     "Complaint resolved by maintenance staff/agency, awaiting user feedback",
   closed: "Complaint resolved and closed after positive user feedback",
-  escalated: "Complaint escalated due to negative user feedback",
+  escalated:
+    "Complaint escalated due to negative user feedback or a missed SLA deadline",
   finalResolution: "Final resolution provided by appellate authority",
+  withdrawn: "Complaint withdrawn by the resident",
+  onHold:
+    "Work paused, e.g. waiting for parts or resident access; SLA clocks are paused",
+  reopened: "Complaint reopened after closure because the issue came back",
+  merged: "Duplicate of another open complaint and merged into it",
+};
+
+// Allowed complaint status changes (from -> to)
+const COMPLAINT_TRANSITIONS = {
+  pending: ["assigned", "withdrawn", "escalated", "merged"],
+  assigned: [
+    "assigned",
+    "resolved",
+    "onHold",
+    "withdrawn",
+    "escalated",
+    "merged",
+  ],
+  onHold: ["assigned", "reopened", "withdrawn", "merged"],
+  resolved: ["closed", "escalated"],
+  closed: ["reopened"],
+  // Escalated complaints can still be (re)assigned, e.g. after an SLA breach
+  escalated: ["assigned", "finalResolution"],
+  finalResolution: ["reopened"],
+  reopened: [
+    "assigned",
+    "resolved",
+    "onHold",
+    "withdrawn",
+    "escalated",
+    "merged",
+  ],
+  withdrawn: [],
+  merged: [],
+};
+
+// SLA targets used when no policy is configured for a category/subcategory
+const DEFAULT_SLA_POLICY = {
+  timeToAssignHours: 24,
+  timeToResolveHours: 72,
+  autoEscalate: true,
+};
+
+// Uploadable file kinds with the MIME types and size (bytes) each accepts
+const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const FILE_PURPOSES = {
+  complaintImage: { mimeTypes: IMAGE_MIME_TYPES, maxSize: 5 * 1024 * 1024 },
+  commentAttachment: {
+    mimeTypes: [...IMAGE_MIME_TYPES, "application/pdf"],
+    maxSize: 10 * 1024 * 1024,
+  },
+  visitorPhoto: { mimeTypes: IMAGE_MIME_TYPES, maxSize: 5 * 1024 * 1024 },
+  visitorIdCard: { mimeTypes: IMAGE_MIME_TYPES, maxSize: 5 * 1024 * 1024 },
+  blacklistPhoto: { mimeTypes: IMAGE_MIME_TYPES, maxSize: 5 * 1024 * 1024 },
+  profilePhoto: { mimeTypes: IMAGE_MIME_TYPES, maxSize: 2 * 1024 * 1024 },
 };
 
 // Resource types
@@ -56,18 +112,193 @@ const RESOURCE_TYPES = {
   general: "General resources (parks, common areas)",
 };
 
+// Weekdays a recurring visitor pass can allow, indexed like Date.getDay()
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
 // User roles
 const USER_ROLES = {
   superAdmin: "Super Administrator with all permissions",
   departmentAdmin:
     "Department Administrator with department-specific permissions",
   maintenanceStaff: "Maintenance staff assigned to handle complaints",
+  securityPersonnel:
+    "Security guard handling visitors at the gates they are posted to",
   resident: "Regular resident user",
 };
 
+// Permission registry used by requirePermission
+const PERMISSIONS = {
+  "user:create": "Create admin, staff and security users",
+  "user:view": "View user accounts",
+  "user:approve": "Approve or reject user registrations",
+  "session:revoke": "Revoke all sessions of a user",
+  "permission:manage": "Edit role-to-permission mappings",
+  "audit:view": "View and export the audit log",
+  "dashboard:view": "View the admin dashboard",
+  "complaint:assign": "Assign complaints to an agency",
+  "complaint:assignStaff": "Assign complaints to maintenance staff",
+  "staff:manage": "Set staff skills and availability and view staff workload",
+  "complaint:resolve": "Resolve assigned complaints",
+  "complaint:feedback": "Submit feedback on own resolved complaints",
+  "complaint:withdraw": "Withdraw own open complaints",
+  "complaint:reopen": "Reopen closed complaints",
+  "complaint:hold": "Put complaints on hold and resume them",
+  "complaint:comment": "Read and post comments on accessible complaints",
+  "complaint:internalNote": "Read and post internal notes hidden from residents",
+  "complaint:finalize": "Provide final resolution on escalated complaints",
+  "complaint:merge": "Merge duplicate complaints and review duplicate flags",
+  "complaint:analytics": "View complaint analytics such as recurring faults",
+  "sla:view": "View complaint SLA policies",
+  "sla:manage": "Configure complaint SLA policies and run the SLA check",
+  "maintenance:view": "View preventive maintenance plans and their work orders",
+  "maintenance:manage": "Create, update and delete preventive maintenance plans",
+  "maintenance:process": "Run the preventive maintenance scheduler",
+  "inventory:view": "View inventory items, stores, stock levels and movements",
+  "inventory:manage": "Manage inventory items and stores and receive or adjust stock",
+  "inventory:reports": "View low-stock and material consumption reports",
+  "resource:create": "Create resources",
+  "allocation:approve": "Review resource allocation requests",
+  "broadcast:create": "Create broadcasts",
+  "broadcast:view": "View broadcasts and their deliveries",
+  "broadcast:update": "Edit broadcasts",
+  "broadcast:delete": "Delete broadcasts",
+  "broadcast:send": "Send or cancel broadcasts",
+  "broadcast:process": "Trigger processing of scheduled broadcasts",
+  "poll:create": "Create polls",
+  "poll:view": "View polls and their results",
+  "poll:update": "Edit polls",
+  "poll:delete": "Delete polls",
+  "poll:close": "Close or archive polls",
+  "visitor:approve": "Review pending visitor requests",
+  "visitor:checkIn": "Check visitors in and out",
+  "visitor:viewBlacklist": "View blacklisted visitors",
+  "visitor:blacklist": "Add or remove blacklisted visitors",
+  "visitor:reports": "View visitor reports",
+  "gate:view": "View gates",
+  "gate:manage": "Create and update gates",
+  "gate:assign": "Assign gates to security personnel",
+  "gate:duty": "Go on and off duty at a gate",
+};
+
+// Default role-to-permission mappings, used until a superAdmin edits a role
+const DEFAULT_ROLE_PERMISSIONS = {
+  superAdmin: [
+    "user:create",
+    "user:view",
+    "user:approve",
+    "session:revoke",
+    "permission:manage",
+    "audit:view",
+    "dashboard:view",
+    "complaint:assign",
+    "complaint:finalize",
+    "complaint:reopen",
+    "complaint:hold",
+    "complaint:comment",
+    "complaint:internalNote",
+    "complaint:merge",
+    "complaint:analytics",
+    "staff:manage",
+    "sla:view",
+    "sla:manage",
+    "maintenance:view",
+    "maintenance:manage",
+    "maintenance:process",
+    "inventory:view",
+    "inventory:manage",
+    "inventory:reports",
+    "resource:create",
+    "allocation:approve",
+    "broadcast:create",
+    "broadcast:view",
+    "broadcast:update",
+    "broadcast:delete",
+    "broadcast:send",
+    "broadcast:process",
+    "poll:create",
+    "poll:view",
+    "poll:update",
+    "poll:delete",
+    "poll:close",
+    "visitor:approve",
+    "visitor:checkIn",
+    "visitor:viewBlacklist",
+    "visitor:blacklist",
+    "visitor:reports",
+    "gate:view",
+    "gate:manage",
+    "gate:assign",
+  ],
+  departmentAdmin: [
+    "user:view",
+    "user:approve",
+    "dashboard:view",
+    "complaint:assign",
+    "complaint:assignStaff",
+    "complaint:resolve",
+    "complaint:reopen",
+    "complaint:hold",
+    "complaint:comment",
+    "complaint:internalNote",
+    "complaint:merge",
+    "complaint:analytics",
+    "staff:manage",
+    "sla:view",
+    "maintenance:view",
+    "maintenance:manage",
+    "inventory:view",
+    "inventory:manage",
+    "inventory:reports",
+    "resource:create",
+    "allocation:approve",
+    "broadcast:create",
+    "broadcast:view",
+    "broadcast:update",
+    "broadcast:delete",
+    "broadcast:send",
+    "poll:create",
+    "poll:view",
+    "poll:update",
+    "poll:delete",
+    "poll:close",
+    "visitor:approve",
+    "visitor:checkIn",
+    "visitor:viewBlacklist",
+    "visitor:blacklist",
+    "visitor:reports",
+    "gate:view",
+  ],
+  maintenanceStaff: [
+    "complaint:resolve",
+    "complaint:hold",
+    "complaint:comment",
+    "complaint:internalNote",
+    "inventory:view",
+  ],
+  securityPersonnel: [
+    "visitor:approve",
+    "visitor:checkIn",
+    "visitor:viewBlacklist",
+    "gate:view",
+    "gate:duty",
+  ],
+  resident: [
+    "complaint:feedback",
+    "complaint:withdraw",
+    "complaint:reopen",
+    "complaint:comment",
+  ],
+};
+
 module.exports = {
   COMPLAINT_CATEGORIES,
   COMPLAINT_STATUS,
+  COMPLAINT_TRANSITIONS,
+  DEFAULT_SLA_POLICY,
+  FILE_PURPOSES,
   RESOURCE_TYPES,
+  WEEKDAYS,
   USER_ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
 };
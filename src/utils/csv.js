@@ -0,0 +1,64 @@
+/**
+ * Minimal CSV writer for report exports.
+ */
+
+/**
+ * Escape a single CSV cell. Values that a spreadsheet would run as a formula
+ * are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - Columns as { header, value } where value is a key or a function of the row
+ * @param {Array} rows - Rows to write
+ * @returns {string} - CSV text
+ */
+const toCsv = (columns, rows) => {
+  const header = columns.map((column) => escapeCell(column.header)).join(',');
+
+  const lines = rows.map((row) =>
+    columns
+      .map((column) =>
+        escapeCell(typeof column.value === 'function' ? column.value(row) : row[column.value])
+      )
+      .join(',')
+  );
+
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Send a CSV document as a file download
+ * @param {object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {string} csv - CSV text
+ */
+const sendCsv = (res, filename, csv) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.status(200).send(csv);
+};
+
+module.exports = {
+  toCsv,
+  sendCsv
+};
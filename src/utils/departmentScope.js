@@ -0,0 +1,100 @@
+/**
+ * Department scoping for departmentAdmin users. A departmentAdmin only sees
+ * and acts on complaints of their department's category, staff of their own
+ * department and residents; superAdmin and other roles are not scoped here.
+ */
+
+/**
+ * Error for an action outside the user's department (sent as 403)
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const outOfScopeError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+};
+
+/**
+ * Check whether a user is limited to their own department
+ * @param {object} user - Authenticated user
+ * @returns {boolean} - True for departmentAdmin
+ */
+const isDepartmentScoped = (user) => Boolean(user) && user.role === "departmentAdmin";
+
+/**
+ * Make sure a complaint belongs to the user's department
+ * @param {object} user - Authenticated user
+ * @param {object} complaint - Complaint document
+ */
+const assertComplaintInScope = (user, complaint) => {
+  if (isDepartmentScoped(user) && complaint.category !== user.department) {
+    throw outOfScopeError(
+      `This complaint belongs to the ${complaint.category} department and is outside your department`
+    );
+  }
+};
+
+/**
+ * Make sure a user may see a complaint: residents only their own and the ones
+ * they follow, department admins their department's and maintenance staff
+ * the ones assigned to them
+ * @param {object} user - Authenticated user
+ * @param {object} complaint - Complaint document (references may be populated)
+ */
+const assertComplaintAccess = (user, complaint) => {
+  const ownerId = complaint.userId._id || complaint.userId;
+  const staffId = complaint.assignedStaff && (complaint.assignedStaff._id || complaint.assignedStaff);
+  const isFollower = (complaint.followers || []).some(
+    (follower) => (follower._id || follower).toString() === user._id.toString()
+  );
+
+  if (
+    (user.role === "resident" && ownerId.toString() !== user._id.toString() && !isFollower) ||
+    (user.role === "maintenanceStaff" && (!staffId || staffId.toString() !== user._id.toString()))
+  ) {
+    throw outOfScopeError("Not authorized to access this complaint");
+  }
+
+  assertComplaintInScope(user, complaint);
+};
+
+/**
+ * Make sure another user (staff, agency or registrant) is within the user's department.
+ * Residents belong to no department and stay visible to every departmentAdmin.
+ * @param {object} user - Authenticated user
+ * @param {object} target - User being viewed or acted on
+ */
+const assertUserInScope = (user, target) => {
+  if (
+    isDepartmentScoped(user) &&
+    target.role !== "resident" &&
+    target.department !== user.department
+  ) {
+    throw outOfScopeError(`${target.name} is outside your department`);
+  }
+};
+
+/**
+ * Build the user query restriction for a departmentAdmin
+ * @param {object} user - Authenticated user
+ * @returns {object} - Mongo query fragment (empty if not scoped)
+ */
+const userScopeQuery = (user) => {
+  if (!isDepartmentScoped(user)) {
+    return {};
+  }
+
+  return {
+    $or: [{ department: user.department }, { role: "resident" }],
+  };
+};
+
+module.exports = {
+  outOfScopeError,
+  isDepartmentScoped,
+  assertComplaintInScope,
+  assertComplaintAccess,
+  assertUserInScope,
+  userScopeQuery,
+};
@@ -0,0 +1,105 @@
+const EmailDelivery = require('../models/EmailDelivery');
+const { renderTemplate } = require('./emailTemplates');
+const smtpTransport = require('./emailTransports/smtpTransport');
+const outboxTransport = require('./emailTransports/outboxTransport');
+const { redactSecrets } = require('./redactSecrets');
+
+/**
+ * Available email transports. A transport exposes a `name` and an async
+ * `send(mail, options)` that resolves to `{ messageId }` or throws.
+ * `options.redactedMail` is the mail with its secrets masked, for logging.
+ */
+const transports = {
+  smtp: smtpTransport,
+  outbox: outboxTransport
+};
+
+/**
+ * Get the transport selected by EMAIL_TRANSPORT. Outside production it
+ * defaults to the outbox; in production it must be set explicitly.
+ * @returns {string} - Transport name
+ */
+const resolveTransport = () => {
+  if (process.env.EMAIL_TRANSPORT) {
+    return process.env.EMAIL_TRANSPORT;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('EMAIL_TRANSPORT must be set in production');
+  }
+
+  return 'outbox';
+};
+
+/**
+ * Send a templated email through the transport selected by EMAIL_TRANSPORT
+ * and keep a delivery record for the recipient
+ * @param {string} to - Recipient email address
+ * @param {string} templateName - Template name (see emailTemplates)
+ * @param {object} data - Template data
+ * @param {object} context - Optional referenceId of the source entity, and secrets
+ *   (e.g. a reset code) to mask wherever the message is logged
+ * @returns {object|null} - EmailDelivery record, or null if there is no recipient
+ */
+const sendEmail = async (to, templateName, data = {}, context = {}) => {
+  if (!to) {
+    return null;
+  }
+
+  // A missing transport in production is a configuration error, not a failed delivery
+  const transportName = resolveTransport();
+
+  try {
+    const { subject, text, html } = renderTemplate(templateName, data);
+
+    const delivery = await EmailDelivery.create({
+      to,
+      subject,
+      template: templateName,
+      transport: transportName,
+      referenceId: context.referenceId,
+      status: 'queued'
+    });
+
+    try {
+      const transport = transports[transportName];
+      if (!transport) {
+        throw new Error(`Unknown email transport: ${transportName}`);
+      }
+
+      const mail = {
+        from: process.env.EMAIL_FROM || 'NFC Administration <no-reply@nfckota.com>',
+        to,
+        subject,
+        text,
+        html
+      };
+      const redactedMail = {
+        ...mail,
+        text: redactSecrets(text, context.secrets),
+        html: redactSecrets(html, context.secrets)
+      };
+
+      const result = await transport.send(mail, { redactedMail });
+
+      delivery.status = 'sent';
+      delivery.messageId = result && result.messageId;
+      delivery.sentAt = new Date();
+    } catch (error) {
+      console.error(`Failed to send email to ${to}:`, error.message);
+      delivery.status = 'failed';
+      delivery.error = error.message;
+    }
+
+    await delivery.save();
+    return delivery;
+  } catch (error) {
+    console.error(`Error preparing email for ${to}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  resolveTransport,
+  sendEmail
+};
@@ -0,0 +1,91 @@
+const { COMPLAINT_STATUS } = require('./constants');
+
+/**
+ * Email templates. Each template receives a data object and returns
+ * the subject plus plain-text and HTML bodies.
+ */
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Build text and HTML bodies from a greeting name and a list of paragraphs
+const layout = (name, paragraphs) => ({
+  text: [`Dear ${name},`, ...paragraphs, 'Regards,\nNFC Administration'].join('\n\n'),
+  html: [
+    `<p>Dear ${escapeHtml(name)},</p>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    '<p>Regards,<br>NFC Administration</p>'
+  ].join('\n')
+});
+
+const templates = {
+  accountApproved: ({ name }) => ({
+    subject: 'Your NFC account has been approved',
+    ...layout(name, [
+      'Your registration has been approved. You can now log in to the NFC app to raise complaints, register visitors and receive announcements.'
+    ])
+  }),
+
+  accountRejected: ({ name }) => ({
+    subject: 'Your NFC account registration was not approved',
+    ...layout(name, [
+      'Your registration could not be approved. Please contact the estate office if you believe this is a mistake.'
+    ])
+  }),
+
+  visitorApproved: ({ name, visitorName, expectedArrivalTime, otp, validUntil }) => ({
+    subject: `Visitor approved: ${visitorName}`,
+    ...layout(name, [
+      `Your visitor request for ${visitorName} has been approved by security.`,
+      `Expected arrival: ${new Date(expectedArrivalTime).toLocaleString()}`,
+      otp ? `Entry OTP: ${otp} (valid until ${new Date(validUntil).toLocaleString()}, single use)` : ''
+    ].filter(Boolean))
+  }),
+
+  complaintStatusChanged: ({ name, complaintId, status, notes }) => ({
+    subject: `Complaint ${complaintId} is now ${status}`,
+    ...layout(name, [
+      `The status of your complaint ${complaintId} has changed to "${status}".`,
+      COMPLAINT_STATUS[status] || '',
+      notes ? `Notes: ${notes}` : ''
+    ].filter(Boolean))
+  }),
+
+  passwordReset: ({ name, token, expiresInMinutes, resetUrl }) => ({
+    subject: 'Reset your NFC password',
+    ...layout(name, [
+      'We received a request to reset your password.',
+      resetUrl ? `Reset it here: ${resetUrl}` : `Your reset code is: ${token}`,
+      `This code expires in ${expiresInMinutes} minutes and can be used only once. If you did not request a reset, you can ignore this email.`
+    ])
+  }),
+
+  broadcast: ({ name, title, message, broadcastType }) => ({
+    subject: broadcastType === 'emergency' ? `[EMERGENCY] ${title}` : title,
+    ...layout(name, [message])
+  })
+};
+
+/**
+ * Render a template
+ * @param {string} templateName - Template name
+ * @param {object} data - Template data
+ * @returns {object} - { subject, text, html }
+ */
+const renderTemplate = (templateName, data = {}) => {
+  const template = templates[templateName];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  renderTemplate
+};
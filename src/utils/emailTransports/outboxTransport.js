@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local email transport for development and tests.
+ * Writes each message as a JSON file into EMAIL_OUTBOX_DIR (default: temp/outbox)
+ * instead of delivering it. Secrets such as reset codes are masked.
+ */
+const send = async (plainMail, options = {}) => {
+  const mail = options.redactedMail || plainMail;
+  const dir = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'temp/outbox');
+  const messageId = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(
+    path.join(dir, `${messageId}.json`),
+    JSON.stringify({ messageId, ...mail, createdAt: new Date() }, null, 2)
+  );
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'outbox',
+  send
+};
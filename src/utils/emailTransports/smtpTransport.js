@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP email transport configured through environment variables:
+ *   SMTP_HOST, SMTP_PORT (default: 587), SMTP_SECURE ('true' for TLS on connect),
+ *   SMTP_USER and SMTP_PASS (optional credentials)
+ */
+let transporter;
+
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return transporter;
+};
+
+const send = async (mail) => {
+  const info = await getTransporter().sendMail(mail);
+
+  if (info.rejected && info.rejected.length > 0) {
+    throw new Error(`Recipient rejected: ${info.rejected.join(', ')}`);
+  }
+
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,115 @@
+/**
+ * Wall-clock time in the estate's timezone (ESTATE_TIMEZONE, an IANA name
+ * such as Asia/Kolkata). Without it the server's own timezone is used.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Get the estate timezone
+ * @returns {string} - IANA timezone name
+ */
+const getTimeZone = () =>
+  process.env.ESTATE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Break an instant into its wall-clock parts in the estate timezone
+ * @param {Date} date - Instant
+ * @returns {object} - { year, month, day, weekday (0 = Sunday), hours, minutes, seconds }
+ */
+const getLocalParts = (date) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: getTimeZone(),
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    hours: Number(parts.hour),
+    minutes: Number(parts.minute),
+    seconds: Number(parts.second)
+  };
+};
+
+/**
+ * Offset of the estate timezone from UTC at an instant
+ * @param {Date} date - Instant
+ * @returns {number} - Offset in milliseconds
+ */
+const getOffset = (date) => {
+  const { year, month, day, hours, minutes, seconds } = getLocalParts(date);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  return wallClock - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Get the estate calendar date of an instant or date value
+ * @param {Date|string} value - Instant, or a YYYY-MM-DD date taken as is
+ * @returns {string} - YYYY-MM-DD
+ */
+const toLocalDate = (value = new Date()) => {
+  if (typeof value === 'string' && DATE_ONLY.test(value)) {
+    return value;
+  }
+
+  const { year, month, day } = getLocalParts(new Date(value));
+  return [year, month, day].map((part, index) => String(part).padStart(index ? 2 : 4, '0')).join('-');
+};
+
+/**
+ * Get the instant of a wall-clock time on an estate calendar date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ * @param {number} seconds - Seconds
+ * @param {number} ms - Milliseconds
+ * @returns {Date} - Instant
+ */
+const atLocalTime = (date, hours = 0, minutes = 0, seconds = 0, ms = 0) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds, ms);
+
+  // Correct with the offset in force at the result, which differs from the
+  // first guess around daylight saving changes
+  let instant = new Date(wallClock - getOffset(new Date(wallClock)));
+  instant = new Date(wallClock - getOffset(instant));
+
+  return instant;
+};
+
+/**
+ * Add days to an estate calendar date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} - YYYY-MM-DD
+ */
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+module.exports = {
+  DATE_ONLY,
+  getTimeZone,
+  getLocalParts,
+  toLocalDate,
+  atLocalTime,
+  addDays
+};
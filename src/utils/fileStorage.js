@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const localDriver = require('./storageDrivers/localDriver');
+const s3Driver = require('./storageDrivers/s3Driver');
+const { FILE_PURPOSES } = require('./constants');
+
+/**
+ * Available storage drivers. A driver exposes a `name`, async `put(key, buffer,
+ * mimeType)`, `get(key)` and `remove(key)`, and an optional
+ * `getSignedUrl(key, { expiresIn, fileName })` for direct downloads.
+ */
+const drivers = {
+  local: localDriver,
+  s3: s3Driver
+};
+
+const URL_TTL_SECONDS = 15 * 60;
+const THUMBNAIL_SIZE = 320;
+
+// File signatures of the accepted formats; the client's MIME type is not trusted
+const signatures = [
+  { mimeType: 'image/jpeg', extension: 'jpg', test: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', test: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', extension: 'webp', test: (buf) => buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' },
+  { mimeType: 'application/pdf', extension: 'pdf', test: (buf) => buf.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+/**
+ * Get the driver selected by STORAGE_DRIVER (default: local)
+ * @param {string} name - Driver name, defaults to the configured one
+ * @returns {object} - Storage driver
+ */
+const getDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+/**
+ * Detect the type of a file from its content
+ * @param {Buffer} buffer - File content
+ * @returns {object|null} - { mimeType, extension } or null if not recognised
+ */
+const detectType = (buffer) => {
+  const match = signatures.find((signature) => buffer.length >= 12 && signature.test(buffer));
+  return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+};
+
+/**
+ * Check a file against the rules of its purpose
+ * @param {Buffer} buffer - File content
+ * @param {string} purpose - File purpose (see FILE_PURPOSES)
+ * @returns {object} - { mimeType, extension }
+ */
+const validateFile = (buffer, purpose) => {
+  const rules = FILE_PURPOSES[purpose];
+  if (!rules) {
+    throw new Error(`Invalid file purpose: ${purpose}`);
+  }
+
+  if (!buffer || buffer.length === 0) {
+    throw new Error('File is empty');
+  }
+
+  if (buffer.length > rules.maxSize) {
+    throw new Error(`File is too large (maximum ${Math.round(rules.maxSize / (1024 * 1024))} MB)`);
+  }
+
+  const type = detectType(buffer);
+  if (!type || !rules.mimeTypes.includes(type.mimeType)) {
+    throw new Error(`Unsupported file type. Allowed: ${rules.mimeTypes.join(', ')}`);
+  }
+
+  return type;
+};
+
+/**
+ * Validate and store a file, plus a thumbnail for images
+ * @param {Buffer} buffer - File content
+ * @param {string} purpose - File purpose (see FILE_PURPOSES)
+ * @returns {object} - { driver, key, thumbnailKey, mimeType, size }
+ */
+const storeFile = async (buffer, purpose) => {
+  const { mimeType, extension } = validateFile(buffer, purpose);
+  const driver = getDriver();
+
+  const now = new Date();
+  const baseKey = path.posix.join(
+    purpose,
+    String(now.getFullYear()),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    crypto.randomBytes(16).toString('hex')
+  );
+  const key = `${baseKey}.${extension}`;
+
+  let thumbnail = null;
+  if (mimeType.startsWith('image/')) {
+    try {
+      thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+    } catch (error) {
+      throw new Error('Image could not be processed');
+    }
+  }
+
+  await driver.put(key, buffer, mimeType);
+  const thumbnailKey = thumbnail ? `${baseKey}_thumb.webp` : undefined;
+  if (thumbnail) {
+    await driver.put(thumbnailKey, thumbnail, 'image/webp');
+  }
+
+  return { driver: driver.name, key, thumbnailKey, mimeType, size: buffer.length };
+};
+
+const signingSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const computeSignature = (fileId, variant, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${fileId}:${variant}:${expires}`)
+  .digest('hex');
+
+/**
+ * Create a short-lived download URL for a stored file. S3 files get a
+ * presigned bucket URL; local files a signed URL of the API's download route.
+ * @param {object} file - StoredFile document
+ * @param {string} variant - 'original' or 'thumbnail'
+ * @returns {string|null} - Download URL, or null if the variant does not exist
+ */
+const getDownloadUrl = (file, variant = 'original') => {
+  const key = variant === 'thumbnail' ? file.thumbnailKey : file.key;
+  if (!key) {
+    return null;
+  }
+
+  const driver = getDriver(file.driver);
+  if (driver.getSignedUrl) {
+    return driver.getSignedUrl(key, { expiresIn: URL_TTL_SECONDS, fileName: file.originalName });
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+  const signature = computeSignature(file._id.toString(), variant, expires);
+  const baseUrl = process.env.PUBLIC_BASE_URL || '';
+
+  return `${baseUrl}/api/files/${file._id}/content?variant=${variant}&expires=${expires}&signature=${signature}`;
+};
+
+/**
+ * Check a signed download URL of the API's download route
+ * @param {string} fileId - File ID
+ * @param {string} variant - 'original' or 'thumbnail'
+ * @param {string} expires - Expiry (Unix seconds)
+ * @param {string} signature - Signature from the URL
+ * @returns {boolean} - True if the signature is valid and not expired
+ */
+const verifyDownloadSignature = (fileId, variant, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(fileId, variant, expires));
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Read a stored file
+ * @param {object} file - StoredFile document
+ * @param {string} variant - 'original' or 'thumbnail'
+ * @returns {Buffer} - File content
+ */
+const readFile = async (file, variant = 'original') => {
+  const key = variant === 'thumbnail' ? file.thumbnailKey : file.key;
+  if (!key) {
+    throw new Error('File not found');
+  }
+  return await getDriver(file.driver).get(key);
+};
+
+/**
+ * Remove a stored file and its thumbnail
+ * @param {object} file - StoredFile document
+ */
+const removeFile = async (file) => {
+  const driver = getDriver(file.driver);
+  await driver.remove(file.key);
+  if (file.thumbnailKey) {
+    await driver.remove(file.thumbnailKey);
+  }
+};
+
+module.exports = {
+  storeFile,
+  getDownloadUrl,
+  verifyDownloadSignature,
+  readFile,
+  removeFile
+};
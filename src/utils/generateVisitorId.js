@@ -11,5 +11,7 @@ const generateId = (prefix) => {
   module.exports = {
     generateUserId: () => generateId('USR'),
     generateResourceId: () => generateId('RES'),
-    generateVisitorId: () => generateId('VIS')
+    generateVisitorId: () => generateId('VIS'),
+    generateGateId: () => generateId('GTE'),
+    generateVisitorPassId: () => generateId('VPS')
   };
\ No newline at end of file
@@ -0,0 +1,27 @@
+const maintenanceService = require("../services/maintenanceService");
+
+/**
+ * Schedule the periodic check for preventive maintenance plans that are due
+ */
+const scheduleMaintenanceTask = () => {
+  // Check if we're in test environment - don't run tasks
+  if (process.env.NODE_ENV === "test") {
+    return;
+  }
+
+  console.log("Scheduling preventive maintenance check (every 15 minutes)...");
+
+  setInterval(async () => {
+    try {
+      const results = await maintenanceService.processDueMaintenance();
+
+      if (results.length > 0) {
+        console.log(`Raised ${results.length} preventive maintenance work orders`);
+      }
+    } catch (error) {
+      console.error("Error processing preventive maintenance plans:", error);
+    }
+  }, 15 * 60 * 1000); // 15 minutes
+};
+
+module.exports = { scheduleMaintenanceTask };
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/database');
+const Complaint = require('../models/Complaint');
+const ComplaintComment = require('../models/ComplaintComment');
+const Visitor = require('../models/visitor');
+const VisitorBlacklist = require('../models/visitorBlacklist');
+const User = require('../models/User');
+const StoredFile = require('../models/StoredFile');
+const { storeFile } = require('./fileStorage');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Fields that used to hold base64 images (or data URIs) inline. `owner`
+ * returns the user recorded as the uploader of the migrated file.
+ */
+const FIELDS = [
+  { model: Complaint, path: 'images', purpose: 'complaintImage', owner: (doc) => doc.userId },
+  { model: ComplaintComment, path: 'attachments', purpose: 'commentAttachment', owner: (doc) => doc.author },
+  { model: Visitor, path: 'photo', purpose: 'visitorPhoto', owner: (doc) => doc.requestedBy },
+  { model: Visitor, path: 'additionalVisitors.photo', purpose: 'visitorPhoto', owner: (doc) => doc.requestedBy },
+  { model: Visitor, path: 'idCardPhoto', purpose: 'visitorIdCard', owner: (doc) => doc.checkedInBy },
+  { model: VisitorBlacklist, path: 'photo', purpose: 'blacklistPhoto', owner: (doc) => doc.blockedBy },
+  { model: User, path: 'profilePhoto', purpose: 'profilePhoto', owner: (doc) => doc._id }
+];
+
+/**
+ * Decode an inline file
+ * @param {string} value - Data URI or bare base64 string
+ * @returns {Buffer|null} - File content, or null if the value is not inline data (e.g. a URL)
+ */
+const decodeInlineFile = (value) => {
+  const dataUri = value.match(/^data:[^,]*?(;base64)?,([\s\S]*)$/);
+  if (dataUri) {
+    return dataUri[1] ? Buffer.from(dataUri[2], 'base64') : null;
+  }
+
+  const compact = value.replace(/\s/g, '');
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+    return Buffer.from(compact, 'base64');
+  }
+
+  return null;
+};
+
+/**
+ * Move one field of a collection into file storage. Values that cannot be
+ * migrated (URLs, unsupported or oversized files) are reported and left as
+ * they are unless `prune` is set, in which case they are removed.
+ * @param {object} field - Entry of FIELDS
+ * @param {boolean} prune - Remove values that cannot be migrated
+ * @returns {object} - { migrated, failed, pruned }
+ */
+const migrateField = async ({ model, path, purpose, owner }, prune) => {
+  const stats = { migrated: 0, failed: 0, pruned: 0 };
+  const [parent, child] = path.split('.');
+
+  // Replace one stored value with the ID of a new StoredFile
+  const migrateValue = async (value, doc) => {
+    if (typeof value !== 'string' || !value) {
+      return value;
+    }
+
+    if (/^[0-9a-f]{24}$/i.test(value) && await StoredFile.exists({ _id: value })) {
+      return new mongoose.Types.ObjectId(value);
+    }
+
+    try {
+      const buffer = decodeInlineFile(value);
+      if (!buffer) {
+        throw new Error('not inline file data');
+      }
+
+      const stored = await storeFile(buffer, purpose);
+      const file = await StoredFile.create({
+        ...stored,
+        purpose,
+        uploadedBy: owner(doc),
+        attachedTo: { model: model.modelName, id: doc._id }
+      });
+
+      stats.migrated += 1;
+      return file._id;
+    } catch (error) {
+      const preview = value.length > 60 ? `${value.slice(0, 60)}...` : value;
+      console.warn(`${model.modelName} ${doc._id} ${path}: ${error.message} (${preview})`);
+
+      if (prune) {
+        stats.pruned += 1;
+        return undefined;
+      }
+      stats.failed += 1;
+      return value;
+    }
+  };
+
+  const migrateList = async (values, doc) => {
+    const result = [];
+    for (const value of values) {
+      const migrated = await migrateValue(value, doc);
+      if (migrated !== undefined) result.push(migrated);
+    }
+    return result;
+  };
+
+  const cursor = model.collection.find({ [path]: { $type: 'string' } });
+
+  for await (const doc of cursor) {
+    let update;
+
+    if (child) {
+      const entries = [];
+      for (const entry of doc[parent] || []) {
+        const migrated = await migrateValue(entry[child], doc);
+        const copy = { ...entry };
+        if (migrated === undefined) delete copy[child];
+        else copy[child] = migrated;
+        entries.push(copy);
+      }
+      update = { $set: { [parent]: entries } };
+    } else if (Array.isArray(doc[path])) {
+      update = { $set: { [path]: await migrateList(doc[path], doc) } };
+    } else {
+      const migrated = await migrateValue(doc[path], doc);
+      update = migrated === undefined ? { $unset: { [path]: '' } } : { $set: { [path]: migrated } };
+    }
+
+    await model.collection.updateOne({ _id: doc._id }, update);
+  }
+
+  return stats;
+};
+
+// Move every inline file into file storage
+const migrateFiles = async () => {
+  const prune = process.argv.includes('--prune');
+
+  try {
+    await connectDB();
+
+    for (const field of FIELDS) {
+      const { migrated, failed, pruned } = await migrateField(field, prune);
+      console.log(`${field.model.modelName}.${field.path}: ${migrated} migrated, ${failed} left unchanged, ${pruned} removed`);
+    }
+
+    console.log('File migration complete');
+    process.exit();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Execute migration
+migrateFiles();
@@ -7,7 +7,8 @@ const broadcastSchema = Joi.object({
   broadcastType: Joi.string().valid('emergency', 'announcement', 'maintenance', 'general'),
   notificationChannels: Joi.object({
     app: Joi.boolean(),
-    sms: Joi.boolean()
+    sms: Joi.boolean(),
+    email: Joi.boolean()
   }),
   targetUsers: Joi.string().valid('all', 'residents', 'staff', 'admins'),
   targetDepartments: Joi.array().items(Joi.string()),
@@ -0,0 +1,107 @@
+/**
+ * In-process registry of Server-Sent Events connections.
+ *
+ * Connections are indexed by user ID so events can be pushed to every open
+ * stream of a user. The registry lives in memory, so events only reach
+ * clients connected to the same server process.
+ */
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keep idle proxies from closing the stream
+
+const userConnections = new Map();
+
+const addToIndex = (index, key, res) => {
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(res);
+};
+
+const removeFromIndex = (index, key, res) => {
+  const connections = index.get(key);
+  if (!connections) return;
+
+  connections.delete(res);
+  if (connections.size === 0) {
+    index.delete(key);
+  }
+};
+
+/**
+ * Write a single SSE event to a connection
+ * @param {object} res - Express response held open for streaming
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload (serialized as JSON)
+ */
+const writeEvent = (res, event, payload) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+};
+
+/**
+ * Register an SSE connection for a user. The connection is ended on the first
+ * heartbeat at which isAuthorized no longer holds.
+ * @param {object} user - Authenticated user (from protect middleware)
+ * @param {object} res - Express response to hold open
+ * @param {Function} isAuthorized - Async check that the user may still listen
+ */
+const subscribe = (user, res, isAuthorized) => {
+  const userKey = user._id.toString();
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  addToIndex(userConnections, userKey, res);
+
+  writeEvent(res, "connected", { userId: userKey, role: user.role });
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isAuthorized())) {
+        writeEvent(res, "unauthorized", { message: "Session ended, please log in again" });
+        unsubscribe();
+        res.end();
+        return;
+      }
+    } catch (error) {
+      // Keep the stream on a failed check; the next heartbeat tries again
+      console.error("Error checking notification stream access:", error);
+    }
+    res.write(": heartbeat\n\n");
+  }, HEARTBEAT_INTERVAL);
+
+  const unsubscribe = () => {
+    clearInterval(heartbeat);
+    removeFromIndex(userConnections, userKey, res);
+  };
+
+  res.on("close", unsubscribe);
+};
+
+/**
+ * Push an event to every open connection of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @returns {number} - Number of connections reached
+ */
+const publishToUser = (userId, event, payload) => {
+  const connections = userConnections.get(userId.toString());
+  if (!connections) return 0;
+
+  for (const res of connections) {
+    writeEvent(res, event, payload);
+  }
+  return connections.size;
+};
+
+module.exports = {
+  subscribe,
+  publishToUser,
+};
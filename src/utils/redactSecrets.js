@@ -0,0 +1,18 @@
+/**
+ * Mask one-time secrets (reset codes, OTPs, pass codes) in text that is
+ * stored in delivery records or written to logs
+ * @param {string} text - Text to mask
+ * @param {Array} secrets - Secret values to replace
+ * @returns {string} - Text with every secret replaced by asterisks
+ */
+const redactSecrets = (text, secrets = []) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  return secrets
+    .filter(Boolean)
+    .reduce((result, secret) => result.split(String(secret)).join('******'), text);
+};
+
+module.exports = { redactSecrets };
@@ -24,12 +24,13 @@ const seedSuperAdmin = async () => {
       phone: '9999999999',
       password: 'Password@123',  // This should be changed after first login
       role: 'superAdmin',
-      status: 'approved'
+      status: 'approved',
+      mustChangePassword: true
     });
     
     console.log('Super admin seeded successfully:');
     console.log(`Email: ${superAdmin.email}`);
-    console.log('Password: Password@123 (Please change after first login)');
+    console.log('Password: Password@123 (must be changed on first login)');
     
     process.exit();
   } catch (error) {
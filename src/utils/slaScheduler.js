@@ -0,0 +1,27 @@
+const slaService = require("../services/slaService");
+
+/**
+ * Schedule the periodic check for complaints that missed their SLA deadlines
+ */
+const scheduleSlaTask = () => {
+  // Check if we're in test environment - don't run tasks
+  if (process.env.NODE_ENV === "test") {
+    return;
+  }
+
+  console.log("Scheduling complaint SLA check (every 15 minutes)...");
+
+  setInterval(async () => {
+    try {
+      const results = await slaService.processSlaBreaches();
+
+      if (results.length > 0) {
+        console.log(`Flagged ${results.length} complaints for SLA breaches`);
+      }
+    } catch (error) {
+      console.error("Error processing complaint SLA breaches:", error);
+    }
+  }, 15 * 60 * 1000); // 15 minutes
+};
+
+module.exports = { scheduleSlaTask };
@@ -0,0 +1,48 @@
+/**
+ * Generic HTTP SMS gateway adapter configured through environment variables:
+ *   SMS_HTTP_URL         - Gateway endpoint receiving a JSON POST
+ *   SMS_HTTP_API_KEY     - API key sent with every request
+ *   SMS_HTTP_AUTH_HEADER - Header carrying the key (default: Authorization, as a Bearer token)
+ *   SMS_SENDER_ID        - Optional sender ID passed as `sender`
+ *   SMS_HTTP_TIMEOUT_MS  - Request timeout (default: 10000)
+ */
+const send = async (to, message) => {
+  const url = process.env.SMS_HTTP_URL;
+  if (!url) {
+    throw new Error('SMS_HTTP_URL is not configured');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  const apiKey = process.env.SMS_HTTP_API_KEY;
+  const authHeader = process.env.SMS_HTTP_AUTH_HEADER || 'Authorization';
+
+  if (apiKey) {
+    headers[authHeader] = authHeader.toLowerCase() === 'authorization'
+      ? `Bearer ${apiKey}`
+      : apiKey;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      to,
+      message,
+      sender: process.env.SMS_SENDER_ID
+    }),
+    signal: AbortSignal.timeout(parseInt(process.env.SMS_HTTP_TIMEOUT_MS, 10) || 10000)
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(body.message || body.error || `SMS gateway responded with ${response.status}`);
+  }
+
+  return { providerMessageId: body.messageId || body.id };
+};
+
+module.exports = {
+  name: 'http',
+  send
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local SMS adapter for development and tests.
+ * Logs every message to the console and, when SMS_STUB_FILE is set,
+ * appends it as a JSON line to that file instead of contacting a gateway.
+ * Secrets such as reset codes are masked in both.
+ */
+const send = async (to, plainMessage, options = {}) => {
+  const message = options.redactedMessage || plainMessage;
+  const providerMessageId = `stub-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+
+  if (process.env.SMS_STUB_FILE) {
+    const file = path.resolve(process.env.SMS_STUB_FILE);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(
+      file,
+      JSON.stringify({ id: providerMessageId, to, message, sentAt: new Date() }) + '\n'
+    );
+  } else {
+    console.log(`SMS to ${to}: ${message}`);
+  }
+
+  return { providerMessageId };
+};
+
+module.exports = {
+  name: 'stub',
+  send
+};
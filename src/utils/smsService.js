@@ -0,0 +1,101 @@
+const SmsDelivery = require('../models/SmsDelivery');
+const stubAdapter = require('./smsAdapters/stubAdapter');
+const httpAdapter = require('./smsAdapters/httpAdapter');
+const { redactSecrets } = require('./redactSecrets');
+
+/**
+ * Registered SMS adapters. An adapter exposes a `name` and an async
+ * `send(to, message, options)` that resolves to `{ providerMessageId }` or throws.
+ * `options.redactedMessage` is the message with its secrets masked, for logging.
+ */
+const adapters = {
+  stub: stubAdapter,
+  http: httpAdapter
+};
+
+/**
+ * Register an additional SMS adapter (e.g. a vendor-specific gateway)
+ * @param {object} adapter - Adapter with `name` and `send(to, message)`
+ */
+const registerAdapter = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.send !== 'function') {
+    throw new Error('SMS adapter must have a name and a send function');
+  }
+  adapters[adapter.name] = adapter;
+};
+
+/**
+ * Get the SMS provider selected by SMS_PROVIDER. Outside production it
+ * defaults to the stub; in production it must be set explicitly.
+ * @returns {string} - Provider name
+ */
+const resolveProvider = () => {
+  if (process.env.SMS_PROVIDER) {
+    return process.env.SMS_PROVIDER;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SMS_PROVIDER must be set in production');
+  }
+
+  return 'stub';
+};
+
+/**
+ * Send an SMS through the adapter selected by SMS_PROVIDER and keep a
+ * delivery record for it
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message text
+ * @param {object} context - Optional purpose and referenceId of the source entity, and
+ *   secrets (e.g. a reset code) to mask in the delivery record and logs
+ * @returns {object} - SmsDelivery record with status 'sent' or 'failed'
+ */
+const sendSMS = async (to, message, context = {}) => {
+  const provider = resolveProvider();
+  const redactedMessage = redactSecrets(message, context.secrets);
+
+  const delivery = await SmsDelivery.create({
+    to,
+    message: redactedMessage,
+    provider,
+    purpose: context.purpose || 'general',
+    referenceId: context.referenceId,
+    status: 'queued'
+  });
+
+  try {
+    const adapter = adapters[provider];
+    if (!adapter) {
+      throw new Error(`Unknown SMS provider: ${provider}`);
+    }
+
+    const result = await adapter.send(to, message, { redactedMessage });
+
+    delivery.status = 'sent';
+    delivery.providerMessageId = result && result.providerMessageId;
+    delivery.sentAt = new Date();
+  } catch (error) {
+    console.error(`Failed to send SMS to ${to}:`, error.message);
+    delivery.status = 'failed';
+    delivery.error = error.message;
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Get SMS delivery records for a source entity
+ * @param {string} referenceId - Broadcast, visitor or other entity ID
+ * @returns {Array} - Delivery records
+ */
+const getDeliveries = async (referenceId) => {
+  return await SmsDelivery.find({ referenceId }).sort({ createdAt: -1 });
+};
+
+module.exports = {
+  resolveProvider,
+  registerAdapter,
+  sendSMS,
+  getDeliveries
+};
@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local disk storage driver configured through environment variables:
+ *   STORAGE_LOCAL_DIR - Directory holding the files (default: ./uploads)
+ *
+ * Files are served through the API's signed download route, so this driver
+ * does not produce URLs of its own.
+ */
+const rootDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+// Keep keys inside the storage directory
+const resolveKey = (key) => {
+  const root = rootDir();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+const put = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+};
+
+const get = async (key) => {
+  return await fs.readFile(resolveKey(key));
+};
+
+const remove = async (key) => {
+  await fs.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  get,
+  remove,
+  getSignedUrl: null
+};
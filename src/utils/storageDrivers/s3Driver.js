@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, DigitalOcean Spaces, ...)
+ * configured through environment variables:
+ *   S3_BUCKET            - Bucket name
+ *   S3_REGION            - Region (default: us-east-1)
+ *   S3_ENDPOINT          - Custom endpoint for S3-compatible services (default: AWS)
+ *   S3_FORCE_PATH_STYLE  - 'true' to address the bucket in the path (needed by most
+ *                          S3-compatible services)
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY - Credentials
+ *   S3_TIMEOUT_MS        - Request timeout (default: 15000)
+ *
+ * Requests are signed with AWS Signature Version 4, and downloads use
+ * presigned URLs so clients fetch files from the bucket directly.
+ */
+const getConfig = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is not configured');
+  }
+
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+
+  return {
+    bucket,
+    region,
+    protocol: endpoint.protocol,
+    host: pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`,
+    basePath: pathStyle ? `/${bucket}` : '',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodePath = (key) => key.split('/').map(encode).join('/');
+
+const canonicalQuery = (query) => Object.keys(query)
+  .sort()
+  .map((name) => `${encode(name)}=${encode(query[name])}`)
+  .join('&');
+
+/**
+ * Compute a SigV4 signature
+ * @param {object} config - Driver configuration
+ * @param {object} request - { method, path, query, headers, payloadHash, amzDate }
+ * @returns {object} - { signature, credential, signedHeaders }
+ */
+const sign = (config, { method, path, query, headers, payloadHash, amzDate }) => {
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${config.region}/s3/aws4_request`;
+  const headerNames = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  );
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery(query),
+    headerNames.map((name) => `${name}:${lowerHeaders[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, date), config.region)
+  );
+
+  return {
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+    credential: `${config.accessKeyId}/${scope}`,
+    signedHeaders
+  };
+};
+
+const amzDateNow = () => new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+// Send a signed request to the bucket
+const request = async (method, key, { body, contentType } = {}) => {
+  const config = getConfig();
+  const path = `${config.basePath}/${encodePath(key)}`;
+  const amzDate = amzDateNow();
+  const payloadHash = sha256(body || '');
+
+  const headers = {
+    host: config.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (contentType) {
+    headers['content-type'] = contentType;
+  }
+
+  const { signature, credential, signedHeaders } = sign(config, {
+    method, path, query: {}, headers, payloadHash, amzDate
+  });
+
+  const { host, ...sentHeaders } = headers;
+  const response = await fetch(`${config.protocol}//${config.host}${path}`, {
+    method,
+    headers: {
+      ...sentHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    },
+    body,
+    signal: AbortSignal.timeout(parseInt(process.env.S3_TIMEOUT_MS, 10) || 15000)
+  });
+
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    throw new Error(`S3 ${method} ${key} failed with ${response.status}`);
+  }
+
+  return response;
+};
+
+const put = async (key, buffer, mimeType) => {
+  await request('PUT', key, { body: buffer, contentType: mimeType });
+};
+
+const get = async (key) => {
+  const response = await request('GET', key);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const remove = async (key) => {
+  await request('DELETE', key);
+};
+
+/**
+ * Create a presigned download URL
+ * @param {string} key - Object key
+ * @param {object} options - { expiresIn (seconds), fileName }
+ * @returns {string} - Presigned URL
+ */
+const getSignedUrl = (key, { expiresIn, fileName } = {}) => {
+  const config = getConfig();
+  const path = `${config.basePath}/${encodePath(key)}`;
+  const amzDate = amzDateNow();
+  const scope = `${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`;
+
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${config.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  if (fileName) {
+    query['response-content-disposition'] = `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+  }
+
+  const { signature } = sign(config, {
+    method: 'GET',
+    path,
+    query,
+    headers: { host: config.host },
+    payloadHash: 'UNSIGNED-PAYLOAD',
+    amzDate
+  });
+
+  return `${config.protocol}//${config.host}${path}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+};
+
+module.exports = {
+  name: 's3',
+  put,
+  get,
+  remove,
+  getSignedUrl
+};
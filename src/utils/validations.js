@@ -14,13 +14,58 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(6).required()
+    .invalid(Joi.ref('currentPassword'))
+    .messages({ 'any.invalid': 'New password must be different from the current password' }),
+  confirmPassword: Joi.string().valid(Joi.ref('newPassword')).required()
+    .messages({ 'any.only': 'Passwords do not match' })
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+  channel: Joi.string().valid('email', 'sms')
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  newPassword: Joi.string().min(6).required(),
+  confirmPassword: Joi.string().valid(Joi.ref('newPassword')).required()
+    .messages({ 'any.only': 'Passwords do not match' })
+});
+
 const resourceRequestSchema = Joi.object({
   resourceId: Joi.string().required(),
   isPrimary: Joi.boolean().default(false)
 });
 
+const rolePermissionsSchema = Joi.object({
+  permissions: Joi.array().items(Joi.string()).required()
+});
+
+const staffProfileSchema = Joi.object({
+  skills: Joi.array().items(Joi.string()),
+  isAvailable: Joi.boolean()
+}).min(1);
+
+const profilePhotoSchema = Joi.object({
+  fileId: Joi.string().hex().length(24).required()  // Upload with purpose profilePhoto
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
-  resourceRequestSchema
+  refreshTokenSchema,
+  changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  resourceRequestSchema,
+  rolePermissionsSchema,
+  staffProfileSchema,
+  profilePhotoSchema
 };
\ No newline at end of file
@@ -0,0 +1,27 @@
+const visitorService = require("../services/visitorService");
+
+/**
+ * Schedule the periodic check for visitors who stayed past their expected duration
+ */
+const scheduleOverstayTask = () => {
+  // Check if we're in test environment - don't run tasks
+  if (process.env.NODE_ENV === "test") {
+    return;
+  }
+
+  console.log("Scheduling visitor overstay check (every 5 minutes)...");
+
+  setInterval(async () => {
+    try {
+      const flagged = await visitorService.processOverstays();
+
+      if (flagged.length > 0) {
+        console.log(`Flagged ${flagged.length} visitors for overstaying`);
+      }
+    } catch (error) {
+      console.error("Error processing visitor overstays:", error);
+    }
+  }, 5 * 60 * 1000); // 5 minutes
+};
+
+module.exports = { scheduleOverstayTask };
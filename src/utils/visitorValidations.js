@@ -1,12 +1,16 @@
 const Joi = require('joi');
+const { WEEKDAYS } = require('./constants');
+
+const timeOfDay = Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]$/);
 
 const visitorRequestSchema = Joi.object({
   name: Joi.string().required().min(3).max(50),
   mobileNumber: Joi.string().pattern(/^[0-9]{10}$/).required(),
-  photo: Joi.string(),  // Base64 encoded string or URL
+  photo: Joi.string().hex().length(24),  // Uploaded file ID (visitorPhoto)
   purpose: Joi.string().required().min(5).max(200),
   expectedArrivalTime: Joi.date().required(),
   expectedDuration: Joi.number().min(1).max(48).default(2),  // In hours, max 2 days
+  gate: Joi.string().hex().length(24),  // Optional entry gate
   isGroupVisit: Joi.boolean().default(false),
   groupSize: Joi.when('isGroupVisit', {
     is: true,
@@ -19,7 +23,7 @@ const visitorRequestSchema = Joi.object({
       Joi.object({
         name: Joi.string().required().min(3).max(50),
         mobileNumber: Joi.string().pattern(/^[0-9]{10}$/),
-        photo: Joi.string()
+        photo: Joi.string().hex().length(24)
       })
     ).min(1),
     otherwise: Joi.array().optional()
@@ -27,19 +31,94 @@ const visitorRequestSchema = Joi.object({
 });
 
 const visitorCheckInSchema = Joi.object({
-  idCardPhoto: Joi.string().required()  // Base64 encoded string or URL
+  idCardPhoto: Joi.string().hex().length(24).required()  // Uploaded file ID (visitorIdCard)
+});
+
+const walkInVisitorSchema = Joi.object({
+  name: Joi.string().required().min(3).max(50),
+  mobileNumber: Joi.string().pattern(/^[0-9]{10}$/).required(),
+  photo: Joi.string().hex().length(24).required(),  // Uploaded file ID (visitorPhoto)
+  purpose: Joi.string().required().min(3).max(200),
+  hostResource: Joi.string().hex().length(24).required(),  // Flat being visited
+  expectedDuration: Joi.number().min(1).max(48).default(1),  // In hours
+  gate: Joi.string().hex().length(24)  // Admins only; guards use their duty gate
+});
+
+const hostResponseSchema = Joi.object({
+  decision: Joi.string().valid('approve', 'deny').required(),
+  remarks: Joi.string().max(200).allow('')
+});
+
+const verifyEntryPassSchema = Joi.object({
+  qrCode: Joi.string().trim(),
+  otp: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'OTP must be 6 digits'
+  })
+}).xor('qrCode', 'otp');
+
+const visitorPassSchema = Joi.object({
+  name: Joi.string().required().min(3).max(50),
+  mobileNumber: Joi.string().pattern(/^[0-9]{10}$/).required(),
+  photo: Joi.string().hex().length(24),  // Uploaded file ID (visitorPhoto)
+  purpose: Joi.string().required().min(3).max(200),  // e.g. Maid, Driver, Tutor
+  gate: Joi.string().hex().length(24),  // Optional; any gate if not set
+  weekdays: Joi.array().items(Joi.string().valid(...WEEKDAYS)).min(1).required(),
+  timeWindow: Joi.object({
+    start: timeOfDay.required(),  // HH:mm
+    end: timeOfDay.required()
+  }).required(),
+  validFrom: Joi.date(),  // Defaults to today
+  validUntil: Joi.date().min('now').required()
+});
+
+const passCheckInSchema = Joi.object({
+  passCode: Joi.string().alphanum().length(6).required(),
+  idCardPhoto: Joi.string().hex().length(24)  // Optional uploaded file ID (visitorIdCard)
+});
+
+const revokePassSchema = Joi.object({
+  reason: Joi.string().max(500).allow('')
 });
 
 const blacklistSchema = Joi.object({
   mobileNumber: Joi.string().pattern(/^[0-9]{10}$/).required(),
   name: Joi.string().required().min(3).max(50),
-  photo: Joi.string(),
+  photo: Joi.string().hex().length(24),  // Uploaded file ID (blacklistPhoto)
   reason: Joi.string().required().min(10).max(500),
   visitorId: Joi.string().optional()
 });
 
+const gateSchema = Joi.object({
+  name: Joi.string().required().min(2).max(50),
+  location: Joi.string().max(200)
+});
+
+const updateGateSchema = Joi.object({
+  name: Joi.string().min(2).max(50),
+  location: Joi.string().max(200).allow(''),
+  isActive: Joi.boolean()
+}).min(1);
+
+const dutySchema = Joi.object({
+  gateId: Joi.string().hex().length(24).required()
+});
+
+const assignGatesSchema = Joi.object({
+  gateIds: Joi.array().items(Joi.string().hex().length(24)).required()
+});
+
 module.exports = {
   visitorRequestSchema,
   visitorCheckInSchema,
-  blacklistSchema
+  verifyEntryPassSchema,
+  walkInVisitorSchema,
+  hostResponseSchema,
+  visitorPassSchema,
+  passCheckInSchema,
+  revokePassSchema,
+  blacklistSchema,
+  gateSchema,
+  updateGateSchema,
+  dutySchema,
+  assignGatesSchema
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../src/models/AuditLog');
+const Visitor = require('../src/models/visitor');
+const VisitorPass = require('../src/models/visitorPass');
+const { audit } = require('../src/middleware/audit');
+
+/**
+ * Run an audited request whose handler turns the `before` document into
+ * `after`, and return the stored audit entry
+ * @param {object} t - Test context
+ * @param {object} options - { action, model, before, after }
+ * @returns {object} - Data passed to AuditLog.create
+ */
+const runAudited = async (t, { action, model, before, after }) => {
+  let current = before;
+  t.mock.method(model, 'findOne', () => ({ lean: async () => current }));
+  t.mock.method(AuditLog, 'create', async (entry) => entry);
+
+  const listeners = {};
+  const req = {
+    params: { id: before._id.toString() },
+    user: { _id: new mongoose.Types.ObjectId(), role: 'securityPersonnel' },
+    method: 'PUT',
+    originalUrl: `/api/test/${before._id}`,
+    ip: '127.0.0.1',
+    get: () => 'test'
+  };
+  const res = {
+    statusCode: 200,
+    locals: {},
+    json: (body) => body,
+    on: (event, listener) => {
+      listeners[event] = listener;
+    }
+  };
+
+  await audit(action, { model })(req, res, () => {
+    current = after;
+    res.json({ success: true, data: after });
+  });
+  await listeners.finish();
+
+  const [{ arguments: [entry] }] = AuditLog.create.mock.calls;
+  return entry;
+};
+
+test('audited visitor approvals keep entry pass OTPs and QR codes out of the log', async (t) => {
+  const _id = new mongoose.Types.ObjectId();
+  const entry = await runAudited(t, {
+    action: 'visitor:approve',
+    model: Visitor,
+    before: { _id, status: 'pending' },
+    after: {
+      _id,
+      status: 'approved',
+      entryPass: {
+        qrCode: `${_id}.1893456000.c2lnbmF0dXJl`,
+        otp: '482913',
+        validFrom: new Date('2026-10-19T10:00:00Z'),
+        issuedAt: new Date('2026-10-19T09:00:00Z')
+      }
+    }
+  });
+
+  const stored = JSON.stringify(entry.changes);
+  assert.deepEqual(entry.changes.status, { from: 'pending', to: 'approved' });
+  assert.equal(entry.changes.entryPass.to.issuedAt, '2026-10-19T09:00:00.000Z');
+  assert.ok(!stored.includes('482913'));
+  assert.ok(!stored.includes('c2lnbmF0dXJl'));
+});
+
+test('audited visitor pass approvals keep the pass code out of the log', async (t) => {
+  const _id = new mongoose.Types.ObjectId();
+  const entry = await runAudited(t, {
+    action: 'visitorPass:approve',
+    model: VisitorPass,
+    before: { _id, passCode: 'K7MQ2XPA', status: 'pending' },
+    after: { _id, passCode: 'K7MQ2XPA', status: 'approved' }
+  });
+
+  assert.deepEqual(entry.changes.status, { from: 'pending', to: 'approved' });
+  assert.ok(!JSON.stringify(entry.changes).includes('K7MQ2XPA'));
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Complaint = require("../src/models/Complaint");
+const User = require("../src/models/User");
+const Notification = require("../src/models/Notification");
+const complaintService = require("../src/services/complaintService");
+
+const staffId = new mongoose.Types.ObjectId();
+
+/**
+ * Serve one auto-assigned complaint (staff, no agency) and record who is
+ * notified about it
+ * @param {object} t - Test context
+ * @param {string} status - Complaint status
+ * @param {object} fields - Other complaint fields
+ * @returns {Array} - IDs of the notified users
+ */
+const autoAssignedComplaint = (t, status, fields = {}) => {
+  const complaint = new Complaint({
+    complaintId: "CMP-0001",
+    userId: new mongoose.Types.ObjectId(),
+    title: "Leaking tap",
+    description: "The kitchen tap leaks",
+    category: "Plumbing",
+    assignedStaff: staffId,
+    status,
+    escalation: status === "escalated" ? { reason: "Not fixed" } : undefined,
+    ...fields,
+  });
+  t.mock.method(complaint, "save", async () => complaint);
+
+  const session = {
+    startTransaction() {},
+    commitTransaction: async () => {},
+    abortTransaction: async () => {},
+    endSession() {},
+  };
+  t.mock.method(mongoose, "startSession", async () => session);
+  t.mock.method(Complaint, "findById", () => ({ session: async () => complaint }));
+  t.mock.method(User, "findOne", () => ({ select: () => ({ session: async () => null }) }));
+  t.mock.method(User, "find", () => ({ select: async () => [] }));
+
+  const notified = [];
+  t.mock.method(Notification, "create", async (notification) => {
+    notified.push(notification.userId.toString());
+    return notification;
+  });
+  return notified;
+};
+
+test("closing feedback reaches the staff member of an auto-assigned complaint", async (t) => {
+  const notified = autoAssignedComplaint(t, "resolved");
+
+  await complaintService.submitFeedback("id", 5, "Fixed", new mongoose.Types.ObjectId());
+
+  assert.deepEqual(notified, [staffId.toString()]);
+});
+
+test("escalating feedback reaches the staff member of an auto-assigned complaint", async (t) => {
+  const notified = autoAssignedComplaint(t, "resolved");
+
+  await complaintService.submitFeedback("id", 1, "Still leaking", new mongoose.Types.ObjectId());
+
+  assert.deepEqual(notified, [staffId.toString()]);
+});
+
+test("the final resolution reaches the staff member of an auto-assigned complaint", async (t) => {
+  const notified = autoAssignedComplaint(t, "escalated");
+
+  await complaintService.finalizeComplaint("id", "Tap replaced", new mongoose.Types.ObjectId());
+
+  assert.ok(notified.includes(staffId.toString()));
+});
+
+test("preventive work orders do not send resident updates to the plan's admin", async (t) => {
+  const adminId = new mongoose.Types.ObjectId();
+  const notified = autoAssignedComplaint(t, "escalated", {
+    userId: adminId,
+    source: "preventive",
+  });
+
+  await complaintService.finalizeComplaint("id", "Pump replaced", new mongoose.Types.ObjectId());
+
+  assert.deepEqual(notified, [staffId.toString()]);
+});
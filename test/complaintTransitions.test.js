@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Complaint = require("../src/models/Complaint");
+const { COMPLAINT_TRANSITIONS } = require("../src/utils/constants");
+
+const STATUSES = Complaint.schema.path("status").enumValues;
+
+test("every complaint status has a transition entry", () => {
+  assert.deepEqual(
+    Object.keys(COMPLAINT_TRANSITIONS).sort(),
+    [...STATUSES].sort()
+  );
+});
+
+test("transitions only lead to known statuses", () => {
+  for (const [from, targets] of Object.entries(COMPLAINT_TRANSITIONS)) {
+    for (const to of targets) {
+      assert.ok(STATUSES.includes(to), `${from} -> ${to}`);
+    }
+  }
+});
+
+test("withdrawn and merged complaints are final", () => {
+  assert.deepEqual(COMPLAINT_TRANSITIONS.withdrawn, []);
+  assert.deepEqual(COMPLAINT_TRANSITIONS.merged, []);
+});
+
+test("complaints the SLA processor escalates can be escalated and then assigned", () => {
+  // Statuses scanned by slaService.processSlaBreaches
+  for (const status of ["pending", "assigned", "reopened"]) {
+    assert.ok(COMPLAINT_TRANSITIONS[status].includes("escalated"), status);
+  }
+  assert.ok(COMPLAINT_TRANSITIONS.escalated.includes("assigned"));
+  assert.ok(COMPLAINT_TRANSITIONS.escalated.includes("finalResolution"));
+});
+
+test("every open status can still reach a resolution or an end state", () => {
+  const ends = new Set(["closed", "finalResolution", "withdrawn", "merged"]);
+
+  for (const status of STATUSES) {
+    const seen = new Set([status]);
+    const queue = [status];
+    while (queue.length) {
+      for (const next of COMPLAINT_TRANSITIONS[queue.shift()]) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+
+    if (!ends.has(status)) {
+      assert.ok([...seen].some((reached) => ends.has(reached)), status);
+    }
+  }
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Visitor = require('../src/models/visitor');
+const notificationService = require('../src/services/notificationService');
+const visitorService = require('../src/services/visitorService');
+
+const HOUR = 60 * 60 * 1000;
+const gateId = new mongoose.Types.ObjectId();
+const guard = { _id: new mongoose.Types.ObjectId(), role: 'securityPersonnel', dutyGate: gateId };
+
+/**
+ * Approve a visitor whose visit starts at `arrival`, keeping it in memory.
+ * findOneAndUpdate checks and writes in one step like the database does.
+ * @param {object} t - Test context
+ * @param {Date} arrival - Expected arrival time
+ * @returns {object} - Approved visitor document with its entry pass
+ */
+const approvedVisitor = async (t, arrival = new Date(Date.now() - 60 * 1000)) => {
+  process.env.ENTRY_PASS_SECRET = 'entry-secret';
+  t.after(() => delete process.env.ENTRY_PASS_SECRET);
+
+  const visitor = new Visitor({
+    name: 'Ravi',
+    mobileNumber: '9876543210',
+    purpose: 'Delivery',
+    requestedBy: new mongoose.Types.ObjectId(),
+    expectedArrivalTime: arrival,
+    expectedDuration: 2,
+    status: 'pending'
+  });
+  t.mock.method(visitor, 'save', async () => visitor);
+
+  t.mock.method(Visitor, 'findById', async () => visitor);
+  t.mock.method(Visitor, 'exists', async () => false);
+  t.mock.method(notificationService, 'notifyVisitorStatusChange', async () => {});
+
+  t.mock.method(Visitor, 'findOne', (query) => {
+    const lookup = (async () => {
+      // Let concurrent scans read before either writes
+      await new Promise((resolve) => setImmediate(resolve));
+      const pass = visitor.entryPass || {};
+      if ('entryPass.otp' in query) return query['entryPass.otp'] === pass.otp ? visitor : null;
+      return String(query._id) === visitor._id.toString() && query['entryPass.qrCode'] === pass.qrCode
+        ? visitor
+        : null;
+    })();
+    lookup.sort = () => lookup;
+    return lookup;
+  });
+
+  t.mock.method(Visitor, 'findOneAndUpdate', (filter, update) => {
+    const claimed = visitor.status === filter.status && !visitor.entryPass.usedAt;
+    if (claimed) {
+      visitor.entryPass.usedAt = update['entryPass.usedAt'];
+      visitor.entryPass.verifiedBy = update['entryPass.verifiedBy'];
+    }
+
+    const result = Promise.resolve(claimed ? visitor : null);
+    const query = { populate: () => query, then: (resolve, reject) => result.then(resolve, reject) };
+    return query;
+  });
+
+  await visitorService.updateVisitorStatus(visitor._id, 'approved', guard);
+  return visitor;
+};
+
+test('approval issues a signed QR code and a six-digit OTP for the visit window', async (t) => {
+  const arrival = new Date(Date.now() - 60 * 1000);
+  const visitor = await approvedVisitor(t, arrival);
+  const { qrCode, otp, validFrom, validUntil } = visitor.entryPass;
+
+  assert.match(otp, /^\d{6}$/);
+  assert.ok(qrCode.startsWith(`${visitor._id}.`));
+  assert.equal(validFrom.getTime(), arrival.getTime());
+  assert.equal(validUntil.getTime(), arrival.getTime() + 2 * HOUR);
+  assert.equal(visitor.gate.toString(), gateId.toString());
+});
+
+test('an entry pass is accepted once, by QR code or OTP', async (t) => {
+  const visitor = await approvedVisitor(t);
+
+  const verified = await visitorService.verifyEntryPass({ qrCode: visitor.entryPass.qrCode }, guard);
+  assert.equal(verified, visitor);
+  assert.ok(visitor.entryPass.usedAt);
+  assert.equal(visitor.entryPass.verifiedBy.toString(), guard._id.toString());
+
+  await assert.rejects(
+    visitorService.verifyEntryPass({ otp: visitor.entryPass.otp }, guard),
+    /already been used/
+  );
+});
+
+test('a code scanned twice at once is only accepted once', async (t) => {
+  const visitor = await approvedVisitor(t);
+  const code = { otp: visitor.entryPass.otp };
+
+  const results = await Promise.allSettled([
+    visitorService.verifyEntryPass(code, guard),
+    visitorService.verifyEntryPass(code, guard)
+  ]);
+
+  assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+  assert.match(results.find((result) => result.status === 'rejected').reason.message, /already been used/);
+});
+
+test('forged or altered QR codes are rejected', async (t) => {
+  const visitor = await approvedVisitor(t);
+  const [id, expires] = visitor.entryPass.qrCode.split('.');
+  const later = Number(expires) + 3600;
+  const forge = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  for (const qrCode of [
+    `${id}.${later}.${forge('wrong-secret', `entry:${id}:${later}`)}`,
+    `${id}.${later}.${visitor.entryPass.qrCode.split('.')[2]}`,
+    `${id}.${expires}.`,
+    'garbage'
+  ]) {
+    await assert.rejects(visitorService.verifyEntryPass({ qrCode }, guard), /Invalid entry pass/, qrCode);
+  }
+  assert.equal(visitor.entryPass.usedAt, undefined);
+});
+
+test('passes are refused outside their window, after cancellation and off duty', async (t) => {
+  const early = await approvedVisitor(t, new Date(Date.now() + HOUR));
+  await assert.rejects(
+    visitorService.verifyEntryPass({ otp: early.entryPass.otp }, guard),
+    /not valid before/
+  );
+
+  early.entryPass.validFrom = new Date(Date.now() - 3 * HOUR);
+  early.entryPass.validUntil = new Date(Date.now() - HOUR);
+  await assert.rejects(visitorService.verifyEntryPass({ otp: early.entryPass.otp }, guard), /has expired/);
+
+  const cancelled = await approvedVisitor(t);
+  cancelled.status = 'cancelled';
+  await assert.rejects(
+    visitorService.verifyEntryPass({ otp: cancelled.entryPass.otp }, guard),
+    /has been cancelled/
+  );
+
+  const offDuty = await approvedVisitor(t);
+  await assert.rejects(
+    visitorService.verifyEntryPass({ otp: offDuty.entryPass.otp }, { ...guard, dutyGate: undefined }),
+    /must be on duty/
+  );
+  await assert.rejects(
+    visitorService.verifyEntryPass(
+      { otp: offDuty.entryPass.otp },
+      { ...guard, dutyGate: new mongoose.Types.ObjectId() }
+    ),
+    /different gate/
+  );
+});
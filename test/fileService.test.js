@@ -0,0 +1,265 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const StoredFile = require('../src/models/StoredFile');
+const Complaint = require('../src/models/Complaint');
+const Notification = require('../src/models/Notification');
+const Visitor = require('../src/models/visitor');
+const VisitorBlacklist = require('../src/models/visitorBlacklist');
+const UserResource = require('../src/models/UserResource');
+const RolePermission = require('../src/models/RolePermission');
+const fileStorage = require('../src/utils/fileStorage');
+const fileService = require('../src/services/fileService');
+const complaintService = require('../src/services/complaintService');
+const visitorService = require('../src/services/visitorService');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const resident = { _id: newId(), role: 'resident' };
+const neighbour = { _id: newId(), role: 'resident' };
+const guard = { _id: newId(), role: 'securityPersonnel' };
+const staff = { _id: newId(), role: 'maintenanceStaff' };
+
+/**
+ * Keep stored files in memory. Reads return copies, like the database;
+ * updateMany checks and writes each file in one step.
+ * @param {object} t - Test context
+ * @param {Array} files - Initial files
+ * @returns {Map} - Stored files by ID
+ */
+const fakeFiles = (t, files) => {
+  const store = new Map(files.map((file) => [file._id.toString(), file]));
+  const copy = (file) => file && { ...file, attachedTo: file.attachedTo && { ...file.attachedTo } };
+
+  const matches = (file, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '_id') return condition.$in.map(String).includes(file._id.toString());
+    if (field === 'attachedTo.id') {
+      const id = file.attachedTo && file.attachedTo.id;
+      return condition === null ? !id : String(id) === String(condition);
+    }
+    if (field === 'attachedTo.model') return (file.attachedTo && file.attachedTo.model) === condition;
+    return String(file[field]) === String(condition);
+  });
+
+  t.mock.method(StoredFile, 'find', async (filter) => {
+    // Let concurrent requests read before either writes
+    await new Promise((resolve) => setImmediate(resolve));
+    return [...store.values()].filter((file) => matches(file, filter)).map(copy);
+  });
+
+  t.mock.method(StoredFile, 'findById', async (id) => copy(store.get(String(id))));
+
+  t.mock.method(StoredFile, 'updateMany', async (filter, update) => {
+    const matched = [...store.values()].filter((file) => matches(file, filter));
+    matched.forEach((file) => {
+      if (update.$unset) delete file.attachedTo;
+      else file.attachedTo = update.attachedTo;
+    });
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+
+  return store;
+};
+
+const upload = (overrides = {}) => ({
+  _id: newId(),
+  driver: 'local',
+  key: 'complaintImage/test.jpg',
+  purpose: 'complaintImage',
+  uploadedBy: resident._id,
+  ...overrides
+});
+
+test('claiming uploads marks them as taken until they are attached', async (t) => {
+  const file = upload();
+  const store = fakeFiles(t, [file]);
+
+  const [claimed] = await fileService.claimUploads([file._id], resident._id, 'complaintImage');
+  assert.equal(claimed._id, file._id);
+  assert.ok(store.get(file._id.toString()).attachedTo.id);
+
+  await assert.rejects(
+    fileService.claimUploads([file._id], resident._id, 'complaintImage'),
+    /is already in use/
+  );
+
+  const complaintId = newId();
+  await fileService.attachFiles([claimed], 'Complaint', complaintId);
+  assert.deepEqual(store.get(file._id.toString()).attachedTo, { model: 'Complaint', id: complaintId });
+});
+
+test('two requests claiming the same upload: only one gets it', async (t) => {
+  const shared = upload();
+  const other = upload();
+  const store = fakeFiles(t, [shared, other]);
+
+  const results = await Promise.allSettled([
+    fileService.claimUploads([shared._id], resident._id, 'complaintImage'),
+    fileService.claimUploads([other._id, shared._id], resident._id, 'complaintImage')
+  ]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].status, 'rejected');
+  assert.match(results[1].reason.message, /already in use/);
+  // The losing request gives back what it had taken
+  assert.equal(store.get(other._id.toString()).attachedTo, undefined);
+});
+
+test('uploads of another user or purpose cannot be claimed', async (t) => {
+  const file = upload();
+  fakeFiles(t, [file]);
+
+  await assert.rejects(
+    fileService.claimUploads([file._id], neighbour._id, 'complaintImage'),
+    /uploaded by another user/
+  );
+  await assert.rejects(
+    fileService.claimUploads([file._id], resident._id, 'visitorPhoto'),
+    /not a visitorPhoto upload/
+  );
+  assert.deepEqual(await fileService.claimUploads(undefined, resident._id, 'complaintImage'), []);
+});
+
+test('released claims can be used again; attached files stay attached', async (t) => {
+  const released = upload();
+  const attached = upload();
+  const store = fakeFiles(t, [released, attached]);
+
+  const claimed = await fileService.claimUploads([released._id, attached._id], resident._id, 'complaintImage');
+  await fileService.attachFiles([claimed[1]], 'Complaint', newId());
+  await fileService.releaseUploads(claimed);
+
+  assert.equal(store.get(released._id.toString()).attachedTo, undefined);
+  assert.equal(store.get(attached._id.toString()).attachedTo.model, 'Complaint');
+  await fileService.claimUploads([released._id], resident._id, 'complaintImage');
+});
+
+test('uploads claimed for a request that fails can be used again', async (t) => {
+  const photo = upload({ purpose: 'visitorPhoto' });
+  const companion = upload({ purpose: 'visitorPhoto' });
+  const taken = upload({ purpose: 'visitorPhoto', attachedTo: { model: 'Visitor', id: newId() } });
+  const store = fakeFiles(t, [photo, companion, taken]);
+  t.mock.method(VisitorBlacklist, 'findOne', async () => null);
+  t.mock.method(Visitor, 'create', async () => {
+    throw new Error('Visitor validation failed');
+  });
+
+  const request = (companionPhoto) => visitorService.createVisitorRequest({
+    name: 'Ravi',
+    mobileNumber: '9876543210',
+    photo: photo._id,
+    purpose: 'Family visit',
+    expectedArrivalTime: '2026-10-20T10:00:00Z',
+    isGroupVisit: true,
+    groupSize: 2,
+    additionalVisitors: [{ name: 'Asha', photo: companionPhoto }]
+  }, resident._id);
+
+  // The companion's photo is taken, so the visitor's own photo is given back
+  await assert.rejects(request(taken._id), /already in use/);
+  assert.equal(store.get(photo._id.toString()).attachedTo, undefined);
+
+  await assert.rejects(request(companion._id), /validation failed/);
+  assert.equal(store.get(photo._id.toString()).attachedTo, undefined);
+  assert.equal(store.get(companion._id.toString()).attachedTo, undefined);
+});
+
+test('images of a report merged into an open complaint are attached to it', async (t) => {
+  process.env.DUPLICATE_COMPLAINT_MODE = 'merge';
+  t.after(() => delete process.env.DUPLICATE_COMPLAINT_MODE);
+
+  const image = upload();
+  const store = fakeFiles(t, [image]);
+  const open = new Complaint({
+    complaintId: 'CMP-26-10-0001',
+    userId: neighbour._id,
+    description: 'Lift stuck on floor 3',
+    category: 'Electrical',
+    status: 'assigned'
+  });
+  t.mock.method(open, 'save', async () => open);
+  const lookup = Promise.resolve(open);
+  lookup.sort = () => lookup;
+  t.mock.method(Complaint, 'findOne', () => lookup);
+  t.mock.method(Notification, 'create', async (notification) => notification);
+
+  const { complaint, merged } = await complaintService.createComplaint(
+    { resourceId: newId(), subcategory: 'Lift', images: [image._id] },
+    resident
+  );
+
+  assert.equal(merged, true);
+  assert.deepEqual(complaint.images.map(String), [image._id.toString()]);
+  assert.deepEqual(store.get(image._id.toString()).attachedTo, { model: 'Complaint', id: open._id });
+});
+
+test('visitor and blacklist files are limited to gate roles, the requester and the host flat', async (t) => {
+  const flat = newId();
+  const visitor = { _id: newId(), requestedBy: resident._id, hostResource: flat };
+  const photo = upload({ purpose: 'visitorPhoto', uploadedBy: guard._id, attachedTo: { model: 'Visitor', id: visitor._id } });
+  const blacklistPhoto = upload({
+    purpose: 'blacklistPhoto',
+    uploadedBy: newId(),
+    attachedTo: { model: 'VisitorBlacklist', id: newId() }
+  });
+  fakeFiles(t, [photo, blacklistPhoto]);
+  t.mock.method(Visitor, 'findById', async () => visitor);
+  t.mock.method(UserResource, 'exists', async (query) =>
+    query.userId === neighbour._id && query.resourceId === flat && query.approvalStatus === 'approved'
+  );
+  t.mock.method(RolePermission, 'find', async () => []);
+
+  const outsider = { _id: newId(), role: 'resident' };
+  const denied = { statusCode: 403 };
+
+  await fileService.getFile(photo._id, guard);
+  await fileService.getFile(photo._id, resident);
+  await fileService.getFile(photo._id, neighbour);
+  await assert.rejects(fileService.getFile(photo._id, outsider), denied);
+  await assert.rejects(fileService.getFile(photo._id, staff), denied);
+
+  await fileService.getFile(blacklistPhoto._id, guard);
+  await assert.rejects(fileService.getFile(blacklistPhoto._id, resident), denied);
+  await assert.rejects(fileService.getFile(blacklistPhoto._id, staff), denied);
+});
+
+test('unattached and claimed uploads are private to the uploader', async (t) => {
+  const loose = upload();
+  fakeFiles(t, [loose]);
+
+  await fileService.getFile(loose._id, resident);
+  await assert.rejects(fileService.getFile(loose._id, guard), { statusCode: 403 });
+
+  await fileService.claimUploads([loose._id], resident._id, 'complaintImage');
+  await fileService.getFile(loose._id, resident);
+  await assert.rejects(fileService.getFile(loose._id, neighbour), { statusCode: 403 });
+});
+
+test('signed download URLs only open the file and variant they were made for', async (t) => {
+  process.env.FILE_URL_SECRET = 'test-secret';
+  t.after(() => delete process.env.FILE_URL_SECRET);
+
+  const file = upload({ thumbnailKey: 'complaintImage/test_thumb.webp' });
+  const url = new URL(fileStorage.getDownloadUrl(file), 'http://localhost');
+  const { variant, expires, signature } = Object.fromEntries(url.searchParams);
+  const id = file._id.toString();
+
+  assert.equal(url.pathname, `/api/files/${id}/content`);
+  assert.equal(fileStorage.verifyDownloadSignature(id, variant, expires, signature), true);
+  assert.equal(fileStorage.verifyDownloadSignature(id, 'thumbnail', expires, signature), false);
+  assert.equal(fileStorage.verifyDownloadSignature(newId().toString(), variant, expires, signature), false);
+  assert.equal(fileStorage.verifyDownloadSignature(id, variant, Number(expires) + 60, signature), false);
+  assert.equal(fileStorage.verifyDownloadSignature(id, variant, expires, signature.slice(1)), false);
+  assert.equal(fileStorage.verifyDownloadSignature(id, variant, expires, undefined), false);
+
+  // A correctly signed but expired link
+  const past = Math.floor(Date.now() / 1000) - 1;
+  const expired = crypto.createHmac('sha256', 'test-secret').update(`${id}:original:${past}`).digest('hex');
+  assert.equal(fileStorage.verifyDownloadSignature(id, 'original', past, expired), false);
+
+  await assert.rejects(
+    fileService.getSignedFileContent(id, { variant: 'raw', expires, signature }),
+    { statusCode: 403 }
+  );
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const InventoryItem = require("../src/models/InventoryItem");
+const InventoryStore = require("../src/models/InventoryStore");
+const InventoryStock = require("../src/models/InventoryStock");
+const StockMovement = require("../src/models/StockMovement");
+const inventoryService = require("../src/services/inventoryService");
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: "superAdmin" };
+
+/**
+ * Keep one stock record in memory and record the ledger. findOneAndUpdate
+ * reads and writes in one step like the database does; plain reads wait a
+ * tick so concurrent writes can land in between.
+ * @param {object} t - Test context
+ * @param {number} quantity - Stock level
+ * @returns {object} - { item, store, stock, movements }
+ */
+const fakeStock = (t, quantity) => {
+  const item = {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Washer",
+    category: "Plumbing",
+    unit: "pcs",
+    unitCost: 5,
+    reorderLevel: 2,
+    isActive: true,
+  };
+  const store = { _id: new mongoose.Types.ObjectId(), name: "Main", isActive: true };
+  const stock = { _id: new mongoose.Types.ObjectId(), quantity };
+  const movements = [];
+
+  t.mock.method(mongoose, "startSession", async () => ({
+    startTransaction() {},
+    commitTransaction: async () => {},
+    abortTransaction: async () => {},
+    endSession() {},
+  }));
+  t.mock.method(InventoryItem, "findById", async () => item);
+  t.mock.method(InventoryStore, "findById", async () => store);
+  t.mock.method(InventoryStock, "findOne", () => {
+    const read = new Promise((resolve) => setImmediate(() => resolve({ ...stock })));
+    read.session = () => read;
+    return read;
+  });
+  t.mock.method(InventoryStock, "findOneAndUpdate", async (filter, update, options) => {
+    const before = { ...stock };
+    if (update.$inc) stock.quantity += update.$inc.quantity;
+    else stock.quantity = update.quantity;
+    return options.new ? { ...stock } : before;
+  });
+  t.mock.method(StockMovement, "create", async (docs) => {
+    movements.push(...docs);
+    return docs;
+  });
+
+  return { item, store, stock, movements };
+};
+
+test("a stock count during an issue still reconciles with the ledger", async (t) => {
+  const { item, store, stock, movements } = fakeStock(t, 10);
+  const adjustment = { itemId: item._id, storeId: store._id, quantity: 6 };
+
+  // Three washers are issued while the count is being recorded
+  const [{ movement }] = await Promise.all([
+    inventoryService.adjustStock(adjustment, admin),
+    InventoryStock.findOneAndUpdate({}, { $inc: { quantity: -3 } }, { new: true }),
+  ]);
+
+  assert.equal(stock.quantity, 6);
+  assert.equal(movement.balanceAfter, 6);
+  // 10 - 3 issued + adjustment = 6
+  assert.equal(10 - 3 + movements[0].quantity, stock.quantity);
+});
+
+test("receipts record the new unit cost with the stock movement", async (t) => {
+  const { item, store, stock, movements } = fakeStock(t, 1);
+  t.mock.method(InventoryStock.prototype, "save", async () => {});
+  item.save = t.mock.fn(async () => item);
+
+  await inventoryService.receiveStock(
+    { itemId: item._id, storeId: store._id, quantity: 20, unitCost: 6 },
+    admin
+  );
+
+  assert.equal(stock.quantity, 21);
+  assert.equal(item.unitCost, 6);
+  assert.ok(item.save.mock.calls[0].arguments[0].session);
+  assert.equal(movements[0].unitCost, 6);
+  assert.equal(movements[0].balanceAfter, 21);
+});
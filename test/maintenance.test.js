@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const MaintenancePlan = require("../src/models/MaintenancePlan");
+const Complaint = require("../src/models/Complaint");
+const SlaPolicy = require("../src/models/SlaPolicy");
+const User = require("../src/models/User");
+const Notification = require("../src/models/Notification");
+const maintenanceService = require("../src/services/maintenanceService");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Keep one due plan in memory and record the work orders raised for it.
+ * findOneAndUpdate checks and writes in one step like the database does.
+ * @param {object} t - Test context
+ * @param {Date} dueAt - Due date of the plan
+ * @returns {object} - { plan, workOrders }
+ */
+const duePlan = (t, dueAt) => {
+  const plan = {
+    _id: new mongoose.Types.ObjectId(),
+    title: "Pump service",
+    category: "Plumbing",
+    subcategory: "Water pump",
+    intervalDays: 30,
+    isActive: true,
+    nextDueAt: dueAt,
+    createdBy: new mongoose.Types.ObjectId(),
+  };
+  const workOrders = [];
+
+  t.mock.method(MaintenancePlan, "find", async (filter) => {
+    // Let concurrent runs read before either writes
+    await new Promise((resolve) => setImmediate(resolve));
+    return plan.nextDueAt <= filter.nextDueAt.$lte ? [{ ...plan }] : [];
+  });
+  t.mock.method(MaintenancePlan, "findOneAndUpdate", async (filter, update) => {
+    if (plan.nextDueAt.getTime() !== filter.nextDueAt.getTime()) return null;
+    Object.assign(plan, update);
+    return { ...plan };
+  });
+  t.mock.method(MaintenancePlan, "updateOne", async (filter, update) => {
+    Object.assign(plan, update);
+  });
+  t.mock.method(Complaint, "create", async (data) => {
+    const workOrder = { ...data, _id: new mongoose.Types.ObjectId(), complaintId: "CMP-26-10-0001" };
+    workOrders.push(workOrder);
+    return workOrder;
+  });
+  t.mock.method(SlaPolicy, "find", async () => []);
+  t.mock.method(User, "find", () => ({ select: async () => [] }));
+  t.mock.method(Notification, "insertMany", async (notifications) => notifications);
+
+  return { plan, workOrders };
+};
+
+test("overlapping maintenance runs raise a due work order once", async (t) => {
+  const now = new Date("2026-10-19T09:00:00Z");
+  const dueAt = new Date(now.getTime() - DAY);
+  const { plan, workOrders } = duePlan(t, dueAt);
+
+  const runs = await Promise.all([
+    maintenanceService.processDueMaintenance(now),
+    maintenanceService.processDueMaintenance(now),
+  ]);
+
+  assert.equal(runs.flat().length, 1);
+  assert.equal(workOrders.length, 1);
+  assert.equal(workOrders[0].scheduledFor, dueAt);
+  assert.equal(plan.nextDueAt.getTime(), dueAt.getTime() + 30 * DAY);
+  assert.equal(plan.lastWorkOrder, workOrders[0]._id);
+});
+
+test("a work order that cannot be raised stays due", async (t) => {
+  const now = new Date("2026-10-19T09:00:00Z");
+  const dueAt = new Date(now.getTime() - DAY);
+  const { plan } = duePlan(t, dueAt);
+  t.mock.method(Complaint, "create", async () => {
+    throw new Error("Complaint validation failed");
+  });
+  t.mock.method(console, "error", () => {});
+
+  assert.deepEqual(await maintenanceService.processDueMaintenance(now), []);
+  assert.equal(plan.nextDueAt, dueAt);
+});
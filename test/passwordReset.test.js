@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const User = require('../src/models/User');
+const SmsDelivery = require('../src/models/SmsDelivery');
+const EmailDelivery = require('../src/models/EmailDelivery');
+const smsService = require('../src/utils/smsService');
+const emailService = require('../src/utils/emailService');
+const sessionService = require('../src/services/sessionService');
+const authService = require('../src/services/authService');
+const { redactSecrets } = require('../src/utils/redactSecrets');
+
+const RESET_TOKEN = /[0-9a-f]{40}/;
+
+/**
+ * Set environment variables for one test
+ * @param {object} t - Test context
+ * @param {object} values - Variables to set; undefined removes a variable
+ */
+const setEnv = (t, values) => {
+  const previous = {};
+  for (const [name, value] of Object.entries(values)) {
+    previous[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+};
+
+/**
+ * Record deliveries in memory instead of the database
+ * @param {object} t - Test context
+ * @param {object} model - SmsDelivery or EmailDelivery
+ * @returns {Array} - Created delivery records
+ */
+const fakeDeliveries = (t, model) => {
+  const records = [];
+  t.mock.method(model, 'create', async (data) => {
+    const record = { ...data, save: async () => record };
+    records.push(record);
+    return record;
+  });
+  return records;
+};
+
+/**
+ * Serve a single user from User.findOne
+ * @param {object} t - Test context
+ * @returns {object} - The user
+ */
+const fakeUser = (t) => {
+  const user = {
+    _id: 'user-1',
+    name: 'Asha',
+    email: 'asha@example.com',
+    phone: '9876543210',
+    save: async () => user
+  };
+  t.mock.method(User, 'findOne', async (query) => {
+    if (query.email) return query.email === user.email ? user : null;
+    return query.passwordResetToken === user.passwordResetToken &&
+      user.passwordResetExpires > query.passwordResetExpires.$gt
+      ? user
+      : null;
+  });
+  return user;
+};
+
+test('redactSecrets masks every occurrence and ignores empty secrets', () => {
+  assert.equal(redactSecrets('code 1234, again 1234', ['1234', undefined, '']), 'code ******, again ******');
+  assert.equal(redactSecrets('nothing to hide'), 'nothing to hide');
+  assert.equal(redactSecrets(undefined, ['1234']), undefined);
+});
+
+test('SMS reset codes reach the gateway but not the delivery record', async (t) => {
+  setEnv(t, { SMS_PROVIDER: 'capture' });
+  const records = fakeDeliveries(t, SmsDelivery);
+  const user = fakeUser(t);
+  const sent = [];
+  smsService.registerAdapter({
+    name: 'capture',
+    send: async (to, message, options) => {
+      sent.push({ message, options });
+      return { providerMessageId: 'capture-1' };
+    }
+  });
+  t.mock.method(sessionService, 'revokeAllSessions', async () => 1);
+
+  await authService.requestPasswordReset(user.email, 'sms');
+
+  const [token] = sent[0].message.match(RESET_TOKEN);
+  assert.equal(user.passwordResetToken, crypto.createHash('sha256').update(token).digest('hex'));
+  assert.ok(!records[0].message.includes(token));
+  assert.ok(!sent[0].options.redactedMessage.includes(token));
+  assert.equal(records[0].status, 'sent');
+
+  // The code works once
+  await authService.resetPassword(token, 'new-password-1');
+  assert.equal(user.passwordResetToken, undefined);
+  assert.equal(sessionService.revokeAllSessions.mock.callCount(), 1);
+  await assert.rejects(authService.resetPassword(token, 'new-password-2'), /Invalid or expired/);
+});
+
+test('the stub SMS adapter writes masked codes', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  setEnv(t, { SMS_PROVIDER: 'stub', SMS_STUB_FILE: path.join(dir, 'sms.jsonl') });
+  fakeDeliveries(t, SmsDelivery);
+  const user = fakeUser(t);
+
+  await authService.requestPasswordReset(user.email, 'sms');
+
+  const written = fs.readFileSync(path.join(dir, 'sms.jsonl'), 'utf8');
+  assert.match(written, /\*{6}/);
+  assert.doesNotMatch(written, RESET_TOKEN);
+});
+
+test('the email outbox writes masked codes', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  setEnv(t, { EMAIL_TRANSPORT: 'outbox', EMAIL_OUTBOX_DIR: dir, PASSWORD_RESET_URL: undefined });
+  fakeDeliveries(t, EmailDelivery);
+  const user = fakeUser(t);
+
+  await authService.requestPasswordReset(user.email, 'email');
+
+  const [file] = fs.readdirSync(dir);
+  const written = fs.readFileSync(path.join(dir, file), 'utf8');
+  assert.match(written, /\*{6}/);
+  assert.doesNotMatch(written, RESET_TOKEN);
+});
+
+test('production refuses to fall back to the stub SMS adapter or the outbox', (t) => {
+  setEnv(t, { NODE_ENV: 'production', SMS_PROVIDER: undefined, EMAIL_TRANSPORT: undefined });
+
+  assert.throws(() => smsService.resolveProvider(), /SMS_PROVIDER must be set in production/);
+  assert.throws(() => emailService.resolveTransport(), /EMAIL_TRANSPORT must be set in production/);
+});
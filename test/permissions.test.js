@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RolePermission = require('../src/models/RolePermission');
+const permissionService = require('../src/services/permissionService');
+const { requirePermission } = require('../src/middleware/permissionCheck');
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  USER_ROLES
+} = require('../src/utils/constants');
+
+/**
+ * Serve stored role mappings from memory and drop the cached mappings
+ * @param {object} t - Test context
+ * @param {Array} stored - RolePermission entries
+ */
+const useStoredMappings = async (t, stored = []) => {
+  t.mock.method(RolePermission, 'find', () => {
+    const result = Promise.resolve(stored);
+    result.select = async () => stored;
+    return result;
+  });
+  t.mock.method(RolePermission, 'deleteOne', async () => ({ deletedCount: 0 }));
+  await permissionService.resetRolePermissions('resident');
+};
+
+/**
+ * Run a middleware and report how it ended
+ * @param {Function} middleware - Express middleware
+ * @param {object} req - Request
+ * @returns {object} - { next } or { status }
+ */
+const run = async (middleware, req) => {
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = { status: code };
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+
+  await middleware(req, res, () => {
+    outcome = { next: true };
+  });
+  return outcome;
+};
+
+test('default mappings only use registered roles and permissions', () => {
+  for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    assert.ok(USER_ROLES[role], role);
+    for (const permission of permissions) {
+      assert.ok(PERMISSIONS[permission], `${role}: ${permission}`);
+    }
+  }
+});
+
+test('superAdmin holds every registered permission', () => {
+  const granted = new Set(DEFAULT_ROLE_PERMISSIONS.superAdmin);
+  const missing = Object.keys(PERMISSIONS).filter((permission) => !granted.has(permission));
+
+  // Permissions that belong to other roles' own work
+  assert.deepEqual(missing.sort(), [
+    'complaint:assignStaff',
+    'complaint:feedback',
+    'complaint:resolve',
+    'complaint:withdraw',
+    'gate:duty'
+  ]);
+});
+
+test('residents and maintenance staff get no visitor, gate or admin permissions', () => {
+  const restricted = /^(visitor|gate|user|session|permission|audit|staff|sla|broadcast|poll):|:manage$/;
+
+  for (const role of ['resident', 'maintenanceStaff']) {
+    const leaked = DEFAULT_ROLE_PERMISSIONS[role].filter((permission) => restricted.test(permission));
+    assert.deepEqual(leaked, [], role);
+  }
+});
+
+test('security personnel only handle visitors and gates', () => {
+  for (const permission of DEFAULT_ROLE_PERMISSIONS.securityPersonnel) {
+    assert.match(permission, /^(visitor|gate):/);
+  }
+  assert.ok(!DEFAULT_ROLE_PERMISSIONS.securityPersonnel.includes('visitor:blacklist'));
+});
+
+test('roleHasPermissions needs every listed permission', async (t) => {
+  await useStoredMappings(t);
+
+  assert.equal(await permissionService.roleHasPermissions('securityPersonnel', ['visitor:checkIn']), true);
+  assert.equal(
+    await permissionService.roleHasPermissions('securityPersonnel', ['visitor:checkIn', 'visitor:blacklist']),
+    false
+  );
+  assert.equal(await permissionService.roleHasPermissions('unknownRole', []), false);
+});
+
+test('a stored mapping replaces the defaults of its role', async (t) => {
+  await useStoredMappings(t, [{ role: 'maintenanceStaff', permissions: ['inventory:view'] }]);
+
+  assert.equal(await permissionService.roleHasPermissions('maintenanceStaff', ['inventory:view']), true);
+  assert.equal(await permissionService.roleHasPermissions('maintenanceStaff', ['complaint:resolve']), false);
+  assert.equal(await permissionService.roleHasPermissions('resident', ['complaint:withdraw']), true);
+});
+
+test('role edits reject unknown permissions and superAdmin lockout', async () => {
+  await assert.rejects(
+    permissionService.updateRolePermissions('resident', ['complaint:fly'], 'admin-1'),
+    /Unknown permissions: complaint:fly/
+  );
+  await assert.rejects(
+    permissionService.updateRolePermissions('superAdmin', ['user:view'], 'admin-1'),
+    /must keep the permission:manage permission/
+  );
+  await assert.rejects(permissionService.updateRolePermissions('guest', [], 'admin-1'), /Invalid role/);
+});
+
+test('requirePermission answers 401 without a user and 403 without the permission', async (t) => {
+  await useStoredMappings(t);
+  const middleware = requirePermission('visitor:approve');
+
+  assert.deepEqual(await run(middleware, {}), { status: 401 });
+  assert.deepEqual(await run(middleware, { user: { role: 'resident' } }), { status: 403 });
+  assert.deepEqual(await run(middleware, { user: { role: 'securityPersonnel' } }), { next: true });
+});
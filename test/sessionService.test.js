@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Session = require('../src/models/Session');
+const sessionService = require('../src/services/sessionService');
+
+/**
+ * Keep sessions in memory; findOneAndUpdate checks and writes in one step
+ * like the database does
+ * @param {object} t - Test context
+ * @returns {Map} - Stored sessions by ID
+ */
+const fakeSessions = (t) => {
+  const sessions = new Map();
+
+  t.mock.method(Session, 'create', async (data) => {
+    const session = { _id: new mongoose.Types.ObjectId(), generation: 0, revokedAt: null, ...data };
+    sessions.set(session._id.toString(), session);
+    return session;
+  });
+
+  t.mock.method(Session, 'findById', (id) => ({
+    select: async () => sessions.get(String(id)) || null
+  }));
+
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (
+      !session ||
+      session.refreshTokenHash !== filter.refreshTokenHash ||
+      session.revokedAt !== null ||
+      !(session.expiresAt > filter.expiresAt.$gt)
+    ) {
+      return null;
+    }
+
+    Object.assign(session, update.$set);
+    session.generation += update.$inc.generation;
+    return session;
+  });
+
+  t.mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (!session || session.revokedAt !== null) {
+      return { modifiedCount: 0 };
+    }
+
+    Object.assign(session, update);
+    return { modifiedCount: 1 };
+  });
+
+  return sessions;
+};
+
+test('rotating a refresh token issues a new one and moves to the next generation', async (t) => {
+  fakeSessions(t);
+  const { session, refreshToken } = await sessionService.createSession('user-1');
+
+  const rotated = await sessionService.rotateSession(refreshToken);
+
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal(rotated.session.generation, 1);
+  assert.equal(await sessionService.isSessionActive(session._id, 0), false);
+  assert.equal(await sessionService.isSessionActive(session._id, 1), true);
+});
+
+test('concurrent refreshes with the same token: one wins, the reuse revokes the session', async (t) => {
+  const sessions = fakeSessions(t);
+  const { session, refreshToken } = await sessionService.createSession('user-1');
+
+  const results = await Promise.allSettled([
+    sessionService.rotateSession(refreshToken),
+    sessionService.rotateSession(refreshToken)
+  ]);
+
+  assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+  const failure = results.find((result) => result.status === 'rejected');
+  assert.equal(failure.reason.message, 'Refresh token has already been used');
+  assert.equal(sessions.get(session._id.toString()).revokedReason, 'token_reuse');
+});
+
+test('a revoked or expired session cannot be refreshed', async (t) => {
+  const sessions = fakeSessions(t);
+  const revoked = await sessionService.createSession('user-1');
+  const expired = await sessionService.createSession('user-1');
+
+  await sessionService.revokeSession(revoked.session._id);
+  sessions.get(expired.session._id.toString()).expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(sessionService.rotateSession(revoked.refreshToken), /has been revoked/);
+  await assert.rejects(sessionService.rotateSession(expired.refreshToken), /has expired/);
+});
+
+test('malformed refresh tokens are rejected without a lookup', async (t) => {
+  fakeSessions(t);
+
+  await assert.rejects(sessionService.rotateSession('not-a-token'), /Invalid refresh token/);
+  assert.equal(Session.findOneAndUpdate.mock.callCount(), 0);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Complaint = require("../src/models/Complaint");
+const SlaPolicy = require("../src/models/SlaPolicy");
+const User = require("../src/models/User");
+const Notification = require("../src/models/Notification");
+const slaService = require("../src/services/slaService");
+
+const HOUR = 60 * 60 * 1000;
+
+test("overlapping SLA runs escalate and notify a breach once", async (t) => {
+  const now = new Date("2026-10-19T09:00:00Z");
+  const complaint = {
+    _id: new mongoose.Types.ObjectId(),
+    complaintId: "CMP-26-10-0001",
+    userId: new mongoose.Types.ObjectId(),
+    category: "Plumbing",
+    status: "pending",
+    sla: {
+      assignDueAt: new Date(now.getTime() - HOUR),
+      resolveDueAt: new Date(now.getTime() + 48 * HOUR),
+    },
+    history: [],
+  };
+
+  t.mock.method(Complaint, "find", async () => {
+    // Let both runs read before either writes
+    await new Promise((resolve) => setImmediate(resolve));
+    return complaint.sla.assignBreached ? [] : [{ ...complaint, sla: { ...complaint.sla } }];
+  });
+  t.mock.method(Complaint, "findOneAndUpdate", async (filter, update) => {
+    const claimed =
+      complaint.status === filter.status && !complaint.sla.assignBreached;
+    if (!claimed) return null;
+
+    complaint.status = update.$set.status;
+    complaint.sla.assignBreached = true;
+    complaint.history.push(update.$push.history);
+    return complaint;
+  });
+  t.mock.method(SlaPolicy, "find", async () => []);
+  t.mock.method(User, "findOne", () => ({ select: async () => ({ _id: new mongoose.Types.ObjectId() }) }));
+  t.mock.method(User, "find", () => ({ select: async () => [{ _id: new mongoose.Types.ObjectId() }] }));
+  t.mock.method(Notification, "create", async (notification) => notification);
+  t.mock.method(Notification, "insertMany", async (notifications) => notifications);
+
+  const runs = await Promise.all([
+    slaService.processSlaBreaches(now),
+    slaService.processSlaBreaches(now),
+  ]);
+
+  assert.deepEqual(runs.flat(), [
+    { complaintId: "CMP-26-10-0001", breaches: ["assign"], escalated: true },
+  ]);
+  assert.equal(complaint.status, "escalated");
+  assert.equal(complaint.history.length, 1);
+  assert.equal(Notification.insertMany.mock.callCount(), 1);
+  assert.equal(Notification.create.mock.callCount(), 2);
+});
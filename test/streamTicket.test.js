@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Notification = require('../src/models/Notification');
+const notificationService = require('../src/services/notificationService');
+const realtimeHub = require('../src/utils/realtimeHub');
+const { protect, protectStream } = require('../src/middleware/auth');
+const { streamNotifications } = require('../src/controllers/notificationController');
+const { generateToken, generateStreamTicket } = require('../src/services/authService');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'resident', status: 'approved' };
+const session = { _id: new mongoose.Types.ObjectId(), generation: 0 };
+
+/**
+ * Serve the test user and its live session
+ * @param {object} t - Test context
+ */
+const fakeAccount = (t) => {
+  t.mock.method(User, 'findById', () => ({ select: async () => user }));
+  t.mock.method(Session, 'findById', () => ({
+    select: async () => ({ ...session, revokedAt: null, expiresAt: new Date(Date.now() + 60 * 60 * 1000) })
+  }));
+  t.mock.method(console, 'error', () => {});
+};
+
+/**
+ * Run a middleware and report how it ended
+ * @param {Function} middleware - Express middleware
+ * @param {object} req - Request
+ * @returns {object} - { next } or { status, message }
+ */
+const run = async (middleware, req) => {
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = { status: code };
+      return this;
+    },
+    json(body) {
+      outcome.message = body.message;
+      return this;
+    }
+  };
+
+  await middleware({ headers: {}, query: {}, ...req }, res, () => {
+    outcome = { next: true };
+  });
+  return outcome;
+};
+
+/**
+ * Fake response held open as an event stream; closed when the test ends
+ * @param {object} t - Test context
+ * @returns {object} - Response recording what was written
+ */
+const streamResponse = (t) => {
+  const listeners = {};
+  t.after(() => listeners.close());
+
+  return {
+    written: '',
+    ended: false,
+    set() {},
+    flushHeaders() {},
+    write(chunk) {
+      this.written += chunk;
+    },
+    end() {
+      this.ended = true;
+    },
+    on(event, listener) {
+      listeners[event] = listener;
+    }
+  };
+};
+
+test('a stream ticket opens the notification stream', async (t) => {
+  fakeAccount(t);
+  const { ticket, expiresIn } = generateStreamTicket(user, session._id, session.generation);
+
+  assert.equal(expiresIn, 60);
+  assert.deepEqual(await run(protectStream, { query: { ticket } }), { next: true });
+});
+
+test('the stream still accepts the Authorization header', async (t) => {
+  fakeAccount(t);
+  const token = generateToken(user, session);
+
+  assert.deepEqual(
+    await run(protectStream, { headers: { authorization: `Bearer ${token}` } }),
+    { next: true }
+  );
+});
+
+test('stream tickets cannot be used as access tokens', async (t) => {
+  fakeAccount(t);
+  const { ticket } = generateStreamTicket(user, session._id, session.generation);
+
+  const outcome = await run(protect, { headers: { authorization: `Bearer ${ticket}` } });
+  assert.equal(outcome.status, 401);
+});
+
+test('access tokens are not accepted from the URL', async (t) => {
+  fakeAccount(t);
+  const token = generateToken(user, session);
+
+  assert.equal((await run(protectStream, { query: { ticket: token } })).status, 401);
+  assert.equal((await run(protectStream, { query: { token } })).status, 401);
+});
+
+test('expired tickets and tickets of a refreshed session are refused', async (t) => {
+  fakeAccount(t);
+  const expired = jwt.sign(
+    { id: user._id, sid: session._id, gen: 0, purpose: 'stream' },
+    process.env.JWT_SECRET,
+    { expiresIn: -1 }
+  );
+  const stale = generateStreamTicket(user, session._id, session.generation - 1).ticket;
+
+  assert.equal((await run(protectStream, { query: { ticket: expired } })).status, 401);
+  assert.equal((await run(protectStream, { query: { ticket: stale } })).status, 401);
+});
+
+test('open streams end once the session is revoked or the account deactivated', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const live = { revokedAt: null, status: 'approved' };
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ ...user, status: live.status }) }));
+  t.mock.method(Session, 'findById', () => ({
+    select: async () => ({ ...session, revokedAt: live.revokedAt, expiresAt: new Date(Date.now() + 60 * 60 * 1000) })
+  }));
+
+  const open = async () => {
+    const res = streamResponse(t);
+    const { ticket } = generateStreamTicket(user, session._id, session.generation);
+    const req = { headers: {}, query: { ticket } };
+    await protectStream(req, res, () => streamNotifications(req, res));
+    return res;
+  };
+  const heartbeat = async () => {
+    t.mock.timers.tick(25 * 1000);
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+
+  const loggedOut = await open();
+  await heartbeat();
+  assert.equal(loggedOut.ended, false);
+  assert.match(loggedOut.written, /: heartbeat/);
+
+  live.revokedAt = new Date();
+  await heartbeat();
+  assert.equal(loggedOut.ended, true);
+  assert.match(loggedOut.written, /event: unauthorized/);
+
+  live.revokedAt = null;
+  const deactivated = await open();
+  live.status = 'rejected';
+  await heartbeat();
+  assert.equal(deactivated.ended, true);
+});
+
+test('role notifications reach open streams as the stored inbox entries', async (t) => {
+  const guard = { _id: new mongoose.Types.ObjectId(), role: 'securityPersonnel' };
+  const stored = [];
+  t.mock.method(User, 'find', () => ({ select: async () => [{ _id: guard._id }] }));
+  t.mock.method(Notification, 'insertMany', async (docs) => {
+    stored.push(...docs.map((doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc })));
+    return stored;
+  });
+
+  const res = streamResponse(t);
+  realtimeHub.subscribe(guard, res, async () => true);
+  await notificationService.notifyByRole('securityPersonnel', 'New Visitor Request', 'Ravi is at the gate', 'visitor_request');
+
+  const [, data] = res.written.match(/event: notification\ndata: (.*)\n/);
+  assert.equal(JSON.parse(data)._id, stored[0]._id.toString());
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Visitor = require('../src/models/visitor');
+const VisitorPass = require('../src/models/visitorPass');
+const VisitorBlacklist = require('../src/models/visitorBlacklist');
+const notificationService = require('../src/services/notificationService');
+const visitorPassService = require('../src/services/visitorPassService');
+const { toLocalDate, atLocalTime, getLocalParts } = require('../src/utils/estateTime');
+
+/**
+ * Use an estate timezone for one test
+ * @param {object} t - Test context
+ * @param {string} timeZone - IANA timezone name
+ */
+const useTimeZone = (t, timeZone) => {
+  const previous = process.env.ESTATE_TIMEZONE;
+  process.env.ESTATE_TIMEZONE = timeZone;
+  t.after(() => {
+    if (previous === undefined) delete process.env.ESTATE_TIMEZONE;
+    else process.env.ESTATE_TIMEZONE = previous;
+  });
+};
+
+test('estate days start at local midnight, also across daylight saving changes', (t) => {
+  useTimeZone(t, 'America/New_York');
+
+  // Clocks go forward on 8 March 2026: the day has 23 hours
+  assert.equal(atLocalTime('2026-03-08').toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(atLocalTime('2026-03-09').toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(toLocalDate(new Date('2026-03-09T03:59:59Z')), '2026-03-08');
+  assert.equal(getLocalParts(new Date('2026-03-08T12:30:00Z')).hours, 8);
+});
+
+test('pass validity covers whole days of the estate calendar', async (t) => {
+  useTimeZone(t, 'Asia/Kolkata');
+  t.mock.method(VisitorBlacklist, 'findOne', async () => null);
+  t.mock.method(VisitorPass, 'exists', async () => false);
+  t.mock.method(VisitorPass, 'create', async () => {
+    throw new Error('created');
+  });
+
+  await assert.rejects(
+    visitorPassService.createVisitorPass({
+      name: 'Meena',
+      mobileNumber: '9876543210',
+      weekdays: ['mon'],
+      timeWindow: { start: '08:00', end: '10:00' },
+      validFrom: '2026-10-19',
+      validUntil: '2026-10-31'
+    }, new mongoose.Types.ObjectId()),
+    /created/
+  );
+
+  const [{ arguments: [data] }] = VisitorPass.create.mock.calls;
+  assert.equal(data.validFrom.toISOString(), '2026-10-18T18:30:00.000Z');
+  assert.equal(data.validUntil.toISOString(), '2026-10-31T18:29:59.999Z');
+});
+
+test('weekdays and time windows are checked in the estate timezone', async (t) => {
+  useTimeZone(t, 'Asia/Kolkata');
+  const pass = {
+    status: 'approved',
+    weekdays: ['mon'],
+    timeWindow: { start: '08:00', end: '10:00' },
+    validFrom: new Date('2026-10-01T00:00:00Z'),
+    validUntil: new Date('2026-11-01T00:00:00Z')
+  };
+  t.mock.method(VisitorPass, 'findOne', async () => pass);
+
+  // A guard who is off duty is only turned away once the pass itself is usable
+  const offDuty = { _id: new mongoose.Types.ObjectId(), role: 'securityPersonnel' };
+  const checkInAt = async (instant) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date(instant) });
+    try {
+      await visitorPassService.checkInWithPass('abcd2345', {}, offDuty);
+    } catch (error) {
+      return error.message;
+    } finally {
+      t.mock.timers.reset();
+    }
+  };
+
+  // Monday 08:30 in Kolkata, still 03:00 in UTC
+  assert.match(await checkInAt('2026-10-19T03:00:00Z'), /must be on duty/);
+  // Monday 10:30 in Kolkata
+  assert.match(await checkInAt('2026-10-19T05:00:00Z'), /only valid between 08:00 and 10:00/);
+  // Monday 00:30 in Kolkata, still Sunday in UTC
+  assert.match(await checkInAt('2026-10-18T19:00:00Z'), /only valid between/);
+  // Tuesday 08:30 in Kolkata
+  assert.match(await checkInAt('2026-10-20T03:00:00Z'), /not valid on tue/);
+});
+
+test('a pass checked in at two gates at once lets its holder in once', async (t) => {
+  useTimeZone(t, 'Asia/Kolkata');
+  // Monday 08:30 in Kolkata
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T03:00:00Z') });
+  const pass = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'approved',
+    weekdays: ['mon'],
+    timeWindow: { start: '08:00', end: '10:00' },
+    validFrom: new Date('2026-10-01T00:00:00Z'),
+    validUntil: new Date('2026-11-01T00:00:00Z'),
+    visitCount: 0,
+    save: async () => pass
+  };
+  const inside = [];
+  t.mock.method(VisitorPass, 'findOne', async () => pass);
+  t.mock.method(VisitorBlacklist, 'findOne', async () => null);
+  t.mock.method(Visitor, 'exists', async (query) => {
+    // Let both check-ins look before either writes
+    await new Promise((resolve) => setImmediate(resolve));
+    return inside.some((visitor) => visitor.pass === query.pass);
+  });
+  // The partial unique index on pass refuses a second visit inside
+  t.mock.method(Visitor, 'create', async (data) => {
+    if (inside.some((visitor) => visitor.pass === data.pass)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    inside.push(data);
+    return data;
+  });
+  t.mock.method(notificationService, 'notifyVisitorStatusChange', async () => {});
+
+  const guard = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    role: 'securityPersonnel',
+    dutyGate: new mongoose.Types.ObjectId()
+  });
+  const results = await Promise.allSettled([
+    visitorPassService.checkInWithPass('abcd2345', {}, guard()),
+    visitorPassService.checkInWithPass('abcd2345', {}, guard())
+  ]);
+
+  assert.equal(inside.length, 1);
+  assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+  assert.match(results.find((result) => result.status === 'rejected').reason.message, /already checked in/);
+
+  const [, options] = Visitor.schema.indexes().find(([fields, { unique }]) => fields.pass === 1 && unique);
+  assert.equal(options.partialFilterExpression.status, 'checked-in');
+});